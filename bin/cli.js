@@ -1,13 +1,12 @@
 #!/usr/bin/env node
 
 import { program } from 'commander';
-import axios from 'axios';
 import chalk from 'chalk';
 import ora from 'ora';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { analyzeSEO, generateReport } from '../src/index.js';
+import { analyzeSEO, generateReport, crawlSite, auditLocalPath, listBrokenLinks, LINK_CHECK_SCOPES, LIGHTHOUSE_CATEGORIES, PROFILE_NAMES } from '../src/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -17,7 +16,7 @@ program
   .name('seo-info')
   .description('SEO analysis tool')
   .version('1.0.0')
-  .argument('<url>', 'URL to analyze')
+  .argument('<target>', 'URL, local HTML file or build output directory to analyze')
   .option('-f, --format <format>', 'Output format (json, html, pdf)', 'json')
   .option('-o, --output <directory>', 'Output directory', './reports')
   .option('-c, --config <file>', 'Configuration file')
@@ -26,23 +25,39 @@ program
   .option('-k, --keywords <keywords>', 'Target keywords (comma separated)')
   .option('--site-urls <urls>', 'Additional site URLs for crawl path analysis (comma separated)')
   .option('--save-headers', 'Save HTTP headers in the report')
+  .option('--user-agent <agent>', 'User-Agent header used to fetch the page (default: SEO-Info-Tool/1.0)')
+  .option('--offline', 'Only run DOM-based checks: no browser and no requests besides fetching the page')
   .option('--max-image-size <size>', 'Maximum recommended image size in KB', '100')
   .option('--min-words <count>', 'Minimum recommended word count', '300')
   .option('--max-js-size <size>', 'Maximum recommended JavaScript size in KB', '400')
-  .option('--crawl-depth <depth>', 'Crawl depth for site analysis', '0')
-  .action(async (url, options) => {
+  .option('--crawl-depth <depth>', 'Crawl depth for site analysis (default: 0)')
+  .option('--max-pages <count>', 'Maximum number of pages to analyze when crawling (default: 50)')
+  .option('--include <patterns>', 'Only crawl URLs matching these patterns (comma separated regular expressions)')
+  .option('--exclude <patterns>', 'Skip URLs matching these patterns when crawling (comma separated regular expressions)')
+  .option('--concurrency <count>', 'Number of pages analyzed in parallel when crawling or auditing local files (default: 2)')
+  .option('--base-url <url>', 'Public URL local files will be served from (default: http://localhost/)')
+  .option('--clean-urls', 'Serve local pages without the .html extension (about.html as /about)')
+  .option('--check-links [scope]', 'Check links and resources for broken targets: internal, external or all (default: all)')
+  .option('--fail-on-broken <scope>', 'Exit with code 1 when broken links are found: internal, external or all')
+  .option('--lighthouse-categories <categories>', 'Lighthouse categories to run (comma separated: performance, seo, best-practices, accessibility)')
+  .option('--profiles <profiles>', 'Device profiles to analyze, the first one for every browser check (comma separated: mobile, desktop, custom; default: mobile,desktop)')
+  .action(async (target, options) => {
     try {
-      const spinner = ora('Analyzing URL...').start();
+      const url = target;
+      const isLocalTarget = !/^https?:\/\//i.test(target) && fs.existsSync(target);
+      const spinner = ora(isLocalTarget ? 'Analyzing local files...' : 'Analyzing URL...').start();
 
-      // Loading config if provided
+      // Loading config if provided, falling back to .seoinforc in the working directory
       let config = {};
-      if (options.config) {
+      const configFile = options.config ||
+        (fs.existsSync(path.resolve(process.cwd(), '.seoinforc')) ? '.seoinforc' : null);
+      if (configFile) {
         try {
-          const configPath = path.resolve(process.cwd(), options.config);
+          const configPath = path.resolve(process.cwd(), configFile);
           const configContent = fs.readFileSync(configPath, 'utf8');
           config = JSON.parse(configContent);
           if (options.verbose) {
-            spinner.info(`Loaded configuration from ${options.config}`);
+            spinner.info(`Loaded configuration from ${configFile}`);
             spinner.start();
           }
         } catch (error) {
@@ -59,9 +74,49 @@ program
         minWords: parseInt(options.minWords || config.minWords || 300, 10),
         maxJsSize: parseInt(options.maxJsSize || config.maxJsSize || 400, 10),
         verbose: options.verbose || config.verbose || false,
+        offline: options.offline || config.offline || false,
+        saveHeaders: options.saveHeaders || config.saveHeaders || false,
+        userAgent: options.userAgent || config.userAgent,
         advancedAnalysis: options.advanced
       };
 
+      // Check links when asked to, or when broken links should fail the run
+      const linkScopes = [options.checkLinks === true ? 'all' : options.checkLinks, options.failOnBroken].filter(Boolean);
+      linkScopes.forEach(scope => {
+        if (!LINK_CHECK_SCOPES.includes(scope)) {
+          throw new Error(`Invalid link scope "${scope}" (expected ${LINK_CHECK_SCOPES.join(', ')})`);
+        }
+      });
+      if (linkScopes.length > 0) {
+        analysisOptions.linkCheck = {
+          ...config.linkCheck,
+          enabled: true,
+          scope: new Set(linkScopes).size === 1 ? linkScopes[0] : 'all'
+        };
+      }
+
+      // Lighthouse categories to run
+      if (options.lighthouseCategories) {
+        const categories = options.lighthouseCategories.split(',').map(c => c.trim()).filter(Boolean);
+        categories.forEach(category => {
+          if (!LIGHTHOUSE_CATEGORIES.includes(category)) {
+            throw new Error(`Invalid Lighthouse category "${category}" (expected ${LIGHTHOUSE_CATEGORIES.join(', ')})`);
+          }
+        });
+        analysisOptions.lighthouse = { ...config.lighthouse, categories };
+      }
+
+      // Device profiles; custom takes its settings from customProfile in the config file
+      if (options.profiles) {
+        const profiles = options.profiles.split(',').map(p => p.trim()).filter(Boolean);
+        profiles.forEach(profile => {
+          if (!PROFILE_NAMES.includes(profile)) {
+            throw new Error(`Invalid profile "${profile}" (expected ${PROFILE_NAMES.join(', ')})`);
+          }
+        });
+        analysisOptions.profiles = profiles;
+      }
+
       // Process target keywords if provided
       if (options.keywords) {
         analysisOptions.targetKeywords = options.keywords.split(',').map(k => k.trim());
@@ -72,25 +127,46 @@ program
         analysisOptions.siteUrls = options.siteUrls.split(',').map(u => u.trim());
       }
 
-      // Fetch the webpage
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'SEO-Info-Tool/1.0',
-          'Accept': 'text/html,application/xhtml+xml,application/xml'
+      // Audit local build output instead of fetching a URL
+      if (isLocalTarget) {
+        analysisOptions.local = {
+          ...config.local,
+          baseUrl: options.baseUrl || config.local?.baseUrl || 'http://localhost/',
+          cleanUrls: options.cleanUrls || config.local?.cleanUrls || false,
+          concurrency: parseInt(options.concurrency || config.local?.concurrency || 2, 10)
+        };
+
+        await runLocalAudit(target, analysisOptions, options, spinner);
+        return;
+      }
+
+      // Crawl the site when a crawl depth is given
+      // Defaults apply after the config file, so its crawl settings are not shadowed by the CLI
+      const crawlDepth = parseInt(options.crawlDepth || config.crawl?.depth || 0, 10);
+      if (crawlDepth > 0) {
+        analysisOptions.crawl = {
+          ...config.crawl,
+          depth: crawlDepth,
+          maxPages: parseInt(options.maxPages || config.crawl?.maxPages || 50, 10),
+          concurrency: parseInt(options.concurrency || config.crawl?.concurrency || 2, 10)
+        };
+        if (options.include) {
+          analysisOptions.crawl.include = options.include.split(',').map(p => p.trim());
+        }
+        if (options.exclude) {
+          analysisOptions.crawl.exclude = options.exclude.split(',').map(p => p.trim());
         }
-      });
 
-      // Save headers if requested
-      if (options.saveHeaders) {
-        analysisOptions.headers = response.headers;
+        spinner.text = `Crawling ${url} (depth ${crawlDepth})...`;
+        await runCrawl(url, analysisOptions, options, spinner);
+        return;
       }
 
       // Set URL for analysis
       analysisOptions.url = url;
 
-      // Analyze the HTML content
-      const htmlContent = response.data;
-      const results = await analyzeSEO(htmlContent, analysisOptions);
+      // Fetch and analyze the page
+      const results = await analyzeSEO(null, analysisOptions);
 
       spinner.succeed('Analysis complete');
 
@@ -125,13 +201,28 @@ program
         console.log('\n' + chalk.bold('Analysis Summary:'));
         console.log(chalk.cyan('Title: ') + (results.title || 'No title found'));
         console.log(chalk.cyan('Meta Description: ') + (results.description || 'Not found'));
-        console.log(chalk.cyan('Performance Score: ') + getColoredScore(results.performanceScore));
+        if (results.fetch) {
+          const { status, redirects, timing } = results.fetch;
+          console.log(chalk.cyan('HTTP Status: ') + status +
+            (redirects.length > 0 ? chalk.gray(` after ${redirects.length} redirect(s)`) : ''));
+          console.log(chalk.cyan('Response Time: ') + `TTFB ${timing.ttfb}ms, download ${timing.download}ms`);
+        }
+        console.log(chalk.cyan('SEO Score: ') + getColoredScore(results.score?.overall));
+        if (results.indexabilityAnalysis) {
+          const { indexable, reasons } = results.indexabilityAnalysis;
+          console.log(chalk.cyan('Indexable: ') + (indexable
+            ? chalk.green('Yes')
+            : chalk.red(`No (${reasons.map(reason => reason.message).join('; ')})`)));
+        }
+        Object.entries(results.score?.categories || {}).forEach(([name, category]) => {
+          console.log(`  ${name}: ${getColoredScore(category.score)} ${chalk.gray(`(weight ${category.share}%, +${category.contribution})`)}`);
+        });
         console.log(chalk.cyan('SEO Issues: ') + (results.issues?.length || 0));
 
         if (results.issues?.length > 0) {
           console.log('\n' + chalk.bold('Top SEO Issues:'));
           results.issues.slice(0, 5).forEach((issue, index) => {
-            console.log(`${index + 1}. ${issue}`);
+            console.log(`${index + 1}. ${formatIssue(issue)}`);
           });
         }
 
@@ -148,7 +239,7 @@ program
           console.log('\n' + chalk.bold('URL Analysis:'));
           console.log(chalk.cyan('URL Score: ') + getColoredScore(results.urlAnalysis.score));
           if (results.urlAnalysis.issues?.length > 0) {
-            console.log(chalk.cyan('URL Issues: ') + results.urlAnalysis.issues[0]);
+            console.log(chalk.cyan('URL Issues: ') + results.urlAnalysis.issues[0].message);
           }
         }
 
@@ -170,9 +261,16 @@ program
       } else {
         // Simple output for non-verbose mode
         console.log(`\n${chalk.bold('Quick Summary:')} ${results.title || 'No title found'}`);
-        console.log(`SEO Score: ${getColoredScore(calculateOverallScore(results))}`);
-        console.log(`Issues found: ${results.issues?.length || 0}`);
+        console.log(`SEO Score: ${getColoredScore(results.score?.overall)}`);
+        console.log(`Issues found: ${results.issues?.length || 0}${formatIssueCounts(results.issueCounts)}`);
+      }
+
+      if (results.linkCheck) {
+        const { internal, external } = results.linkCheck;
+        console.log(chalk.cyan('Broken links: ') +
+          `${internal.broken} of ${internal.checked} internal, ${external.broken} of ${external.checked} external`);
       }
+      failOnBrokenLinks(listBrokenLinks(results.linkCheck, options.failOnBroken || 'all'), options);
 
     } catch (error) {
       ora().fail(chalk.red(`Error: ${error.message}`));
@@ -183,42 +281,130 @@ program
     }
   });
 
-// Helper function to color scores
-function getColoredScore(score) {
-  if (!score && score !== 0) return chalk.gray('N/A');
+// Crawling a site and saving a report for every page plus a site summary
+async function runCrawl(url, analysisOptions, options, spinner) {
+  const crawl = await crawlSite(url, analysisOptions);
+  spinner.succeed('Crawl complete');
+
+  const hostname = new URL(url).hostname.replace(/[^a-z0-9]/gi, '_');
+  const summaryPath = await saveSiteReports(crawl, { startUrl: crawl.startUrl }, hostname, 'crawl', options);
+
+  const { summary } = crawl;
+  console.log(chalk.green(`\nCrawl summary saved to: ${summaryPath}`));
+  console.log(`\n${chalk.bold('Crawl Summary:')}`);
+  console.log(chalk.cyan('Pages analyzed: ') + summary.pagesAnalyzed);
+  console.log(chalk.cyan('Pages failed: ') + summary.pagesFailed);
+  console.log(chalk.cyan('Missing titles: ') + summary.missingTitles.length);
+  console.log(chalk.cyan('Missing descriptions: ') + summary.missingDescriptions.length);
+  console.log(chalk.cyan('Duplicate titles: ') + Object.keys(summary.duplicateTitles).length);
+  if (analysisOptions.linkCheck) {
+    console.log(chalk.cyan('Broken links: ') + summary.brokenLinks.length);
+  }
 
-  const numScore = typeof score === 'string' ? parseInt(score, 10) : score;
+  if (options.verbose) {
+    crawl.pages.forEach(page => {
+      const status = page.error ? chalk.red(page.error) : (page.skipped ? chalk.gray(page.skipped) : chalk.green(page.status));
+      console.log(`  [depth ${page.depth}] ${page.url} - ${status}`);
+    });
+    summary.brokenLinks.forEach(link => console.log(`  ${chalk.red('broken link')} ${link.url} (${link.status ?? link.error}) on ${link.page}`));
+  }
 
-  if (numScore >= 80) return chalk.green(numScore);
-  if (numScore >= 60) return chalk.yellow(numScore);
-  return chalk.red(numScore);
+  const scope = options.failOnBroken || 'all';
+  failOnBrokenLinks(summary.brokenLinks.filter(link => scope === 'all' || link.internal === (scope === 'internal')), options);
 }
 
-// Calculating the overall score from various metrics
-function calculateOverallScore(results) {
-  const scores = [
-    results.performanceScore || 0
-  ];
-
-  // Adding advanced scores if available
-  if (results.contentAnalysis?.readability?.score) {
-    scores.push(results.contentAnalysis.readability.score);
+// Auditing local HTML files and saving a report for every page plus a site summary
+async function runLocalAudit(target, analysisOptions, options, spinner) {
+  const audit = await auditLocalPath(target, analysisOptions);
+  spinner.succeed(`Analyzed ${audit.summary.pagesAnalyzed} local page(s)`);
+
+  const name = path.basename(path.resolve(target)).replace(/[^a-z0-9]/gi, '_');
+  const summaryPath = await saveSiteReports(audit, { root: audit.root, baseUrl: audit.baseUrl }, name, 'local', options);
+
+  const { summary } = audit;
+  console.log(chalk.green(`\nSite summary saved to: ${summaryPath}`));
+  console.log(`\n${chalk.bold('Local Audit Summary:')}`);
+  console.log(chalk.cyan('Pages analyzed: ') + summary.pagesAnalyzed);
+  console.log(chalk.cyan('Pages failed: ') + summary.pagesFailed);
+  console.log(chalk.cyan('Broken internal links: ') + summary.brokenLinks.length);
+  console.log(chalk.cyan('Missing assets: ') + summary.missingAssets.length);
+  console.log(chalk.cyan('Missing titles: ') + summary.missingTitles.length);
+  console.log(chalk.cyan('Duplicate titles: ') + Object.keys(summary.duplicateTitles).length);
+
+  if (options.verbose) {
+    summary.brokenLinks.forEach(link => console.log(`  ${chalk.red('broken link')} ${link.href} on ${link.page}`));
+    summary.missingAssets.forEach(asset => console.log(`  ${chalk.red('missing asset')} ${asset.reference} on ${asset.page}`));
   }
 
-  if (results.urlAnalysis?.score) {
-    scores.push(results.urlAnalysis.score);
+  // Local files only have internal references
+  if (options.failOnBroken !== 'external') {
+    failOnBrokenLinks([...summary.brokenLinks, ...summary.missingAssets], options);
   }
+}
 
-  if (results.socialMediaAnalysis?.score) {
-    scores.push(results.socialMediaAnalysis.score);
+// Saving a report for every analyzed page of a crawl or local audit, plus a JSON site summary
+async function saveSiteReports(site, header, name, suffix, options) {
+  const outputDir = path.resolve(process.cwd(), options.output);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const baseFilename = `${name}_${timestamp}`;
+  const pagesDir = path.join(outputDir, baseFilename);
+
+  for (const page of site.pages) {
+    if (!page.results) continue;
+
+    const pageSlug = new URL(page.finalUrl || page.url).pathname
+      .replace(/[^a-z0-9]/gi, '_')
+      .replace(/^_+|_+$/g, '') || 'index';
+
+    page.reportPath = await generateReport(page.results, {
+      format: options.format,
+      outputDir: pagesDir,
+      filename: pageSlug,
+      url: page.url
+    });
   }
 
-  if (results.headersAnalysis?.score) {
-    scores.push(results.headersAnalysis.score);
-  }
+  return generateReport({
+    ...header,
+    summary: site.summary,
+    pages: site.pages.map(({ results, ...page }) => ({ ...page, title: results?.title }))
+  }, {
+    format: 'json',
+    outputDir,
+    filename: `${baseFilename}_${suffix}`
+  });
+}
+
+// Setting a failing exit code when --fail-on-broken is given and broken links were found
+function failOnBrokenLinks(brokenLinks, options) {
+  if (!options.failOnBroken || brokenLinks.length === 0) return;
+
+  console.log(chalk.red(`\nFailing: ${brokenLinks.length} broken ${options.failOnBroken === 'all' ? '' : `${options.failOnBroken} `}link(s) found`));
+  process.exitCode = 1;
+}
+
+// Helper function to format an issue for console output
+function formatIssue(issue) {
+  const colors = { error: chalk.red, warning: chalk.yellow, notice: chalk.gray };
+  const severity = (colors[issue.severity] || chalk.white)(`[${issue.severity}]`);
+  return `${severity} ${issue.message} ${chalk.gray(`(${issue.id})`)}`;
+}
+
+// Helper function to summarize issue counts by severity
+function formatIssueCounts(counts) {
+  if (!counts) return '';
+  return ` (${chalk.red(`${counts.error} errors`)}, ${chalk.yellow(`${counts.warning} warnings`)}, ${chalk.gray(`${counts.notice} notices`)})`;
+}
+
+// Helper function to color scores
+function getColoredScore(score) {
+  if (!score && score !== 0) return chalk.gray('N/A');
+
+  const numScore = typeof score === 'string' ? parseInt(score, 10) : score;
 
-  // Calculating the average
-  return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  if (numScore >= 80) return chalk.green(numScore);
+  if (numScore >= 60) return chalk.yellow(numScore);
+  return chalk.red(numScore);
 }
 
 program.parse();
\ No newline at end of file
@@ -93,7 +93,7 @@ async function runAdvancedAnalysis() {
       if (results.urlAnalysis.issues.length > 0) {
         console.log('   Top issues:');
         results.urlAnalysis.issues.slice(0, 3).forEach(issue => {
-          console.log(`   - ${issue}`);
+          console.log(`   - ${issue.message}`);
         });
       }
     }
@@ -59,7 +59,7 @@ async function runCliExamples() {
     "thresholds": {
       "largeImageSize": 200000,
       "totalJsSize": 600000,
-      "ssrContentLengthThreshold": 1500,
+      "ssrTextShare": 0.6,
       "lazyLoadDelay": 2000
     },
     "reportFormat": "html",
@@ -36,9 +36,10 @@ async function runSeoAnalysis() {
     thresholds: {
       largeImageSize: 150 * 1024, // 150KB
       totalJsSize: 500 * 1024, // 500KB
-      ssrContentLengthThreshold: 1000, // Minimum content length for SSR detection
+      ssrTextShare: 0.5, // Share of the visible text the server HTML must contain to count as SSR
       lazyLoadDelay: 1500, // 1.5 seconds
     },
+    profiles: ['mobile', 'desktop'], // Every browser check runs on the first profile; the others add a side-by-side comparison
     reportFormat: 'html', // 'json', 'html', or 'pdf'
     outputPath: path.join(__dirname, '../reports/example-report'),
   };
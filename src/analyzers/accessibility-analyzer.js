@@ -1,32 +1,28 @@
-import puppeteer from 'puppeteer';
+import { withBrowserSession } from '../browser/browser-session.js';
 
 /**
  * Perform accessibility audit using axe-core
- * @param {string} url - URL to analyze
+ * @param {Object|string} target - Browser session or URL to analyze
  * @param {number} timeout - Timeout in milliseconds
  * @returns {Promise<Array>} Promise resolving to accessibility issues
  */
-export async function performAccessibilityAudit(url, timeout) {
-  const browser = await puppeteer.launch({ headless: 'new' });
+export async function performAccessibilityAudit(target, timeout) {
   let accessibilityIssues = [];
   try {
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'networkidle2', timeout });
+    accessibilityIssues = await withBrowserSession(target, { timeout }, async (session) => {
+      // Load axe directly from CDN
+      await session.page.addScriptTag({
+        url: 'https://unpkg.com/axe-core@latest/axe.min.js',
+      });
 
-    // Load axe directly from CDN
-    await page.addScriptTag({
-      url: 'https://unpkg.com/axe-core@latest/axe.min.js',
-    });
+      const result = await session.page.evaluate(async () => {
+        return await window.axe.run();
+      });
 
-    const result = await page.evaluate(async () => {
-      return await window.axe.run();
+      return result.violations;
     });
-
-    accessibilityIssues = result.violations;
   } catch (error) {
     console.error('Error during accessibility audit:', error.message);
-  } finally {
-    await browser.close();
   }
   return accessibilityIssues;
-} 
\ No newline at end of file
+}
@@ -3,6 +3,8 @@
  * It Provides deeper insight into content quality, readability, and keyword usage
  */
 
+import { createIssue, SEVERITY, CATEGORY } from '../../utils/issues.js';
+
 /**
  * Calculates text readability metrics
  * @param {string} text - The text to analyze
@@ -108,11 +110,22 @@ export function analyzeKeywords(text, targetKeywords = []) {
     };
   });
 
+  const issues = targetKeywordAnalysis
+    .filter(keyword => !keyword.sufficient)
+    .map(keyword => createIssue({
+      id: 'content/target-keyword-missing',
+      category: CATEGORY.CONTENT,
+      message: `Target keyword "${keyword.keyword}" does not appear in the page content`,
+      element: keyword.keyword,
+      fix: `Use "${keyword.keyword}" naturally in the page copy, headings and title`
+    }));
+
   return {
     wordCount: words.length,
     topWords: sortedWords,
     relevantKeywords: topWordsExcludingStopWords,
-    targetKeywords: targetKeywordAnalysis.length > 0 ? targetKeywordAnalysis : undefined
+    targetKeywords: targetKeywordAnalysis.length > 0 ? targetKeywordAnalysis : undefined,
+    issues
   };
 }
 
@@ -153,6 +166,7 @@ export function analyzeContentStructure(document) {
     listCount: lists,
     listItemCount: listItems,
     structureRating: getRatingForStructure(avgParagraphLength, longParagraphs, paragraphCount, lists),
+    issues: getStructureIssues(longParagraphs, paragraphCount),
     recommendations: getStructureRecommendations(avgParagraphLength, longParagraphs, paragraphCount, lists)
   };
 }
@@ -175,11 +189,23 @@ export function analyzeContentRatio(htmlContent, textContent) {
   else if (ratio < 50) rating = 'Good';
   else rating = 'Excellent';
 
+  const issues = [];
+  if (rating === 'Poor') {
+    issues.push(createIssue({
+      id: 'content/low-text-ratio',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.CONTENT,
+      message: `Text makes up only ${ratio.toFixed(2)}% of the HTML`,
+      fix: 'Add more visible text content or reduce markup, inline scripts and styles'
+    }));
+  }
+
   return {
     htmlSize,
     textSize,
     ratio: ratio.toFixed(2) + '%',
-    rating
+    rating,
+    issues
   };
 }
 
@@ -215,6 +241,33 @@ function getRatingForStructure(avgParagraphLength, longParagraphs, paragraphCoun
   return 'Average';
 }
 
+// Helper function to report content structure issues
+function getStructureIssues(longParagraphs, paragraphCount) {
+  const issues = [];
+
+  if (longParagraphs > 3) {
+    issues.push(createIssue({
+      id: 'content/long-paragraphs',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.CONTENT,
+      message: `${longParagraphs} paragraphs are longer than 150 words`,
+      fix: 'Too many long paragraphs detected. Web users prefer shorter paragraphs.'
+    }));
+  }
+
+  if (paragraphCount < 3) {
+    issues.push(createIssue({
+      id: 'content/few-paragraphs',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.CONTENT,
+      message: `Page has only ${paragraphCount} paragraph${paragraphCount === 1 ? '' : 's'}`,
+      fix: 'Add more paragraphs to properly organize your content.'
+    }));
+  }
+
+  return issues;
+}
+
 // Helper function to generate recommendations for content structure
 function getStructureRecommendations(avgParagraphLength, longParagraphs, paragraphCount, lists) {
   const recommendations = [];
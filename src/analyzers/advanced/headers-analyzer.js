@@ -3,6 +3,8 @@
  * It Analyzes HTTP headers for SEO, security, and performance issues
  */
 
+import { addIssue, createIssue, SEVERITY, CATEGORY } from '../../utils/issues.js';
+
 /**
  * Analyzes HTTP headers for SEO and technical issues
  * @param {Object} headers - HTTP headers object
@@ -11,7 +13,13 @@
 export function analyzeHeaders(headers) {
   if (!headers || Object.keys(headers).length === 0) {
     return {
-      issues: ['No headers provided for analysis'],
+      issues: [createIssue({
+        id: 'headers/not-provided',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.PERFORMANCE,
+        message: 'No headers provided for analysis',
+        fix: 'Ensure HTTP headers are properly captured and provided for analysis'
+      })],
       recommendations: ['Ensure HTTP headers are properly captured and provided for analysis'],
       score: 0
     };
@@ -77,24 +85,43 @@ function analyzeCacheHeaders(headers) {
   const cacheControlValue = headers['cache-control'] || '';
 
   if (!hasCacheControl) {
-    issues.push('No Cache-Control header found');
-    recommendations.push('Add a Cache-Control header to improve resource caching');
+    addIssue(issues, recommendations, {
+      id: 'headers/cache-control-missing',
+      category: CATEGORY.PERFORMANCE,
+      message: 'No Cache-Control header found',
+      fix: 'Add a Cache-Control header to improve resource caching'
+    });
   } else {
     // Check Cache-Control value
     if (cacheControlValue.includes('no-store') || cacheControlValue.includes('no-cache')) {
-      issues.push('Cache-Control prevents caching entirely');
-      recommendations.push('Consider enabling caching for static assets to improve performance');
+      addIssue(issues, recommendations, {
+        id: 'headers/cache-disabled',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.PERFORMANCE,
+        message: 'Cache-Control prevents caching entirely',
+        fix: 'Consider enabling caching for static assets to improve performance'
+      });
     } else if (!cacheControlValue.includes('max-age')) {
-      issues.push('Cache-Control has no max-age directive');
-      recommendations.push('Add max-age directive to Cache-Control header for better caching control');
+      addIssue(issues, recommendations, {
+        id: 'headers/cache-max-age-missing',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.PERFORMANCE,
+        message: 'Cache-Control has no max-age directive',
+        fix: 'Add max-age directive to Cache-Control header for better caching control'
+      });
     } else {
       // Parse max-age value
       const maxAgeMatch = cacheControlValue.match(/max-age=(\d+)/);
       if (maxAgeMatch) {
         const maxAge = parseInt(maxAgeMatch[1], 10);
         if (maxAge < 86400) { // Less than a day
-          issues.push(`Short cache period (${maxAge} seconds)`);
-          recommendations.push('Consider increasing max-age for static resources to at least 1 day (86400)');
+          addIssue(issues, recommendations, {
+            id: 'headers/cache-max-age-short',
+            severity: SEVERITY.NOTICE,
+            category: CATEGORY.PERFORMANCE,
+            message: `Short cache period (${maxAge} seconds)`,
+            fix: 'Consider increasing max-age for static resources to at least 1 day (86400)'
+          });
         } else {
           score += 50;
         }
@@ -111,16 +138,26 @@ function analyzeCacheHeaders(headers) {
 
   // Check for ETag
   if (!('etag' in headers)) {
-    issues.push('No ETag header found');
-    recommendations.push('Add ETag header to enable conditional requests and save bandwidth');
+    addIssue(issues, recommendations, {
+      id: 'headers/etag-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.PERFORMANCE,
+      message: 'No ETag header found',
+      fix: 'Add ETag header to enable conditional requests and save bandwidth'
+    });
   } else {
     score += 15;
   }
 
   // Check for Last-Modified
   if (!('last-modified' in headers)) {
-    issues.push('No Last-Modified header found');
-    recommendations.push('Add Last-Modified header to enable conditional requests');
+    addIssue(issues, recommendations, {
+      id: 'headers/last-modified-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.PERFORMANCE,
+      message: 'No Last-Modified header found',
+      fix: 'Add Last-Modified header to enable conditional requests'
+    });
   } else {
     score += 15;
   }
@@ -157,8 +194,8 @@ function analyzeSecurityHeaders(headers) {
   const securityHeaders = {
     'strict-transport-security': {
       present: 'strict-transport-security' in headers,
-      recommendation: 'Add Strict-Transport-Security header to ensure secure connections',
-      score: 15
+      recommendation: 'Implement HTTPS and add Strict-Transport-Security header to ensure secure connections',
+      score: 35
     },
     'content-security-policy': {
       present: 'content-security-policy' in headers,
@@ -195,21 +232,18 @@ function analyzeSecurityHeaders(headers) {
   // Check each security header
   Object.entries(securityHeaders).forEach(([name, info]) => {
     if (!info.present) {
-      issues.push(`Missing ${name} header`);
-      recommendations.push(info.recommendation);
+      addIssue(issues, recommendations, {
+        id: `headers/${name}-missing`,
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.SECURITY,
+        message: `Missing ${name} header`,
+        fix: info.recommendation
+      });
     } else {
       score += info.score;
     }
   });
 
-  // HTTPS check
-  if (headers['strict-transport-security']) {
-    score += 20;
-  } else {
-    issues.push('No HSTS header found, site may not be enforcing HTTPS');
-    recommendations.push('Implement HTTPS and add Strict-Transport-Security header');
-  }
-
   // If no issues found, the score is perfect
   if (issues.length === 0) {
     score = 100;
@@ -240,19 +274,33 @@ function analyzeContentHeaders(headers) {
 
   // Check content-type
   if (!('content-type' in headers)) {
-    issues.push('No Content-Type header found');
-    recommendations.push('Add Content-Type header to specify the MIME type');
+    addIssue(issues, recommendations, {
+      id: 'headers/content-type-missing',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.INDEXING,
+      message: 'No Content-Type header found',
+      fix: 'Add Content-Type header to specify the MIME type'
+    });
   } else {
     score += 40;
 
     // Check for charset
     const contentTypeValue = headers['content-type'];
     if (!contentTypeValue.includes('charset=')) {
-      issues.push('Content-Type header has no charset specification');
-      recommendations.push('Add charset to Content-Type header (e.g., text/html; charset=UTF-8)');
+      addIssue(issues, recommendations, {
+        id: 'headers/charset-missing',
+        category: CATEGORY.INDEXING,
+        message: 'Content-Type header has no charset specification',
+        fix: 'Add charset to Content-Type header (e.g., text/html; charset=UTF-8)'
+      });
     } else if (!contentTypeValue.toLowerCase().includes('utf-8')) {
-      issues.push('Content-Type charset is not UTF-8');
-      recommendations.push('Use UTF-8 charset for better international character support');
+      addIssue(issues, recommendations, {
+        id: 'headers/charset-not-utf8',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.INDEXING,
+        message: 'Content-Type charset is not UTF-8',
+        fix: 'Use UTF-8 charset for better international character support'
+      });
     } else {
       score += 20;
     }
@@ -260,8 +308,13 @@ function analyzeContentHeaders(headers) {
 
   // Check for language
   if (!('content-language' in headers)) {
-    issues.push('No Content-Language header found');
-    recommendations.push('Add Content-Language header to specify the language of your content');
+    addIssue(issues, recommendations, {
+      id: 'headers/content-language-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.INDEXING,
+      message: 'No Content-Language header found',
+      fix: 'Add Content-Language header to specify the language of your content'
+    });
   } else {
     score += 20;
   }
@@ -271,14 +324,8 @@ function analyzeContentHeaders(headers) {
     // Not necessarily an issue, but worth mentioning
     recommendations.push('Consider using X-Robots-Tag header for more granular indexing control');
   } else {
+    // noindex values are reported by the indexability analyzer
     score += 20;
-
-    // Check for potentially problematic values
-    const xRobotsValue = headers['x-robots-tag'];
-    if (xRobotsValue.includes('noindex')) {
-      issues.push('X-Robots-Tag prevents indexing');
-      recommendations.push('Remove "noindex" from X-Robots-Tag if you want the page to be indexed');
-    }
   }
 
   // If no issues found, the score is perfect
@@ -313,8 +360,12 @@ function analyzeCompression(headers) {
   const encodingHeader = headers['content-encoding'];
 
   if (!encodingHeader) {
-    issues.push('No Content-Encoding header found, compression may not be enabled');
-    recommendations.push('Enable GZIP or Brotli compression to reduce page size and improve load times');
+    addIssue(issues, recommendations, {
+      id: 'headers/compression-missing',
+      category: CATEGORY.PERFORMANCE,
+      message: 'No Content-Encoding header found, compression may not be enabled',
+      fix: 'Enable GZIP or Brotli compression to reduce page size and improve load times'
+    });
   } else {
     if (encodingHeader.includes('br')) {
       // Brotli compression is best
@@ -330,20 +381,34 @@ function analyzeCompression(headers) {
     } else {
       // Unknown compression
       score = 50;
-      issues.push(`Unknown compression method: ${encodingHeader}`);
-      recommendations.push('Use standard compression methods like Brotli or GZIP');
+      addIssue(issues, recommendations, {
+        id: 'headers/compression-unknown',
+        category: CATEGORY.PERFORMANCE,
+        message: `Unknown compression method: ${encodingHeader}`,
+        fix: 'Use standard compression methods like Brotli or GZIP'
+      });
     }
   }
 
   // Check for Vary header
   if (!('vary' in headers)) {
-    issues.push('No Vary header found');
-    recommendations.push('Add Vary: Accept-Encoding header when using compression');
+    addIssue(issues, recommendations, {
+      id: 'headers/vary-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.PERFORMANCE,
+      message: 'No Vary header found',
+      fix: 'Add Vary: Accept-Encoding header when using compression'
+    });
   } else {
     const varyHeader = headers['vary'];
     if (!varyHeader.includes('Accept-Encoding')) {
-      issues.push('Vary header does not include Accept-Encoding');
-      recommendations.push('Update Vary header to include Accept-Encoding when using compression');
+      addIssue(issues, recommendations, {
+        id: 'headers/vary-accept-encoding-missing',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.PERFORMANCE,
+        message: 'Vary header does not include Accept-Encoding',
+        fix: 'Update Vary header to include Accept-Encoding when using compression'
+      });
     } else {
       score += 20;
     }
@@ -3,6 +3,8 @@
  * It Analyzes JSON-LD and microdata implementations
  */
 
+import { addIssue, createIssue, SEVERITY, CATEGORY } from '../../utils/issues.js';
+
 /**
  * Extracts and analyzes JSON-LD structured data
  * @param {Document} document - DOM document
@@ -30,14 +32,15 @@ export function analyzeJSONLD(document) {
   // Analyze each JSON-LD block
   const analysis = jsonldData.map((data, index) => {
     const type = getJsonLdType(data);
-    const isValid = validateJsonLd(data);
+    const isValid = validateJsonLd(data, index);
     const coverage = assessJsonLdCoverage(data);
 
     return {
       index,
       type,
       valid: isValid.valid,
-      validationIssues: isValid.issues,
+      validationIssues: isValid.issues.map(issue => issue.message),
+      issues: isValid.issues,
       coverage: coverage.score,
       coverageAssessment: coverage.assessment,
       recommendations: generateJsonLdRecommendations(data, type, isValid, coverage)
@@ -97,7 +100,7 @@ export function analyzeMicrodata(document) {
   // Analyze microdata
   const analysis = microdataItems.map((item, index) => {
     const coverage = assessMicrodataCoverage(item);
-    const issues = validateMicrodata(item);
+    const issues = validateMicrodata(item, index);
 
     return {
       index,
@@ -106,7 +109,8 @@ export function analyzeMicrodata(document) {
       coverage: coverage.score,
       coverageAssessment: coverage.assessment,
       valid: issues.valid,
-      validationIssues: issues.issues,
+      validationIssues: issues.issues.map(issue => issue.message),
+      issues: issues.issues,
       recommendations: generateMicrodataRecommendations(item, coverage, issues)
     };
   });
@@ -140,11 +144,31 @@ export function analyzeStructuredData(document) {
   const hasProduct = implementedTypes.includes('Product');
   const hasFAQ = implementedTypes.includes('FAQPage');
 
+  // Collect issues from every JSON-LD block and microdata item
+  const issues = [
+    ...jsonldAnalysis.errors.map(error => createIssue({
+      id: 'structured-data/jsonld-syntax-error',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.STRUCTURED_DATA,
+      message: error.error,
+      element: `JSON-LD block ${error.index + 1}`,
+      fix: 'Fix JSON-LD syntax errors to ensure proper interpretation by search engines.'
+    })),
+    ...jsonldAnalysis.analysis.flatMap(block => block.issues),
+    ...microdataAnalysis.analysis.flatMap(item => item.issues)
+  ];
+
   // Generate recommendations
   const recommendations = [];
 
   if (!hasAnyStructuredData) {
-    recommendations.push('No structured data found. Consider implementing JSON-LD for better search engine visibility.');
+    addIssue(issues, recommendations, {
+      id: 'structured-data/missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.STRUCTURED_DATA,
+      message: 'No structured data found',
+      fix: 'No structured data found. Consider implementing JSON-LD for better search engine visibility.'
+    });
   }
 
   if (!hasOrganization) {
@@ -172,10 +196,20 @@ export function analyzeStructuredData(document) {
     jsonld: jsonldAnalysis,
     microdata: microdataAnalysis,
     implementedTypes,
+    issues,
     recommendations
   };
 }
 
+/**
+ * Lists the schema.org types declared in JSON-LD and microdata
+ * @param {Document} document - DOM document
+ * @returns {Array<string>} Type names
+ */
+export function getStructuredDataTypes(document) {
+  return getImplementedSchemaTypes(analyzeJSONLD(document), analyzeMicrodata(document));
+}
+
 // Helper functions
 
 function getJsonLdType(data) {
@@ -188,32 +222,52 @@ function getJsonLdType(data) {
   return data['@type'] || 'Unspecified';
 }
 
-function validateJsonLd(data) {
+function validateJsonLd(data, index) {
   const issues = [];
+  const element = `JSON-LD block ${index + 1}`;
+  const addValidationIssue = (id, message, severity = SEVERITY.WARNING) => {
+    issues.push(createIssue({
+      id: `structured-data/${id}`,
+      severity,
+      category: CATEGORY.STRUCTURED_DATA,
+      message,
+      element,
+      fix: `Fix: ${message}`
+    }));
+  };
 
   if (!data) {
-    issues.push('Empty JSON-LD data');
+    addValidationIssue('jsonld-empty', 'Empty JSON-LD data', SEVERITY.ERROR);
     return { valid: false, issues };
   }
 
   if (!data['@context'] || !data['@context'].includes('schema.org')) {
-    issues.push('Missing or invalid @context (should be schema.org)');
+    addValidationIssue('jsonld-context-invalid', 'Missing or invalid @context (should be schema.org)', SEVERITY.ERROR);
   }
 
   if (!data['@type']) {
-    issues.push('Missing @type property');
+    addValidationIssue('jsonld-type-missing', 'Missing @type property', SEVERITY.ERROR);
   }
 
   // For specific schema types, check required properties
+  const checkProperty = (type, property, required) => {
+    if (data[property]) return;
+    addValidationIssue(
+      `${type.toLowerCase()}-${property.toLowerCase()}-missing`,
+      `${type} schema missing ${required ? 'required' : 'recommended'} property: ${property}`,
+      required ? SEVERITY.WARNING : SEVERITY.NOTICE
+    );
+  };
+
   if (data['@type'] === 'Product') {
-    if (!data.name) issues.push('Product schema missing required property: name');
-    if (!data.description) issues.push('Product schema missing recommended property: description');
-    if (!data.image) issues.push('Product schema missing recommended property: image');
-    if (!data.offers) issues.push('Product schema missing recommended property: offers');
+    checkProperty('Product', 'name', true);
+    checkProperty('Product', 'description', false);
+    checkProperty('Product', 'image', false);
+    checkProperty('Product', 'offers', false);
   } else if (data['@type'] === 'Article' || data['@type'] === 'BlogPosting') {
-    if (!data.headline) issues.push('Article schema missing required property: headline');
-    if (!data.author) issues.push('Article schema missing recommended property: author');
-    if (!data.datePublished) issues.push('Article schema missing recommended property: datePublished');
+    checkProperty('Article', 'headline', true);
+    checkProperty('Article', 'author', false);
+    checkProperty('Article', 'datePublished', false);
   }
 
   return {
@@ -263,7 +317,7 @@ function generateJsonLdRecommendations(data, type, validation, coverage) {
 
   // Add recommendations based on validation issues
   validation.issues.forEach(issue => {
-    recommendations.push(`Fix: ${issue}`);
+    recommendations.push(issue.fix);
   });
 
   // Add recommendations based on coverage
@@ -290,17 +344,26 @@ function getOverallJsonLdRecommendations(jsonldData, errors) {
   return recommendations;
 }
 
-function validateMicrodata(item) {
+function validateMicrodata(item, index) {
   const issues = [];
+  const addValidationIssue = (id, message) => {
+    issues.push(createIssue({
+      id: `structured-data/${id}`,
+      category: CATEGORY.STRUCTURED_DATA,
+      message,
+      element: `Microdata item ${index + 1} (${item.type})`,
+      fix: `Fix: ${message}`
+    }));
+  };
 
   if (!item.type || item.type === 'No type specified') {
-    issues.push('Missing itemtype attribute');
+    addValidationIssue('microdata-itemtype-missing', 'Missing itemtype attribute');
   } else if (!item.type.includes('schema.org')) {
-    issues.push('itemtype should reference schema.org');
+    addValidationIssue('microdata-itemtype-invalid', 'itemtype should reference schema.org');
   }
 
   if (Object.keys(item.properties).length === 0) {
-    issues.push('No itemprop attributes found');
+    addValidationIssue('microdata-itemprop-missing', 'No itemprop attributes found');
   }
 
   return {
@@ -342,7 +405,7 @@ function generateMicrodataRecommendations(item, coverage, validation) {
   const recommendations = [];
 
   validation.issues.forEach(issue => {
-    recommendations.push(`Fix: ${issue}`);
+    recommendations.push(issue.fix);
   });
 
   if (coverage.score < 60) {
@@ -3,6 +3,8 @@
  * It Analyzes social media meta tags and presence for better shareability
  */
 
+import { addIssue, createIssue, SEVERITY, CATEGORY } from '../../utils/issues.js';
+
 /**
  * Analyzes social media meta tags and presence
  * @param {Document} document - DOM document to analyze
@@ -12,7 +14,13 @@
 export function analyzeSocialMedia(document, url) {
   if (!document) {
     return {
-      issues: ['No document provided for analysis'],
+      issues: [createIssue({
+        id: 'social/no-document',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.SOCIAL,
+        message: 'No document provided for analysis',
+        fix: 'Provide a document for analysis'
+      })],
       recommendations: ['Provide a document for analysis'],
       score: 0
     };
@@ -86,8 +94,12 @@ function analyzeOpenGraph(document) {
 
   // Check if Open Graph tags exist
   if (ogTags.length === 0) {
-    issues.push('No Open Graph meta tags found');
-    recommendations.push('Add Open Graph meta tags for better social media sharing');
+    addIssue(issues, recommendations, {
+      id: 'social/open-graph-missing',
+      category: CATEGORY.SOCIAL,
+      message: 'No Open Graph meta tags found',
+      fix: 'Add Open Graph meta tags for better social media sharing'
+    });
   } else {
     score += 20; // Base score for having some OG tags
 
@@ -118,8 +130,13 @@ function analyzeOpenGraph(document) {
     // Check each essential tag
     essentialTags.forEach(tag => {
       if (!tag.value) {
-        issues.push(`Missing ${tag.name} meta tag`);
-        recommendations.push(tag.recommendation);
+        addIssue(issues, recommendations, {
+          id: `social/${tag.name.replace(':', '-')}-missing`,
+          severity: SEVERITY.NOTICE,
+          category: CATEGORY.SOCIAL,
+          message: `Missing ${tag.name} meta tag`,
+          fix: tag.recommendation
+        });
       } else {
         score += tag.score;
       }
@@ -135,8 +152,12 @@ function analyzeOpenGraph(document) {
     // Check image validity if present
     if (ogData.image) {
       if (!isValidUrl(ogData.image)) {
-        issues.push('og:image URL may not be valid or is relative');
-        recommendations.push('Use absolute URLs for og:image meta tags');
+        addIssue(issues, recommendations, {
+          id: 'social/og-image-relative',
+          category: CATEGORY.SOCIAL,
+          message: 'og:image URL may not be valid or is relative',
+          fix: 'Use absolute URLs for og:image meta tags'
+        });
         score -= 10;
       }
 
@@ -192,8 +213,13 @@ function analyzeTwitterCard(document) {
 
   // Check if Twitter Card tags exist
   if (twitterTags.length === 0) {
-    issues.push('No Twitter Card meta tags found');
-    recommendations.push('Add Twitter Card meta tags for better Twitter sharing');
+    addIssue(issues, recommendations, {
+      id: 'social/twitter-tags-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.SOCIAL,
+      message: 'No Twitter Card meta tags found',
+      fix: 'Add Twitter Card meta tags for better Twitter sharing'
+    });
   } else {
     score += 20; // Base score for having some Twitter tags
 
@@ -220,8 +246,13 @@ function analyzeTwitterCard(document) {
     // Check each essential tag
     essentialTags.forEach(tag => {
       if (!tag.value) {
-        issues.push(`Missing ${tag.name} meta tag`);
-        recommendations.push(tag.recommendation);
+        addIssue(issues, recommendations, {
+          id: `social/${tag.name.replace(':', '-')}-missing`,
+          severity: SEVERITY.NOTICE,
+          category: CATEGORY.SOCIAL,
+          message: `Missing ${tag.name} meta tag`,
+          fix: tag.recommendation
+        });
       } else {
         score += tag.score;
       }
@@ -238,16 +269,24 @@ function analyzeTwitterCard(document) {
     if (twitterData.card) {
       const validCardTypes = ['summary', 'summary_large_image', 'app', 'player'];
       if (!validCardTypes.includes(twitterData.card)) {
-        issues.push(`Unknown twitter:card value: ${twitterData.card}`);
-        recommendations.push('Use a valid Twitter card type: summary, summary_large_image, app, or player');
+        addIssue(issues, recommendations, {
+          id: 'social/twitter-card-invalid',
+          category: CATEGORY.SOCIAL,
+          message: `Unknown twitter:card value: ${twitterData.card}`,
+          fix: 'Use a valid Twitter card type: summary, summary_large_image, app, or player'
+        });
         score -= 10;
       }
     }
 
     // Check image validity if present
     if (twitterData.image && !isValidUrl(twitterData.image)) {
-      issues.push('twitter:image URL may not be valid or is relative');
-      recommendations.push('Use absolute URLs for twitter:image meta tags');
+      addIssue(issues, recommendations, {
+        id: 'social/twitter-image-relative',
+        category: CATEGORY.SOCIAL,
+        message: 'twitter:image URL may not be valid or is relative',
+        fix: 'Use absolute URLs for twitter:image meta tags'
+      });
       score -= 10;
     }
   }
@@ -322,8 +361,13 @@ function analyzeSocialLinks(document, url) {
 
   // Analyze social links
   if (socialLinks.length === 0) {
-    issues.push('No social media links found on the page');
-    recommendations.push('Add links to your social media profiles for better connectivity');
+    addIssue(issues, recommendations, {
+      id: 'social/profile-links-missing',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.SOCIAL,
+      message: 'No social media links found on the page',
+      fix: 'Add links to your social media profiles for better connectivity'
+    });
   } else {
     // Award points based on number of social platforms linked
     score += Math.min(60, linkedPlatforms.length * 15);
@@ -358,8 +402,13 @@ function analyzeSocialLinks(document, url) {
     }
 
     if (visibleLinks.length < socialLinks.length) {
-      issues.push('Some social media links may be hidden');
-      recommendations.push('Ensure social media links are visible to users');
+      addIssue(issues, recommendations, {
+        id: 'social/profile-links-hidden',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.SOCIAL,
+        message: 'Some social media links may be hidden',
+        fix: 'Ensure social media links are visible to users'
+      });
       score -= 10;
     }
 
@@ -380,8 +429,13 @@ function analyzeSocialLinks(document, url) {
     );
 
     if (namedLinks.length < socialLinks.length) {
-      issues.push('Some social media links may not have visible text or icons');
-      recommendations.push('Add descriptive text or icons to social media links');
+      addIssue(issues, recommendations, {
+        id: 'social/profile-links-unlabeled',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.SOCIAL,
+        message: 'Some social media links may not have visible text or icons',
+        fix: 'Add descriptive text or icons to social media links'
+      });
       score -= 10;
     }
   }
@@ -468,8 +522,13 @@ function analyzeSocialSharing(document) {
     ));
 
     if (potentialShareElements.length === 0) {
-      issues.push('No social sharing buttons/links found');
-      recommendations.push('Add social sharing buttons to make content easily shareable');
+      addIssue(issues, recommendations, {
+        id: 'social/share-links-missing',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.SOCIAL,
+        message: 'No social sharing buttons/links found',
+        fix: 'Add social sharing buttons to make content easily shareable'
+      });
     } else {
       // Potential share buttons found, but not as standard links
       recommendations.push('Consider using standard social sharing links with proper URLs');
@@ -514,8 +573,12 @@ function analyzeSocialSharing(document) {
       });
 
       if (facebookShares.length > 0 && validFacebookShares.length === 0) {
-        issues.push('Facebook sharing links may not properly include the page URL');
-        recommendations.push('Ensure Facebook sharing links include the proper page URL');
+        addIssue(issues, recommendations, {
+          id: 'social/facebook-share-url-missing',
+          category: CATEGORY.SOCIAL,
+          message: 'Facebook sharing links may not properly include the page URL',
+          fix: 'Ensure Facebook sharing links include the proper page URL'
+        });
         score -= 10;
       }
 
@@ -532,8 +595,12 @@ function analyzeSocialSharing(document) {
       });
 
       if (twitterShares.length > 0 && validTwitterShares.length === 0) {
-        issues.push('Twitter sharing links may not properly include the page URL');
-        recommendations.push('Ensure Twitter sharing links include the proper page URL');
+        addIssue(issues, recommendations, {
+          id: 'social/twitter-share-url-missing',
+          category: CATEGORY.SOCIAL,
+          message: 'Twitter sharing links may not properly include the page URL',
+          fix: 'Ensure Twitter sharing links include the proper page URL'
+        });
         score -= 10;
       }
     }
@@ -3,6 +3,8 @@
  * It Analyzes URL structures for SEO best practices
  */
 
+import { addIssue, createIssue, SEVERITY, CATEGORY } from '../../utils/issues.js';
+
 /**
  * Analyzes URL structure for SEO best practices
  * @param {string} url - URL to analyze
@@ -12,7 +14,13 @@
 export function analyzeUrl(url, pageUrls = []) {
   if (!url) {
     return {
-      issues: ['No URL provided for analysis'],
+      issues: [createIssue({
+        id: 'url/missing',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.URL,
+        message: 'No URL provided for analysis',
+        fix: 'Provide a URL for analysis'
+      })],
       recommendations: ['Provide a URL for analysis'],
       score: 0
     };
@@ -71,7 +79,13 @@ export function analyzeUrl(url, pageUrls = []) {
   } catch (error) {
     return {
       url,
-      issues: [`Invalid URL: ${error.message}`],
+      issues: [createIssue({
+        id: 'url/invalid',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.URL,
+        message: `Invalid URL: ${error.message}`,
+        fix: 'Provide a valid URL for analysis'
+      })],
       recommendations: ['Provide a valid URL for analysis'],
       score: 0
     };
@@ -92,12 +106,22 @@ function analyzeProtocol(parsedUrl) {
   if (parsedUrl.protocol === 'https:') {
     score = 100;
   } else if (parsedUrl.protocol === 'http:') {
-    issues.push('Site uses HTTP instead of HTTPS');
-    recommendations.push('Migrate to HTTPS for better security and SEO performance');
+    addIssue(issues, recommendations, {
+      id: 'url/not-https',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.SECURITY,
+      message: 'Site uses HTTP instead of HTTPS',
+      fix: 'Migrate to HTTPS for better security and SEO performance'
+    });
     score = 40;
   } else {
-    issues.push(`Unusual protocol: ${parsedUrl.protocol}`);
-    recommendations.push('Use HTTPS protocol for website URLs');
+    addIssue(issues, recommendations, {
+      id: 'url/unusual-protocol',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.URL,
+      message: `Unusual protocol: ${parsedUrl.protocol}`,
+      fix: 'Use HTTPS protocol for website URLs'
+    });
     score = 20;
   }
 
@@ -123,8 +147,13 @@ function analyzeDomain(parsedUrl) {
 
   // Check domain length (shorter is generally better)
   if (hostname.length > 50) {
-    issues.push('Domain name is excessively long');
-    recommendations.push('Consider using a shorter domain name for better memorability');
+    addIssue(issues, recommendations, {
+      id: 'url/domain-too-long',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: 'Domain name is excessively long',
+      fix: 'Consider using a shorter domain name for better memorability'
+    });
     score -= 20;
   }
 
@@ -135,8 +164,13 @@ function analyzeDomain(parsedUrl) {
   // Check for subdomains (excluding www)
   const subdomainCount = hostname.split('.').length - (hasWww ? 2 : 1);
   if (subdomainCount > 1) {
-    issues.push('Multiple subdomains may dilute SEO value');
-    recommendations.push('Consider consolidating content under fewer subdomains');
+    addIssue(issues, recommendations, {
+      id: 'url/too-many-subdomains',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: 'Multiple subdomains may dilute SEO value',
+      fix: 'Consider consolidating content under fewer subdomains'
+    });
     score -= 10;
   }
 
@@ -151,8 +185,13 @@ function analyzeDomain(parsedUrl) {
   // Check for hyphens in domain
   const domainPart = hostname.split('.').slice(hasWww ? 1 : 0, -1).join('.');
   if ((domainPart.match(/-/g) || []).length > 1) {
-    issues.push('Multiple hyphens in domain name may look spammy');
-    recommendations.push('Limit hyphens in domain names for better brand perception');
+    addIssue(issues, recommendations, {
+      id: 'url/domain-hyphens',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: 'Multiple hyphens in domain name may look spammy',
+      fix: 'Limit hyphens in domain names for better brand perception'
+    });
     score -= 15;
   }
 
@@ -193,8 +232,12 @@ function analyzePath(parsedUrl) {
 
   // Check path length
   if (pathname.length > 100) {
-    issues.push('URL path is excessively long');
-    recommendations.push('Shorten URL paths to be more user and search engine friendly');
+    addIssue(issues, recommendations, {
+      id: 'url/path-too-long',
+      category: CATEGORY.URL,
+      message: 'URL path is excessively long',
+      fix: 'Shorten URL paths to be more user and search engine friendly'
+    });
     score -= 20;
   }
 
@@ -203,29 +246,47 @@ function analyzePath(parsedUrl) {
 
   // Check number of segments (depth)
   if (segments.length > 4) {
-    issues.push('URL has deep folder structure (more than 4 levels)');
-    recommendations.push('Flatten site structure to keep important content closer to the root');
+    addIssue(issues, recommendations, {
+      id: 'url/path-too-deep',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: 'URL has deep folder structure (more than 4 levels)',
+      fix: 'Flatten site structure to keep important content closer to the root'
+    });
     score -= 10;
   }
 
   // Check for uppercase letters in path
   if (/[A-Z]/.test(pathname)) {
-    issues.push('URL contains uppercase letters');
-    recommendations.push('Use lowercase letters in URLs for consistency and to avoid duplicate content issues');
+    addIssue(issues, recommendations, {
+      id: 'url/uppercase',
+      category: CATEGORY.URL,
+      message: 'URL contains uppercase letters',
+      fix: 'Use lowercase letters in URLs for consistency and to avoid duplicate content issues'
+    });
     score -= 15;
   }
 
   // Check for special characters in path
   if (/[^\w\-\/]/.test(pathname)) {
-    issues.push('URL contains special characters or spaces');
-    recommendations.push('Use only alphanumeric characters, hyphens, and slashes in URLs');
+    addIssue(issues, recommendations, {
+      id: 'url/special-characters',
+      category: CATEGORY.URL,
+      message: 'URL contains special characters or spaces',
+      fix: 'Use only alphanumeric characters, hyphens, and slashes in URLs'
+    });
     score -= 15;
   }
 
   // Check for underscores (hyphens are preferred)
   if (pathname.includes('_')) {
-    issues.push('URL contains underscores');
-    recommendations.push('Use hyphens instead of underscores to separate words in URLs');
+    addIssue(issues, recommendations, {
+      id: 'url/underscores',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: 'URL contains underscores',
+      fix: 'Use hyphens instead of underscores to separate words in URLs'
+    });
     score -= 10;
   }
 
@@ -250,8 +311,12 @@ function analyzePath(parsedUrl) {
     .map(([word, _]) => word);
 
   if (repeatedWords.length > 1) {
-    issues.push('URL appears to contain repeated keywords');
-    recommendations.push('Avoid keyword stuffing in URLs');
+    addIssue(issues, recommendations, {
+      id: 'url/keyword-stuffing',
+      category: CATEGORY.URL,
+      message: 'URL appears to contain repeated keywords',
+      fix: 'Avoid keyword stuffing in URLs'
+    });
     score -= 15;
   }
 
@@ -290,8 +355,12 @@ function analyzeQueryParameters(parsedUrl) {
 
     // Check number of parameters
     if (paramCount > 3) {
-      issues.push(`URL has ${paramCount} query parameters, which may be excessive`);
-      recommendations.push('Limit the number of query parameters in URLs');
+      addIssue(issues, recommendations, {
+        id: 'url/too-many-parameters',
+        category: CATEGORY.URL,
+        message: `URL has ${paramCount} query parameters, which may be excessive`,
+        fix: 'Limit the number of query parameters in URLs'
+      });
       score -= 10 * Math.min(5, paramCount - 3); // Deduct more for more parameters, up to a limit
     }
 
@@ -301,8 +370,12 @@ function analyzeQueryParameters(parsedUrl) {
 
     const foundTrackingParams = trackingParams.filter(param => searchParams.has(param));
     if (foundTrackingParams.length > 0) {
-      issues.push('URL contains tracking parameters which should be canonicalized');
-      recommendations.push('Use canonical tags or parameter handling in Google Search Console for URLs with tracking parameters');
+      addIssue(issues, recommendations, {
+        id: 'url/tracking-parameters',
+        category: CATEGORY.URL,
+        message: 'URL contains tracking parameters which should be canonicalized',
+        fix: 'Use canonical tags or parameter handling in Google Search Console for URLs with tracking parameters'
+      });
       score -= 15;
     }
 
@@ -313,8 +386,12 @@ function analyzeQueryParameters(parsedUrl) {
     );
 
     if (foundSuspiciousParams.length > 0) {
-      issues.push('URL may contain session IDs or dynamic parameters');
-      recommendations.push('Avoid using session IDs or user-specific parameters in URLs to prevent duplicate content');
+      addIssue(issues, recommendations, {
+        id: 'url/session-parameters',
+        category: CATEGORY.URL,
+        message: 'URL may contain session IDs or dynamic parameters',
+        fix: 'Avoid using session IDs or user-specific parameters in URLs to prevent duplicate content'
+      });
       score -= 20;
     }
   }
@@ -371,8 +448,13 @@ function analyzeCrawlPath(parsedUrl, pageUrls) {
     const averageDepth = pathDepths.reduce((sum, depth) => sum + depth, 0) / pathDepths.length;
 
     if (currentPathSegments.length > averageDepth + 2) {
-      issues.push('URL is significantly deeper than average site URLs');
-      recommendations.push('Consider restructuring content to be closer to the root');
+      addIssue(issues, recommendations, {
+        id: 'url/deeper-than-site',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.URL,
+        message: 'URL is significantly deeper than average site URLs',
+        fix: 'Consider restructuring content to be closer to the root'
+      });
       score -= 15;
     }
 
@@ -433,13 +515,22 @@ function analyzeCrawlPath(parsedUrl, pageUrls) {
     });
 
     if (inconsistentUrls.length > 0) {
-      issues.push('URL format inconsistency detected across site');
-      recommendations.push('Maintain consistent URL patterns across the site (trailing slashes, case)');
+      addIssue(issues, recommendations, {
+        id: 'url/inconsistent-format',
+        category: CATEGORY.URL,
+        message: 'URL format inconsistency detected across site',
+        fix: 'Maintain consistent URL patterns across the site (trailing slashes, case)'
+      });
       score -= 10;
     }
 
   } catch (error) {
-    issues.push(`Error analyzing crawl path: ${error.message}`);
+    issues.push(createIssue({
+      id: 'url/crawl-path-error',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.URL,
+      message: `Error analyzing crawl path: ${error.message}`
+    }));
     score -= 10;
   }
 
@@ -0,0 +1,401 @@
+/**
+ * This is the JavaScript Crawlability Analyzer
+ * It looks for the ways single-page apps hide URLs and content from crawlers: navigation without
+ * hrefs, hash routing, and content or links that load only on click or scroll
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { withBrowserSession } from '../browser/browser-session.js';
+import { applyProfile } from '../browser/profiles.js';
+import { isOnclickNavigation } from './link-analyzer.js';
+
+const DEFAULT_CRAWLABILITY_OPTIONS = {
+  clickInteractions: false,
+  scrollSteps: 5,
+  scrollDelay: 500,
+  maxInteractions: 20,
+  interactionDelay: 500,
+  minRevealedWords: 20,
+  maxSelectors: 20
+};
+
+// Elements that act as links for visitors but give crawlers no href to follow
+const HREFLESS_NAVIGATION = '[role="link"]:not([href]), [routerlink]:not([href]), [data-href]:not([href]), [data-link]:not([href])';
+
+/**
+ * Scrolls the page and clicks its interactive elements, recording what appears only afterwards
+ * Clicking is opt-in through `crawlability.clickInteractions`, because buttons on a live site can act
+ * (add to cart, delete, log out). While clicking, navigations away from the page are recorded and cancelled,
+ * so every element is tried on the same page, and every request that is not a GET to the page's origin is blocked
+ * @param {Object|string} target - Browser session or URL to analyze
+ * @param {Object} options - Analysis options, with crawlability settings under `crawlability`
+ * @returns {Promise<Object|null>} Promise resolving to the links and words added by scrolling, and the
+ * elements that load content or navigate when clicked (null when clicking is off), or null when the page
+ * could not be audited
+ */
+export async function auditInteractions(target, options = {}) {
+  const crawlabilityOptions = { ...DEFAULT_CRAWLABILITY_OPTIONS, ...options.crawlability };
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  return withBrowserSession(target, options, async (session) => {
+    // Scrolling and clicking change the page, so the interactions get a tab of their own on the session's device
+    const page = await session.browser.newPage();
+    const blockedNavigations = [];
+    let allowNavigation = true;
+    let clicking = false;
+    let pageOrigin = null;
+
+    const load = async () => {
+      allowNavigation = true;
+      await page.goto(session.url, { waitUntil: 'networkidle2', timeout: options.timeout });
+      allowNavigation = false;
+    };
+
+    try {
+      await applyProfile(page, session.profile);
+      await page.evaluateOnNewDocument(recordHistory);
+      await page.setRequestInterception(true);
+      page.on('request', (request) => {
+        if (!allowNavigation && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          blockedNavigations.push(request.url());
+          request.abort();
+        } else if (clicking && !allowNavigation && !isSafeRequest(request, pageOrigin)) {
+          request.abort();
+        } else {
+          request.continue();
+        }
+      });
+      await load();
+      pageOrigin = new URL(page.url()).origin;
+
+      // Infinite scroll and lazy sections load as the bottom of the page comes into view
+      const beforeScroll = await page.evaluate(snapshotPage);
+      for (let step = 0; step < crawlabilityOptions.scrollSteps; step++) {
+        await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+        await wait(crawlabilityOptions.scrollDelay);
+      }
+      const afterScroll = await page.evaluate(snapshotPage);
+
+      const knownLinks = new Set(beforeScroll.links);
+      const scroll = {
+        steps: crawlabilityOptions.scrollSteps,
+        newLinks: [...new Set(afterScroll.links.filter((link) => !knownLinks.has(link)))],
+        newWords: countNewWords(beforeScroll.text, afterScroll.text)
+      };
+
+      if (!crawlabilityOptions.clickInteractions) {
+        return { scroll, clicks: null };
+      }
+
+      // Clicks may fire requests that change data, so only same-origin GETs get through
+      clicking = true;
+      const candidates = await page.evaluate(markInteractiveElements, crawlabilityOptions.maxInteractions);
+      const revealedContent = [];
+      const scriptNavigation = [];
+      let known = afterScroll;
+
+      for (const candidate of candidates) {
+        const navigationsBefore = blockedNavigations.length;
+        const clicked = await page.evaluate((index) => {
+          const element = document.querySelector(`[data-seo-info-interaction="${index}"]`);
+          if (!element) return false;
+          if (window.__seoInfoHistory) window.__seoInfoHistory.length = 0;
+          element.click();
+          return true;
+        }, candidate.index);
+        if (!clicked) continue;
+        await wait(crawlabilityOptions.interactionDelay);
+
+        const state = await page.evaluate(snapshotPage);
+        const destination = blockedNavigations.slice(navigationsBefore).find((url) => isRoute(known.url, url)) ||
+          state.history.find((url) => isRoute(known.url, url)) ||
+          (isRoute(known.url, state.url) ? state.url : null);
+
+        if (destination) {
+          scriptNavigation.push({ selector: candidate.selector, label: candidate.label, to: destination });
+          // Start the remaining elements from the page as it was loaded
+          await load();
+          await page.evaluate(markInteractiveElements, crawlabilityOptions.maxInteractions);
+          known = await page.evaluate(snapshotPage);
+          continue;
+        }
+
+        const words = countNewWords(known.text, state.text);
+        if (words >= crawlabilityOptions.minRevealedWords) {
+          const knownText = new Set(known.text);
+          revealedContent.push({
+            selector: candidate.selector,
+            label: candidate.label,
+            words,
+            sample: state.text.filter((text) => !knownText.has(text)).join(' ').slice(0, 100)
+          });
+        }
+        known = { ...state, text: [...new Set([...known.text, ...state.text])] };
+      }
+
+      return {
+        scroll,
+        clicks: {
+          checked: candidates.length,
+          revealedContent,
+          scriptNavigation
+        }
+      };
+    } catch (error) {
+      console.error('Error auditing interactions:', error.message);
+      return null;
+    } finally {
+      await page.close();
+    }
+  });
+}
+
+/**
+ * Analyzes how well crawlers can discover the URLs and content of a JavaScript-driven page
+ * @param {Document} document - The DOM document, rendered when a browser was used
+ * @param {string} pageUrl - URL of the page
+ * @param {Object|null} interactions - Results of auditInteractions, or null without a browser
+ * @param {Object} options - Analysis options, with crawlability settings under `crawlability`
+ * @returns {Object} Hash routes, navigation without hrefs, scroll and click results, and issues
+ */
+export function analyzeJSCrawlability(document, pageUrl, interactions = null, options = {}) {
+  const crawlabilityOptions = { ...DEFAULT_CRAWLABILITY_OPTIONS, ...options.crawlability };
+  const issues = [];
+  const list = (items) => items.slice(0, crawlabilityOptions.maxSelectors).join(', ');
+
+  // Hash routing
+  const hashRoutes = getHashRoutes(document, pageUrl);
+  if (hashRoutes.hashbang.length > 0 || hashRoutes.ajaxCrawling) {
+    issues.push(createIssue({
+      id: 'rendering/hashbang-urls',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.RENDERING,
+      message: hashRoutes.hashbang.length > 0
+        ? `${hashRoutes.hashbang.length} link(s) use #! URLs; search engines no longer crawl them as separate pages`
+        : 'Page opts into the retired AJAX crawling scheme with <meta name="fragment" content="!">',
+      element: list(hashRoutes.hashbang) || 'meta[name="fragment"]',
+      fix: 'Route with real paths through the History API and serve each route from its own URL'
+    }));
+  }
+  if (hashRoutes.fragment.length > 0) {
+    issues.push(createIssue({
+      id: 'rendering/fragment-routing',
+      category: CATEGORY.RENDERING,
+      message: `${hashRoutes.fragment.length} link(s) route through the URL fragment (#/...), which crawlers ignore, so every route counts as this one URL`,
+      element: list(hashRoutes.fragment),
+      fix: 'Switch the router to path-based URLs (history mode) and serve each route from its own URL'
+    }));
+  }
+
+  // Navigation crawlers cannot follow; onclick navigation is left to the link analyzer's links/onclick-only
+  const navigationWithoutHref = Array.from(document.querySelectorAll(HREFLESS_NAVIGATION))
+    .filter((element) => element.tagName !== 'A' || !element.hasAttribute('href'))
+    .filter((element) => !isOnclickNavigation(element))
+    .map((element) => ({ element: describeElement(element), text: element.textContent.replace(/\s+/g, ' ').trim().slice(0, 40) }));
+  const scriptNavigation = (interactions?.clicks?.scriptNavigation || []).filter((item) => {
+    const element = findElement(document, item.selector);
+    return !element || !isOnclickNavigation(element);
+  });
+  if (navigationWithoutHref.length > 0 || scriptNavigation.length > 0) {
+    const found = [
+      ...navigationWithoutHref.map((item) => item.element),
+      ...scriptNavigation.map((item) => `${item.selector} → ${item.to}`)
+    ];
+    issues.push(createIssue({
+      id: 'rendering/navigation-without-href',
+      category: CATEGORY.LINKS,
+      message: `${found.length} element(s) navigate through click or router handlers without an href crawlers can follow`,
+      element: list(found),
+      fix: 'Render navigation as <a href="/path"> links and let the router intercept their clicks'
+    }));
+  }
+
+  // Content that loads only on interaction
+  if (interactions) {
+    const revealedContent = interactions.clicks?.revealedContent || [];
+    if (revealedContent.length > 0) {
+      const words = revealedContent.reduce((sum, item) => sum + item.words, 0);
+      issues.push(createIssue({
+        id: 'rendering/content-after-interaction',
+        category: CATEGORY.RENDERING,
+        message: `${words} words appear only after clicking ${revealedContent.length} element(s); crawlers do not click`,
+        element: list(revealedContent.map((item) => `${item.selector} (${item.words} words)`)),
+        fix: 'Put the content in the HTML and hide it with CSS until it is opened, instead of loading it on click'
+      }));
+    }
+
+    if (interactions.scroll.newLinks.length > 0) {
+      issues.push(createIssue({
+        id: 'rendering/links-after-scroll',
+        category: CATEGORY.LINKS,
+        message: `${interactions.scroll.newLinks.length} link(s) and ${interactions.scroll.newWords} words appear only after scrolling; crawlers do not scroll`,
+        element: list(interactions.scroll.newLinks),
+        fix: 'Link to paginated URLs (?page=2) alongside infinite scroll, and load content without waiting for scroll events'
+      }));
+    }
+  }
+
+  return {
+    hashRoutes,
+    navigationWithoutHref,
+    scroll: interactions?.scroll || null,
+    clicks: interactions?.clicks || null,
+    issues
+  };
+}
+
+// Helper functions
+
+function getHashRoutes(document, pageUrl) {
+  const hashbang = [];
+  const fragment = [];
+
+  const pageHash = new URL(pageUrl).hash;
+  if (pageHash.startsWith('#!')) hashbang.push(pageUrl);
+
+  document.querySelectorAll('a[href*="#"]').forEach((anchor) => {
+    const href = anchor.getAttribute('href').trim();
+    let hash;
+    try {
+      hash = new URL(href, pageUrl).hash;
+    } catch (e) {
+      return;
+    }
+    if (hash.startsWith('#!') && hash.length > 2) hashbang.push(href);
+    else if (/^#\/[^/]/.test(hash)) fragment.push(href);
+  });
+
+  return {
+    hashbang: [...new Set(hashbang)],
+    fragment: [...new Set(fragment)],
+    ajaxCrawling: document.querySelector('meta[name="fragment" i][content="!"]') !== null
+  };
+}
+
+function describeElement(element) {
+  const tag = element.tagName.toLowerCase();
+  const attribute = ['routerlink', 'data-href', 'data-link'].find((name) => element.hasAttribute(name));
+  return attribute ? `<${tag} ${attribute}="${element.getAttribute(attribute)}">` : `<${tag} role="link">`;
+}
+
+// Finds an element clicked in the browser in the rendered document by the selector recorded for it
+function findElement(document, selector) {
+  try {
+    return document.querySelector(selector);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Requests the page may make while its elements are clicked: reads from its own origin
+function isSafeRequest(request, origin) {
+  if (request.method() !== 'GET') return false;
+  try {
+    return new URL(request.url()).origin === origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+function countNewWords(before, after) {
+  const known = new Set(before);
+  return after
+    .filter((text) => !known.has(text))
+    .reduce((sum, text) => sum + text.split(' ').length, 0);
+}
+
+// A URL change is a route change when the path changes or the fragment holds a route
+function isRoute(from, to) {
+  const fromUrl = new URL(from);
+  const toUrl = new URL(to, from);
+  if (toUrl.href === fromUrl.href) return false;
+  return toUrl.href.split('#')[0] !== fromUrl.href.split('#')[0] || /^#[!/]/.test(toUrl.hash);
+}
+
+// Runs in the page before its own scripts, recording the URLs pushed onto the history
+function recordHistory() {
+  window.__seoInfoHistory = [];
+  ['pushState', 'replaceState'].forEach((method) => {
+    const original = history[method];
+    history[method] = function (state, title, url) {
+      if (url !== undefined && url !== null) {
+        window.__seoInfoHistory.push(new URL(url, location.href).href);
+      }
+      return original.apply(this, arguments);
+    };
+  });
+  window.addEventListener('hashchange', () => window.__seoInfoHistory.push(location.href));
+}
+
+// Runs in the page, so it cannot use anything outside its own body
+function snapshotPage() {
+  const text = [];
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const parent = node.parentElement;
+    if (!parent || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(parent.tagName)) continue;
+    const value = node.textContent.replace(/\s+/g, ' ').trim();
+    if (value) text.push(value);
+  }
+
+  return {
+    url: location.href,
+    history: window.__seoInfoHistory ? [...window.__seoInfoHistory] : [],
+    links: Array.from(document.querySelectorAll('a[href]'))
+      .map((anchor) => anchor.href)
+      .filter((href) => /^https?:/.test(href)),
+    text
+  };
+}
+
+// Runs in the page, so it cannot use anything outside its own body
+// Marks the visible elements that react to clicks without being links, so each can be found again after a reload
+function markInteractiveElements(limit) {
+  const selector = [
+    'button:not([disabled])', 'summary', '[role="button"]', '[role="tab"]', '[aria-expanded]', '[role="link"]',
+    'a:not([href])', 'a[href=""]', 'a[href="#"]', 'a[href^="javascript:" i]', '[data-href]', '[data-link]', '[routerlink]', '[onclick]'
+  ].join(', ');
+
+  const describe = (element) => {
+    const parts = [];
+    for (let current = element; current && current !== document.body && parts.length < 3; current = current.parentElement) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList).slice(0, 2);
+      if (classes.length > 0) {
+        part += classes.map((name) => `.${CSS.escape(name)}`).join('');
+      } else if (current.parentElement) {
+        const siblings = Array.from(current.parentElement.children).filter((sibling) => sibling.tagName === current.tagName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ') || element.tagName.toLowerCase();
+  };
+
+  return Array.from(document.querySelectorAll(selector))
+    // Buttons that submit forms would send data rather than reveal anything
+    .filter((element) => !(element.tagName === 'BUTTON' && element.form && element.type === 'submit'))
+    // Real links are left to the link analysis; clicking them would only leave the page
+    .filter((element) => {
+      const href = element.closest('a[href]')?.getAttribute('href').trim();
+      return href === undefined || href === '' || href === '#' || /^javascript:/i.test(href);
+    })
+    .filter((element) => {
+      const rect = element.getBoundingClientRect();
+      const style = getComputedStyle(element);
+      return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden';
+    })
+    .slice(0, limit)
+    .map((element, index) => {
+      element.setAttribute('data-seo-info-interaction', String(index));
+      return {
+        index,
+        selector: describe(element),
+        label: (element.textContent || element.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim().slice(0, 40)
+      };
+    });
+}
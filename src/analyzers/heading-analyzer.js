@@ -0,0 +1,193 @@
+/**
+ * This is the Heading Analyzer
+ * It builds the document outline from the h1-h6 elements in DOM order
+ * and checks the hierarchy for missing, duplicate, skipped, empty, hidden and long headings
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { withBrowserSession } from '../browser/browser-session.js';
+
+const DEFAULT_HEADING_OPTIONS = {
+  maxLength: 70
+};
+
+/**
+ * Measures in the browser which headings are hidden, with the page's stylesheets applied
+ * @param {Object|string} target - Browser session or URL to analyze
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Array<Object>|null>} Promise resolving to the level and hidden state of every heading
+ * in DOM order, or null when the page could not be measured
+ */
+export async function measureHeadingVisibility(target, options = {}) {
+  return withBrowserSession(target, options, async (session) => {
+    try {
+      return await session.page.evaluate(measureHeadings);
+    } catch (error) {
+      console.error('Error measuring headings:', error.message);
+      return null;
+    }
+  });
+}
+
+/**
+ * Builds the heading outline of the page and validates its hierarchy
+ * Whether a heading is hidden depends on the page's CSS, so it is only known when measured in the browser;
+ * otherwise `hidden` is null
+ * @param {Document} document - The DOM document
+ * @param {Object} options - Analysis options, with heading settings under `headings`
+ * @param {Array<Object>|null} [visibility] - Heading visibility from measureHeadingVisibility
+ * @returns {Object} Headings in DOM order with their outline depth, the outline tree, h1 count,
+ * whether visibility was measured, and issues
+ */
+export function analyzeHeadings(document, options = {}, visibility = null) {
+  const headingOptions = { ...DEFAULT_HEADING_OPTIONS, ...options.headings };
+  const issues = [];
+
+  const elements = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'));
+  // The measured page must have the same headings, or the measurements would land on the wrong ones
+  const visibilityKnown = Array.isArray(visibility) && visibility.length === elements.length &&
+    visibility.every((measured, index) => measured.level === Number(elements[index].tagName[1]));
+
+  const headings = elements.map((element, index) => ({
+    level: Number(element.tagName[1]),
+    text: getHeadingText(element),
+    hidden: visibilityKnown ? visibility[index].hidden : null
+  }));
+
+  const outline = buildOutline(headings);
+  const h1Count = headings.filter((heading) => heading.level === 1).length;
+
+  if (h1Count === 0) {
+    issues.push(createIssue({
+      id: 'headings/h1-missing',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.CONTENT,
+      message: 'Page has no h1 heading',
+      fix: 'Add one h1 that describes the main topic of the page'
+    }));
+  } else if (h1Count > 1) {
+    issues.push(createIssue({
+      id: 'headings/h1-multiple',
+      category: CATEGORY.CONTENT,
+      message: `Page has ${h1Count} h1 headings: ${headings.filter((heading) => heading.level === 1).map((heading) => `"${heading.text}"`).join(', ')}`,
+      element: 'h1',
+      fix: 'Keep a single h1 and use h2-h6 for sections'
+    }));
+  }
+
+  headings.forEach((heading, index) => {
+    const element = describeHeading(heading);
+    const previous = headings[index - 1];
+
+    if (previous && heading.level > previous.level + 1) {
+      issues.push(createIssue({
+        id: 'headings/skipped-level',
+        category: CATEGORY.CONTENT,
+        message: `h${previous.level} is followed by h${heading.level}, skipping ${describeSkippedLevels(previous.level, heading.level)}`,
+        element,
+        fix: `Use h${previous.level + 1} here or add the missing level`
+      }));
+    }
+
+    if (!heading.text) {
+      issues.push(createIssue({
+        id: 'headings/empty',
+        category: CATEGORY.CONTENT,
+        message: `h${heading.level} heading has no text`,
+        element,
+        fix: 'Give the heading text or remove it'
+      }));
+    } else if (heading.text.length > headingOptions.maxLength) {
+      issues.push(createIssue({
+        id: 'headings/too-long',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.CONTENT,
+        message: `h${heading.level} heading is ${heading.text.length} characters long (recommended: ${headingOptions.maxLength} or fewer)`,
+        element,
+        fix: 'Shorten the heading and move detail into the following text'
+      }));
+    }
+
+    if (heading.hidden) {
+      issues.push(createIssue({
+        id: 'headings/hidden',
+        category: CATEGORY.CONTENT,
+        message: `h${heading.level} heading is hidden with CSS, so visitors never see it`,
+        element,
+        fix: 'Show the heading, or remove it if it only exists for search engines'
+      }));
+    }
+  });
+
+  return {
+    headings: flattenOutline(outline),
+    outline,
+    h1Count,
+    visibilityKnown,
+    issues
+  };
+}
+
+/**
+ * Nests headings under the closest preceding heading of a higher level
+ * @param {Array<Object>} headings - Headings in DOM order
+ * @returns {Array<Object>} Top-level outline nodes, each with children and its depth in the tree
+ */
+export function buildOutline(headings) {
+  const root = { level: 0, children: [] };
+  const stack = [root];
+
+  headings.forEach((heading) => {
+    while (stack[stack.length - 1].level >= heading.level) stack.pop();
+
+    const node = { ...heading, depth: stack.length - 1, children: [] };
+    stack[stack.length - 1].children.push(node);
+    stack.push(node);
+  });
+
+  return root.children;
+}
+
+// Helper functions
+
+function flattenOutline(nodes) {
+  return nodes.flatMap(({ children, ...heading }) => [heading, ...flattenOutline(children)]);
+}
+
+function getHeadingText(element) {
+  const text = element.textContent.replace(/\s+/g, ' ').trim();
+  if (text) return text;
+
+  // Image-only headings such as logos count with their alt text
+  return Array.from(element.querySelectorAll('img[alt]'))
+    .map((image) => image.getAttribute('alt').trim())
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Runs in the page, so it cannot use anything outside its own body
+function measureHeadings() {
+  const isHidden = (element) => {
+    for (let current = element; current; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0') return true;
+    }
+    return false;
+  };
+
+  return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map((element) => ({
+    level: Number(element.tagName[1]),
+    hidden: isHidden(element)
+  }));
+}
+
+function describeHeading(heading) {
+  const text = heading.text.length > 40 ? `${heading.text.slice(0, 40)}…` : heading.text;
+  return `h${heading.level} "${text}"`;
+}
+
+function describeSkippedLevels(from, to) {
+  const skipped = [];
+  for (let level = from + 1; level < to; level++) skipped.push(`h${level}`);
+  return skipped.join(', ');
+}
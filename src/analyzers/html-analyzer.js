@@ -1,6 +1,28 @@
 import { JSDOM } from 'jsdom';
 import axios from 'axios';
-import path from 'path';
+import fs from 'fs';
+import { urlToFile } from '../local/local-site.js';
+import { fetchResource, DEFAULT_USER_AGENT } from '../utils/http.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { sniffImage, formatFromContentType, formatFromUrl, IMAGE_HEADER_BYTES } from '../utils/image-info.js';
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+
+const DEFAULT_IMAGE_OPTIONS = {
+  concurrency: 6
+};
+
+// Formats that WebP or AVIF usually beat on size
+const LEGACY_IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'bmp', 'tiff'];
+const RASTER_IMAGE_FORMATS = [...LEGACY_IMAGE_FORMATS, 'webp', 'avif', 'heic'];
+
+// Below this size a modern format saves too little to report
+const MODERN_FORMAT_MIN_BYTES = 10 * 1024;
+
+// Intrinsic size may be this many times the rendered size to stay sharp on high-density screens
+const OVERSIZED_IMAGE_FACTOR = 2;
+
+// Raster images at least this wide should offer smaller candidates through srcset
+const RESPONSIVE_IMAGE_MIN_WIDTH = 800;
 
 /**
  * Extract basic meta information from HTML document
@@ -71,36 +93,69 @@ export function analyzeMobileFriendliness(document) {
 
 /**
  * Analyze images in the document
+ * Each image is identified from its first bytes, which give the real format and intrinsic
+ * dimensions, and is listed with its width and height attributes and responsive markup
+ * Images are probed a few at a time, and each URL only once per cache, so images shared
+ * by the pages of a crawl are requested once; images that cannot be fetched are kept with their error
+ * In offline mode images are listed without requesting them, unless a local site is given,
+ * in which case they are read from the file system
  * @param {Document} document - The DOM document
  * @param {string} baseUrl - Base URL of the page
- * @param {Object} options - Analysis options
- * @returns {Promise<Object>} Promise resolving to image analysis results
+ * @param {Object} options - Analysis options, with probe settings under `images`
+ * @param {Map} [options.imageCache] - Probes by image URL, shared between the pages of a run
+ * @param {Object|null} [imageLayout] - Rendered image sizes and CSS backgrounds measured in the browser
+ * @returns {Promise<Object>} Promise resolving to images, large images, CSS background images, and issues for
+ * broken images, image formats, dimensions and responsive markup
  */
-export async function analyzeImages(document, baseUrl, options) {
-  const images = [];
+export async function analyzeImages(document, baseUrl, options, imageLayout = null) {
+  const imageOptions = { ...DEFAULT_IMAGE_OPTIONS, ...options.images };
+  const cache = options.imageCache || new Map();
+  let images = [];
+  let backgroundImages = [];
   try {
-    const imgElements = document.querySelectorAll('img');
-    for (const img of imgElements) {
-      const src = img.getAttribute('src');
-      const alt = img.getAttribute('alt') || '';
-      const loading = img.getAttribute('loading') || '';
-      let fileSize = null;
-      const format = path.extname(src).toLowerCase();
-
-      const imgUrl = new URL(src, baseUrl).href;
-
-      try {
-        const response = await axios.head(imgUrl, { timeout: options.timeout });
-        fileSize = response.headers['content-length']
-          ? parseInt(response.headers['content-length'], 10)
-          : null;
-      } catch (e) {
-        console.warn(`Image not found or inaccessible: ${src}`);
-        continue; // Skip to the next image
-      }
-
-      images.push({ src, alt, loading, fileSize, format });
-    }
+    const renderedImages = [...(imageLayout?.images || [])];
+
+    const entries = Array.from(document.querySelectorAll('img')).map((img) => {
+      const src = img.getAttribute('src') || '';
+      // One malformed src must not drop the other images of the page
+      const imgUrl = src ? resolveUrl(src, baseUrl) : null;
+      return {
+        url: imgUrl,
+        image: {
+          src,
+          ...(src && !imgUrl ? { error: 'Invalid image URL' } : {}),
+          alt: img.getAttribute('alt'),
+          loading: img.getAttribute('loading') || '',
+          fileSize: null,
+          // Replaced by the format read from the file when the image can be probed
+          ...guessFormat(imgUrl),
+          contentType: null,
+          width: null,
+          height: null,
+          attributes: {
+            width: getDimensionAttribute(img, 'width'),
+            height: getDimensionAttribute(img, 'height')
+          },
+          ...getResponsiveMarkup(img, baseUrl),
+          ...matchRenderedImage(renderedImages, imgUrl, img)
+        }
+      };
+    });
+    const backgrounds = getBackgroundImages(document, baseUrl, imageLayout).map((background) => ({
+      url: background.url,
+      image: background
+    }));
+
+    const probe = (imgUrl) => {
+      if (!cache.has(imgUrl)) cache.set(imgUrl, probeImageFile(imgUrl, options));
+      return cache.get(imgUrl);
+    };
+    const probed = await mapWithConcurrency([...entries, ...backgrounds], imageOptions.concurrency, async ({ url, image }) =>
+      url ? { ...image, ...await probe(url) } : image
+    );
+
+    images = probed.slice(0, entries.length);
+    backgroundImages = probed.slice(entries.length);
   } catch (err) {
     console.error('Error analyzing images:', err.message);
   }
@@ -108,49 +163,331 @@ export async function analyzeImages(document, baseUrl, options) {
   const largeImages = images.filter(
     (img) => img.fileSize && img.fileSize > options.thresholds.largeImageSize
   );
-  return { images, largeImages };
+  return { images, largeImages, backgroundImages, issues: getImageIssues(images, backgroundImages) };
 }
 
 /**
- * Analyze JS crawlability
- * @param {Document} document - The DOM document
- * @returns {Object} Object containing JS crawlability information
+ * Reads the size, format and intrinsic dimensions of an image file
+ * A HEAD request gives the size and type; the first bytes are then read with a ranged GET,
+ * which also stands in for HEAD on servers that reject it or omit Content-Length
+ * Errors are returned rather than thrown, so broken images stay in the results
+ * @param {string} imgUrl - Absolute image URL, which may be a data: URL
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} Promise resolving to the file size, content type, format with where it was read from,
+ * dimensions, and the HTTP status and error when the image could not be fetched
  */
-export function analyzeJSCrawlability(document) {
-  const scripts = Array.from(document.scripts).map((script) => script.src || 'inline');
-  const jsCrawlabilityIssues = scripts.length === 0;
-  return { scripts, jsCrawlabilityIssues };
+async function probeImageFile(imgUrl, options) {
+  let fileSize = null;
+  let contentType = null;
+  let header = null;
+
+  if (imgUrl.startsWith('data:')) {
+    const [, meta = '', data = ''] = imgUrl.match(/^data:([^,]*),(.*)$/s) || [];
+    header = Buffer.from(meta.endsWith(';base64') ? data : decodeURIComponent(data), meta.endsWith(';base64') ? 'base64' : 'utf8');
+    fileSize = header.length;
+    contentType = meta.split(';')[0] || null;
+  } else if (options.localSite) {
+    const file = urlToFile(imgUrl, options.localSite);
+    if (file) {
+      fileSize = fs.statSync(file).size;
+      header = readFileStart(file, IMAGE_HEADER_BYTES);
+    }
+  } else if (!options.offline) {
+    const requestOptions = {
+      timeout: options.timeout,
+      headers: { 'User-Agent': options.userAgent || DEFAULT_USER_AGENT }
+    };
+    const head = await axios.head(imgUrl, requestOptions).catch(() => null);
+    fileSize = toByteCount(head?.headers['content-length']);
+    contentType = head?.headers['content-type'] || null;
+
+    // The first bytes identify the format and hold the dimensions
+    const start = await fetchResource(imgUrl, {
+      timeout: options.timeout,
+      userAgent: options.userAgent,
+      maxBytes: IMAGE_HEADER_BYTES,
+      requestHeaders: { Range: `bytes=0-${IMAGE_HEADER_BYTES - 1}` }
+    });
+    if (start.error) {
+      return { fileSize, contentType, status: start.status, error: start.error };
+    }
+
+    header = start.body;
+    contentType = contentType || start.contentType;
+    fileSize = fileSize ?? getSizeFromResponse(start);
+  }
+
+  const sniffed = sniffImage(header);
+  const result = { fileSize, contentType };
+  const format = sniffed?.format || formatFromContentType(contentType);
+  if (format) {
+    result.format = format;
+    result.formatSource = sniffed ? 'bytes' : 'content-type';
+  }
+  if (sniffed) {
+    result.width = sniffed.width;
+    result.height = sniffed.height;
+  }
+  return result;
 }
 
 /**
- * Get robots.txt and sitemap.xml content
- * @param {string} baseUrl - Base URL of the site
- * @param {Object} options - Analysis options
- * @returns {Promise<Object>} Promise resolving to robots.txt and sitemap.xml content
+ * Reports missing dimensions, oversized, broken and legacy-format images and missing responsive candidates
+ * @param {Array<Object>} allImages - Images of the page, from analyzeImages
+ * @param {Array<Object>} allBackgroundImages - CSS background images of the page
+ * @returns {Array<Object>} Issues
  */
-export async function getSEOFiles(baseUrl, options) {
-  let robotsTxt = '';
-  let sitemapXml = '';
+function getImageIssues(allImages, allBackgroundImages) {
+  const issues = [];
+  const images = allImages.filter((img) => img.src);
 
-  try {
-    const robotsResponse = await axios.get(`${baseUrl}/robots.txt`, {
-      timeout: options.timeout,
+  images.filter((img) => !img.attributes?.width || !img.attributes?.height).forEach((img) => {
+    issues.push(createIssue({
+      id: 'images/dimensions-missing',
+      category: CATEGORY.IMAGES,
+      message: 'Image has no width and height attributes, so the layout shifts when it loads (CLS)',
+      element: img.src,
+      fix: img.width && img.height
+        ? `Add width="${img.width}" height="${img.height}" and scale it with CSS`
+        : 'Add width and height attributes matching the image aspect ratio'
+    }));
+  });
+
+  images.forEach((img) => {
+    const intrinsicWidth = img.naturalWidth || img.width;
+    const intrinsicHeight = img.naturalHeight || img.height;
+    if (!RASTER_IMAGE_FORMATS.includes(img.format) || !intrinsicWidth || !img.renderedWidth) return;
+    if (intrinsicWidth <= img.renderedWidth * OVERSIZED_IMAGE_FACTOR) return;
+
+    issues.push(createIssue({
+      id: 'images/oversized',
+      category: CATEGORY.IMAGES,
+      message: `Image is ${intrinsicWidth}×${intrinsicHeight}px but displayed at ${img.renderedWidth}×${img.renderedHeight ?? '?'}px`,
+      element: img.currentSrc || img.src,
+      fix: 'Resize the image to the displayed size, or offer smaller candidates with srcset and sizes'
+    }));
+  });
+
+  const backgroundImages = allBackgroundImages.map((background) => ({ ...background, src: background.url }));
+  [...images, ...backgroundImages].filter((img) => img.error).forEach((img) => {
+    issues.push(createIssue({
+      id: 'images/broken',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.IMAGES,
+      message: `Image cannot be loaded: ${img.error}`,
+      element: img.src,
+      fix: 'Fix or remove the image URL'
+    }));
+  });
+
+  [...images, ...backgroundImages]
+    .filter((img) => !img.error && LEGACY_IMAGE_FORMATS.includes(img.format))
+    .filter((img) => !img.fileSize || img.fileSize >= MODERN_FORMAT_MIN_BYTES)
+    .filter((img) => !(img.pictureSources || []).some((source) => ['webp', 'avif'].includes(source.format)))
+    .forEach((img) => {
+      const size = img.fileSize ? ` (${(img.fileSize / 1024).toFixed(0)} KB)` : '';
+      issues.push(createIssue({
+        id: 'images/legacy-format',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.IMAGES,
+        message: img.formatSource === 'url'
+          ? `Image looks like a ${img.format.toUpperCase()} from its file extension${size}; the served format was not checked`
+          : `Image is served as ${img.format.toUpperCase()}${size}`,
+        element: img.src,
+        fix: 'Serve WebP or AVIF, with <picture> sources or content negotiation for older browsers'
+      }));
     });
-    robotsTxt = robotsResponse.data;
-  } catch (e) {
-    robotsTxt = 'Not Found';
+
+  images.forEach((img) => {
+    if (img.srcset && /\d+w\s*(,|$)/.test(img.srcset) && !img.sizes) {
+      issues.push(createIssue({
+        id: 'images/sizes-missing',
+        category: CATEGORY.IMAGES,
+        message: 'Image srcset uses width descriptors without a sizes attribute, so browsers assume it fills the viewport',
+        element: img.src,
+        fix: 'Add a sizes attribute describing the displayed width'
+      }));
+    }
+
+    const width = img.width || img.attributes?.width;
+    if (!img.srcset && !img.inPicture && RASTER_IMAGE_FORMATS.includes(img.format) && width >= RESPONSIVE_IMAGE_MIN_WIDTH) {
+      issues.push(createIssue({
+        id: 'images/srcset-missing',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.IMAGES,
+        message: `Image is ${width}px wide and offers no smaller candidates for small screens`,
+        element: img.src,
+        fix: 'Add srcset and sizes, or use <picture>, so small screens download a smaller file'
+      }));
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Lists images set as CSS backgrounds in style attributes, style elements and,
+ * when a browser measured the page, computed styles from every stylesheet
+ * @param {Document} document - The DOM document
+ * @param {string} baseUrl - Base URL of the page
+ * @param {Object|null} imageLayout - Rendered layout measured in the browser
+ * @returns {Array<Object>} Background images with the element or selector using them
+ */
+function getBackgroundImages(document, baseUrl, imageLayout) {
+  const backgrounds = new Map();
+  const add = (url, details) => {
+    try {
+      const absolute = new URL(url, baseUrl).href;
+      if (!backgrounds.has(absolute)) backgrounds.set(absolute, { url: absolute, ...details, ...guessFormat(absolute) });
+    } catch (e) {
+      // Ignore malformed URLs
+    }
+  };
+
+  (imageLayout?.backgrounds || []).forEach(({ url, ...details }) => add(url, { ...details, source: 'computed' }));
+
+  document.querySelectorAll('[style]').forEach((element) => {
+    getCssBackgroundUrls(element.getAttribute('style')).forEach((url) =>
+      add(url, { element: element.tagName.toLowerCase(), source: 'style-attribute' })
+    );
+  });
+
+  document.querySelectorAll('style').forEach((style) => {
+    for (const [, selector, declarations] of style.textContent.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+      getCssBackgroundUrls(declarations).forEach((url) =>
+        add(url, { element: selector.trim(), source: 'stylesheet' })
+      );
+    }
+  });
+
+  return [...backgrounds.values()];
+}
+
+// Format from the URL extension, until the file itself is read
+function guessFormat(imgUrl) {
+  const format = imgUrl ? formatFromUrl(imgUrl) : null;
+  return { format, formatSource: format ? 'url' : null };
+}
+
+function getCssBackgroundUrls(css) {
+  const urls = [];
+  for (const [, value] of css.matchAll(/background(?:-image)?\s*:([^;]*)/gi)) {
+    for (const [, url] of value.matchAll(/url\(\s*['"]?([^'")]+?)['"]?\s*\)/gi)) {
+      urls.push(url);
+    }
+  }
+  return urls;
+}
+
+function getDimensionAttribute(img, name) {
+  const value = img.getAttribute(name)?.trim();
+  return value && /^\d+(\.\d+)?$/.test(value) ? Math.round(Number(value)) : null;
+}
+
+function getResponsiveMarkup(img, baseUrl) {
+  const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+  const pictureSources = picture
+    ? Array.from(picture.querySelectorAll('source')).map((source) => {
+      const srcset = source.getAttribute('srcset') || '';
+      const firstCandidate = srcset.trim().split(/\s+/)[0];
+      const firstUrl = firstCandidate ? resolveUrl(firstCandidate, baseUrl) : null;
+      return {
+        type: source.getAttribute('type') || null,
+        media: source.getAttribute('media') || null,
+        format: formatFromContentType(source.getAttribute('type')) || (firstUrl ? formatFromUrl(firstUrl) : null)
+      };
+    })
+    : [];
+
+  return {
+    srcset: img.getAttribute('srcset') || null,
+    sizes: img.getAttribute('sizes') || null,
+    inPicture: Boolean(picture),
+    pictureSources
+  };
+}
+
+function matchRenderedImage(renderedImages, imgUrl, img) {
+  const index = renderedImages.findIndex((rendered) => rendered.url === imgUrl);
+  if (index === -1) {
+    // Without a browser the width and height attributes are the best guess at the rendered size
+    return {
+      renderedWidth: getDimensionAttribute(img, 'width'),
+      renderedHeight: getDimensionAttribute(img, 'height')
+    };
   }
 
+  const [rendered] = renderedImages.splice(index, 1);
+  return {
+    renderedWidth: rendered.renderedWidth,
+    renderedHeight: rendered.renderedHeight,
+    currentSrc: rendered.currentSrc,
+    naturalWidth: rendered.naturalWidth || null,
+    naturalHeight: rendered.naturalHeight || null
+  };
+}
+
+function resolveUrl(url, baseUrl) {
   try {
-    const sitemapResponse = await axios.get(`${baseUrl}/sitemap.xml`, {
-      timeout: options.timeout,
-    });
-    sitemapXml = sitemapResponse.data;
+    return new URL(url, baseUrl).href;
   } catch (e) {
-    sitemapXml = 'Not Found';
+    return null;
+  }
+}
+
+function readFileStart(file, length) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
   }
+}
+
+function toByteCount(value) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+function getSizeFromResponse(response) {
+  // A partial response carries the full size after the slash of Content-Range
+  if (response.status === 206) {
+    return toByteCount(response.headers['content-range']?.split('/')[1]);
+  }
+  const contentLength = toByteCount(response.headers['content-length']);
+  if (contentLength !== null) return contentLength;
+
+  // Without either header, the size is only known when the whole file fit in the bytes read
+  return response.size < IMAGE_HEADER_BYTES ? response.size : null;
+}
+
+/**
+ * Get robots.txt from the origin of the page
+ * Sitemaps are discovered and fetched by the sitemap analyzer.
+ * robots.txt is requested once per origin and cache, so the pages of a crawl share it
+ * @param {string} baseUrl - URL of the analyzed page
+ * @param {Object} options - Analysis options
+ * @param {Map} [options.robotsCache] - robots.txt files by origin, shared between the pages of a run
+ * @returns {Promise<Object>} Promise resolving to the robots.txt file with its status,
+ * content type, redirect chain, byte size and content
+ */
+export async function getSEOFiles(baseUrl, options) {
+  const cache = options.robotsCache || new Map();
+  const origin = new URL(baseUrl).origin;
+  if (!cache.has(origin)) cache.set(origin, fetchRobotsTxt(origin, options));
+
+  return { robotsTxt: await cache.get(origin) };
+}
 
-  return { robotsTxt, sitemapXml };
+async function fetchRobotsTxt(origin, options) {
+  // Crawlers give up on robots.txt after five redirects
+  const { body, ...file } = await fetchResource(`${origin}/robots.txt`, { ...options, maxRedirects: 5 });
+  return {
+    ...file,
+    content: file.status >= 200 && file.status < 300 && body ? body.toString('utf8') : null
+  };
 }
 
 /**
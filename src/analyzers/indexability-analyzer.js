@@ -0,0 +1,274 @@
+/**
+ * This is the Indexability Analyzer
+ * It combines meta robots, X-Robots-Tag, robots.txt, the HTTP status and the canonical URL
+ * into one verdict on whether the page can be indexed, and why not
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { DEFAULT_ROBOTS_USER_AGENTS } from './robots-analyzer.js';
+
+// Directives that take a value after a colon, so "max-snippet: 50" is not read as a user-agent prefix
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+/**
+ * Decides whether the page can be indexed by each configured crawler
+ * @param {Document} document - The DOM document
+ * @param {Object} signals - Page signals
+ * @param {string} signals.url - URL of the page
+ * @param {number|null} [signals.statusCode] - HTTP status of the page, when known
+ * @param {Object|null} [signals.headers] - HTTP response headers, when known
+ * @param {Object|null} [signals.robotsAnalysis] - robots.txt analysis
+ * @param {Object} options - Analysis options
+ * @returns {Object} Overall verdict, per-crawler verdicts with reasons, the signals read and issues
+ */
+export function analyzeIndexability(document, signals, options = {}) {
+  const { url, statusCode = null, headers = null, robotsAnalysis = null } = signals;
+  const userAgents = options.robotsUserAgents || DEFAULT_ROBOTS_USER_AGENTS;
+  const issues = [];
+
+  const metaRobots = Array.from(document.querySelectorAll('meta[name][content]'))
+    .map((meta) => ({ name: meta.getAttribute('name').toLowerCase(), content: meta.getAttribute('content') }))
+    .filter((meta) => meta.name === 'robots' || userAgents.some((agent) => agent.toLowerCase() === meta.name))
+    .map((meta) => ({ ...meta, directives: parseDirectives(meta.content) }));
+
+  const xRobotsTag = parseXRobotsTag(getHeader(headers, 'x-robots-tag'));
+  const canonical = getCanonical(document, headers, url);
+
+  const agents = {};
+  userAgents.forEach((userAgent) => {
+    const agent = userAgent.toLowerCase();
+    const reasons = [];
+
+    metaRobots
+      .filter((meta) => meta.name === 'robots' || meta.name === agent)
+      .forEach((meta) => {
+        if (preventsIndexing(meta.directives)) {
+          reasons.push({
+            signal: 'meta-robots',
+            message: `<meta name="${meta.name}" content="${meta.content}">`,
+            element: `meta[name="${meta.name}"]`
+          });
+        }
+      });
+
+    const headerDirectives = xRobotsTag
+      .filter((entry) => entry.userAgent === null || entry.userAgent === agent)
+      .map((entry) => entry.directive);
+    if (preventsIndexing(headerDirectives)) {
+      reasons.push({ signal: 'x-robots-tag', message: `X-Robots-Tag: ${getHeader(headers, 'x-robots-tag')}`, element: 'X-Robots-Tag' });
+    }
+
+    const robotsVerdict = robotsAnalysis?.agents?.[userAgent];
+    if (robotsVerdict && !robotsVerdict.allowed) {
+      reasons.push({
+        signal: 'robots-txt',
+        message: robotsVerdict.rule
+          ? `robots.txt Disallow: ${robotsVerdict.rule.path} (line ${robotsVerdict.rule.line})`
+          : 'robots.txt is unreachable'
+      });
+    }
+
+    if (statusCode !== null && (statusCode < 200 || statusCode >= 300)) {
+      reasons.push({ signal: 'http-status', message: `HTTP status ${statusCode}` });
+    }
+
+    if (canonical.pointsElsewhere) {
+      reasons.push({ signal: 'canonical', message: `Canonical points to ${canonical.url}` });
+    }
+
+    agents[userAgent] = { indexable: reasons.length === 0, reasons };
+  });
+
+  // Issues are reported once per signal, naming the crawlers it affects
+  const signalsSeen = new Map();
+  Object.entries(agents).forEach(([userAgent, verdict]) => {
+    verdict.reasons.forEach((reason) => {
+      const key = `${reason.signal}|${reason.message}`;
+      if (!signalsSeen.has(key)) signalsSeen.set(key, { ...reason, userAgents: [] });
+      signalsSeen.get(key).userAgents.push(userAgent);
+    });
+  });
+
+  signalsSeen.forEach((reason) => {
+    const issue = getReasonIssue(reason, canonical);
+    if (issue) issues.push(issue);
+  });
+
+  // A noindex behind a robots.txt block is never seen by crawlers
+  Object.entries(agents).forEach(([userAgent, verdict]) => {
+    const signalNames = verdict.reasons.map((reason) => reason.signal);
+    if (signalNames.includes('robots-txt') && (signalNames.includes('meta-robots') || signalNames.includes('x-robots-tag'))) {
+      issues.push(createIssue({
+        id: 'indexing/noindex-blocked-by-robots',
+        category: CATEGORY.INDEXING,
+        message: `${userAgent} cannot see the noindex directive because robots.txt blocks the page; the URL may still be indexed from links`,
+        fix: 'Allow the page in robots.txt so crawlers can read the noindex directive'
+      }));
+    }
+  });
+
+  if (canonical.conflicting) {
+    issues.push(createIssue({
+      id: 'indexing/conflicting-canonicals',
+      category: CATEGORY.INDEXING,
+      message: `Page declares ${canonical.candidates.length} different canonical URLs: ${canonical.candidates.join(', ')}`,
+      element: 'link[rel="canonical"]',
+      fix: 'Declare exactly one canonical URL'
+    }));
+  }
+
+  const indexable = Object.values(agents).every((verdict) => verdict.indexable);
+  const reasons = [...signalsSeen.values()];
+
+  return {
+    indexable,
+    verdict: indexable ? 'indexable' : (reasons.every((reason) => reason.signal === 'canonical') ? 'canonicalized' : 'not-indexable'),
+    agents,
+    reasons,
+    signals: {
+      metaRobots,
+      xRobotsTag,
+      statusCode,
+      robotsTxt: Object.fromEntries(
+        Object.entries(robotsAnalysis?.agents || {}).map(([userAgent, verdict]) => [userAgent, verdict.allowed])
+      ),
+      canonical
+    },
+    issues
+  };
+}
+
+/**
+ * Parses X-Robots-Tag values, where directives may be scoped with a "user-agent:" prefix
+ * @param {string|Array<string>|null} value - Header value or values
+ * @returns {Array<Object>} Directives with the user-agent they apply to, or null for all
+ */
+export function parseXRobotsTag(value) {
+  if (!value) return [];
+
+  const entries = [];
+  [].concat(value).forEach((headerValue) => {
+    let userAgent = null;
+    String(headerValue).split(',').forEach((part) => {
+      const token = part.trim();
+      if (!token) return;
+
+      const prefix = token.match(/^([a-z0-9_-]+)\s*:\s*(.+)$/i);
+      if (prefix && !VALUE_DIRECTIVES.includes(prefix[1].toLowerCase())) {
+        userAgent = prefix[1].toLowerCase();
+        entries.push({ userAgent, directive: prefix[2].trim().toLowerCase() });
+      } else {
+        entries.push({ userAgent, directive: token.toLowerCase() });
+      }
+    });
+  });
+
+  return entries;
+}
+
+// Helper functions
+
+function parseDirectives(content) {
+  return String(content).split(',').map((directive) => directive.trim().toLowerCase()).filter(Boolean);
+}
+
+function preventsIndexing(directives) {
+  return directives.some((directive) => {
+    if (directive === 'noindex' || directive === 'none') return true;
+    const unavailableAfter = directive.match(/^unavailable_after\s*:\s*(.+)$/);
+    if (unavailableAfter) {
+      const date = new Date(unavailableAfter[1]);
+      return !Number.isNaN(date.getTime()) && date < new Date();
+    }
+    return false;
+  });
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find((header) => header.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+/**
+ * Reads the canonical URL from link elements and the Link header
+ * @param {Document} document - The DOM document
+ * @param {Object|null} headers - HTTP response headers
+ * @param {string} url - URL of the page
+ * @returns {Object} Canonical URL, whether it points elsewhere, and conflicting candidates
+ */
+function getCanonical(document, headers, url) {
+  const candidates = [];
+  const addCandidate = (href) => {
+    try {
+      const resolved = new URL(href, url);
+      resolved.hash = '';
+      if (!candidates.includes(resolved.href)) candidates.push(resolved.href);
+    } catch (e) {
+      // Ignore malformed canonical URLs
+    }
+  };
+
+  document.querySelectorAll('link[rel~="canonical"][href]').forEach((link) => addCandidate(link.getAttribute('href')));
+
+  const linkHeader = getHeader(headers, 'link');
+  if (linkHeader) {
+    [].concat(linkHeader).join(',').split(/,(?=\s*<)/).forEach((part) => {
+      const match = part.match(/<([^>]+)>\s*;.*rel="?canonical"?/i);
+      if (match) addCandidate(match[1]);
+    });
+  }
+
+  const canonicalUrl = candidates[0] || null;
+  return {
+    url: canonicalUrl,
+    candidates,
+    conflicting: candidates.length > 1,
+    pointsElsewhere: canonicalUrl !== null && !sameUrl(canonicalUrl, url)
+  };
+}
+
+function sameUrl(a, b) {
+  const normalize = (value) => {
+    const parsed = new URL(value);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  };
+  return normalize(a) === normalize(b);
+}
+
+function getReasonIssue(reason, canonical) {
+  const agents = reason.userAgents.join(', ');
+
+  switch (reason.signal) {
+    case 'meta-robots':
+    case 'x-robots-tag':
+      return createIssue({
+        id: 'indexing/noindex',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.INDEXING,
+        message: `${reason.message} prevents ${agents} from indexing the page`,
+        element: reason.element,
+        fix: 'Remove noindex if the page should appear in search results'
+      });
+    case 'http-status':
+      return createIssue({
+        id: 'indexing/non-200-status',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.INDEXING,
+        message: `Page responds with ${reason.message}, so it cannot be indexed`,
+        fix: 'Serve indexable pages with a 200 status'
+      });
+    case 'canonical':
+      return createIssue({
+        id: 'indexing/canonicalized',
+        category: CATEGORY.INDEXING,
+        message: `Canonical URL ${canonical.url} differs from the page URL, so search engines index that URL instead`,
+        element: 'link[rel="canonical"]',
+        fix: 'Point the canonical to the page itself unless it duplicates another page'
+      });
+    default:
+      // robots.txt blocks are reported by the robots.txt analyzer
+      return null;
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * This is the Lighthouse Audit Analyzer
+ * It turns the failing audits of Lighthouse's SEO, best-practices and accessibility categories into issues,
+ * leaving out the problems our own analyzers already report
+ */
+
+import { createIssue, collectIssues, SEVERITY, CATEGORY } from '../utils/issues.js';
+
+// Lighthouse audits with the issue category they belong to and the rules of ours that report the same problem
+const LIGHTHOUSE_AUDITS = {
+  viewport: { category: CATEGORY.MOBILE, covers: ['mobile/viewport-missing', 'mobile/viewport-width'] },
+  'font-size': { category: CATEGORY.MOBILE, covers: ['mobile/small-font'] },
+  'tap-targets': { category: CATEGORY.MOBILE, covers: ['mobile/tap-targets-too-small', 'mobile/tap-targets-too-close'] },
+  'meta-viewport': { category: CATEGORY.MOBILE, covers: ['mobile/zoom-disabled'] },
+  'document-title': { category: CATEGORY.META, covers: ['meta/title-missing'] },
+  'meta-description': { category: CATEGORY.META, covers: ['meta/description-missing'] },
+  'http-status-code': { category: CATEGORY.INDEXING, severity: SEVERITY.ERROR, covers: ['indexing/non-200-status'] },
+  'is-crawlable': {
+    category: CATEGORY.INDEXING,
+    severity: SEVERITY.ERROR,
+    covers: ['indexing/noindex', 'indexing/blocked-by-robots', 'indexing/noindex-blocked-by-robots']
+  },
+  'robots-txt': {
+    category: CATEGORY.INDEXING,
+    covers: ['indexing/robots-txt-syntax', 'indexing/robots-txt-unreachable', 'indexing/robots-txt-content-type']
+  },
+  canonical: { category: CATEGORY.INDEXING, covers: ['indexing/conflicting-canonicals'] },
+  hreflang: { category: CATEGORY.INDEXING, covers: [] },
+  'crawlable-anchors': {
+    category: CATEGORY.LINKS,
+    covers: ['links/javascript-href', 'links/empty-href', 'links/onclick-only', 'rendering/navigation-without-href']
+  },
+  'link-text': { category: CATEGORY.LINKS, covers: ['links/generic-anchor'] },
+  'image-alt': { category: CATEGORY.IMAGES, covers: ['images/alt-missing'] },
+  'image-size-responsive': { category: CATEGORY.IMAGES, covers: [] },
+  'image-aspect-ratio': { category: CATEGORY.IMAGES, covers: [] },
+  'heading-order': { category: CATEGORY.ACCESSIBILITY, covers: ['headings/skipped-level'] },
+  'is-on-https': { category: CATEGORY.SECURITY, covers: ['url/not-https'] },
+  'csp-xss': { category: CATEGORY.SECURITY, covers: [] },
+  charset: { category: CATEGORY.BEST_PRACTICES, covers: ['headers/charset-missing'] }
+};
+
+// Issue category of audits not listed above
+const LIGHTHOUSE_CATEGORY_ISSUES = {
+  seo: CATEGORY.INDEXING,
+  'best-practices': CATEGORY.BEST_PRACTICES,
+  accessibility: CATEGORY.ACCESSIBILITY
+};
+
+/**
+ * Merges the failing Lighthouse audits into our issues
+ * An audit is left out when one of our rules reports the same problem, or, for accessibility audits,
+ * when the axe-core audit found a violation of the same rule
+ * @param {Object} categories - Failing audits per Lighthouse category, from `performanceMetrics.categories`
+ * @param {Object} results - Analysis results of our own analyzers
+ * @param {Object} options - Analysis options
+ * @returns {Object} Issues for the audits we do not already report, and the audits left out as duplicates
+ * with the rules that cover them
+ */
+export function analyzeLighthouseAudits(categories, results, options = {}) {
+  const issues = [];
+  const duplicates = [];
+  const reported = new Set(collectIssues(results, { ...options, ignoreRules: [] }).map((issue) => issue.id));
+  const axeViolations = new Set((results.accessibilityIssues || []).map((violation) => violation.id));
+  const seen = new Set();
+
+  Object.entries(categories || {}).forEach(([categoryId, category]) => {
+    category.audits.forEach((audit) => {
+      // Audits such as image-alt belong to more than one category
+      if (seen.has(audit.id)) return;
+      seen.add(audit.id);
+
+      const known = LIGHTHOUSE_AUDITS[audit.id];
+      const coveredBy = (known?.covers || []).filter((rule) => reported.has(rule));
+      if (categoryId === 'accessibility' && axeViolations.has(audit.id)) {
+        coveredBy.push(`axe-core ${audit.id}`);
+      }
+      if (coveredBy.length > 0) {
+        duplicates.push({ id: `lighthouse/${audit.id}`, title: audit.title, coveredBy });
+        return;
+      }
+
+      issues.push(createIssue({
+        id: `lighthouse/${audit.id}`,
+        severity: known?.severity || (audit.score > 0 ? SEVERITY.NOTICE : SEVERITY.WARNING),
+        category: known?.category || LIGHTHOUSE_CATEGORY_ISSUES[categoryId] || CATEGORY.BEST_PRACTICES,
+        message: `Lighthouse ${category.title}: ${audit.title}${audit.displayValue ? ` (${audit.displayValue})` : ''}`,
+        element: audit.elements.length > 0 ? audit.elements.join(', ') : null,
+        fix: audit.description
+      }));
+    });
+  });
+
+  return {
+    issues,
+    duplicates
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * This is the Link Analyzer
+ * It classifies every link on the page as internal or external, records its rel values,
+ * and checks anchor text and hrefs for links crawlers cannot follow or understand
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+
+const DEFAULT_LINK_OPTIONS = {
+  maxLinks: 150
+};
+
+// Anchor texts that say nothing about the target page
+const GENERIC_ANCHOR_TEXTS = new Set([
+  'click', 'click here', 'here', 'this', 'this link', 'link', 'more', 'read more', 'learn more',
+  'see more', 'view more', 'find out more', 'more info', 'more information', 'details', 'continue',
+  'go', 'info', 'website', 'this page', 'page'
+]);
+
+// Click handlers that navigate, which crawlers do not run
+const NAVIGATING_HANDLER = /\b(?:(?:window|document|top|self)\.)?location(?:\.href)?\s*=|location\.(?:assign|replace)\(|window\.open\(/;
+
+/**
+ * Analyzes the links of the page
+ * Relative URLs are resolved against the <base href> of the page when it has one
+ * @param {Document} document - The DOM document
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} options - Analysis options, with link settings under `links`
+ * @returns {Object} Links with their type, anchor text and rel values, counts, navigating click handlers and issues
+ */
+export function analyzeLinks(document, pageUrl, options = {}) {
+  const linkOptions = { ...DEFAULT_LINK_OPTIONS, ...options.links };
+  const base = getBaseUrl(document, pageUrl);
+  const issues = [];
+
+  const links = Array.from(document.querySelectorAll('a')).map((anchor) => describeLink(anchor, base, pageUrl));
+  const clickHandlers = getNavigatingClickHandlers(document);
+
+  const followable = links.filter((link) => link.type === 'internal' || link.type === 'external');
+  const counts = {
+    total: followable.length,
+    internal: followable.filter((link) => link.type === 'internal').length,
+    external: followable.filter((link) => link.type === 'external').length,
+    unique: new Set(followable.map((link) => link.url)).size,
+    nofollow: followable.filter((link) => link.rel.includes('nofollow')).length,
+    sponsored: followable.filter((link) => link.rel.includes('sponsored')).length,
+    ugc: followable.filter((link) => link.rel.includes('ugc')).length,
+    noopener: followable.filter((link) => link.rel.includes('noopener') || link.rel.includes('noreferrer')).length
+  };
+
+  if (counts.total > linkOptions.maxLinks) {
+    issues.push(createIssue({
+      id: 'links/too-many',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.LINKS,
+      message: `Page has ${counts.total} links (${counts.internal} internal, ${counts.external} external); search engines may not follow them all and each passes less value`,
+      fix: `Keep the page under ${linkOptions.maxLinks} links by trimming navigation, footers and link lists`
+    }));
+  }
+
+  links.forEach((link) => {
+    const element = describeElement(link);
+
+    if (link.href === null) return;
+
+    if (link.type === 'empty') {
+      issues.push(createIssue({
+        id: 'links/empty-href',
+        category: CATEGORY.LINKS,
+        message: `Link points to "${link.href}" and leads nowhere${link.onclick ? ' without its onclick handler' : ''}`,
+        element,
+        fix: 'Link to a real URL, or use a <button> for actions that do not navigate'
+      }));
+    } else if (link.type === 'javascript') {
+      issues.push(createIssue({
+        id: 'links/javascript-href',
+        category: CATEGORY.LINKS,
+        message: 'Link uses a javascript: URL, which crawlers cannot follow',
+        element,
+        fix: 'Link to a real URL, or use a <button> for actions that do not navigate'
+      }));
+    }
+
+    if (!link.text && link.type !== 'empty' && link.type !== 'javascript') {
+      issues.push(createIssue({
+        id: 'links/empty-anchor',
+        category: CATEGORY.LINKS,
+        message: 'Link has no anchor text, image alt text or aria-label',
+        element,
+        fix: 'Give the link text that describes its target, or alt text on its image'
+      }));
+    }
+
+    if (link.type === 'internal' && link.rel.includes('nofollow')) {
+      issues.push(createIssue({
+        id: 'links/internal-nofollow',
+        category: CATEGORY.LINKS,
+        message: 'Internal link is marked nofollow, which keeps search engines from following your own pages',
+        element,
+        fix: 'Remove rel="nofollow" from internal links; use noindex or robots.txt to keep pages out of search'
+      }));
+    }
+
+    if (link.type === 'external' && link.targetBlank && !link.rel.includes('noopener') && !link.rel.includes('noreferrer')) {
+      issues.push(createIssue({
+        id: 'links/unsafe-target-blank',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.SECURITY,
+        message: 'External link opens in a new tab without rel="noopener", so in older browsers the opened page can control this one',
+        element,
+        fix: 'Add rel="noopener" to links with target="_blank"'
+      }));
+    }
+  });
+
+  const genericTexts = new Map();
+  followable.filter((link) => isGenericAnchorText(link.text)).forEach((link) => {
+    const text = link.text.toLowerCase();
+    genericTexts.set(text, [...(genericTexts.get(text) || []), link]);
+  });
+  genericTexts.forEach((matches, text) => {
+    issues.push(createIssue({
+      id: 'links/generic-anchor',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.LINKS,
+      message: `${matches.length === 1 ? 'A link uses' : `${matches.length} links use`} the generic anchor text "${text}"`,
+      element: matches.map((link) => link.href).join(', '),
+      fix: 'Use anchor text that describes the target page'
+    }));
+  });
+
+  // Links without an href and other elements that navigate in their onclick handler are one problem
+  const onclickOnly = [
+    ...links.filter((link) => link.href === null && link.onclick).map(describeElement),
+    ...clickHandlers.map((handler) => `<${handler.element} onclick="${handler.onclick}">`)
+  ];
+  if (onclickOnly.length > 0) {
+    issues.push(createIssue({
+      id: 'links/onclick-only',
+      category: CATEGORY.LINKS,
+      message: `${onclickOnly.length === 1 ? '1 element navigates' : `${onclickOnly.length} elements navigate`} only through an onclick handler, which crawlers do not run`,
+      element: Array.from(new Set(onclickOnly)).join(', '),
+      fix: 'Use <a href> links to the target URLs'
+    }));
+  }
+
+  return {
+    base,
+    links,
+    counts,
+    clickHandlers,
+    issues
+  };
+}
+
+/**
+ * Finds the URL relative links of the page resolve against: its <base href>, or the page URL
+ * @param {Document} document - The DOM document
+ * @param {string} pageUrl - URL of the page
+ * @returns {string} Absolute base URL
+ */
+export function getBaseUrl(document, pageUrl) {
+  const baseHref = document.querySelector('base[href]')?.getAttribute('href');
+  if (!baseHref) return pageUrl;
+  try {
+    return new URL(baseHref, pageUrl).href;
+  } catch (e) {
+    return pageUrl;
+  }
+}
+
+/**
+ * Checks whether a URL belongs to the same site as the page, treating www and the bare domain alike
+ * @param {URL|string} url - URL to check
+ * @param {string} pageUrl - URL of the page
+ * @returns {boolean} True for internal URLs
+ */
+export function isSameSite(url, pageUrl) {
+  const host = (value) => value.toLowerCase().replace(/^www\./, '');
+  return host(new URL(url).host) === host(new URL(pageUrl).host);
+}
+
+/**
+ * Checks whether an element is reported as `links/onclick-only`: a link without an href and an onclick
+ * handler, or another element whose onclick handler navigates
+ * @param {Element} element - Element to check
+ * @returns {boolean} True when the link analyzer reports the element
+ */
+export function isOnclickNavigation(element) {
+  if (!element.hasAttribute('onclick')) return false;
+  return element.tagName === 'A'
+    ? !element.hasAttribute('href')
+    : NAVIGATING_HANDLER.test(element.getAttribute('onclick'));
+}
+
+// Helper functions
+
+function describeLink(anchor, base, pageUrl) {
+  const href = anchor.hasAttribute('href') ? anchor.getAttribute('href').trim() : null;
+  const rel = (anchor.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const link = {
+    href,
+    url: null,
+    type: 'none',
+    text: getAnchorText(anchor),
+    rel,
+    targetBlank: (anchor.getAttribute('target') || '').toLowerCase() === '_blank',
+    onclick: anchor.hasAttribute('onclick')
+  };
+  if (href === null) return link;
+
+  // href="" is not empty: it resolves to the current page like any other URL, and crawlers follow it
+  if (href === '#' || href === '#!') {
+    return { ...link, type: 'empty' };
+  }
+  if (/^javascript:/i.test(href)) {
+    return { ...link, type: 'javascript' };
+  }
+
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch (e) {
+    return { ...link, type: 'invalid' };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return { ...link, url: url.href, type: 'other' };
+  }
+  if (href.startsWith('#') && url.href.split('#')[0] === pageUrl.split('#')[0]) {
+    return { ...link, url: url.href, type: 'fragment' };
+  }
+
+  return { ...link, url: url.href, type: isSameSite(url, pageUrl) ? 'internal' : 'external' };
+}
+
+function getAnchorText(anchor) {
+  const text = anchor.textContent.replace(/\s+/g, ' ').trim();
+  if (text) return text;
+
+  // Image links and icon links are named by alt text, aria-label or title
+  const alt = Array.from(anchor.querySelectorAll('img[alt]'))
+    .map((image) => image.getAttribute('alt').trim())
+    .filter(Boolean)
+    .join(' ');
+  return alt || (anchor.getAttribute('aria-label') || anchor.getAttribute('title') || '').trim();
+}
+
+function isGenericAnchorText(text) {
+  return GENERIC_ANCHOR_TEXTS.has(text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim());
+}
+
+function getNavigatingClickHandlers(document) {
+  return Array.from(document.querySelectorAll('[onclick]:not(a)'))
+    .filter(isOnclickNavigation)
+    .map((element) => ({
+      element: element.tagName.toLowerCase(),
+      onclick: element.getAttribute('onclick').trim(),
+      text: element.textContent.replace(/\s+/g, ' ').trim()
+    }));
+}
+
+function describeElement(link) {
+  const text = link.text.length > 40 ? `${link.text.slice(0, 40)}…` : link.text;
+  return link.href === null ? `<a> "${text}"` : `<a href="${link.href}"> "${text}"`;
+}
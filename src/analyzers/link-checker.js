@@ -0,0 +1,214 @@
+/**
+ * This is the Link Checker
+ * It requests every link and resource the page references and records the final status,
+ * redirect hops and response time of each, reporting internal and external targets separately
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { fetchResource } from '../utils/http.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { getBaseUrl, isSameSite } from './link-analyzer.js';
+
+const DEFAULT_LINK_CHECK_OPTIONS = {
+  enabled: false,
+  scope: 'all',
+  concurrency: 8,
+  timeout: 10000,
+  perHost: 2,
+  hostDelay: 0
+};
+
+export const LINK_CHECK_SCOPES = ['internal', 'external', 'all'];
+
+const STATUS_CLASSES = ['2xx', '3xx', '4xx', '5xx', 'error'];
+
+// Elements that reference other URLs, and the kind of reference each makes
+const REFERENCES = [
+  { selector: 'a[href]', attribute: 'href', kind: 'link' },
+  { selector: 'img[src]', attribute: 'src', kind: 'image' },
+  { selector: 'script[src]', attribute: 'src', kind: 'script' },
+  { selector: 'link[rel~="stylesheet" i][href]', attribute: 'href', kind: 'stylesheet' },
+  { selector: 'link[rel="canonical" i][href]', attribute: 'href', kind: 'canonical' },
+  { selector: 'link[rel~="alternate" i][hreflang][href]', attribute: 'href', kind: 'hreflang' }
+];
+
+// Kinds that navigate to a page rather than load into it
+const PAGE_KINDS = ['link', 'canonical', 'hreflang'];
+
+/**
+ * Creates a link checker shared by the pages of a run, so every URL is requested once
+ * and requests to each host are limited across pages
+ * @param {Object} options - Analysis options, with link check settings under `linkCheck`
+ * @returns {Object} Checker with a `check(url)` method resolving to the result for that URL
+ */
+export function createLinkChecker(options = {}) {
+  const linkCheckOptions = { ...DEFAULT_LINK_CHECK_OPTIONS, ...options.linkCheck };
+  const cache = new Map();
+  const hosts = new Map();
+
+  const withHostLimit = async (url, task) => {
+    const host = new URL(url).host;
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [], nextStart: 0 });
+    const state = hosts.get(host);
+
+    if (state.active < linkCheckOptions.perHost) {
+      state.active++;
+    } else {
+      // A finishing request hands its slot straight to the next one waiting
+      await new Promise((resolve) => state.waiting.push(resolve));
+    }
+
+    const wait = state.nextStart - Date.now();
+    state.nextStart = Math.max(Date.now(), state.nextStart) + linkCheckOptions.hostDelay;
+    if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+
+    try {
+      return await task();
+    } finally {
+      const next = state.waiting.shift();
+      if (next) next();
+      else state.active--;
+    }
+  };
+
+  const request = async (url) => {
+    const startedAt = Date.now();
+    const response = await fetchResource(url, {
+      timeout: linkCheckOptions.timeout,
+      userAgent: options.userAgent,
+      maxBytes: 1
+    });
+    const firstStatus = response.redirects[0]?.status ?? response.status;
+
+    return {
+      status: response.status,
+      finalUrl: response.finalUrl,
+      redirects: response.redirects,
+      time: Date.now() - startedAt,
+      statusClass: firstStatus === null ? 'error' : `${Math.floor(firstStatus / 100)}xx`,
+      broken: response.status === null || response.status >= 400,
+      error: response.error
+    };
+  };
+
+  return {
+    options: linkCheckOptions,
+    check(url) {
+      if (!cache.has(url)) cache.set(url, withHostLimit(url, () => request(url)));
+      return cache.get(url);
+    }
+  };
+}
+
+/**
+ * Checks the links and resources of the page
+ * @param {Document} document - The DOM document
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} options - Analysis options, with link check settings under `linkCheck`
+ * @param {Object} [options.linkChecker] - Checker from createLinkChecker, shared between the pages of a run
+ * @returns {Promise<Object>} Promise resolving to the checked scope, internal and external results
+ * grouped by status class, and issues
+ */
+export async function checkLinks(document, pageUrl, options = {}) {
+  const checker = options.linkChecker || createLinkChecker(options);
+  const { scope, concurrency } = checker.options;
+  const issues = [];
+
+  const references = collectReferences(document, pageUrl)
+    .filter((reference) => scope === 'all' || (scope === 'internal') === reference.internal);
+
+  const checked = await mapWithConcurrency(references, concurrency, async (reference) => ({
+    ...reference,
+    ...await checker.check(reference.url)
+  }));
+
+  checked.forEach((link) => {
+    const element = `${link.url} (${link.kinds.join(', ')})`;
+    const result = link.status === null ? `fails: ${link.error}` : `returns ${link.status}`;
+    const redirected = link.redirects.length > 0 ? ` after ${link.redirects.length} redirect(s)` : '';
+
+    // Broken images are already reported as images/broken by the image analysis
+    if (link.broken && !link.kinds.every((kind) => kind === 'image')) {
+      const isPage = link.kinds.some((kind) => PAGE_KINDS.includes(kind));
+      issues.push(createIssue({
+        id: !isPage ? 'links/broken-resource' : link.internal ? 'links/broken-internal-link' : 'links/broken-external-link',
+        severity: link.internal || !isPage ? SEVERITY.ERROR : SEVERITY.WARNING,
+        category: CATEGORY.LINKS,
+        message: `${link.internal ? 'Internal' : 'External'} ${isPage ? 'link' : 'resource'} ${result}${redirected}`,
+        element,
+        fix: isPage ? 'Update or remove the link' : 'Fix the reference or restore the missing file'
+      }));
+    } else if (!link.broken && link.internal && link.redirects.length > 0 && link.kinds.includes('link')) {
+      issues.push(createIssue({
+        id: 'links/internal-redirect',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.LINKS,
+        message: `Internal link redirects ${link.redirects.length} time(s) to ${link.finalUrl}`,
+        element,
+        fix: 'Link straight to the final URL'
+      }));
+    }
+  });
+
+  return {
+    scope,
+    internal: summarize(checked.filter((link) => link.internal)),
+    external: summarize(checked.filter((link) => !link.internal)),
+    issues
+  };
+}
+
+/**
+ * Lists the broken links of a link check
+ * @param {Object|null} linkCheck - Result of checkLinks
+ * @param {string} [scope] - 'internal', 'external' or 'all'
+ * @returns {Array<Object>} Broken links with their URL, reference kinds, status and error
+ */
+export function listBrokenLinks(linkCheck, scope = 'all') {
+  if (!linkCheck) return [];
+  const groups = scope === 'all' ? [linkCheck.internal, linkCheck.external] : [linkCheck[scope]];
+  return groups
+    .flatMap((group) => Object.values(group.byStatusClass).flat())
+    .filter((link) => link.broken)
+    .map(({ url, internal, kinds, status, error }) => ({ url, internal, kinds, status, error }));
+}
+
+// Helper functions
+
+function collectReferences(document, pageUrl) {
+  const base = getBaseUrl(document, pageUrl);
+  const references = new Map();
+
+  REFERENCES.forEach(({ selector, attribute, kind }) => {
+    document.querySelectorAll(selector).forEach((element) => {
+      let url;
+      try {
+        url = new URL(element.getAttribute(attribute).trim(), base);
+      } catch (e) {
+        return;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return;
+      url.hash = '';
+
+      const reference = references.get(url.href) ||
+        { url: url.href, internal: isSameSite(url, pageUrl), kinds: [] };
+      if (!reference.kinds.includes(kind)) reference.kinds.push(kind);
+      references.set(url.href, reference);
+    });
+  });
+
+  return Array.from(references.values());
+}
+
+function summarize(links) {
+  const byStatusClass = Object.fromEntries(STATUS_CLASSES.map((statusClass) => [
+    statusClass,
+    links.filter((link) => link.statusClass === statusClass)
+  ]));
+
+  return {
+    checked: links.length,
+    broken: links.filter((link) => link.broken).length,
+    byStatusClass
+  };
+}
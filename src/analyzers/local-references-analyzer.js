@@ -0,0 +1,149 @@
+/**
+ * This is the Local References Analyzer
+ * It resolves the internal links and asset references of a local page against the file system
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { urlToFile, isLocalUrl } from '../local/local-site.js';
+
+// Elements and attributes that load assets; srcset attributes list several candidate URLs
+const ASSET_REFERENCES = [
+  { selector: 'img[src]', attribute: 'src', image: true },
+  { selector: 'img[srcset]', attribute: 'srcset', image: true, srcset: true },
+  { selector: 'picture > source[srcset]', attribute: 'srcset', image: true, srcset: true },
+  { selector: 'script[src]', attribute: 'src' },
+  { selector: 'link[rel~="stylesheet"][href]', attribute: 'href' },
+  { selector: 'link[rel~="icon"][href]', attribute: 'href' },
+  { selector: 'link[rel="preload"][href]', attribute: 'href' },
+  { selector: 'source[src]', attribute: 'src' },
+  { selector: 'video[src]', attribute: 'src' },
+  { selector: 'video[poster]', attribute: 'poster' },
+  { selector: 'audio[src]', attribute: 'src' }
+];
+
+/**
+ * Checks that internal links and assets of a page exist in the local build
+ * @param {Document} document - The DOM document
+ * @param {string} pageUrl - Public URL of the page
+ * @param {Object} localSite - Local site with root and baseUrl
+ * @returns {Object} Checked reference counts, broken links, missing assets and issues
+ */
+export function analyzeLocalReferences(document, pageUrl, localSite) {
+  const baseHref = document.querySelector('base[href]')?.getAttribute('href');
+  const base = baseHref ? new URL(baseHref, pageUrl).href : pageUrl;
+  const issues = [];
+
+  const links = new Map();
+  document.querySelectorAll('a[href]').forEach((anchor) => {
+    const href = anchor.getAttribute('href').trim();
+    const url = resolveLocalUrl(href, base, localSite);
+    if (url && !links.has(url)) links.set(url, href);
+  });
+
+  const assets = new Map();
+  ASSET_REFERENCES.forEach(({ selector, attribute, image = false, srcset = false }) => {
+    document.querySelectorAll(selector).forEach((element) => {
+      const value = element.getAttribute(attribute);
+      const references = srcset ? getSrcsetUrls(value) : [value.trim()];
+      references.forEach((reference) => {
+        const url = resolveLocalUrl(reference, base, localSite);
+        if (url && !assets.has(url)) assets.set(url, { reference, element: element.tagName.toLowerCase(), image });
+      });
+    });
+  });
+
+  const brokenLinks = [];
+  links.forEach((href, url) => {
+    if (urlToFile(url, localSite)) return;
+    brokenLinks.push({ href, url });
+    issues.push(createIssue({
+      id: 'links/broken-internal-link',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.LINKS,
+      message: `Link target ${href} does not exist in the build output`,
+      element: `a[href="${href}"]`,
+      fix: 'Fix the link or add the missing page before deploying'
+    }));
+  });
+
+  const missingAssets = [];
+  assets.forEach(({ reference, element, image }, url) => {
+    if (urlToFile(url, localSite)) return;
+    missingAssets.push({ reference, url, element });
+    issues.push(createIssue({
+      id: image ? 'images/missing-file' : 'links/missing-asset',
+      severity: SEVERITY.ERROR,
+      category: image ? CATEGORY.IMAGES : CATEGORY.LINKS,
+      message: `Asset ${reference} does not exist in the build output`,
+      element: `${element} ${reference}`,
+      fix: 'Fix the reference or add the missing file before deploying'
+    }));
+  });
+
+  return {
+    linksChecked: links.size,
+    assetsChecked: assets.size,
+    brokenLinks,
+    missingAssets,
+    issues
+  };
+}
+
+/**
+ * Resolves a reference to an absolute URL without fragment or query, if it points into the local site
+ * @param {string} reference - Attribute value
+ * @param {string} base - URL references are resolved against
+ * @param {Object} localSite - Local site with baseUrl
+ * @returns {string|null} Absolute URL, or null for external, fragment-only and non-http references
+ */
+function resolveLocalUrl(reference, base, localSite) {
+  if (!reference || reference.startsWith('#') || /^(mailto|tel|javascript|data):/i.test(reference)) {
+    return null;
+  }
+
+  try {
+    const url = new URL(reference, base);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    url.hash = '';
+    url.search = '';
+    return isLocalUrl(url.href, localSite) ? url.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lists the candidate URLs of a srcset attribute
+ * Follows the HTML parsing rules: a URL runs to the next whitespace and drops trailing commas,
+ * and descriptors run to the next comma outside parentheses, so URLs may themselves contain commas
+ * @param {string} srcset - srcset attribute value
+ * @returns {Array<string>} Candidate URLs
+ */
+function getSrcsetUrls(srcset) {
+  const urls = [];
+  let position = 0;
+
+  while (position < srcset.length) {
+    // Skip the whitespace and commas separating candidates
+    while (position < srcset.length && /[\s,]/.test(srcset[position])) position++;
+    if (position >= srcset.length) break;
+
+    const start = position;
+    while (position < srcset.length && !/\s/.test(srcset[position])) position++;
+    let url = srcset.slice(start, position);
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      // Skip the descriptors up to the comma ending the candidate
+      let inParentheses = false;
+      while (position < srcset.length && (inParentheses || srcset[position] !== ',')) {
+        if (srcset[position] === '(') inParentheses = true;
+        else if (srcset[position] === ')') inParentheses = false;
+        position++;
+      }
+    }
+    if (url) urls.push(url);
+  }
+
+  return urls;
+}
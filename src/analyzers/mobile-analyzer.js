@@ -0,0 +1,306 @@
+/**
+ * This is the Mobile Analyzer
+ * It checks the viewport meta tag and loads the page on an emulated phone to measure
+ * horizontal overflow, tap targets and font sizes the way a mobile visitor sees them
+ */
+
+import { KnownDevices } from 'puppeteer';
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { withBrowserSession } from '../browser/browser-session.js';
+import { resolveProfile, applyProfile } from '../browser/profiles.js';
+
+const DEFAULT_MOBILE_OPTIONS = {
+  // Puppeteer device to emulate instead of the mobile profile
+  device: null,
+  minTapTarget: 48,
+  minTapSpacing: 8,
+  minFontSize: 12,
+  maxSmallTextShare: 0.4,
+  maxSelectors: 20
+};
+
+// Zoom limits below this keep visitors from enlarging text
+const MIN_MAXIMUM_SCALE = 2;
+
+/**
+ * Loads the page on an emulated phone and measures its layout
+ * A session on a mobile profile is measured as it is; otherwise the page is loaded in a tab of its own
+ * with the mobile profile, or with the Puppeteer device named in `mobile.device`
+ * @param {Object|string} target - Browser session or URL to analyze
+ * @param {Object} options - Analysis options, with mobile settings under `mobile`
+ * @returns {Promise<Object|null>} Promise resolving to the device, viewport, overflow, tap target
+ * and font size measurements, an error for an unknown device, or null when the page could not be measured
+ */
+export async function auditMobileLayout(target, options = {}) {
+  const mobileOptions = { ...DEFAULT_MOBILE_OPTIONS, ...options.mobile };
+  if (mobileOptions.device && !KnownDevices[mobileOptions.device]) {
+    return { device: mobileOptions.device, error: `Unknown device "${mobileOptions.device}" (expected a name from Puppeteer's KnownDevices)` };
+  }
+
+  return withBrowserSession(target, options, async (session) => {
+    // The session page already is the phone when it runs on a mobile profile
+    const reusePage = !mobileOptions.device && session.profile.viewport.isMobile;
+    const page = reusePage ? session.page : await session.browser.newPage();
+    try {
+      let device = mobileOptions.device;
+      if (reusePage) {
+        device = `${session.profile.name} profile`;
+      } else {
+        if (device) {
+          await page.emulate(KnownDevices[device]);
+        } else {
+          await applyProfile(page, resolveProfile('mobile'));
+          device = 'mobile profile';
+        }
+        await page.goto(session.url, { waitUntil: 'networkidle2', timeout: options.timeout });
+      }
+      const layout = await page.evaluate(measureLayout, mobileOptions);
+      return { device, ...layout };
+    } catch (error) {
+      console.error('Error auditing mobile layout:', error.message);
+      return null;
+    } finally {
+      if (!reusePage) await page.close();
+    }
+  });
+}
+
+/**
+ * Checks the viewport meta tag and turns the mobile layout measurements into issues
+ * @param {Document} document - The DOM document
+ * @param {Object|null} measurements - Measurements from auditMobileLayout, or null without a browser
+ * @param {Object} options - Analysis options, with mobile settings under `mobile`
+ * @returns {Object} Parsed viewport settings, layout measurements and issues
+ */
+export function analyzeMobile(document, measurements, options = {}) {
+  const mobileOptions = { ...DEFAULT_MOBILE_OPTIONS, ...options.mobile };
+  const layout = measurements?.error ? null : measurements;
+  const viewport = parseViewport(document.querySelector('meta[name="viewport" i]')?.getAttribute('content'));
+  const issues = [];
+
+  if (!viewport) {
+    issues.push(createIssue({
+      id: 'mobile/viewport-missing',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.MOBILE,
+      message: 'Page has no viewport meta tag, so phones render it at desktop width and scale it down',
+      element: 'meta[name="viewport"]',
+      fix: 'Add <meta name="viewport" content="width=device-width, initial-scale=1.0">'
+    }));
+  } else if (viewport.width ? viewport.width !== 'device-width' : !viewport['initial-scale']) {
+    issues.push(createIssue({
+      id: 'mobile/viewport-width',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.MOBILE,
+      message: viewport.width
+        ? `Viewport has a fixed width of ${viewport.width} instead of the device width`
+        : 'Viewport meta tag does not set width=device-width',
+      element: `meta[name="viewport"] content="${viewport.content}"`,
+      fix: 'Use <meta name="viewport" content="width=device-width, initial-scale=1.0">'
+    }));
+  }
+
+  if (viewport?.zoomRestricted) {
+    issues.push(createIssue({
+      id: 'mobile/zoom-disabled',
+      category: CATEGORY.MOBILE,
+      message: viewport.zoomDisabled
+        ? `Viewport disables zooming with user-scalable=${viewport['user-scalable']}`
+        : `Viewport limits zooming to maximum-scale=${viewport['maximum-scale']}`,
+      element: `meta[name="viewport"] content="${viewport.content}"`,
+      fix: 'Remove user-scalable=no and maximum-scale so visitors can zoom in to read'
+    }));
+  }
+
+  if (layout) {
+    const selectors = (items) => items.slice(0, mobileOptions.maxSelectors).map((item) => item.selector).join(', ');
+    const deviceName = `${layout.device} (${layout.viewport.width}px)`;
+
+    if (layout.horizontalOverflow) {
+      issues.push(createIssue({
+        id: 'mobile/horizontal-scroll',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.MOBILE,
+        message: `Page is ${layout.scrollWidth}px wide on ${deviceName} and scrolls sideways`,
+        element: selectors(layout.overflowingElements) || null,
+        fix: 'Limit the width of the listed elements with max-width: 100% or responsive CSS'
+      }));
+    } else if (layout.overflowingElements.length > 0) {
+      issues.push(createIssue({
+        id: 'mobile/content-wider-than-viewport',
+        category: CATEGORY.MOBILE,
+        message: `${layout.overflowingElements.length} element(s) extend past the ${layout.viewport.width}px viewport of ${layout.device} and are cut off`,
+        element: selectors(layout.overflowingElements),
+        fix: 'Fit the listed elements to the viewport instead of hiding the overflow'
+      }));
+    }
+
+    if (layout.tapTargets.tooSmall.length > 0) {
+      issues.push(createIssue({
+        id: 'mobile/tap-targets-too-small',
+        category: CATEGORY.MOBILE,
+        message: `${layout.tapTargets.tooSmall.length} of ${layout.tapTargets.checked} tap targets are smaller than ${mobileOptions.minTapTarget}×${mobileOptions.minTapTarget}px`,
+        element: selectors(layout.tapTargets.tooSmall),
+        fix: `Make links and buttons at least ${mobileOptions.minTapTarget}px in each direction, with padding if needed`
+      }));
+    }
+
+    if (layout.tapTargets.tooClose.length > 0) {
+      issues.push(createIssue({
+        id: 'mobile/tap-targets-too-close',
+        category: CATEGORY.MOBILE,
+        message: `${layout.tapTargets.tooClose.length} small tap target(s) are less than ${mobileOptions.minTapSpacing}px from another one`,
+        element: selectors(layout.tapTargets.tooClose),
+        fix: `Leave at least ${mobileOptions.minTapSpacing}px between links and buttons`
+      }));
+    }
+
+    if (layout.fontSizes.smallTextShare > mobileOptions.maxSmallTextShare) {
+      issues.push(createIssue({
+        id: 'mobile/small-font',
+        category: CATEGORY.MOBILE,
+        message: `${Math.round(layout.fontSizes.smallTextShare * 100)}% of the text is smaller than ${mobileOptions.minFontSize}px on ${deviceName} (base font size ${layout.fontSizes.base}px)`,
+        element: selectors(layout.fontSizes.smallText),
+        fix: `Use a base font size of at least 16px and keep text at ${mobileOptions.minFontSize}px or larger`
+      }));
+    }
+  }
+
+  return {
+    viewport,
+    layout,
+    issues
+  };
+}
+
+// Helper functions
+
+function parseViewport(content) {
+  if (content === undefined || content === null) return null;
+
+  const viewport = { content };
+  content.split(/[,;]/).forEach((pair) => {
+    const [key, value = ''] = pair.split('=').map((part) => part.trim().toLowerCase());
+    if (key) viewport[key] = value;
+  });
+
+  viewport.maximumScale = viewport['maximum-scale'] ? parseFloat(viewport['maximum-scale']) : null;
+  viewport.zoomDisabled = ['no', '0'].includes(viewport['user-scalable']);
+  viewport.zoomRestricted = viewport.zoomDisabled ||
+    (viewport.maximumScale !== null && viewport.maximumScale < MIN_MAXIMUM_SCALE);
+  return viewport;
+}
+
+// Runs in the page, so it cannot use anything outside its own body
+function measureLayout(settings) {
+  const describe = (element) => {
+    const parts = [];
+    for (let current = element; current && current !== document.body && parts.length < 3; current = current.parentElement) {
+      if (current.id) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      let part = current.tagName.toLowerCase();
+      const classes = Array.from(current.classList).slice(0, 2);
+      if (classes.length > 0) {
+        part += classes.map((name) => `.${CSS.escape(name)}`).join('');
+      } else if (current.parentElement) {
+        const siblings = Array.from(current.parentElement.children).filter((sibling) => sibling.tagName === current.tagName);
+        if (siblings.length > 1) part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+      }
+      parts.unshift(part);
+    }
+    return parts.join(' > ') || element.tagName.toLowerCase();
+  };
+
+  const isVisible = (element, rect) => {
+    const style = getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.opacity !== '0';
+  };
+
+  const viewportWidth = document.documentElement.clientWidth;
+  const scrollWidth = Math.max(document.documentElement.scrollWidth, document.body ? document.body.scrollWidth : 0);
+
+  // Outermost visible elements reaching past the viewport, unless a scrolling container clips them
+  // Elements placed entirely off-screen, such as skip links and closed menus, are left out
+  const overflowing = [];
+  document.querySelectorAll('body *').forEach((element) => {
+    const rect = element.getBoundingClientRect();
+    if (rect.right <= viewportWidth + 1 && rect.left >= -1) return;
+    if (rect.left >= viewportWidth || rect.right <= 0) return;
+    if (!isVisible(element, rect)) return;
+    if (overflowing.some((item) => item.element.contains(element))) return;
+    for (let parent = element.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+      if (getComputedStyle(parent).overflowX !== 'visible') return;
+    }
+    overflowing.push({ element, selector: describe(element), width: Math.round(rect.width), right: Math.round(rect.right) });
+  });
+
+  // Tap targets, counting nested targets once and leaving out links inside running text
+  const targetSelector = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, [role="button"], [role="link"], [onclick]';
+  const targets = Array.from(document.querySelectorAll(targetSelector))
+    .filter((element) => {
+      const ancestor = element.parentElement?.closest(targetSelector);
+      return !ancestor || ancestor === document.body || ancestor === document.documentElement;
+    })
+    .map((element) => ({ element, rect: element.getBoundingClientRect() }))
+    .filter(({ element, rect }) => isVisible(element, rect))
+    .filter(({ element }) => {
+      if (getComputedStyle(element).display !== 'inline') return true;
+      const parentText = element.parentElement?.textContent.trim() || '';
+      return parentText.length <= element.textContent.trim().length + 20;
+    });
+
+  const tooSmall = targets.filter(({ rect }) => rect.width < settings.minTapTarget || rect.height < settings.minTapTarget);
+  const tooClose = tooSmall.filter(({ element, rect }) => targets.some((other) => {
+    if (other.element === element) return false;
+    const dx = Math.max(0, other.rect.left - rect.right, rect.left - other.rect.right);
+    const dy = Math.max(0, other.rect.top - rect.bottom, rect.top - other.rect.bottom);
+    return Math.hypot(dx, dy) < settings.minTapSpacing;
+  }));
+  const describeTarget = ({ element, rect }) => ({
+    selector: describe(element),
+    text: (element.textContent || element.getAttribute('aria-label') || '').trim().slice(0, 40),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  });
+
+  // Font sizes, weighted by the number of characters set in each
+  let totalCharacters = 0;
+  let smallCharacters = 0;
+  const smallText = new Map();
+  const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const text = node.textContent.trim();
+    const parent = node.parentElement;
+    if (!text || !parent || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(parent.tagName)) continue;
+    if (!isVisible(parent, parent.getBoundingClientRect())) continue;
+
+    const fontSize = parseFloat(getComputedStyle(parent).fontSize);
+    totalCharacters += text.length;
+    if (fontSize < settings.minFontSize) {
+      smallCharacters += text.length;
+      const selector = describe(parent);
+      const entry = smallText.get(selector) || { selector, fontSize, characters: 0 };
+      entry.characters += text.length;
+      smallText.set(selector, entry);
+    }
+  }
+
+  return {
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    scrollWidth,
+    horizontalOverflow: scrollWidth > viewportWidth + 1,
+    overflowingElements: overflowing.map(({ element, ...item }) => item),
+    tapTargets: {
+      checked: targets.length,
+      tooSmall: tooSmall.map(describeTarget),
+      tooClose: tooClose.map(describeTarget)
+    },
+    fontSizes: {
+      base: parseFloat(getComputedStyle(document.body || document.documentElement).fontSize),
+      smallTextShare: totalCharacters > 0 ? Math.round((smallCharacters / totalCharacters) * 100) / 100 : 0,
+      smallText: Array.from(smallText.values()).sort((a, b) => b.characters - a.characters)
+    }
+  };
+}
@@ -1,154 +1,638 @@
 import lighthouse from 'lighthouse';
-import * as chromeLauncher from 'chrome-launcher';
-import puppeteer from 'puppeteer';
+import { withBrowserSession } from '../browser/browser-session.js';
+import { getLighthouseSettings } from '../browser/profiles.js';
+import { createDOM } from './html-analyzer.js';
+import { countVisibleWords } from './render-diff-analyzer.js';
+
+// Display names of the rendering strategies
+const RENDERING_STRATEGIES = {
+  CSR: 'Client-side rendering (CSR)',
+  SSR: 'Server-side rendering (SSR)',
+  SSG: 'Static site generation (SSG)',
+  'ISR-like': 'Static with revalidation (ISR-like)',
+  prerendered: 'Prerendered snapshot'
+};
+
+// Frameworks in order of specificity, with the server HTML markers and bundle URLs that give each away
+const FRAMEWORKS = [
+  {
+    name: 'Next.js',
+    key: 'next',
+    markers: [[/<script[^>]+id="__NEXT_DATA__"/, '__NEXT_DATA__ in server HTML'], [/self\.__next_f\.push/, 'App Router payload in server HTML']],
+    bundle: /\/_next\/static\//
+  },
+  {
+    name: 'Nuxt',
+    key: 'nuxt',
+    markers: [[/window\.__NUXT__|id="__NUXT_DATA__"/, 'Nuxt payload in server HTML']],
+    bundle: /\/_nuxt\//
+  },
+  {
+    name: 'Angular',
+    key: 'angular',
+    markers: [[/\sng-version="/, 'ng-version in server HTML'], [/\sng-server-context="/, 'ng-server-context in server HTML']],
+    bundle: /\/(?:main|polyfills|runtime)(?:-es\d+)?\.[a-f0-9]{16,20}\.js$|\/(?:main|polyfills)-[A-Z0-9]{8}\.js$/
+  },
+  {
+    name: 'React',
+    key: 'react',
+    markers: [[/\sdata-reactroot/, 'data-reactroot in server HTML']],
+    bundle: /\/react(?:-dom)?(?:\.production)?(?:\.min)?\.js$|\/static\/js\/main\.[a-f0-9]{8}\.(?:chunk\.)?js$/
+  },
+  {
+    name: 'Vue',
+    key: 'vue',
+    markers: [[/\sdata-server-rendered="true"/, 'data-server-rendered in server HTML']],
+    bundle: /\/vue(?:\.runtime)?(?:\.global)?(?:\.prod)?(?:\.min)?\.js$|\/chunk-vendors\.[a-f0-9]{8}\.js$/
+  }
+];
+
+const DEFAULT_LIGHTHOUSE_OPTIONS = {
+  categories: ['performance', 'seo', 'best-practices', 'accessibility']
+};
+
+/**
+ * Lighthouse categories that can be run
+ */
+export const LIGHTHOUSE_CATEGORIES = ['performance', 'seo', 'best-practices', 'accessibility'];
+
+// Lighthouse audits behind each metric, with the official good / poor thresholds
+const METRICS = {
+  FCP: { audit: 'first-contentful-paint', good: 1800, poor: 3000 },
+  LCP: { audit: 'largest-contentful-paint', good: 2500, poor: 4000 },
+  TBT: { audit: 'total-blocking-time', good: 200, poor: 600 },
+  CLS: { audit: 'cumulative-layout-shift', good: 0.1, poor: 0.25 },
+  SI: { audit: 'speed-index', good: 3400, poor: 5800 },
+  TTI: { audit: 'interactive', good: 3800, poor: 7300 },
+  TTFB: { audit: 'server-response-time', good: 800, poor: 1800 }
+};
 
 /**
  * Getting performance metrics using Lighthouse
- * @param {string} url - URL to analyze
+ * Lighthouse runs on the session's Chrome over its remote debugging port, emulating the session's profile
+ * @param {Object|string} target - Browser session or URL to analyze
  * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<Object>} Promise resolving to performance metrics
+ * @param {Object} options - Analysis options, with the Lighthouse categories to run under `lighthouse.categories`
+ * @returns {Promise<Object>} Promise resolving to performance metrics, their ratings, the LCP element,
+ * layout shift culprits, opportunities and diagnostics, and the failing audits of the other categories
  */
-export async function getPerformanceMetrics(url, timeout) {
+export async function getPerformanceMetrics(target, timeout, options = {}) {
+  const lighthouseOptions = { ...DEFAULT_LIGHTHOUSE_OPTIONS, ...options.lighthouse };
   let metrics = {};
   try {
-    const chrome = await chromeLauncher.launch({ chromeFlags: ['--headless'] });
-    const options = {
-      logLevel: 'error',
-      output: 'json',
-      onlyCategories: ['performance'],
-      port: chrome.port,
-      timeout,
-    };
-    const runnerResult = await lighthouse(url, options);
-
-    metrics = {
-      FCP: runnerResult.lhr.audits['first-contentful-paint'].numericValue,
-      LCP: runnerResult.lhr.audits['largest-contentful-paint'].numericValue,
-      TBT: runnerResult.lhr.audits['total-blocking-time'].numericValue,
-      performanceScore: runnerResult.lhr.categories.performance.score,
-    };
+    metrics = await withBrowserSession(target, { timeout }, async (session) => {
+      const flags = {
+        logLevel: 'error',
+        output: 'json',
+        onlyCategories: lighthouseOptions.categories.filter((category) => LIGHTHOUSE_CATEGORIES.includes(category)),
+        port: session.port,
+        timeout,
+        ...getLighthouseSettings(session.profile),
+      };
+      const runnerResult = await lighthouse(session.url, flags);
 
-    await chrome.kill();
+      return summarizeLighthouseResult(runnerResult.lhr);
+    });
   } catch (error) {
     console.error('Error getting performance metrics:', error.message);
   }
   return metrics;
 }
 
+/**
+ * Reads the metrics and performance audits out of a Lighthouse result
+ * @param {Object} lhr - Lighthouse result
+ * @returns {Object} Metric values with their ratings, the LCP element, layout shift culprits, the
+ * failing opportunities and diagnostics with their estimated savings, and the score and failing audits
+ * of every other category that was run
+ */
+export function summarizeLighthouseResult(lhr) {
+  const audits = lhr.audits || {};
+  const summary = { performanceScore: lhr.categories?.performance?.score ?? null };
+  const ratings = {};
+
+  Object.entries(METRICS).forEach(([name, { audit }]) => {
+    summary[name] = audits[audit]?.numericValue ?? null;
+    ratings[name] = rateMetric(name, summary[name]);
+  });
+  // The metrics audit measures TTFB itself; server-response-time only times the document request
+  const ttfb = audits.metrics?.details?.items?.[0]?.timeToFirstByte;
+  if (typeof ttfb === 'number') {
+    summary.TTFB = ttfb;
+    ratings.TTFB = rateMetric('TTFB', ttfb);
+  }
+  summary.ratings = ratings;
+
+  // Since Lighthouse 10 the LCP element table is wrapped in a list
+  const lcpDetails = audits['largest-contentful-paint-element']?.details;
+  const lcpTable = lcpDetails?.type === 'list' ? lcpDetails.items?.[0] : lcpDetails;
+  summary.lcpElement = describeNode(lcpTable?.items?.[0]?.node);
+
+  const shifts = audits['layout-shifts'] || audits['layout-shift-elements'];
+  summary.layoutShifts = (shifts?.details?.items || [])
+    .filter((item) => item.node)
+    .map((item) => ({
+      ...describeNode(item.node),
+      score: item.score ?? null,
+      causes: (item.subItems?.items || []).map((sub) => sub.cause).filter(Boolean)
+    }));
+
+  const metricAudits = new Set(['metrics', ...Object.values(METRICS).map((metric) => metric.audit)]);
+  const opportunities = [];
+  const diagnostics = [];
+  (lhr.categories?.performance?.auditRefs || []).forEach((ref) => {
+    const audit = audits[ref.id];
+    if (!audit || ref.weight > 0 || metricAudits.has(ref.id) || ref.group === 'hidden') return;
+    if (audit.score === null || audit.score >= 0.9) return;
+    if (['manual', 'notApplicable', 'error'].includes(audit.scoreDisplayMode)) return;
+
+    const entry = {
+      id: ref.id,
+      title: audit.title,
+      displayValue: audit.displayValue || null,
+      score: audit.score,
+      metricSavings: audit.metricSavings || null
+    };
+    if (audit.details?.type === 'opportunity') {
+      opportunities.push({
+        ...entry,
+        savingsMs: audit.details.overallSavingsMs || 0,
+        savingsBytes: audit.details.overallSavingsBytes || 0
+      });
+    } else {
+      diagnostics.push(entry);
+    }
+  });
+  summary.opportunities = opportunities.sort((a, b) => b.savingsMs - a.savingsMs || b.savingsBytes - a.savingsBytes);
+  summary.diagnostics = diagnostics;
+
+  summary.categories = {};
+  Object.entries(lhr.categories || {}).filter(([id]) => id !== 'performance').forEach(([id, category]) => {
+    summary.categories[id] = {
+      title: category.title,
+      score: category.score ?? null,
+      audits: (category.auditRefs || [])
+        .filter((ref) => ref.group !== 'hidden')
+        .map((ref) => audits[ref.id] && { ...audits[ref.id], id: ref.id })
+        .filter((audit) => audit && isFailingAudit(audit))
+        .map((audit) => ({
+          id: audit.id,
+          title: audit.title,
+          description: stripLearnMore(audit.description),
+          displayValue: audit.displayValue || null,
+          score: audit.score,
+          elements: listAuditElements(audit.details)
+        }))
+    };
+  });
+
+  return summary;
+}
+
+/**
+ * Rates a metric value against its official thresholds
+ * @param {string} name - Metric name (FCP, LCP, TBT, CLS, SI, TTI or TTFB)
+ * @param {number} value - Metric value, in milliseconds except for CLS
+ * @returns {string|null} 'good', 'needs-improvement' or 'poor', or null when the value is unknown
+ */
+export function rateMetric(name, value) {
+  const thresholds = METRICS[name];
+  if (!thresholds || typeof value !== 'number' || Number.isNaN(value)) return null;
+  if (value <= thresholds.good) return 'good';
+  return value <= thresholds.poor ? 'needs-improvement' : 'poor';
+}
+
 /**
  * Detect Client-Side Rendering (CSR) or Server-Side Rendering (SSR)
- * @param {string} url - URL to analyze
+ * The server HTML recorded during navigation stands in for the page without JavaScript, and the
+ * page counts as server-rendered when that HTML already holds most of the visible text.
+ * The frontend framework is identified from runtime globals, hydration markers and bundle URLs
+ * @param {Object|string} target - Browser session or URL to analyze
  * @param {Object} options - Analysis options
- * @returns {Promise<Object>} Promise resolving to CSR/SSR detection results
+ * @returns {Promise<Object>} Promise resolving to CSR/SSR detection results with the framework,
+ * rendering strategy and framework-specific advice
  */
-export async function detectCSRorSSR(url, options) {
-  let detection = {};
-  const browser = await puppeteer.launch({ headless: 'new' });
-  try {
-    const page = await browser.newPage();
+export async function detectCSRorSSR(target, options) {
+  return withBrowserSession(target, options, async (session) => {
+    let detection = {};
+    try {
+      const rawDocument = createDOM(session.rawHtml).document;
+      const rawWords = countVisibleWords(rawDocument);
+      const renderedWords = countVisibleWords(createDOM(session.renderedHtml).document);
+      const serverTextShare = renderedWords > 0 ? Math.round(Math.min(1, rawWords / renderedWords) * 100) / 100 : 1;
 
-    await page.setJavaScriptEnabled(false);
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
-    const contentWithoutJS = await page.content();
+      const rendering = identifyFramework({
+        runtime: await session.page.evaluate(collectFrameworkSignals),
+        rawHtml: session.rawHtml,
+        rawHead: {
+          title: Boolean(rawDocument.querySelector('title')?.textContent.trim()),
+          description: Boolean(rawDocument.querySelector('meta[name="description" i]')?.getAttribute('content')?.trim())
+        },
+        scriptUrls: session.networkLog.filter((entry) => entry.resourceType === 'script').map((entry) => entry.url),
+        headers: session.mainResponse?.headers || {},
+        serverRendered: serverTextShare >= (options.thresholds?.ssrTextShare ?? 0.5)
+      });
 
-    await page.setJavaScriptEnabled(true);
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
-    const contentWithJS = await page.content();
+      const isCSR = rendering.strategy === 'CSR';
+      const isSSR = !isCSR;
 
-    const lengthWithoutJS = contentWithoutJS.length;
-    const lengthWithJS = contentWithJS.length;
-    const threshold = options.thresholds.ssrContentLengthThreshold;
+      const recommendation = rendering.advice[0] || (isCSR
+        ? 'Consider implementing SSR or pre-rendering for better SEO.'
+        : 'Site appears to be using SSR effectively.');
 
-    const isSSR = lengthWithoutJS > threshold;
-    const isCSR = !isSSR;
+      detection = { isSSR, isCSR, words: { raw: rawWords, rendered: renderedWords }, serverTextShare, ...rendering, recommendation };
+    } catch (error) {
+      console.error('Error detecting CSR/SSR:', error.message);
+    }
+    return detection;
+  });
+}
 
-    const recommendation = isCSR
-      ? 'Consider implementing SSR or pre-rendering for better SEO.'
-      : 'Site appears to be using SSR effectively.';
+/**
+ * Identify the frontend framework and rendering strategy of a page from the signals collected in the browser
+ * @param {Object} signals - Detection signals
+ * @param {Object} signals.runtime - Globals and DOM markers read from the rendered page
+ * @param {string} signals.rawHtml - Server HTML
+ * @param {Object} signals.rawHead - Whether the server HTML has a title and a meta description
+ * @param {Array<string>} signals.scriptUrls - URLs of the scripts the page loaded
+ * @param {Object} signals.headers - Response headers of the page
+ * @param {boolean} signals.serverRendered - Whether the server HTML holds most of the visible text
+ * @returns {Object} Framework with version and the signals that identified it, underlying libraries,
+ * rendering strategy with the signals that decided it, and framework-specific advice
+ */
+export function identifyFramework(signals) {
+  const { runtime = {}, rawHtml = '', scriptUrls = [], headers = {} } = signals;
 
-    detection = { isSSR, isCSR, recommendation };
-  } catch (error) {
-    console.error('Error detecting CSR/SSR:', error.message);
-  } finally {
-    await browser.close();
-  }
-  return detection;
+  const detected = FRAMEWORKS.map(({ name, key, markers, bundle }) => {
+    const found = [];
+    if (runtime[key]) found.push(...runtime[key].signals);
+    markers.forEach(([pattern, label]) => {
+      if (pattern.test(rawHtml)) found.push(label);
+    });
+    const bundleUrl = scriptUrls.map((url) => url.split('?')[0]).find((url) => bundle.test(url));
+    if (bundleUrl) found.push(`bundle ${bundleUrl.split('/').pop()}`);
+    return { name, version: runtime[key]?.version || null, signals: found };
+  }).filter((entry) => entry.signals.length > 0);
+
+  // Meta-frameworks come first in FRAMEWORKS, so the first match is the most specific
+  const framework = detected[0] || null;
+  const libraries = detected.slice(1).map(({ name, version }) => ({ name, version }));
+
+  const { strategy, reasons } = classifyRendering(framework?.name, signals);
+
+  return {
+    framework,
+    libraries,
+    strategy,
+    strategyName: RENDERING_STRATEGIES[strategy],
+    strategySignals: reasons,
+    advice: getFrameworkAdvice(framework?.name, strategy, signals)
+  };
 }
 
 /**
  * Detect lazy loading implementation
- * @param {string} url - URL to analyze
+ * @param {Object|string} target - Browser session or URL to analyze
  * @param {Object} options - Analysis options
  * @returns {Promise<Object>} Promise resolving to lazy loading analysis results
  */
-export async function detectLazyLoading(url, options) {
-  const lazyLoadedImages = [];
-  const browser = await puppeteer.launch({ headless: 'new' });
-  try {
-    const page = await browser.newPage();
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
-
-    const images = await page.$$eval('img', (imgs) =>
-      imgs.map((img) => ({
-        src: img.getAttribute('src'),
-        loading: img.getAttribute('loading'),
-      }))
-    );
-
-    images.forEach((img) => {
-      if (img.loading === 'lazy') {
-        lazyLoadedImages.push(img.src);
-      }
-    });
-  } catch (error) {
-    console.error('Error detecting lazy loading:', error.message);
-  } finally {
-    await browser.close();
-  }
-  return { lazyLoadedImages };
+export async function detectLazyLoading(target, options) {
+  return withBrowserSession(target, options, async (session) => {
+    const lazyLoadedImages = [];
+    try {
+      const images = await session.page.$$eval('img', (imgs) =>
+        imgs.map((img) => ({
+          src: img.getAttribute('src'),
+          loading: img.getAttribute('loading'),
+        }))
+      );
+
+      images.forEach((img) => {
+        if (img.loading === 'lazy') {
+          lazyLoadedImages.push(img.src);
+        }
+      });
+    } catch (error) {
+      console.error('Error detecting lazy loading:', error.message);
+    }
+    return { lazyLoadedImages };
+  });
 }
 
 /**
  * Analyze JavaScript dependencies
- * @param {string} url - URL to analyze
+ * Script sizes come from the session's network log
+ * @param {Object|string} target - Browser session or URL to analyze
  * @param {Object} options - Analysis options
  * @returns {Promise<Object>} Promise resolving to JS dependencies analysis results
  */
-export async function analyzeJavaScriptDependencies(url, options) {
-  const jsFiles = [];
-  const browser = await puppeteer.launch({ headless: 'new' });
+export async function analyzeJavaScriptDependencies(target, options) {
+  return withBrowserSession(target, options, async (session) => {
+    const jsFiles = session.networkLog
+      .filter((entry) => entry.resourceType === 'script' && entry.size !== null)
+      .map((entry) => ({ url: entry.url, size: entry.size }));
+
+    const totalJsSize = jsFiles.reduce((sum, file) => sum + file.size, 0);
+    const recommendation =
+      totalJsSize > options.thresholds.totalJsSize
+        ? 'Consider optimizing JavaScript dependencies to reduce page load time.'
+        : 'JavaScript size is within acceptable limits.';
+
+    return { jsFiles, totalJsSize, recommendation };
+  });
+}
+
+/**
+ * Measure the rendered size of images and find CSS background images
+ * @param {Object|string} target - Browser session or URL to analyze
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object|null>} Promise resolving to rendered images and background images,
+ * or null when the page could not be measured
+ */
+export async function measureImageLayout(target, options) {
+  return withBrowserSession(target, options, async (session) => {
+    try {
+      return await session.page.evaluate(() => {
+        const resolve = (url) => {
+          try {
+            return new URL(url, document.baseURI).href;
+          } catch (e) {
+            return null;
+          }
+        };
+
+        const images = Array.from(document.querySelectorAll('img')).map((img) => ({
+          url: img.getAttribute('src') ? resolve(img.getAttribute('src')) : null,
+          currentSrc: img.currentSrc || null,
+          renderedWidth: img.clientWidth,
+          renderedHeight: img.clientHeight,
+          naturalWidth: img.naturalWidth,
+          naturalHeight: img.naturalHeight
+        }));
+
+        const backgrounds = [];
+        document.querySelectorAll('body, body *').forEach((element) => {
+          const backgroundImage = getComputedStyle(element).backgroundImage;
+          if (!backgroundImage || backgroundImage === 'none') return;
+
+          const rect = element.getBoundingClientRect();
+          for (const match of backgroundImage.matchAll(/url\(["']?(.*?)["']?\)/g)) {
+            backgrounds.push({
+              url: resolve(match[1]),
+              element: element.tagName.toLowerCase() +
+                (element.id ? `#${element.id}` : '') +
+                (element.classList.length > 0 ? `.${Array.from(element.classList).join('.')}` : ''),
+              renderedWidth: Math.round(rect.width),
+              renderedHeight: Math.round(rect.height)
+            });
+          }
+        });
+
+        return { images, backgrounds: backgrounds.filter((background) => background.url) };
+      });
+    } catch (error) {
+      console.error('Error measuring images:', error.message);
+      return null;
+    }
+  });
+}
+
+// Helper functions
+
+function isFailingAudit(audit) {
+  if (['manual', 'notApplicable', 'informative', 'error'].includes(audit.scoreDisplayMode)) return false;
+  return typeof audit.score === 'number' && audit.score < 1;
+}
+
+// Lighthouse descriptions end with a markdown "Learn more" link
+function stripLearnMore(description) {
+  if (!description) return null;
+  return description.replace(/\s*\[Learn (?:more|how)[^\]]*\]\([^)]*\)\.?/gi, '').trim();
+}
+
+// Selectors or URLs of the elements an audit failed on
+function listAuditElements(details, limit = 10) {
+  const elements = (details?.items || [])
+    .map((item) => item.node?.selector || item.source?.selector || item.url || item.source?.url || null)
+    .filter(Boolean);
+  return [...new Set(elements)].slice(0, limit);
+}
+
+function describeNode(node) {
+  if (!node) return null;
+  return {
+    selector: node.selector || null,
+    label: node.nodeLabel || null,
+    snippet: node.snippet || null
+  };
+}
+
+function classifyRendering(framework, { runtime = {}, rawHtml = '', headers = {}, serverRendered }) {
+  if (!serverRendered) {
+    return { strategy: 'CSR', reasons: ['The server HTML holds little of the visible text'] };
+  }
+
+  // Caches that serve stored HTML and regenerate it in the background
+  const cacheControl = headers['cache-control'] || '';
+  if (headers['x-nextjs-cache'] || (/s-maxage=/.test(cacheControl) && /stale-while-revalidate/.test(cacheControl))) {
+    return {
+      strategy: 'ISR-like',
+      reasons: [headers['x-nextjs-cache'] ? `x-nextjs-cache: ${headers['x-nextjs-cache']}` : `Cache-Control: ${cacheControl}`]
+    };
+  }
+
+  const next = runtime.next?.data;
+  const nuxt = runtime.nuxt;
+  const angularContext = rawHtml.match(/\sng-server-context="([^"]+)"/)?.[1];
+
+  if (framework === 'Next.js') {
+    if (next?.gssp || next?.gip) return { strategy: 'SSR', reasons: [next.gssp ? 'getServerSideProps' : 'getInitialProps'] };
+    if (next?.gsp || next?.nextExport || next?.autoExport) {
+      return { strategy: 'SSG', reasons: [next.gsp ? 'getStaticProps' : next.nextExport ? 'next export' : 'Automatic static optimization'] };
+    }
+    if (headers['x-nextjs-prerender'] || /s-maxage=31536000/.test(cacheControl)) {
+      return { strategy: 'SSG', reasons: ['Prerendered at build time'] };
+    }
+    return { strategy: 'SSR', reasons: ['Rendered on request'] };
+  }
+  if (framework === 'Nuxt') {
+    if (nuxt?.prerenderedAt || nuxt?.static) return { strategy: 'SSG', reasons: ['Nuxt payload marks the page as prerendered'] };
+    return { strategy: 'SSR', reasons: ['Nuxt payload marks the page as server-rendered'] };
+  }
+  if (framework === 'Angular') {
+    if (angularContext) {
+      return { strategy: angularContext === 'ssg' ? 'SSG' : 'SSR', reasons: [`ng-server-context="${angularContext}"`] };
+    }
+    if (/<style[^>]+ng-transition=/.test(rawHtml)) return { strategy: 'SSR', reasons: ['Angular Universal transfer styles'] };
+  }
+  if (framework === 'React') {
+    if (/\sdata-reactroot/.test(rawHtml)) return { strategy: 'SSR', reasons: ['data-reactroot in server HTML'] };
+    // React 18 no longer marks server-rendered markup, but hydration keeps the content the server put in the root
+    const root = runtime.react?.root;
+    if (root && hasServerContent(rawHtml, root)) {
+      return { strategy: 'SSR', reasons: [`React root ${root} is hydrated from server-rendered content`] };
+    }
+  }
+  if (framework === 'Vue' && /\sdata-server-rendered="true"/.test(rawHtml)) {
+    return { strategy: 'SSR', reasons: ['data-server-rendered in server HTML'] };
+  }
+  if (framework) {
+    // A client-side framework whose content is in the HTML without server rendering markers
+    return { strategy: 'prerendered', reasons: [`${framework} content is in the server HTML without server rendering markers`] };
+  }
+  return { strategy: 'SSR', reasons: ['The server HTML holds the visible text'] };
+}
+
+function getFrameworkAdvice(framework, strategy, { runtime = {}, rawHead = {} }) {
+  const advice = [];
+  const headMissing = rawHead.title === false || rawHead.description === false;
+  const appRouter = runtime.next?.router === 'app';
+
+  if (framework === 'Next.js') {
+    if (strategy === 'CSR') {
+      advice.push(appRouter
+        ? 'Fetch the page data in a Server Component instead of a Client Component with useEffect, so the content is in the HTML'
+        : 'Fetch the page data with getStaticProps or getServerSideProps instead of useEffect, so the content is in the HTML');
+    }
+    if (headMissing) {
+      advice.push(appRouter
+        ? 'Export metadata or generateMetadata from the page or layout so the title and meta description are server-rendered'
+        : 'Set the title and meta description with next/head in the page component so they are server-rendered');
+    }
+    if (strategy === 'SSR' && runtime.next?.data?.gssp) {
+      advice.push('Pages whose data changes rarely can use getStaticProps with revalidate, served from the cache and regenerated in the background');
+    }
+  } else if (framework === 'Nuxt') {
+    if (strategy === 'CSR') {
+      advice.push('Turn server rendering back on (ssr: true in nuxt.config), or prerender the routes with nitro.prerender or routeRules');
+    }
+    if (headMissing) {
+      advice.push('Set the title and meta description with useSeoMeta or useHead (head() in Nuxt 2) so they are server-rendered');
+    }
+  } else if (framework === 'Angular') {
+    if (strategy === 'CSR') {
+      const major = parseInt(runtime.angular?.version, 10);
+      advice.push(major < 17
+        ? 'Add server rendering with Angular Universal (ng add @nguniversal/express-engine), or prerender the routes'
+        : 'Add server rendering with ng add @angular/ssr, or prerender the routes');
+    }
+    if (headMissing) {
+      advice.push('Set the title and meta description with the Title and Meta services so they are rendered on the server');
+    }
+  } else if (framework === 'React') {
+    if (strategy === 'CSR') {
+      advice.push('React renders on the client only; move to a framework with server rendering such as Next.js or Remix, or prerender the routes');
+    }
+    if (headMissing) {
+      advice.push('Render the title and meta description on the server, for example with react-helmet-async during server rendering');
+    }
+  } else if (framework === 'Vue') {
+    if (strategy === 'CSR') {
+      advice.push('Vue renders on the client only; move to Nuxt or Vue server rendering, or prerender the routes');
+    }
+    if (headMissing) {
+      advice.push('Render the title and meta description on the server with @unhead/vue');
+    }
+  } else if (strategy === 'CSR') {
+    advice.push('Render the main content on the server or prerender it, so it is in the HTML crawlers receive');
+  }
+
+  if (strategy === 'prerendered') {
+    advice.push('Regenerate the prerendered snapshots whenever the content changes, so crawlers do not index stale pages');
+  }
+
+  return advice;
+}
+
+// Whether the root container of a client-side app already holds visible text in the server HTML
+function hasServerContent(rawHtml, rootSelector) {
+  // Only hydration can take over a whole server-rendered document
+  if (rootSelector === 'document') return true;
+
+  let container;
   try {
-    const page = await browser.newPage();
-    await page.setRequestInterception(true);
+    container = createDOM(rawHtml).document.querySelector(rootSelector);
+  } catch (e) {
+    return false;
+  }
+  if (!container) return false;
 
-    page.on('request', (request) => {
-      request.continue();
-    });
+  const content = container.cloneNode(true);
+  content.querySelectorAll('script, style, noscript, template').forEach((element) => element.remove());
+  return content.textContent.trim().length > 0;
+}
 
-    page.on('response', async (response) => {
-      if (response.request().resourceType() === 'script') {
-        try {
-          const buffer = await response.buffer();
-          const size = buffer.length;
-          jsFiles.push({ url: response.url(), size });
-        } catch (error) {
-          console.warn(`Error getting JS file size: ${error.message}`);
-        }
-      }
-    });
+// Runs in the page, so it cannot use anything outside its own body
+function collectFrameworkSignals() {
+  const elements = Array.from(document.querySelectorAll('body, body *'));
+  const signals = {};
 
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
-  } catch (error) {
-    console.error('Error analyzing JavaScript dependencies:', error.message);
-  } finally {
-    await browser.close();
+  const nextData = window.__NEXT_DATA__;
+  if (window.next || nextData || window.__next_f) {
+    signals.next = {
+      version: window.next?.version || null,
+      router: window.__next_f ? 'app' : nextData ? 'pages' : null,
+      data: nextData ? {
+        gssp: Boolean(nextData.gssp),
+        gsp: Boolean(nextData.gsp),
+        gip: Boolean(nextData.gip || nextData.appGip),
+        nextExport: Boolean(nextData.nextExport),
+        autoExport: Boolean(nextData.autoExport)
+      } : null,
+      signals: [window.__next_f ? 'self.__next_f' : nextData ? 'window.__NEXT_DATA__' : 'window.next']
+    };
   }
 
-  const totalJsSize = jsFiles.reduce((sum, file) => sum + file.size, 0);
-  const recommendation =
-    totalJsSize > options.thresholds.totalJsSize
-      ? 'Consider optimizing JavaScript dependencies to reduce page load time.'
-      : 'JavaScript size is within acceptable limits.';
+  const vueElement = elements.find((element) => element.__vue_app__ || element.__vue__);
+  const nuxtApp = vueElement?.__vue_app__?.$nuxt;
+  if (window.__NUXT__ || window.$nuxt || nuxtApp) {
+    const payload = nuxtApp?.payload || window.__NUXT__ || {};
+    signals.nuxt = {
+      version: nuxtApp?.versions?.nuxt || null,
+      serverRendered: payload.serverRendered ?? null,
+      prerenderedAt: payload.prerenderedAt || null,
+      static: Boolean(window.__NUXT__?.staticAssetsBase),
+      signals: [nuxtApp ? 'nuxtApp' : window.__NUXT__ ? 'window.__NUXT__' : 'window.$nuxt']
+    };
+  }
 
-  return { jsFiles, totalJsSize, recommendation };
-} 
\ No newline at end of file
+  const angularRoot = document.querySelector('[ng-version]');
+  if (angularRoot || window.ng) {
+    signals.angular = {
+      version: angularRoot?.getAttribute('ng-version') || null,
+      signals: [angularRoot ? 'ng-version attribute' : 'window.ng']
+    };
+  }
+
+  // The container given to createRoot or hydrateRoot (or the legacy render and hydrate), which may be the document itself
+  const reactContainer = [document, document.documentElement, ...elements].find((node) => node._reactRootContainer ||
+    Object.keys(node).some((key) => key.startsWith('__reactContainer$')));
+  const reactElement = reactContainer || elements.find((element) => Object.keys(element).some((key) => key.startsWith('__reactFiber$')));
+  const describeContainer = (node) => {
+    if (node === document) return 'document';
+    if (node.id) return `#${CSS.escape(node.id)}`;
+    const parts = [];
+    for (let current = node; current && current !== document.documentElement; current = current.parentElement) {
+      const siblings = current.parentElement ? Array.from(current.parentElement.children).filter((sibling) => sibling.tagName === current.tagName) : [];
+      parts.unshift(current.tagName.toLowerCase() + (siblings.length > 1 ? `:nth-of-type(${siblings.indexOf(current) + 1})` : ''));
+    }
+    return parts.join(' > ') || 'html';
+  };
+  const devtoolsRenderer = window.__REACT_DEVTOOLS_GLOBAL_HOOK__?.renderers?.values().next().value;
+  if (reactElement || window.React) {
+    signals.react = {
+      version: window.React?.version || devtoolsRenderer?.version || null,
+      root: reactContainer ? describeContainer(reactContainer) : null,
+      signals: [reactElement ? 'React root in the DOM' : 'window.React']
+    };
+  }
+
+  if (vueElement || window.Vue) {
+    signals.vue = {
+      version: vueElement?.__vue_app__?.version || vueElement?.__vue__?.$root?.constructor?.version || window.Vue?.version || null,
+      signals: [vueElement ? 'Vue app in the DOM' : 'window.Vue']
+    };
+  }
+
+  return signals;
+}
@@ -0,0 +1,72 @@
+/**
+ * This is the Redirect Analyzer
+ * It checks the redirect chain a crawler follows to reach the page
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+
+const PERMANENT_STATUSES = [301, 308];
+
+/**
+ * Analyzes the redirects recorded while fetching the page
+ * @param {Object} page - Page from fetchPage
+ * @returns {Object} Redirect chain, hop count, final URL and status, and issues
+ */
+export function analyzeRedirects(page) {
+  const issues = [];
+  const chain = page.redirects || [];
+
+  if (page.error && chain.length > 0 && /Too many redirects/.test(page.error)) {
+    issues.push(createIssue({
+      id: 'redirects/too-many',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.INDEXING,
+      message: `${page.error}; crawlers give up on long chains and loops`,
+      element: page.url,
+      fix: 'Redirect straight to the final URL and remove redirect loops'
+    }));
+  } else if (chain.length > 1) {
+    issues.push(createIssue({
+      id: 'redirects/chain',
+      category: CATEGORY.INDEXING,
+      message: `Page is reached through ${chain.length} redirects: ${chain.map((hop) => hop.url).join(' → ')} → ${page.finalUrl}`,
+      element: page.url,
+      fix: 'Redirect straight to the final URL in a single hop'
+    }));
+  }
+
+  chain
+    .filter((hop) => !PERMANENT_STATUSES.includes(hop.status))
+    .forEach((hop) => {
+      issues.push(createIssue({
+        id: 'redirects/temporary',
+        severity: SEVERITY.NOTICE,
+        category: CATEGORY.INDEXING,
+        message: `${hop.url} redirects with a temporary ${hop.status}; search engines keep indexing the old URL`,
+        element: hop.url,
+        fix: 'Use a 301 or 308 if the move is permanent'
+      }));
+    });
+
+  chain
+    .filter((hop) => new URL(hop.url).protocol === 'https:' && new URL(hop.location).protocol === 'http:')
+    .forEach((hop) => {
+      issues.push(createIssue({
+        id: 'redirects/https-downgrade',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.SECURITY,
+        message: `${hop.url} redirects from HTTPS to HTTP (${hop.location})`,
+        element: hop.url,
+        fix: 'Keep every redirect on HTTPS'
+      }));
+    });
+
+  return {
+    requestedUrl: page.url,
+    finalUrl: page.finalUrl,
+    finalStatus: page.status,
+    hops: chain.length,
+    chain,
+    issues
+  };
+}
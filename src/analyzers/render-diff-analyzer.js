@@ -0,0 +1,208 @@
+/**
+ * This is the Render Diff Analyzer
+ * It compares the raw server HTML with the DOM after JavaScript has run, showing which SEO elements
+ * exist only after rendering and are therefore at risk with crawlers that do not render
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { getBaseUrl } from './link-analyzer.js';
+import { getStructuredDataTypes } from './advanced/schema-analyzer.js';
+
+const DEFAULT_RENDER_DIFF_OPTIONS = {
+  minRenderedWords: 50,
+  maxRenderedShare: 0.5,
+  maxListed: 20
+};
+
+// Head elements crawlers read before rendering, and how to read each
+const HEAD_ELEMENTS = [
+  { name: 'title', read: (document) => document.querySelector('title')?.textContent },
+  { name: 'meta description', read: (document) => document.querySelector('meta[name="description" i]')?.getAttribute('content') },
+  { name: 'canonical', read: (document) => document.querySelector('link[rel="canonical" i]')?.getAttribute('href') },
+  { name: 'meta robots', read: (document) => document.querySelector('meta[name="robots" i]')?.getAttribute('content') }
+];
+
+// Elements whose wrong value changes how the page is indexed, not just how it is shown
+const INDEXING_ELEMENTS = ['canonical', 'meta robots'];
+
+/**
+ * Compares the server HTML of a page with its rendered DOM
+ * @param {Document} rawDocument - The DOM document of the server HTML
+ * @param {Document} renderedDocument - The DOM document after rendering
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} options - Analysis options, with render diff settings under `renderDiff`
+ * @returns {Object} Head elements, headings, links, structured data types and visible text in both versions,
+ * the SEO elements that exist only after rendering, and issues
+ */
+export function diffRenderedDom(rawDocument, renderedDocument, pageUrl, options = {}) {
+  const diffOptions = { ...DEFAULT_RENDER_DIFF_OPTIONS, ...options.renderDiff };
+  const issues = [];
+  const list = (items) => items.slice(0, diffOptions.maxListed).join(', ');
+
+  const elements = HEAD_ELEMENTS.map(({ name, read }) => {
+    const raw = normalize(read(rawDocument));
+    const rendered = normalize(read(renderedDocument));
+    const status = raw === rendered ? 'unchanged'
+      : raw === null ? 'added'
+        : rendered === null ? 'removed'
+          : 'changed';
+    return { name, raw, rendered, status };
+  });
+
+  const headings = compareLists(getHeadings(rawDocument), getHeadings(renderedDocument));
+  const links = compareLists(getLinks(rawDocument, pageUrl), getLinks(renderedDocument, pageUrl));
+  const structuredData = compareLists(getStructuredDataTypes(rawDocument), getStructuredDataTypes(renderedDocument));
+
+  const rawWords = countVisibleWords(rawDocument);
+  const renderedWords = countVisibleWords(renderedDocument);
+  const text = {
+    raw: rawWords,
+    rendered: renderedWords,
+    renderedShare: renderedWords > 0 ? Math.round((Math.max(0, renderedWords - rawWords) / renderedWords) * 100) / 100 : 0
+  };
+
+  const added = elements.filter((item) => item.status === 'added');
+  if (added.length > 0) {
+    issues.push(createIssue({
+      id: 'rendering/meta-injected',
+      severity: added.some((item) => INDEXING_ELEMENTS.includes(item.name)) ? SEVERITY.ERROR : SEVERITY.WARNING,
+      category: CATEGORY.RENDERING,
+      message: `${added.map((item) => item.name).join(', ')} ${added.length === 1 ? 'is' : 'are'} only added by JavaScript, so crawlers that do not render never see ${added.length === 1 ? 'it' : 'them'}`,
+      element: list(added.map((item) => `${item.name}: ${item.rendered}`)),
+      fix: 'Render head tags on the server or at build time'
+    }));
+  }
+
+  elements.filter((item) => item.status === 'changed' || item.status === 'removed').forEach((item) => {
+    issues.push(createIssue({
+      id: 'rendering/meta-changed',
+      severity: INDEXING_ELEMENTS.includes(item.name) ? SEVERITY.ERROR : SEVERITY.WARNING,
+      category: CATEGORY.RENDERING,
+      message: item.status === 'removed'
+        ? `JavaScript removes the ${item.name} "${item.raw}" from the server HTML`
+        : `JavaScript changes the ${item.name} from "${item.raw}" to "${item.rendered}"`,
+      element: item.name,
+      fix: item.name === 'meta robots'
+        ? 'Serve the final robots directives in the server HTML; Google skips rendering pages whose HTML says noindex'
+        : 'Serve the final value in the server HTML so crawlers see the same page with and without JavaScript'
+    }));
+  });
+
+  if (headings.added.length > 0) {
+    const h1Added = headings.added.some((heading) => heading.startsWith('h1:'));
+    issues.push(createIssue({
+      id: 'rendering/headings-injected',
+      category: CATEGORY.RENDERING,
+      message: `${headings.added.length} heading(s)${h1Added ? ', including the H1,' : ''} exist only after JavaScript runs`,
+      element: list(headings.added),
+      fix: 'Render headings on the server or prerender the page'
+    }));
+  }
+
+  if (links.added.length > 0) {
+    issues.push(createIssue({
+      id: 'rendering/links-injected',
+      category: CATEGORY.LINKS,
+      message: `${links.added.length} of ${links.rendered.length} link(s) exist only after JavaScript runs, so crawlers discover them late or not at all`,
+      element: list(links.added),
+      fix: 'Render navigation and content links in the server HTML'
+    }));
+  }
+
+  if (structuredData.added.length > 0) {
+    issues.push(createIssue({
+      id: 'rendering/structured-data-injected',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.STRUCTURED_DATA,
+      message: `Structured data (${structuredData.added.join(', ')}) is only added by JavaScript; Google reads it after rendering, but other search engines and social platforms may not`,
+      element: list(structuredData.added),
+      fix: 'Put JSON-LD in the server HTML'
+    }));
+  }
+
+  if (text.rendered >= diffOptions.minRenderedWords && text.renderedShare > diffOptions.maxRenderedShare) {
+    issues.push(createIssue({
+      id: 'rendering/content-injected',
+      category: CATEGORY.RENDERING,
+      message: `${Math.round(text.renderedShare * 100)}% of the visible text (${text.rendered - text.raw} of ${text.rendered} words) only appears after JavaScript runs`,
+      fix: 'Render the main content on the server or prerender it, and hydrate on the client'
+    }));
+  }
+
+  const renderedOnly = [
+    ...added.map((item) => item.name),
+    headings.added.length > 0 ? `${headings.added.length} heading(s)` : null,
+    links.added.length > 0 ? `${links.added.length} link(s)` : null,
+    ...structuredData.added.map((type) => `${type} structured data`),
+    text.renderedShare > 0 ? `${Math.round(text.renderedShare * 100)}% of the visible text` : null
+  ].filter(Boolean);
+
+  return {
+    elements,
+    headings,
+    links,
+    structuredData,
+    text,
+    renderedOnly,
+    issues
+  };
+}
+
+/**
+ * Counts the words of visible text in the body, leaving out scripts, styles and hidden elements
+ * @param {Document} document - The DOM document
+ * @returns {number} Word count
+ */
+export function countVisibleWords(document) {
+  if (!document.body) return 0;
+  const body = document.body.cloneNode(true);
+  body.querySelectorAll('script, style, noscript, template, [hidden]').forEach((element) => element.remove());
+  return body.textContent.split(/\s+/).filter(Boolean).length;
+}
+
+// Helper functions
+
+function normalize(value) {
+  if (value === undefined || value === null) return null;
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+function getHeadings(document) {
+  return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .map((heading) => `${heading.tagName.toLowerCase()}: ${normalize(heading.textContent)}`);
+}
+
+function getLinks(document, pageUrl) {
+  const base = getBaseUrl(document, pageUrl);
+  const links = [];
+  document.querySelectorAll('a[href]').forEach((anchor) => {
+    try {
+      const url = new URL(anchor.getAttribute('href').trim(), base);
+      url.hash = '';
+      if (url.protocol === 'http:' || url.protocol === 'https:') links.push(url.href);
+    } catch (e) {
+      // Ignore malformed hrefs
+    }
+  });
+  return [...new Set(links)];
+}
+
+// Entries present in one version but not the other, keeping duplicates such as repeated headings
+function compareLists(raw, rendered) {
+  const subtract = (from, values) => {
+    const remaining = [...values];
+    return from.filter((value) => {
+      const index = remaining.indexOf(value);
+      if (index === -1) return true;
+      remaining.splice(index, 1);
+      return false;
+    });
+  };
+
+  return {
+    raw,
+    rendered,
+    added: subtract(rendered, raw),
+    removed: subtract(raw, rendered)
+  };
+}
@@ -0,0 +1,350 @@
+/**
+ * This is the Robots.txt Analyzer
+ * It parses robots.txt into user-agent groups and evaluates whether crawlers may fetch
+ * the analyzed page and the resources it needs to render
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+
+// Crawlers the page is evaluated for, overridable with the `robotsUserAgents` option
+export const DEFAULT_ROBOTS_USER_AGENTS = ['Googlebot', 'Bingbot'];
+
+// Search engines stop reading robots.txt after 500 KiB
+const ROBOTS_MAX_BYTES = 500 * 1024;
+
+const KNOWN_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap', 'host', 'clean-param'];
+
+/**
+ * Parses robots.txt content
+ * Consecutive user-agent lines share one group, and groups naming the same agent are merged
+ * @param {string} content - robots.txt content
+ * @returns {Object} Groups, sitemap URLs and syntax errors with line numbers
+ */
+export function parseRobotsTxt(content) {
+  const groups = [];
+  const sitemaps = [];
+  const errors = [];
+  let currentGroup = null;
+  let lastLineWasUserAgent = false;
+
+  String(content || '').split(/\r\n|\r|\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) {
+      errors.push({ line: lineNumber, message: `Missing ":" in "${line}"` });
+      return;
+    }
+
+    const directive = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (!KNOWN_DIRECTIVES.includes(directive)) {
+      errors.push({ line: lineNumber, message: `Unknown directive "${line.slice(0, separator).trim()}"` });
+      return;
+    }
+
+    if (directive === 'sitemap') {
+      try {
+        sitemaps.push(new URL(value).href);
+      } catch (e) {
+        errors.push({ line: lineNumber, message: `Sitemap "${value}" is not an absolute URL` });
+      }
+      return;
+    }
+
+    if (directive === 'user-agent') {
+      if (!value) {
+        errors.push({ line: lineNumber, message: 'User-agent without a value' });
+        return;
+      }
+      if (!lastLineWasUserAgent || !currentGroup) {
+        currentGroup = { userAgents: [], rules: [], crawlDelay: null };
+        groups.push(currentGroup);
+      }
+      currentGroup.userAgents.push(value.toLowerCase());
+      lastLineWasUserAgent = true;
+      return;
+    }
+
+    lastLineWasUserAgent = false;
+
+    if (!currentGroup) {
+      errors.push({ line: lineNumber, message: `"${line}" appears before any User-agent line` });
+      return;
+    }
+
+    if (directive === 'allow' || directive === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (!value) return;
+      if (!value.startsWith('/') && !value.startsWith('*')) {
+        errors.push({ line: lineNumber, message: `Path "${value}" should start with "/" or "*"` });
+      }
+      currentGroup.rules.push({ type: directive, path: value, line: lineNumber });
+      return;
+    }
+
+    if (directive === 'crawl-delay') {
+      const delay = Number(value);
+      if (value === '' || Number.isNaN(delay) || delay < 0) {
+        errors.push({ line: lineNumber, message: `Crawl-delay "${value}" is not a number` });
+      } else {
+        currentGroup.crawlDelay = delay;
+      }
+    }
+  });
+
+  return { groups, sitemaps, errors };
+}
+
+/**
+ * Finds the rules that apply to a user agent
+ * The group with the most specific matching user-agent wins, falling back to "*"
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} userAgent - Crawler user-agent token, e.g. "Googlebot"
+ * @returns {Object} Matched user-agent, rules and crawl delay
+ */
+export function getRulesForAgent(robots, userAgent) {
+  const agent = userAgent.toLowerCase();
+  let matchedAgent = null;
+
+  robots.groups.forEach((group) => {
+    group.userAgents.forEach((name) => {
+      if (name !== '*' && agent.startsWith(name) && (!matchedAgent || name.length > matchedAgent.length)) {
+        matchedAgent = name;
+      }
+    });
+  });
+
+  if (!matchedAgent && robots.groups.some((group) => group.userAgents.includes('*'))) {
+    matchedAgent = '*';
+  }
+
+  const groups = robots.groups.filter((group) => group.userAgents.includes(matchedAgent));
+  const crawlDelays = groups.map((group) => group.crawlDelay).filter((delay) => delay !== null);
+
+  return {
+    userAgent: matchedAgent,
+    rules: groups.flatMap((group) => group.rules),
+    crawlDelay: crawlDelays.length > 0 ? crawlDelays[0] : null
+  };
+}
+
+/**
+ * Checks whether a URL may be crawled by a user agent
+ * The longest matching rule wins; on a tie Allow wins over Disallow
+ * @param {Object} robots - Parsed robots.txt
+ * @param {string} url - Absolute URL or path to check
+ * @param {string} userAgent - Crawler user-agent token
+ * @returns {Object} Whether the URL is allowed, and the deciding rule if any
+ */
+export function isAllowedByRobots(robots, url, userAgent) {
+  const parsed = new URL(url, 'http://robots.invalid');
+  const target = normalizePath(parsed.pathname + parsed.search);
+  const { userAgent: matchedAgent, rules } = getRulesForAgent(robots, userAgent);
+
+  let decidingRule = null;
+  rules.forEach((rule) => {
+    if (!matchesRobotsPattern(rule.path, target)) return;
+    if (
+      !decidingRule ||
+      rule.path.length > decidingRule.path.length ||
+      (rule.path.length === decidingRule.path.length && rule.type === 'allow')
+    ) {
+      decidingRule = rule;
+    }
+  });
+
+  return {
+    allowed: !decidingRule || decidingRule.type === 'allow',
+    userAgent: matchedAgent,
+    rule: decidingRule
+  };
+}
+
+/**
+ * Evaluates robots.txt for the analyzed page and the CSS and JavaScript it loads
+ * Like search engines, a 4xx response is treated as "no restrictions", while a 5xx, 429
+ * or network error is treated as "everything disallowed"
+ * @param {Object|null} robotsTxt - robots.txt file from getSEOFiles, or null when not fetched
+ * @param {string} pageUrl - URL of the analyzed page
+ * @param {Array<string>} resourceUrls - Absolute URLs of the page's scripts and stylesheets
+ * @param {Object} options - Analysis options
+ * @returns {Object} Availability, parsed robots.txt, per-agent verdicts, blocked resources and issues
+ */
+export function analyzeRobotsTxt(robotsTxt, pageUrl, resourceUrls = [], options = {}) {
+  const userAgents = options.robotsUserAgents || DEFAULT_ROBOTS_USER_AGENTS;
+  const issues = [];
+  const availability = getAvailability(robotsTxt);
+  const empty = {
+    found: false,
+    availability,
+    status: robotsTxt?.status ?? null,
+    groups: [],
+    sitemaps: [],
+    errors: [],
+    agents: {},
+    blockedResources: []
+  };
+
+  if (!robotsTxt) {
+    return { ...empty, issues };
+  }
+
+  if (availability === 'not-found') {
+    const missing = robotsTxt.status === 404 || robotsTxt.status === 410;
+    issues.push(createIssue({
+      id: missing ? 'indexing/robots-txt-missing' : 'indexing/robots-txt-client-error',
+      severity: missing ? SEVERITY.NOTICE : SEVERITY.WARNING,
+      category: CATEGORY.INDEXING,
+      message: missing
+        ? 'No robots.txt file was found'
+        : `robots.txt returned ${robotsTxt.error || `HTTP ${robotsTxt.status}`}; crawlers treat this as no restrictions`,
+      element: robotsTxt.url,
+      fix: missing
+        ? 'Add a robots.txt file, optionally listing your sitemaps'
+        : 'Serve robots.txt with a 200 status, or a 404 if the site has no crawl restrictions'
+    }));
+    return { ...empty, issues };
+  }
+
+  if (availability === 'unreachable') {
+    issues.push(createIssue({
+      id: 'indexing/robots-txt-unreachable',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.INDEXING,
+      message: `robots.txt returned ${robotsTxt.error || `HTTP ${robotsTxt.status}`}; crawlers treat the whole site as disallowed until it is reachable`,
+      element: robotsTxt.url,
+      fix: 'Make robots.txt respond with 200, or with 404 if the site has no crawl restrictions'
+    }));
+    userAgents.forEach((userAgent) => {
+      empty.agents[userAgent] = { allowed: false, userAgent: null, rule: null, crawlDelay: null };
+    });
+    return { ...empty, issues };
+  }
+
+  if (robotsTxt.contentType && !/^text\/plain/i.test(robotsTxt.contentType)) {
+    issues.push(createIssue({
+      id: 'indexing/robots-txt-content-type',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.INDEXING,
+      message: `robots.txt is served as ${robotsTxt.contentType}`,
+      element: robotsTxt.url,
+      fix: 'Serve robots.txt as text/plain'
+    }));
+  }
+
+  if (robotsTxt.size > ROBOTS_MAX_BYTES) {
+    issues.push(createIssue({
+      id: 'indexing/robots-txt-too-large',
+      category: CATEGORY.INDEXING,
+      message: `robots.txt is ${(robotsTxt.size / 1024).toFixed(0)} KB; rules after the first 500 KB are ignored`,
+      element: robotsTxt.url,
+      fix: 'Shorten robots.txt, for example by merging rules with wildcards'
+    }));
+  }
+
+  const robots = parseRobotsTxt(robotsTxt.content);
+  const origin = new URL(pageUrl).origin;
+
+  robots.errors.forEach((error) => {
+    issues.push(createIssue({
+      id: 'indexing/robots-txt-syntax',
+      severity: SEVERITY.WARNING,
+      category: CATEGORY.INDEXING,
+      message: `robots.txt line ${error.line}: ${error.message}`,
+      element: robotsTxt.url,
+      fix: 'Fix the robots.txt line; crawlers ignore lines they cannot parse'
+    }));
+  });
+
+  const agents = {};
+  userAgents.forEach((userAgent) => {
+    const { crawlDelay } = getRulesForAgent(robots, userAgent);
+    const verdict = isAllowedByRobots(robots, pageUrl, userAgent);
+    agents[userAgent] = { ...verdict, crawlDelay };
+
+    if (!verdict.allowed) {
+      issues.push(createIssue({
+        id: 'indexing/blocked-by-robots',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.INDEXING,
+        message: `robots.txt blocks ${userAgent} from crawling this page (line ${verdict.rule.line}: Disallow: ${verdict.rule.path})`,
+        element: robotsTxt.url,
+        fix: 'Remove or narrow the Disallow rule if the page should appear in search results'
+      }));
+    }
+  });
+
+  // robots.txt only governs resources on its own origin
+  const blockedResources = [];
+  [...new Set(resourceUrls)]
+    .filter((resourceUrl) => new URL(resourceUrl).origin === origin)
+    .forEach((resourceUrl) => {
+      const blockedFor = userAgents.filter((userAgent) => !isAllowedByRobots(robots, resourceUrl, userAgent).allowed);
+      if (blockedFor.length === 0) return;
+
+      blockedResources.push({ url: resourceUrl, userAgents: blockedFor });
+      issues.push(createIssue({
+        id: 'indexing/blocked-resource',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.INDEXING,
+        message: `robots.txt blocks ${blockedFor.join(', ')} from a resource the page needs to render`,
+        element: resourceUrl,
+        fix: 'Allow crawlers to fetch the CSS and JavaScript needed to render the page'
+      }));
+    });
+
+  return {
+    found: true,
+    availability,
+    status: robotsTxt.status,
+    groups: robots.groups,
+    sitemaps: robots.sitemaps,
+    errors: robots.errors,
+    agents,
+    blockedResources,
+    issues
+  };
+}
+
+/**
+ * Classifies a fetched robots.txt the way search engines do
+ * @param {Object|null} robotsTxt - robots.txt file from getSEOFiles
+ * @returns {string|null} 'available', 'not-found', 'unreachable', or null when not fetched
+ */
+function getAvailability(robotsTxt) {
+  if (!robotsTxt) return null;
+  const { status } = robotsTxt;
+  if (status >= 200 && status < 300) return 'available';
+  // Too many redirects ends on a 3xx status and counts as not found
+  if (status === 429 || status >= 500 || status === null) return 'unreachable';
+  return 'not-found';
+}
+
+/**
+ * Matches a robots.txt path pattern, where "*" matches any characters and a trailing "$" anchors the end
+ * @param {string} pattern - Allow or Disallow path
+ * @param {string} target - Path and query of the URL
+ * @returns {boolean} True when the pattern matches
+ */
+function matchesRobotsPattern(pattern, target) {
+  const anchored = pattern.endsWith('$');
+  const body = normalizePath(anchored ? pattern.slice(0, -1) : pattern);
+  const regex = body
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(target);
+}
+
+// Decodes percent-encoded characters that do not need encoding, so /caf%C3%A9 and /café compare equal
+function normalizePath(value) {
+  try {
+    return encodeURI(decodeURI(value));
+  } catch (e) {
+    return value;
+  }
+}
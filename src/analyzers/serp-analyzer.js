@@ -0,0 +1,217 @@
+/**
+ * This is the SERP Analyzer
+ * It measures the title and meta description in pixels, predicts how search engines
+ * truncate them on desktop and mobile, and builds the data for a search-result preview
+ */
+
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { measureTextWidth, truncateToWidth } from '../utils/font-metrics.js';
+
+// Font sizes and available widths of search results, in pixels
+export const SERP_LIMITS = {
+  titleFontSize: 20,
+  descriptionFontSize: 14,
+  desktop: { titleWidth: 600, descriptionWidth: 920 },
+  mobile: { titleWidth: 660, descriptionWidth: 680 }
+};
+
+const DEVICES = ['desktop', 'mobile'];
+
+// Separators that set a brand name apart from the rest of the title
+const BRAND_SEPARATOR = /\s+(?:[|\-–—:•·»]|::)\s+/g;
+
+// Words that repeat naturally and are not counted as duplicates
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'by', 'for', 'from', 'in', 'is', 'of', 'on', 'or', 'our', 'the', 'to', 'with', 'your'
+]);
+
+/**
+ * Analyzes how the title and meta description appear in search results
+ * @param {Document} document - The DOM document
+ * @param {string} pageUrl - URL of the page
+ * @param {Object} options - Analysis options, with width overrides under `serp`
+ * @returns {Object} Title and description measurements, per-device truncation, display URL and issues
+ */
+export function analyzeSerp(document, pageUrl, options = {}) {
+  const limits = {
+    ...SERP_LIMITS,
+    ...options.serp,
+    desktop: { ...SERP_LIMITS.desktop, ...options.serp?.desktop },
+    mobile: { ...SERP_LIMITS.mobile, ...options.serp?.mobile }
+  };
+  const issues = [];
+
+  // <title> elements inside inline SVG name the graphic, not the page
+  const titleElements = Array.from(document.querySelectorAll('title')).filter((element) => !element.closest('svg'));
+  const titleText = normalizeText(titleElements[0]?.textContent || '');
+  const descriptionElements = document.querySelectorAll('meta[name="description" i]');
+  const descriptionText = normalizeText(descriptionElements[0]?.getAttribute('content') || '');
+
+  const title = {
+    ...measure(titleText, limits, 'title'),
+    count: titleElements.length,
+    brandSuffix: getBrandSuffix(titleText, document),
+    duplicateWords: getDuplicateWords(titleText)
+  };
+  const description = {
+    ...measure(descriptionText, limits, 'description'),
+    count: descriptionElements.length
+  };
+
+  if (!title.text) {
+    issues.push(createIssue({
+      id: 'meta/title-missing',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.META,
+      message: title.count === 0 ? 'Page has no title' : 'Page title is empty',
+      element: 'title',
+      fix: 'Add a unique, descriptive <title> element'
+    }));
+  }
+
+  if (title.count > 1) {
+    issues.push(createIssue({
+      id: 'meta/title-multiple',
+      category: CATEGORY.META,
+      message: `Page has ${title.count} <title> elements; search engines use only one of them`,
+      element: 'title',
+      fix: 'Keep a single <title> element in the <head>'
+    }));
+  }
+
+  const titleIssue = getTruncationIssue('title', title, limits);
+  if (titleIssue) issues.push(titleIssue);
+
+  if (title.duplicateWords.length > 0) {
+    issues.push(createIssue({
+      id: 'meta/title-duplicate-words',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.META,
+      message: `Title repeats ${title.duplicateWords.map((word) => `"${word}"`).join(', ')}`,
+      element: 'title',
+      fix: 'Use each word once and spend the space on other relevant terms'
+    }));
+  }
+
+  if (title.brandSuffix && title.desktop.truncated) {
+    const suffixWidth = measureTextWidth(title.brandSuffix.separator + title.brandSuffix.brand, limits.titleFontSize);
+    issues.push(createIssue({
+      id: 'meta/title-brand-suffix',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.META,
+      message: `Brand suffix "${title.brandSuffix.brand}" uses ${suffixWidth}px of a title that is already truncated`,
+      element: 'title',
+      fix: 'Drop or shorten the brand suffix on long titles; search engines show the site name separately'
+    }));
+  }
+
+  if (!description.text) {
+    issues.push(createIssue({
+      id: 'meta/description-missing',
+      category: CATEGORY.META,
+      message: 'Page has no meta description',
+      element: 'meta[name="description"]',
+      fix: 'Add a meta description summarizing the page content'
+    }));
+  }
+
+  if (description.count > 1) {
+    issues.push(createIssue({
+      id: 'meta/description-multiple',
+      category: CATEGORY.META,
+      message: `Page has ${description.count} meta descriptions`,
+      element: 'meta[name="description"]',
+      fix: 'Keep a single meta description'
+    }));
+  }
+
+  const descriptionIssue = getTruncationIssue('description', description, limits);
+  if (descriptionIssue) issues.push(descriptionIssue);
+
+  return {
+    title,
+    description,
+    displayUrl: getDisplayUrl(pageUrl),
+    limits,
+    issues
+  };
+}
+
+// Helper functions
+
+function normalizeText(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function measure(text, limits, field) {
+  const fontSize = limits[`${field}FontSize`];
+  const devices = {};
+  DEVICES.forEach((device) => {
+    const maxWidth = limits[device][`${field}Width`];
+    devices[device] = { maxWidth, ...truncateToWidth(text, maxWidth, fontSize) };
+  });
+
+  return {
+    text,
+    length: text.length,
+    pixelWidth: measureTextWidth(text, fontSize),
+    ...devices
+  };
+}
+
+function getTruncationIssue(field, measured, limits) {
+  const truncatedOn = DEVICES.filter((device) => measured[device].truncated);
+  if (!measured.text || truncatedOn.length === 0) return null;
+
+  const label = field === 'title' ? 'Title' : 'Meta description';
+  const widths = truncatedOn.map((device) => `${limits[device][`${field}Width`]}px on ${device}`).join(', ');
+  const cutOff = measured[truncatedOn[0]].cutOff;
+
+  return createIssue({
+    id: `meta/${field}-truncated`,
+    severity: truncatedOn.includes('desktop') ? SEVERITY.WARNING : SEVERITY.NOTICE,
+    category: CATEGORY.META,
+    message: `${label} is ${measured.pixelWidth}px wide and gets cut off (${widths}), hiding "${cutOff}"`,
+    element: field === 'title' ? 'title' : 'meta[name="description"]',
+    fix: `Shorten the ${field === 'title' ? 'title' : 'description'} and put the most important words first`
+  });
+}
+
+function getBrandSuffix(title, document) {
+  const separators = [...title.matchAll(BRAND_SEPARATOR)];
+  if (separators.length === 0) return null;
+
+  const separator = separators[separators.length - 1];
+  const brand = title.slice(separator.index + separator[0].length);
+  const siteName = normalizeText(
+    document.querySelector('meta[property="og:site_name"]')?.getAttribute('content') ||
+    document.querySelector('meta[name="application-name"]')?.getAttribute('content') ||
+    ''
+  );
+
+  // Without a declared site name, a short last segment is taken to be the brand
+  if (siteName ? brand.toLowerCase() !== siteName.toLowerCase() : brand.split(' ').length > 3) {
+    return null;
+  }
+
+  return { brand, separator: separator[0] };
+}
+
+function getDuplicateWords(title) {
+  const counts = new Map();
+  (title.toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word))
+    .forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+
+  return [...counts].filter(([, count]) => count > 1).map(([word]) => word);
+}
+
+function getDisplayUrl(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+    const segments = url.pathname.split('/').filter(Boolean).map((segment) => decodeURIComponent(segment));
+    return [url.host, ...segments].join(' › ');
+  } catch (e) {
+    return pageUrl;
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * This is the Sitemap Analyzer
+ * It discovers sitemaps from robots.txt, follows sitemap indexes, decompresses gzip files
+ * and validates every sitemap against the sitemaps.org protocol
+ */
+
+import zlib from 'zlib';
+import { JSDOM } from 'jsdom';
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { fetchResource } from '../utils/http.js';
+
+const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+const IMAGE_NAMESPACE = 'http://www.google.com/schemas/sitemap-image/1.1';
+const VIDEO_NAMESPACE = 'http://www.google.com/schemas/sitemap-video/1.1';
+const NEWS_NAMESPACE = 'http://www.google.com/schemas/sitemap-news/0.9';
+
+// Protocol limits per sitemap file
+export const SITEMAP_LIMITS = {
+  maxUrls: 50000,
+  maxBytes: 50 * 1024 * 1024
+};
+
+const DEFAULT_SITEMAP_OPTIONS = {
+  maxSitemaps: 50,
+  // URL entries kept in the results; every URL is still counted and matched against the page
+  maxUrls: SITEMAP_LIMITS.maxUrls
+};
+
+const CHANGE_FREQUENCIES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+// W3C Datetime: YYYY, YYYY-MM, YYYY-MM-DD, or a date with hh:mm[:ss[.s]] and a time zone
+const W3C_DATETIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+/**
+ * Discovers, fetches and validates the sitemaps of a site
+ * Sitemaps listed in robots.txt are used when present, otherwise /sitemap.xml is tried.
+ * The sitemaps of an origin are fetched once per cache, so the pages of a crawl share them
+ * @param {Array<string>} robotsSitemaps - Sitemap URLs from robots.txt Sitemap lines
+ * @param {string} pageUrl - URL of the analyzed page
+ * @param {Object} options - Analysis options, with sitemap settings under `sitemap`
+ * @param {Map} [options.sitemapCache] - Sitemaps by origin, shared between the pages of a run
+ * @returns {Promise<Object>} Promise resolving to sitemaps, the URLs found (the first `sitemap.maxUrls`,
+ * with `urlsTruncated` set when there are more) and their count, extension counts and issues
+ */
+export async function analyzeSitemaps(robotsSitemaps, pageUrl, options = {}) {
+  const cache = options.sitemapCache || new Map();
+  const origin = new URL(pageUrl).origin;
+  if (!cache.has(origin)) cache.set(origin, readSitemaps(robotsSitemaps, pageUrl, options));
+  const { listedUrls, ...site } = await cache.get(origin);
+
+  const issues = [...site.issues];
+  const pageListed = listedUrls.has(normalizeUrl(pageUrl));
+  if (site.found && !pageListed) {
+    issues.push(createIssue({
+      id: 'sitemap/page-not-listed',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.INDEXING,
+      message: 'The analyzed page is not listed in any sitemap',
+      element: pageUrl,
+      fix: 'List every indexable page in the sitemap'
+    }));
+  }
+
+  return {
+    ...site,
+    pageListed,
+    issues
+  };
+}
+
+/**
+ * Fetches a sitemap, decompressing gzip files
+ * @param {string} url - Sitemap URL
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} Promise resolving to the status, content type, redirect chain,
+ * byte size and uncompressed size of the sitemap with its XML, or an error
+ */
+export async function fetchSitemap(url, options = {}) {
+  const { body, ...file } = await fetchResource(url, options);
+  if (file.error) {
+    return file;
+  }
+
+  const compressed = body[0] === 0x1f && body[1] === 0x8b;
+  if (!compressed) {
+    return { ...file, compressed, uncompressedSize: body.length, xml: body.toString('utf8') };
+  }
+
+  try {
+    const xml = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_LIMITS.maxBytes + 1 });
+    return { ...file, compressed, uncompressedSize: xml.length, xml: xml.toString('utf8') };
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return { ...file, compressed, uncompressedSize: SITEMAP_LIMITS.maxBytes + 1, xml: '' };
+    }
+    return { ...file, compressed, error: `Invalid gzip data (${error.message})` };
+  }
+}
+
+/**
+ * Parses and validates a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @param {string} sitemapUrl - URL the sitemap was fetched from
+ * @returns {Object} Sitemap type, URL entries, child sitemaps and issues
+ */
+export function parseSitemap(xml, sitemapUrl) {
+  const issues = [];
+  const result = { type: null, urls: [], sitemaps: [], issues };
+  const addSitemapIssue = (id, message, fix, severity = SEVERITY.WARNING) => {
+    issues.push(createIssue({ id, severity, category: CATEGORY.INDEXING, message, element: sitemapUrl, fix }));
+  };
+
+  if (!xml.trim()) {
+    return result;
+  }
+
+  let document;
+  try {
+    ({ document } = new JSDOM(xml, { contentType: 'text/xml' }).window);
+  } catch (error) {
+    addSitemapIssue('sitemap/invalid-xml', `Sitemap is not well-formed XML: ${error.message}`,
+      'Fix the XML syntax; search engines reject malformed sitemaps', SEVERITY.ERROR);
+    return result;
+  }
+
+  const root = document.documentElement;
+  if (!root || !['urlset', 'sitemapindex'].includes(root.localName)) {
+    addSitemapIssue('sitemap/invalid-root', `Sitemap root element is <${root?.localName}> instead of <urlset> or <sitemapindex>`,
+      'Use a <urlset> or <sitemapindex> root element', SEVERITY.ERROR);
+    return result;
+  }
+
+  result.type = root.localName;
+  if (root.namespaceURI !== SITEMAP_NAMESPACE) {
+    addSitemapIssue('sitemap/invalid-namespace', `Sitemap uses namespace "${root.namespaceURI || 'none'}"`,
+      `Declare xmlns="${SITEMAP_NAMESPACE}" on the root element`);
+  }
+
+  // Entries are still read when the namespace is wrong, so their other problems are reported too
+  const namespace = root.namespaceURI;
+  const entryName = result.type === 'urlset' ? 'url' : 'sitemap';
+  const entries = childElements(root, entryName, namespace);
+  const problems = {};
+  const recordProblem = (rule, example) => {
+    problems[rule] = problems[rule] || { count: 0, example };
+    problems[rule].count++;
+  };
+
+  const origin = new URL(sitemapUrl).origin;
+  entries.forEach((entry) => {
+    const loc = childText(entry, 'loc', namespace);
+    const lastmod = childText(entry, 'lastmod', namespace);
+
+    if (!loc) {
+      recordProblem('missing-loc', `<${entryName}> without <loc>`);
+      return;
+    }
+
+    let locUrl;
+    try {
+      locUrl = new URL(loc);
+    } catch (e) {
+      recordProblem('invalid-loc', loc);
+      return;
+    }
+    if (result.type === 'urlset' && locUrl.origin !== origin) {
+      recordProblem('url-origin-mismatch', loc);
+    }
+    if (lastmod && !W3C_DATETIME.test(lastmod)) {
+      recordProblem('invalid-lastmod', `${lastmod} (${loc})`);
+    }
+
+    if (result.type === 'sitemapindex') {
+      result.sitemaps.push({ loc, lastmod });
+      return;
+    }
+
+    const changefreq = childText(entry, 'changefreq', namespace);
+    const priority = childText(entry, 'priority', namespace);
+    if (changefreq && !CHANGE_FREQUENCIES.includes(changefreq)) {
+      recordProblem('invalid-changefreq', `${changefreq} (${loc})`);
+    }
+    if (priority && !(/^(0(\.\d+)?|1(\.0+)?)$/.test(priority))) {
+      recordProblem('invalid-priority', `${priority} (${loc})`);
+    }
+
+    result.urls.push({
+      loc,
+      lastmod,
+      changefreq,
+      priority: priority ? Number(priority) : null,
+      images: childElements(entry, 'image', IMAGE_NAMESPACE)
+        .map((image) => childText(image, 'loc', IMAGE_NAMESPACE))
+        .filter(Boolean),
+      videos: childElements(entry, 'video', VIDEO_NAMESPACE).map((video) => ({
+        title: childText(video, 'title', VIDEO_NAMESPACE),
+        thumbnailLoc: childText(video, 'thumbnail_loc', VIDEO_NAMESPACE),
+        contentLoc: childText(video, 'content_loc', VIDEO_NAMESPACE),
+        playerLoc: childText(video, 'player_loc', VIDEO_NAMESPACE)
+      })),
+      news: getNewsEntry(entry)
+    });
+  });
+
+  const messages = {
+    'missing-loc': ['entries have no <loc>', 'Give every entry a <loc> with an absolute URL'],
+    'invalid-loc': ['entries have a <loc> that is not an absolute URL', 'Use absolute URLs including the protocol'],
+    'url-origin-mismatch': ['URLs are on a different origin than the sitemap', 'List only URLs from the sitemap\'s own protocol and host'],
+    'invalid-lastmod': ['entries have a <lastmod> that is not in W3C Datetime format', 'Use YYYY-MM-DD or a full timestamp such as 2024-05-01T10:00:00+00:00'],
+    'invalid-changefreq': ['entries have an invalid <changefreq>', `Use one of ${CHANGE_FREQUENCIES.join(', ')}`],
+    'invalid-priority': ['entries have a <priority> outside 0.0 to 1.0', 'Use a priority between 0.0 and 1.0']
+  };
+  Object.entries(problems).forEach(([rule, { count, example }]) => {
+    addSitemapIssue(`sitemap/${rule}`, `${count} ${messages[rule][0]}, e.g. ${example}`, messages[rule][1]);
+  });
+
+  if (entries.length > SITEMAP_LIMITS.maxUrls) {
+    addSitemapIssue('sitemap/too-many-urls', `Sitemap lists ${entries.length} entries, above the 50,000 limit`,
+      'Split the sitemap into several files listed in a sitemap index', SEVERITY.ERROR);
+  }
+  if (entries.length === 0) {
+    addSitemapIssue('sitemap/empty', `Sitemap has no <${entryName}> entries`, 'List the pages of the site in the sitemap');
+  }
+
+  return result;
+}
+
+// Helper functions
+
+// Fetches every sitemap of the site; the parts of the result that do not depend on the page
+async function readSitemaps(robotsSitemaps, pageUrl, options) {
+  const sitemapOptions = { ...DEFAULT_SITEMAP_OPTIONS, ...options.sitemap };
+  const discoveredFrom = robotsSitemaps.length > 0 ? 'robots.txt' : 'default';
+  const queue = (robotsSitemaps.length > 0 ? robotsSitemaps : [new URL('/sitemap.xml', pageUrl).href])
+    .map((url) => ({ url, fromIndex: false }));
+
+  const visited = new Set();
+  const sitemaps = [];
+  const issues = [];
+  // Entries past maxUrls are only counted, as a sitemap index can list millions of URLs
+  const listedUrls = new Set();
+  const urls = [];
+  const extensions = { images: 0, videos: 0, news: 0 };
+  let urlCount = 0;
+
+  while (queue.length > 0 && sitemaps.length < sitemapOptions.maxSitemaps) {
+    const { url: sitemapUrl, fromIndex } = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    const sitemap = await fetchSitemap(sitemapUrl, options);
+    if (sitemap.error) {
+      sitemaps.push(sitemap);
+      issues.push(createIssue({
+        id: 'sitemap/unreachable',
+        severity: discoveredFrom === 'robots.txt' ? SEVERITY.ERROR : SEVERITY.WARNING,
+        category: CATEGORY.INDEXING,
+        message: `Sitemap could not be fetched: ${sitemap.error}`,
+        element: sitemapUrl,
+        fix: discoveredFrom === 'robots.txt'
+          ? 'Fix the Sitemap URL in robots.txt or publish the sitemap'
+          : 'Publish a sitemap and reference it from robots.txt with a Sitemap line'
+      }));
+      continue;
+    }
+
+    const parsed = parseSitemap(sitemap.xml, sitemapUrl);
+    const { xml, ...fetched } = sitemap;
+    sitemaps.push({ ...fetched, type: parsed.type, urlCount: parsed.urls.length, childSitemaps: parsed.sitemaps.length });
+    issues.push(...parsed.issues);
+
+    if (sitemap.uncompressedSize > SITEMAP_LIMITS.maxBytes) {
+      issues.push(createIssue({
+        id: 'sitemap/too-large',
+        severity: SEVERITY.ERROR,
+        category: CATEGORY.INDEXING,
+        message: `Sitemap is ${(sitemap.uncompressedSize / 1024 / 1024).toFixed(1)} MB uncompressed, above the 50 MB limit`,
+        element: sitemapUrl,
+        fix: 'Split the sitemap into several files listed in a sitemap index'
+      }));
+    }
+
+    if (parsed.type === 'sitemapindex') {
+      if (fromIndex) {
+        issues.push(createIssue({
+          id: 'sitemap/nested-index',
+          category: CATEGORY.INDEXING,
+          message: 'Sitemap index is listed inside another sitemap index',
+          element: sitemapUrl,
+          fix: 'List only urlset sitemaps in a sitemap index'
+        }));
+      }
+      queue.push(...parsed.sitemaps.map((child) => ({ url: child.loc, fromIndex: true })));
+    }
+    parsed.urls.forEach((entry) => {
+      urlCount++;
+      listedUrls.add(normalizeUrl(entry.loc));
+      if (urls.length < sitemapOptions.maxUrls) urls.push(entry);
+      extensions.images += entry.images.length;
+      extensions.videos += entry.videos.length;
+      if (entry.news) extensions.news++;
+    });
+  }
+
+  if (queue.some((entry) => !visited.has(entry.url))) {
+    issues.push(createIssue({
+      id: 'sitemap/not-all-checked',
+      severity: SEVERITY.NOTICE,
+      category: CATEGORY.INDEXING,
+      message: `Only the first ${sitemapOptions.maxSitemaps} sitemaps were checked`,
+      fix: 'Raise sitemap.maxSitemaps to check every sitemap'
+    }));
+  }
+
+  return {
+    found: sitemaps.some((sitemap) => !sitemap.error),
+    discoveredFrom,
+    sitemaps,
+    urls,
+    urlCount,
+    urlsTruncated: urlCount > urls.length,
+    listedUrls,
+    extensions,
+    issues
+  };
+}
+
+function getNewsEntry(entry) {
+  const news = childElements(entry, 'news', NEWS_NAMESPACE)[0];
+  if (!news) return null;
+
+  const publication = childElements(news, 'publication', NEWS_NAMESPACE)[0];
+  return {
+    publicationName: publication ? childText(publication, 'name', NEWS_NAMESPACE) : null,
+    language: publication ? childText(publication, 'language', NEWS_NAMESPACE) : null,
+    publicationDate: childText(news, 'publication_date', NEWS_NAMESPACE),
+    title: childText(news, 'title', NEWS_NAMESPACE)
+  };
+}
+
+function childElements(element, localName, namespace) {
+  return Array.from(element.children).filter(
+    (child) => child.localName === localName && child.namespaceURI === namespace
+  );
+}
+
+function childText(element, localName, namespace) {
+  const child = childElements(element, localName, namespace)[0];
+  const text = child?.textContent.trim();
+  return text || null;
+}
+
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+  } catch (e) {
+    return url;
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * This is the Soft-404 Analyzer
+ * It checks that the server answers missing pages with 404 or 410, and whether the
+ * analyzed page itself looks like an error page served with a 200 status
+ */
+
+import crypto from 'crypto';
+import { createDOM } from './html-analyzer.js';
+import { createIssue, SEVERITY, CATEGORY } from '../utils/issues.js';
+import { fetchResource } from '../utils/http.js';
+
+const DEFAULT_SOFT_404_OPTIONS = {
+  probe: true,
+  minWords: 50
+};
+
+const MISSING_PAGE_STATUSES = [404, 410];
+
+// Phrasing error pages use in their title or main heading
+const ERROR_PAGE_PATTERNS = [
+  /\b404\b/,
+  /\bnot found\b/i,
+  /\bpage (?:does not|doesn't) exist\b/i,
+  /\b(?:can't|cannot|could not|couldn't) (?:be )?f(?:ou|i)nd\b/i,
+  /\bno longer (?:available|exists)\b/i,
+  /\bpage (?:is )?(?:missing|unavailable)\b/i,
+  /\boops\b/i
+];
+
+/**
+ * Checks how the site handles missing pages
+ * @param {Document} document - The DOM document, rendered when a browser was used
+ * @param {Object} page - Page details
+ * @param {string} page.url - URL of the page
+ * @param {number|null} [page.statusCode] - HTTP status of the page, when known
+ * @param {Object} options - Analysis options, with soft-404 settings under `soft404`
+ * @returns {Promise<Object>} Promise resolving to the missing-page probe, the page verdict and issues
+ */
+export async function analyzeSoft404(document, page, options = {}) {
+  const soft404Options = { ...DEFAULT_SOFT_404_OPTIONS, ...options.soft404 };
+  const { url, statusCode = null } = page;
+  const issues = [];
+
+  const errorPage = detectErrorPage(document, soft404Options);
+  const likelySoft404 = statusCode !== null && statusCode >= 200 && statusCode < 300 && errorPage.looksLikeErrorPage;
+  if (likelySoft404) {
+    issues.push(createIssue({
+      id: 'indexing/soft-404',
+      category: CATEGORY.INDEXING,
+      message: `Page returns ${statusCode} but looks like an error page: ${errorPage.reasons.join('; ')}`,
+      element: url,
+      fix: 'Return 404 or 410 for missing content, or add real content if the page should exist'
+    }));
+  }
+
+  let probe = null;
+  if (soft404Options.probe && !options.offline) {
+    probe = await probeMissingPage(url, options);
+    issues.push(...getProbeIssues(probe));
+  }
+
+  return {
+    probe,
+    page: { statusCode, likelySoft404, ...errorPage },
+    issues
+  };
+}
+
+/**
+ * Requests a random path that cannot exist on the page's origin
+ * @param {string} pageUrl - URL of a page on the site
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} Promise resolving to the probed URL, final URL, status, redirects,
+ * whether the response looks like an error page, and any network error
+ */
+export async function probeMissingPage(pageUrl, options = {}) {
+  const probeUrl = new URL(`/seo-info-missing-${crypto.randomBytes(8).toString('hex')}`, pageUrl).href;
+  const response = await fetchResource(probeUrl, {
+    timeout: options.timeout,
+    userAgent: options.userAgent,
+    maxRedirects: 5
+  });
+
+  const isHtml = /html/i.test(response.contentType || '');
+  return {
+    url: probeUrl,
+    finalUrl: response.finalUrl,
+    status: response.status,
+    redirects: response.redirects,
+    looksLikeErrorPage: isHtml && response.body
+      ? detectErrorPage(createDOM(response.body.toString('utf8')).document).looksLikeErrorPage
+      : null,
+    error: response.status === null ? response.error : null
+  };
+}
+
+/**
+ * Looks for the signs of an error page: "not found" phrasing in the title or h1,
+ * or thin text that mentions an error
+ * @param {Document} document - The DOM document
+ * @param {Object} [options] - Soft-404 settings
+ * @param {number} [options.minWords] - Word count below which text counts as thin
+ * @returns {Object} Whether the page looks like an error page, the reasons, and the word count
+ */
+export function detectErrorPage(document, options = {}) {
+  const minWords = options.minWords ?? DEFAULT_SOFT_404_OPTIONS.minWords;
+  const title = document.querySelector('title')?.textContent.trim() || '';
+  const h1 = document.querySelector('h1')?.textContent.trim() || '';
+  const text = getVisibleText(document.body);
+  const wordCount = text ? text.split(/\s+/).length : 0;
+  const thinContent = wordCount < minWords;
+  const reasons = [];
+
+  if (matchesErrorPhrasing(title)) reasons.push(`title "${title}" reads like an error page`);
+  if (matchesErrorPhrasing(h1)) reasons.push(`h1 "${h1}" reads like an error page`);
+  if (reasons.length === 0 && thinContent && matchesErrorPhrasing(text)) {
+    reasons.push(`only ${wordCount} words of text, mentioning an error`);
+  }
+
+  return {
+    looksLikeErrorPage: reasons.length > 0,
+    reasons,
+    wordCount,
+    thinContent
+  };
+}
+
+// Helper functions
+
+function matchesErrorPhrasing(text) {
+  return ERROR_PAGE_PATTERNS.some((pattern) => pattern.test(text));
+}
+
+function getVisibleText(body) {
+  if (!body) return '';
+  const clone = body.cloneNode(true);
+  clone.querySelectorAll('script, style, noscript, template').forEach((element) => element.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+function getProbeIssues(probe) {
+  if (probe.error || MISSING_PAGE_STATUSES.includes(probe.status)) return [];
+
+  const redirected = probe.redirects.length > 0 ? ` after redirecting to ${probe.finalUrl}` : '';
+
+  if (probe.status >= 200 && probe.status < 300) {
+    return [createIssue({
+      id: 'indexing/soft-404-site',
+      severity: SEVERITY.ERROR,
+      category: CATEGORY.INDEXING,
+      message: `Non-existent URL ${probe.url} returns ${probe.status}${redirected}` +
+        (probe.looksLikeErrorPage ? ' with a "not found" page' : '') +
+        '; search engines may index missing pages as duplicates',
+      element: probe.url,
+      fix: 'Return a 404 or 410 status for unknown URLs, including from the server or edge fallback of single-page apps'
+    })];
+  }
+
+  return [createIssue({
+    id: 'indexing/missing-page-status',
+    category: CATEGORY.INDEXING,
+    message: `Non-existent URL ${probe.url} returns ${probe.status}${redirected} instead of 404 or 410`,
+    element: probe.url,
+    fix: 'Return a 404 or 410 status for unknown URLs'
+  })];
+}
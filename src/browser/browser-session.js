@@ -0,0 +1,110 @@
+/**
+ * This is the Browser Session layer
+ * It loads a page once in headless Chrome and shares the navigation, network log
+ * and DOM with every browser-based analyzer
+ */
+
+import puppeteer from 'puppeteer';
+import { resolveProfile, applyProfile } from './profiles.js';
+
+// Resource types whose bodies are buffered so their transfer size is known
+const BUFFERED_RESOURCE_TYPES = ['document', 'script', 'stylesheet'];
+
+/**
+ * Launches headless Chrome and loads the page once
+ * The page is loaded with the viewport, user agent and throttling of `options.profile` (mobile by default)
+ * @param {string} url - URL to load
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} Promise resolving to the browser session
+ */
+export async function openBrowserSession(url, options = {}) {
+  const profile = resolveProfile(options.profile, options.customProfile);
+  const browser = await puppeteer.launch({
+    headless: 'new',
+    args: ['--remote-debugging-port=0']
+  });
+
+  const session = {
+    url,
+    browser,
+    profile,
+    page: null,
+    port: Number(new URL(browser.wsEndpoint()).port),
+    networkLog: [],
+    mainResponse: null,
+    rawHtml: '',
+    renderedHtml: '',
+    close: () => browser.close()
+  };
+
+  try {
+    const page = await browser.newPage();
+    await applyProfile(page, profile);
+    const pendingBodies = [];
+
+    page.on('response', (response) => {
+      const request = response.request();
+      const entry = {
+        url: response.url(),
+        resourceType: request.resourceType(),
+        status: response.status(),
+        mimeType: response.headers()['content-type'] || null,
+        fromCache: response.fromCache(),
+        size: response.headers()['content-length']
+          ? parseInt(response.headers()['content-length'], 10)
+          : null
+      };
+      session.networkLog.push(entry);
+
+      if (BUFFERED_RESOURCE_TYPES.includes(entry.resourceType) && !isRedirect(entry.status)) {
+        pendingBodies.push(
+          response.buffer()
+            .then((buffer) => { entry.size = buffer.length; })
+            .catch((error) => {
+              console.warn(`Error getting response size for ${entry.url}: ${error.message}`);
+            })
+        );
+      }
+    });
+
+    const response = await page.goto(url, { waitUntil: 'networkidle2', timeout: options.timeout });
+    await Promise.all(pendingBodies);
+
+    session.page = page;
+    session.mainResponse = response
+      ? { url: response.url(), status: response.status(), headers: response.headers() }
+      : null;
+    session.rawHtml = response ? await response.text() : '';
+    session.renderedHtml = await page.content();
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+
+  return session;
+}
+
+/**
+ * Runs a function against a browser session, opening one for a plain URL
+ * Sessions passed in are left open for the caller; sessions opened here are closed afterwards
+ * @param {Object|string} target - Existing browser session or URL to load
+ * @param {Object} options - Analysis options
+ * @param {Function} fn - Async function receiving the session
+ * @returns {Promise<*>} Promise resolving to the function's result
+ */
+export async function withBrowserSession(target, options, fn) {
+  if (typeof target !== 'string') {
+    return fn(target);
+  }
+
+  const session = await openBrowserSession(target, options);
+  try {
+    return await fn(session);
+  } finally {
+    await session.close();
+  }
+}
+
+function isRedirect(status) {
+  return status >= 300 && status < 400;
+}
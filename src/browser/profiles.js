@@ -0,0 +1,133 @@
+/**
+ * This is the Device Profiles module
+ * It defines the mobile and desktop profiles, with their viewport, user agent and throttling, and applies
+ * a profile to a Puppeteer page and to Lighthouse so every browser-based analyzer sees the same device
+ */
+
+/**
+ * Profiles analyzed by default; the first one is the primary profile every browser-based analyzer runs on
+ */
+export const DEFAULT_PROFILES = ['mobile', 'desktop'];
+
+/**
+ * Profile names that can be used, `custom` being built from the `customProfile` option
+ */
+export const PROFILE_NAMES = ['mobile', 'desktop', 'custom'];
+
+// Lighthouse's own presets: a Moto G Power on slow 4G with 4x CPU slowdown, and a desktop on dense 4G
+const PROFILE_PRESETS = {
+  mobile: {
+    formFactor: 'mobile',
+    viewport: { width: 412, height: 823, deviceScaleFactor: 1.75, isMobile: true, hasTouch: true },
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; moto g power (2022)) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Mobile Safari/537.36',
+    throttling: {
+      rttMs: 150,
+      throughputKbps: 1638.4,
+      requestLatencyMs: 562.5,
+      downloadThroughputKbps: 1474.56,
+      uploadThroughputKbps: 675,
+      cpuSlowdownMultiplier: 4
+    }
+  },
+  desktop: {
+    formFactor: 'desktop',
+    viewport: { width: 1350, height: 940, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36',
+    throttling: {
+      rttMs: 40,
+      throughputKbps: 10240,
+      requestLatencyMs: 0,
+      downloadThroughputKbps: 0,
+      uploadThroughputKbps: 0,
+      cpuSlowdownMultiplier: 1
+    }
+  }
+};
+
+// Lighthouse's factors between simulated throttling and the request-level throttling DevTools applies
+const DEVTOOLS_RTT_FACTOR = 3.75;
+const DEVTOOLS_THROUGHPUT_FACTOR = 0.9;
+
+/**
+ * Resolves a profile name into its viewport, user agent and throttling
+ * The custom profile starts from the preset named in `customProfile.extends` (mobile by default)
+ * and overrides any of its settings
+ * @param {string} name - Profile name, one of PROFILE_NAMES
+ * @param {Object} customProfile - Settings of the custom profile
+ * @returns {Object} Profile
+ */
+export function resolveProfile(name = DEFAULT_PROFILES[0], customProfile = {}) {
+  if (!PROFILE_NAMES.includes(name)) {
+    throw new Error(`Unknown profile "${name}" (expected ${PROFILE_NAMES.join(', ')})`);
+  }
+  if (name !== 'custom') {
+    return { name, ...structuredClone(PROFILE_PRESETS[name]) };
+  }
+
+  const base = PROFILE_PRESETS[customProfile.extends] || PROFILE_PRESETS.mobile;
+  const throttling = { ...base.throttling, ...customProfile.throttling };
+  // Request-level throttling follows the simulated values unless it is given as well
+  if (customProfile.throttling?.rttMs !== undefined && customProfile.throttling.requestLatencyMs === undefined) {
+    throttling.requestLatencyMs = throttling.rttMs * DEVTOOLS_RTT_FACTOR;
+  }
+  if (customProfile.throttling?.throughputKbps !== undefined && customProfile.throttling.downloadThroughputKbps === undefined) {
+    throttling.downloadThroughputKbps = throttling.throughputKbps * DEVTOOLS_THROUGHPUT_FACTOR;
+  }
+
+  const viewport = { ...base.viewport, ...customProfile.viewport };
+  return {
+    name,
+    formFactor: customProfile.formFactor || (viewport.isMobile ? 'mobile' : 'desktop'),
+    viewport,
+    userAgent: customProfile.userAgent || base.userAgent,
+    throttling
+  };
+}
+
+/**
+ * Applies a profile's viewport, user agent, network and CPU throttling to a Puppeteer page
+ * @param {Object} page - Puppeteer page
+ * @param {Object} profile - Profile from resolveProfile
+ * @returns {Promise<void>}
+ */
+export async function applyProfile(page, profile) {
+  const { requestLatencyMs, downloadThroughputKbps, uploadThroughputKbps, cpuSlowdownMultiplier } = profile.throttling;
+
+  await page.setViewport(profile.viewport);
+  await page.setUserAgent(profile.userAgent);
+  await page.emulateNetworkConditions(requestLatencyMs > 0 || downloadThroughputKbps > 0 || uploadThroughputKbps > 0
+    ? {
+      download: downloadThroughputKbps > 0 ? (downloadThroughputKbps * 1024) / 8 : -1,
+      upload: uploadThroughputKbps > 0 ? (uploadThroughputKbps * 1024) / 8 : -1,
+      latency: requestLatencyMs
+    }
+    : null);
+  await page.emulateCPUThrottling(cpuSlowdownMultiplier > 1 ? cpuSlowdownMultiplier : null);
+}
+
+/**
+ * Lighthouse settings that emulate a profile
+ * @param {Object} profile - Profile from resolveProfile
+ * @returns {Object} Lighthouse flags for the form factor, screen emulation, user agent and throttling
+ */
+export function getLighthouseSettings(profile) {
+  const { width, height, deviceScaleFactor, isMobile } = profile.viewport;
+  return {
+    formFactor: profile.formFactor,
+    screenEmulation: { mobile: isMobile, width, height, deviceScaleFactor, disabled: false },
+    emulatedUserAgent: profile.userAgent,
+    throttling: { ...profile.throttling }
+  };
+}
+
+/**
+ * Short description of a profile for reports
+ * @param {Object} profile - Profile from resolveProfile
+ * @returns {string} Viewport, network and CPU throttling in one line
+ */
+export function describeProfile(profile) {
+  const { viewport, throttling } = profile;
+  return `${viewport.width}×${viewport.height} @${viewport.deviceScaleFactor}x, ` +
+    `${Math.round(throttling.rttMs)} ms RTT, ${(throttling.throughputKbps / 1024).toFixed(1)} Mbps, ` +
+    `${throttling.cpuSlowdownMultiplier}x CPU slowdown`;
+}
@@ -0,0 +1,228 @@
+/**
+ * This is the Site Crawler
+ * It follows same-origin links from a start URL and analyzes every page it discovers
+ */
+
+import { analyzeSEO } from '../index.js';
+import { fetchPage } from '../fetcher/page-fetcher.js';
+import { createDOM } from '../analyzers/html-analyzer.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+import { createLinkChecker, listBrokenLinks } from '../analyzers/link-checker.js';
+
+const DEFAULT_CRAWL_OPTIONS = {
+  depth: 1,
+  maxPages: 50,
+  include: [],
+  exclude: [],
+  concurrency: 2
+};
+
+/**
+ * Crawls a site starting at the given URL and analyzes each discovered page
+ * @param {string} startUrl - URL to start crawling from
+ * @param {Object} options - Analysis options, with crawl settings under `crawl`
+ * @returns {Promise<Object>} Promise resolving to per-page results and a site summary
+ */
+export async function crawlSite(startUrl, options = {}) {
+  const crawlOptions = { ...DEFAULT_CRAWL_OPTIONS, ...options.crawl };
+  const includePatterns = toPatterns(crawlOptions.include);
+  const excludePatterns = toPatterns(crawlOptions.exclude);
+  const origin = new URL(startUrl).origin;
+  // Images, links, robots.txt and sitemaps shared by the pages of the crawl are requested once
+  const pageOptions = {
+    ...options,
+    imageCache: options.imageCache || new Map(),
+    robotsCache: options.robotsCache || new Map(),
+    sitemapCache: options.sitemapCache || new Map(),
+    linkChecker: options.linkChecker || createLinkChecker(options)
+  };
+
+  const visited = new Set([normalizeUrl(startUrl)]);
+  const pages = [];
+  let queue = [{ url: startUrl, depth: 0 }];
+
+  while (queue.length > 0 && pages.length < crawlOptions.maxPages) {
+    const batch = queue.slice(0, crawlOptions.maxPages - pages.length);
+    const nextQueue = [];
+
+    const batchResults = await mapWithConcurrency(batch, crawlOptions.concurrency, (entry) =>
+      crawlPage(entry, pageOptions)
+    );
+
+    batchResults.forEach((page) => {
+      pages.push(page);
+
+      if (page.depth >= crawlOptions.depth) return;
+
+      page.links.forEach((link) => {
+        const normalized = normalizeUrl(link);
+        if (visited.has(normalized)) return;
+        if (new URL(link).origin !== origin) return;
+        if (!matchesPatterns(link, includePatterns, excludePatterns)) return;
+
+        visited.add(normalized);
+        nextQueue.push({ url: link, depth: page.depth + 1 });
+      });
+    });
+
+    queue = nextQueue;
+  }
+
+  return {
+    startUrl,
+    pages: pages.map(({ links, ...page }) => ({ ...page, linkCount: links.length })),
+    summary: summarizeCrawl(startUrl, pages)
+  };
+}
+
+/**
+ * Fetches and analyzes a single page of the crawl
+ * @param {Object} entry - Queue entry with url and depth
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} Promise resolving to the page result
+ */
+async function crawlPage(entry, options) {
+  const { url, depth } = entry;
+
+  try {
+    const page = await fetchPage(url, options);
+    if (page.error) {
+      return { url, depth, status: page.status, error: page.error, links: [] };
+    }
+
+    if (!page.isHtml) {
+      return { url, depth, status: page.status, skipped: `Not an HTML page (${page.contentType})`, links: [] };
+    }
+
+    const finalUrl = page.finalUrl;
+
+    // The missing-page probe answers the same for every page of the site, so only the start page runs it
+    const results = await analyzeSEO(page.html, {
+      ...options,
+      url,
+      fetchedPage: page,
+      soft404: { ...options.soft404, probe: depth === 0 && options.soft404?.probe !== false },
+      saveReport: false
+    });
+    const links = getPageLinks(results) || extractLinks(page.html, finalUrl);
+
+    return { url, finalUrl, depth, status: page.status, results, links };
+  } catch (error) {
+    return {
+      url,
+      depth,
+      status: null,
+      error: error.message,
+      links: []
+    };
+  }
+}
+
+/**
+ * Extracts absolute http(s) links from an HTML page
+ * @param {string} htmlContent - HTML content of the page
+ * @param {string} pageUrl - URL the page was served from
+ * @returns {Array<string>} Absolute link URLs without fragments
+ */
+export function extractLinks(htmlContent, pageUrl) {
+  const { document } = createDOM(htmlContent);
+  const baseHref = document.querySelector('base[href]')?.getAttribute('href');
+  const base = baseHref ? new URL(baseHref, pageUrl).href : pageUrl;
+  const links = new Set();
+
+  document.querySelectorAll('a[href]').forEach((anchor) => {
+    const href = anchor.getAttribute('href').trim();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return;
+
+    try {
+      const linkUrl = new URL(href, base);
+      if (linkUrl.protocol !== 'http:' && linkUrl.protocol !== 'https:') return;
+      linkUrl.hash = '';
+      links.add(linkUrl.href);
+    } catch (e) {
+      // Ignore malformed hrefs
+    }
+  });
+
+  return Array.from(links);
+}
+
+/**
+ * Builds a site-level summary from the crawled pages
+ * @param {string} startUrl - URL the crawl started from
+ * @param {Array} pages - Crawled page results
+ * @returns {Object} Site summary
+ */
+export function summarizeCrawl(startUrl, pages) {
+  const analyzedPages = pages.filter((page) => page.results);
+  const titles = {};
+  const descriptions = {};
+
+  analyzedPages.forEach((page) => {
+    const { title, description } = page.results;
+    if (title) (titles[title] = titles[title] || []).push(page.url);
+    if (description) (descriptions[description] = descriptions[description] || []).push(page.url);
+  });
+
+  const duplicates = (groups) => Object.fromEntries(
+    Object.entries(groups).filter(([_, urls]) => urls.length > 1)
+  );
+
+  return {
+    startUrl,
+    pagesCrawled: pages.length,
+    pagesAnalyzed: analyzedPages.length,
+    pagesFailed: pages.filter((page) => page.error).length,
+    pagesSkipped: pages.filter((page) => page.skipped).length,
+    maxDepthReached: pages.reduce((max, page) => Math.max(max, page.depth), 0),
+    missingTitles: analyzedPages.filter((page) => !page.results.title).map((page) => page.url),
+    missingDescriptions: analyzedPages.filter((page) => !page.results.description).map((page) => page.url),
+    nonResponsivePages: analyzedPages
+      .filter((page) => page.results.mobileFriendliness && !page.results.mobileFriendliness.isResponsive)
+      .map((page) => page.url),
+    duplicateTitles: duplicates(titles),
+    duplicateDescriptions: duplicates(descriptions),
+    brokenLinks: analyzedPages.flatMap((page) =>
+      listBrokenLinks(page.results.linkCheck).map((link) => ({ page: page.url, ...link }))
+    )
+  };
+}
+
+// Helper functions
+
+// Links of the page as the link analyzer saw them: in the rendered DOM when a browser was used, so routes
+// a single-page app renders on the client are followed too, and in the server HTML otherwise
+function getPageLinks(results) {
+  if (!results.linkAnalysis) return null;
+  const links = new Set();
+  results.linkAnalysis.links
+    .filter((link) => link.type === 'internal' || link.type === 'external')
+    .forEach((link) => {
+      const linkUrl = new URL(link.url);
+      linkUrl.hash = '';
+      links.add(linkUrl.href);
+    });
+  return Array.from(links);
+}
+
+function toPatterns(patterns) {
+  if (!patterns) return [];
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  return list.map((pattern) => (pattern instanceof RegExp ? pattern : new RegExp(pattern)));
+}
+
+function matchesPatterns(url, includePatterns, excludePatterns) {
+  if (includePatterns.length > 0 && !includePatterns.some((pattern) => pattern.test(url))) {
+    return false;
+  }
+  return !excludePatterns.some((pattern) => pattern.test(url));
+}
+
+function normalizeUrl(url) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.slice(0, -1);
+  }
+  return parsed.href;
+}
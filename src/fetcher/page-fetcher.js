@@ -0,0 +1,41 @@
+/**
+ * This is the Page Fetcher
+ * It downloads a page the way a crawler would, recording every redirect hop,
+ * the final status, the response headers and how long the response took
+ */
+
+import { fetchResource } from '../utils/http.js';
+
+/**
+ * Fetches a page over HTTP
+ * @param {string} url - URL of the page
+ * @param {Object} options - Analysis options
+ * @param {string} [options.userAgent] - User-Agent header to send
+ * @param {number} [options.timeout] - Timeout per request in milliseconds
+ * @returns {Promise<Object>} Promise resolving to the fetched page with its HTML,
+ * or with an error when no response was received
+ */
+export async function fetchPage(url, options = {}) {
+  const { body, ...response } = await fetchResource(url, {
+    timeout: options.timeout,
+    maxRedirects: options.maxRedirects,
+    userAgent: options.userAgent,
+    requestHeaders: { 'Accept': 'text/html,application/xhtml+xml,application/xml' }
+  });
+
+  return {
+    ...response,
+    isHtml: /html/i.test(response.contentType || ''),
+    html: body ? body.toString('utf8') : null
+  };
+}
+
+/**
+ * Summarizes a fetched page for the analysis results, leaving out the HTML
+ * @param {Object} page - Page from fetchPage
+ * @returns {Object} Requested and final URL, status, content type, redirects, size and timing
+ */
+export function describeFetch(page) {
+  const { html, isHtml, headers, ...summary } = page;
+  return summary;
+}
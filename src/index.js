@@ -7,7 +7,6 @@ import {
   extractCanonicalLink,
   analyzeMobileFriendliness,
   analyzeImages,
-  analyzeJSCrawlability,
   getSEOFiles
 } from './analyzers/html-analyzer.js';
 
@@ -15,13 +14,35 @@ import {
   getPerformanceMetrics,
   detectCSRorSSR,
   detectLazyLoading,
-  analyzeJavaScriptDependencies
+  analyzeJavaScriptDependencies,
+  measureImageLayout
 } from './analyzers/performance-analyzer.js';
 
 import {
   performAccessibilityAudit
 } from './analyzers/accessibility-analyzer.js';
 
+import { analyzeLocalReferences } from './analyzers/local-references-analyzer.js';
+import { analyzeRobotsTxt } from './analyzers/robots-analyzer.js';
+import { analyzeSitemaps } from './analyzers/sitemap-analyzer.js';
+import { analyzeIndexability } from './analyzers/indexability-analyzer.js';
+import { analyzeRedirects } from './analyzers/redirect-analyzer.js';
+import { analyzeSoft404 } from './analyzers/soft-404-analyzer.js';
+import { analyzeHeadings, measureHeadingVisibility } from './analyzers/heading-analyzer.js';
+import { analyzeSerp } from './analyzers/serp-analyzer.js';
+import { analyzeLinks } from './analyzers/link-analyzer.js';
+import { checkLinks } from './analyzers/link-checker.js';
+import { auditMobileLayout, analyzeMobile } from './analyzers/mobile-analyzer.js';
+import { auditInteractions, analyzeJSCrawlability } from './analyzers/crawlability-analyzer.js';
+import { diffRenderedDom } from './analyzers/render-diff-analyzer.js';
+import { analyzeLighthouseAudits } from './analyzers/lighthouse-analyzer.js';
+import { fetchPage, describeFetch } from './fetcher/page-fetcher.js';
+
+import { openBrowserSession } from './browser/browser-session.js';
+import { DEFAULT_PROFILES } from './browser/profiles.js';
+import { collectIssues, countIssuesBySeverity } from './utils/issues.js';
+import { calculateSEOScore } from './scoring/score-engine.js';
+
 // Import report generator
 import { generateReport } from './reporters/report-generator.js';
 
@@ -34,7 +55,14 @@ import { analyzeStructuredData } from './analyzers/advanced/schema-analyzer.js';
 
 /**
  * Analyze SEO aspects of a webpage
- * @param {string} htmlContent - HTML content of the page to analyze
+ * With `options.offline` only the DOM-based analyzers run: no network requests are made,
+ * no browser is started, and every skipped check is listed in `results.skippedChecks`
+ * When the page cannot be loaded in the browser, the browser-based checks are listed in `results.skippedChecks`
+ * with the error and the DOM-based analyzers still run
+ * With `options.localSite` ({ root, baseUrl }) links, assets and image sizes are resolved against local files
+ * Without HTML content the page at `options.url` is fetched first, recording redirects, status,
+ * timing and response headers; a page fetched by the caller can be passed as `options.fetchedPage`
+ * @param {string|null} htmlContent - HTML content of the page to analyze, or null to fetch it
  * @param {Object} options - Analysis options
  * @returns {Promise<Object>} Promise resolving to analysis results
  */
@@ -46,20 +74,51 @@ export async function analyzeSEO(htmlContent, options = {}) {
     thresholds: {
       largeImageSize: 100 * 1024, // 100KB
       totalJsSize: 500 * 1024, // 500KB
-      ssrContentLengthThreshold: 1000,
+      ssrTextShare: 0.5, // share of the visible text the server HTML must contain
       lazyLoadDelay: 1000, // milliseconds
     },
     reportFormat: 'json', // 'json', 'html', 'pdf'
     outputPath: './seo-report',
+    profiles: DEFAULT_PROFILES, // the first profile is the one every browser-based analyzer runs on
   };
 
   options = { ...defaultOptions, ...options };
-  const baseUrl = options.url; // Get the URL from options
-  if (!baseUrl) {
+  if (!options.url) {
     throw new Error('URL is required in options');
   }
 
-  let results = { baseUrl };
+  // Fetch the page when no HTML content is given
+  let fetchedPage = options.fetchedPage || null;
+  if (!htmlContent && !fetchedPage) {
+    fetchedPage = await fetchPage(options.url, options);
+  }
+  if (fetchedPage) {
+    if (fetchedPage.html === null) {
+      throw new Error(`Failed to fetch ${options.url}: ${fetchedPage.error}`);
+    }
+    htmlContent = htmlContent || fetchedPage.html;
+    options = {
+      ...options,
+      headers: options.headers || fetchedPage.headers,
+      statusCode: options.statusCode ?? fetchedPage.status
+    };
+  }
+
+  // Relative URLs resolve against the URL the page was finally served from
+  const baseUrl = fetchedPage?.finalUrl || options.url;
+
+  const offline = options.offline === true;
+  const skippedChecks = [];
+  const skipCheck = (check, reason) => skippedChecks.push({ check, reason });
+
+  let results = { baseUrl, offline };
+  if (fetchedPage) {
+    results.fetch = describeFetch(fetchedPage);
+    results.redirectAnalysis = analyzeRedirects(fetchedPage);
+  }
+  if (options.saveHeaders && options.headers) {
+    results.headers = options.headers;
+  }
 
   try {
     // Create DOM from HTML content
@@ -73,43 +132,157 @@ export async function analyzeSEO(htmlContent, options = {}) {
     const urlStructure = new URL(baseUrl).pathname;
 
     // Get SEO files
-    const { robotsTxt, sitemapXml } = await getSEOFiles(baseUrl, options);
-
-    // Analyze images
-    const { images, largeImages } = await analyzeImages(document, baseUrl, options);
-
-    // Analyze JS crawlability
-    const { scripts, jsCrawlabilityIssues } = analyzeJSCrawlability(document);
+    let robotsTxt = null;
+    if (offline) {
+      skipCheck('seoFiles', 'Fetching robots.txt and sitemaps requires network access');
+    } else {
+      ({ robotsTxt } = await getSEOFiles(baseUrl, options));
+    }
 
     // Analyze mobile-friendliness
     const mobileFriendliness = analyzeMobileFriendliness(document);
 
-    // Performance analysis
-    const performanceMetrics = await getPerformanceMetrics(baseUrl, options.timeout);
+    // Browser-based analyzers share a single page load
+    let performanceMetrics = null;
+    let accessibilityIssues = null;
+    let csrSsrDetection = null;
+    let lazyLoadingIssues = null;
+    let jsDependencies = null;
+    let networkLog = [];
+    let mainResponse = null;
+    let renderedHtml = null;
+    let imageLayout = null;
+    let headingVisibility = null;
+    let mobileLayout = null;
+    let interactions = null;
+    let profiles = null;
+    const browserChecks = ['csrSsrDetection', 'lazyLoading', 'jsDependencies', 'renderedImageSizes', 'headingVisibility', 'mobileLayout', 'interactions', 'accessibility', 'performance'];
+    let session = null;
+    const [primaryProfile = DEFAULT_PROFILES[0], ...otherProfiles] = options.profiles;
+    if (offline) {
+      browserChecks.forEach(check => skipCheck(check, 'Requires a headless browser and network access'));
+    } else {
+      // A page that cannot be loaded in the browser still gets the DOM-based checks
+      try {
+        session = await openBrowserSession(baseUrl, { ...options, profile: primaryProfile });
+      } catch (error) {
+        console.error('Error loading the page in the browser:', error.message);
+        browserChecks.forEach(check => skipCheck(check, `The page could not be loaded in the browser: ${error.message}`));
+      }
+    }
+    if (session) {
+      try {
+        // Rendering and JavaScript analysis
+        csrSsrDetection = await detectCSRorSSR(session, options);
+        lazyLoadingIssues = await detectLazyLoading(session, options);
+        jsDependencies = await analyzeJavaScriptDependencies(session, options);
+        imageLayout = await measureImageLayout(session, options);
+        headingVisibility = await measureHeadingVisibility(session, options);
+
+        // Mobile layout on an emulated phone
+        mobileLayout = await auditMobileLayout(session, options);
+        if (mobileLayout?.error) {
+          skipCheck('mobileLayout', mobileLayout.error);
+        }
+
+        // Content and links that appear only after scrolling or clicking
+        interactions = await auditInteractions(session, options);
+
+        // Accessibility analysis
+        accessibilityIssues = await performAccessibilityAudit(session, options.timeout);
+
+        // Performance and the other Lighthouse categories (Lighthouse opens its own tab in the same browser)
+        performanceMetrics = await getPerformanceMetrics(session, options.timeout, options);
+
+        networkLog = session.networkLog;
+        mainResponse = session.mainResponse;
+        renderedHtml = session.renderedHtml;
+        profiles = {
+          [primaryProfile]: { profile: session.profile, performanceMetrics, csrSsrDetection, lazyLoadingIssues, jsDependencies }
+        };
+      } finally {
+        await session.close();
+      }
 
-    // Accessibility analysis
-    const accessibilityIssues = await performAccessibilityAudit(baseUrl, options.timeout);
+      // The other profiles repeat the rendering, JavaScript and performance analysis for comparison
+      for (const name of otherProfiles) {
+        profiles[name] = await analyzeProfile(baseUrl, name, options);
+      }
+    }
+
+    // Analyze images (file sizes and formats need a request per image; rendered sizes come from the browser)
+    const { images, largeImages, backgroundImages, issues: imageIssues } = await analyzeImages(document, baseUrl, options, imageLayout);
+    if (offline && !options.localSite) {
+      skipCheck('imageSizes', 'Measuring image file sizes and formats requires network access');
+    }
 
-    // Rendering and JavaScript analysis
-    const csrSsrDetection = await detectCSRorSSR(baseUrl, options);
-    const lazyLoadingIssues = await detectLazyLoading(baseUrl, options);
-    const jsDependencies = await analyzeJavaScriptDependencies(baseUrl, options);
+    // Evaluate robots.txt for the page and the CSS and JavaScript it needs
+    const robotsAnalysis = robotsTxt === null
+      ? null
+      : analyzeRobotsTxt(robotsTxt, baseUrl, getRenderResources(document, baseUrl, networkLog), options);
+
+    // Sitemaps listed in robots.txt, or /sitemap.xml
+    const sitemapAnalysis = robotsAnalysis
+      ? await analyzeSitemaps(robotsAnalysis.sitemaps, baseUrl, options)
+      : null;
+
+    // Combine every indexing signal into one verdict
+    const pageStatus = options.statusCode ?? mainResponse?.status ?? null;
+    const indexabilityAnalysis = analyzeIndexability(document, {
+      url: baseUrl,
+      statusCode: pageStatus,
+      headers: options.headers || mainResponse?.headers || null,
+      robotsAnalysis
+    }, options);
+
+    // Search snippet, headings, links and missing-page handling are judged on the rendered page when a browser was used
+    const renderedDocument = renderedHtml ? createDOM(renderedHtml).document : document;
+    const serpAnalysis = analyzeSerp(renderedDocument, baseUrl, options);
+    const headingAnalysis = analyzeHeadings(renderedDocument, options, headingVisibility);
+    const linkAnalysis = analyzeLinks(renderedDocument, baseUrl, options);
+    const mobileAnalysis = analyzeMobile(renderedDocument, mobileLayout, options);
+    const jsCrawlability = analyzeJSCrawlability(renderedDocument, baseUrl, interactions, options);
+    const renderDiff = renderedHtml ? diffRenderedDom(document, renderedDocument, baseUrl, options) : null;
+    let linkCheck = null;
+    if (options.linkCheck?.enabled) {
+      if (offline) {
+        skipCheck('linkCheck', 'Checking links requires network access');
+      } else {
+        linkCheck = await checkLinks(renderedDocument, baseUrl, options);
+      }
+    }
+    const soft404Analysis = await analyzeSoft404(renderedDocument, { url: baseUrl, statusCode: pageStatus }, options);
+    if (offline) {
+      skipCheck('missingPageProbe', 'Requesting a non-existent URL requires network access');
+    }
 
     // Combine all results
     results = {
       ...results,
       ...metaInfo,
+      serpAnalysis,
       openGraph,
       robotsTxt,
-      sitemapXml,
+      robotsAnalysis,
+      sitemapAnalysis,
+      indexabilityAnalysis,
+      soft404Analysis,
       headings,
+      headingAnalysis,
+      linkAnalysis,
+      linkCheck,
       images,
       largeImages,
+      backgroundImages,
+      imageAnalysis: { issues: imageIssues },
       canonicalLink,
       urlStructure,
-      jsCrawlabilityIssues,
+      jsCrawlability,
+      renderDiff,
       performanceMetrics,
+      profiles,
       mobileFriendliness,
+      mobileAnalysis,
       accessibilityIssues,
       csrSsrDetection,
       lazyLoadingIssues,
@@ -125,6 +298,8 @@ export async function analyzeSEO(htmlContent, options = {}) {
         // Headers analysis (if headers are provided)
         if (options.headers) {
           results.headersAnalysis = analyzeHeaders(options.headers);
+        } else if (offline) {
+          skipCheck('headers', 'No HTTP headers were provided');
         }
 
         // URL analysis
@@ -159,25 +334,104 @@ export async function analyzeSEO(htmlContent, options = {}) {
         });
       }
     }
+
+    // Resolve links and assets of local build output against the file system
+    if (options.localSite) {
+      results.localReferences = analyzeLocalReferences(document, baseUrl, options.localSite);
+    }
+
+    // Lighthouse audits our own analyzers have not already reported
+    if (performanceMetrics?.categories) {
+      results.lighthouseAudits = analyzeLighthouseAudits(performanceMetrics.categories, results, options);
+    }
+
+    results.skippedChecks = skippedChecks;
+
+    // Aggregate the issues of every analyzer
+    results.issues = collectIssues(results, options);
+    results.issueCounts = countIssuesBySeverity(results.issues);
+
+    // Weighted overall score
+    results.score = calculateSEOScore(results, options.scoreWeights);
   } catch (error) {
     console.error('Error during SEO analysis:', error.message);
     throw error;
   }
 
-  try {
-    // Generate report
-    const reportPath = await generateReport(results, options);
+  if (options.saveReport !== false) {
+    try {
+      // Generate report
+      const reportPath = await generateReport(results, options);
 
-    if (options.verbose) {
-      console.log(`Report generated successfully at: ${reportPath}`);
+      if (options.verbose) {
+        console.log(`Report generated successfully at: ${reportPath}`);
+      }
+    } catch (err) {
+      console.error('Error generating report:', err.message);
     }
-  } catch (err) {
-    console.error('Error generating report:', err.message);
   }
 
   return results;
 }
 
+/**
+ * Helper function to run the rendering, JavaScript and performance analysis on another profile
+ * Only Lighthouse's performance category is run; the other categories come from the primary profile
+ * @param {string} url - URL of the page
+ * @param {string} name - Profile name
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Object>} The profile and its results, or the error that stopped the analysis
+ */
+async function analyzeProfile(url, name, options) {
+  let session;
+  try {
+    session = await openBrowserSession(url, { ...options, profile: name });
+  } catch (error) {
+    console.error(`Error loading the page with the ${name} profile:`, error.message);
+    return { profile: null, error: error.message };
+  }
+
+  try {
+    const categories = (options.lighthouse?.categories || ['performance']).filter(category => category === 'performance');
+    return {
+      profile: session.profile,
+      csrSsrDetection: await detectCSRorSSR(session, options),
+      lazyLoadingIssues: await detectLazyLoading(session, options),
+      jsDependencies: await analyzeJavaScriptDependencies(session, options),
+      performanceMetrics: categories.length > 0
+        ? await getPerformanceMetrics(session, options.timeout, { ...options, lighthouse: { ...options.lighthouse, categories } })
+        : null
+    };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Helper function to list the scripts and stylesheets a page needs to render
+ * @param {Document} document - The DOM document
+ * @param {string} baseUrl - URL of the page
+ * @param {Array} networkLog - Responses recorded by the browser session
+ * @returns {Array<string>} Absolute resource URLs
+ */
+function getRenderResources(document, baseUrl, networkLog) {
+  const urls = [];
+
+  document.querySelectorAll('script[src], link[rel~="stylesheet"][href]').forEach(element => {
+    try {
+      urls.push(new URL(element.getAttribute('src') || element.getAttribute('href'), baseUrl).href);
+    } catch (e) {
+      // Ignore malformed references
+    }
+  });
+
+  networkLog
+    .filter(entry => entry.resourceType === 'script' || entry.resourceType === 'stylesheet')
+    .forEach(entry => urls.push(entry.url));
+
+  return [...new Set(urls)].filter(url => /^https?:/.test(url));
+}
+
 /**
  * Helper function to extract text content from an element
  * @param {Element} element - Element to extract text from
@@ -207,4 +461,22 @@ function extractTextContent(element) {
 }
 
 // Export the generateReport function directly
-export { generateReport }; 
\ No newline at end of file
+export { generateReport };
+
+// Export the score engine
+export { calculateSEOScore, DEFAULT_SCORE_WEIGHTS } from './scoring/score-engine.js';
+
+// Export the site crawler
+export { crawlSite } from './crawler/site-crawler.js';
+
+// Export the local build output auditor
+export { auditLocalPath } from './local/local-site.js';
+
+// Export the link checker
+export { checkLinks, createLinkChecker, listBrokenLinks, LINK_CHECK_SCOPES } from './analyzers/link-checker.js';
+
+// Export the Lighthouse categories that can be run
+export { LIGHTHOUSE_CATEGORIES } from './analyzers/performance-analyzer.js';
+
+// Export the device profiles
+export { DEFAULT_PROFILES, PROFILE_NAMES, resolveProfile } from './browser/profiles.js';
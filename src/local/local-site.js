@@ -0,0 +1,184 @@
+/**
+ * This is the Local Site auditor
+ * It analyzes HTML files on disk, such as a static-site or prerender build output,
+ * as the pages they will become once deployed under a base URL
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { analyzeSEO } from '../index.js';
+import { summarizeCrawl } from '../crawler/site-crawler.js';
+import { mapWithConcurrency } from '../utils/concurrency.js';
+
+const DEFAULT_LOCAL_OPTIONS = {
+  baseUrl: 'http://localhost/',
+  cleanUrls: false,
+  concurrency: 2
+};
+
+// Directories never containing deployable pages
+const IGNORED_DIRECTORIES = ['node_modules'];
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * Analyzes a local HTML file, or every HTML file below a directory
+ * Pages are analyzed offline; links and assets are resolved against the file system
+ * @param {string} targetPath - HTML file or directory to audit
+ * @param {Object} options - Analysis options, with local settings under `local`
+ * @returns {Promise<Object>} Promise resolving to per-page results and a site summary
+ */
+export async function auditLocalPath(targetPath, options = {}) {
+  const localOptions = { ...DEFAULT_LOCAL_OPTIONS, ...options.local };
+  const baseUrl = withTrailingSlash(localOptions.baseUrl);
+  const resolvedPath = path.resolve(targetPath);
+  const stats = fs.statSync(resolvedPath);
+
+  const root = stats.isDirectory() ? resolvedPath : path.dirname(resolvedPath);
+  const files = stats.isDirectory() ? collectHtmlFiles(root) : [resolvedPath];
+  const localSite = { root, baseUrl, cleanUrls: localOptions.cleanUrls };
+  const imageCache = options.imageCache || new Map();
+
+  const pages = await mapWithConcurrency(files, localOptions.concurrency, async (file) => {
+    const url = fileToUrl(file, localSite);
+    const relativePath = path.relative(root, file);
+
+    try {
+      const htmlContent = fs.readFileSync(file, 'utf8');
+      const results = await analyzeSEO(htmlContent, {
+        ...options,
+        url,
+        offline: true,
+        localSite,
+        imageCache,
+        saveReport: false
+      });
+      return { url, file: relativePath, depth: 0, results };
+    } catch (error) {
+      return { url, file: relativePath, depth: 0, error: error.message };
+    }
+  });
+
+  const analyzedPages = pages.filter((page) => page.results);
+  const referencesOf = (page, kind) => page.results.localReferences?.[kind] || [];
+
+  // Depth and skipped pages only apply to crawls
+  const { startUrl, maxDepthReached, pagesSkipped, ...siteSummary } = summarizeCrawl(baseUrl, pages);
+
+  return {
+    root,
+    baseUrl,
+    pages,
+    summary: {
+      root,
+      baseUrl,
+      ...siteSummary,
+      brokenLinks: analyzedPages.flatMap((page) =>
+        referencesOf(page, 'brokenLinks').map((link) => ({ page: page.url, ...link }))
+      ),
+      missingAssets: analyzedPages.flatMap((page) =>
+        referencesOf(page, 'missingAssets').map((asset) => ({ page: page.url, ...asset }))
+      )
+    }
+  };
+}
+
+/**
+ * Lists the HTML files below a directory, skipping hidden and dependency directories
+ * @param {string} directory - Directory to search
+ * @returns {Array<string>} Absolute file paths in a stable order
+ */
+export function collectHtmlFiles(directory) {
+  const files = [];
+
+  fs.readdirSync(directory, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((entry) => {
+      if (entry.name.startsWith('.')) return;
+
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+          files.push(...collectHtmlFiles(entryPath));
+        }
+      } else if (HTML_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(entryPath);
+      }
+    });
+
+  return files;
+}
+
+/**
+ * Maps a local HTML file to the public URL it will be served from
+ * index.html files map to their directory; with cleanUrls the .html extension is dropped
+ * @param {string} file - Absolute file path
+ * @param {Object} localSite - Local site with root, baseUrl and cleanUrls
+ * @returns {string} Public URL of the page
+ */
+export function fileToUrl(file, localSite) {
+  let urlPath = path.relative(localSite.root, file).split(path.sep).map(encodeURIComponent).join('/');
+
+  if (/(^|\/)index\.html?$/i.test(urlPath)) {
+    urlPath = urlPath.replace(/index\.html?$/i, '');
+  } else if (localSite.cleanUrls) {
+    urlPath = urlPath.replace(/\.html?$/i, '');
+  }
+
+  return new URL(urlPath, localSite.baseUrl).href;
+}
+
+/**
+ * Resolves a public URL to the local file that will serve it
+ * Tries the path itself, then the .html and index.html variants static hosts fall back to
+ * @param {string} url - Absolute URL
+ * @param {Object} localSite - Local site with root and baseUrl
+ * @returns {string|null} Absolute file path, or null when the URL or file is outside the site or no file exists
+ */
+export function urlToFile(url, localSite) {
+  if (!isLocalUrl(url, localSite)) return null;
+
+  let relativePath;
+  try {
+    relativePath = decodeURIComponent(new URL(url).pathname.slice(new URL(localSite.baseUrl).pathname.length));
+  } catch (e) {
+    return null;
+  }
+
+  // Encoded ../ segments survive URL parsing, so the decoded path must stay inside the build
+  const filePath = path.join(localSite.root, relativePath);
+  const fromRoot = path.relative(localSite.root, filePath);
+  if (fromRoot === '..' || fromRoot.startsWith(`..${path.sep}`) || path.isAbsolute(fromRoot)) return null;
+
+  const candidates = relativePath === '' || relativePath.endsWith('/')
+    ? [path.join(filePath, 'index.html')]
+    : [filePath, `${filePath}.html`, path.join(filePath, 'index.html')];
+
+  return candidates.find((candidate) => isFile(candidate)) || null;
+}
+
+/**
+ * Checks whether a URL belongs to the local site
+ * @param {string} url - Absolute URL
+ * @param {Object} localSite - Local site with baseUrl
+ * @returns {boolean} True when the URL is served from below the base URL
+ */
+export function isLocalUrl(url, localSite) {
+  const { pathname, origin } = new URL(url);
+  const base = new URL(localSite.baseUrl);
+  return origin === base.origin && pathname.startsWith(base.pathname);
+}
+
+// Helper functions
+
+function isFile(filePath) {
+  try {
+    return fs.statSync(filePath).isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+function withTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import PDFDocument from 'pdfkit';
 import { ensureOutputDir } from '../utils/paths.js';
+import { describeProfile } from '../browser/profiles.js';
 
 /**
  * Generate a PDF report
@@ -34,6 +35,7 @@ function createPDFDocument(results, filePath) {
   const doc = new PDFDocument({
     margins: { top: 50, bottom: 50, left: 50, right: 50 },
     size: 'A4',
+    bufferPages: true,
   });
 
   doc.pipe(fs.createWriteStream(filePath));
@@ -167,12 +169,188 @@ function createPDFDocument(results, filePath) {
   addInfo('Canonical Link', results.canonicalLink);
   addInfo('URL Structure', results.urlStructure);
 
+  // Search Result Preview
+  const serp = results.serpAnalysis;
+  if (serp) {
+    doc.moveDown();
+    addHeader('Search Result Preview', 12);
+    addTable(['Field', 'Width', 'Desktop', 'Mobile'], [['Title', serp.title], ['Description', serp.description]].map(([label, field]) => [
+      label,
+      `${field.pixelWidth}px, ${field.length} characters`,
+      field.desktop.truncated ? `Truncated at ${field.desktop.maxWidth}px` : 'Fits',
+      field.mobile.truncated ? `Truncated at ${field.mobile.maxWidth}px` : 'Fits'
+    ]));
+    addInfo('Desktop title', serp.title.desktop.displayed || 'Untitled');
+    addInfo('Desktop description', serp.description.desktop.displayed || 'None');
+    addInfo('Mobile description', serp.description.mobile.displayed || 'None');
+  }
+
+  // SEO Score
+  if (results.score) {
+    addSection('SEO Score');
+    addInfo('Overall Score', results.score.overall !== null ? results.score.overall.toString() : 'N/A');
+
+    const scoreHeaders = ['Category', 'Score', 'Weight', 'Contribution'];
+    const scoreData = Object.entries(results.score.categories).map(([name, category]) => [
+      name,
+      category.score,
+      `${category.share}%`,
+      `+${category.contribution}`
+    ]);
+
+    doc.moveDown();
+    addTable(scoreHeaders, scoreData);
+
+    if (results.score.skipped.length > 0) {
+      addInfo('Not scored (no data)', results.score.skipped.join(', '));
+    }
+  }
+
+  // Issues
+  const issues = results.issues || [];
+  addSection('Issues');
+  addInfo('Total Issues', issues.length.toString());
+  if (results.issueCounts) {
+    addInfo('By Severity', `${results.issueCounts.error} errors, ${results.issueCounts.warning} warnings, ${results.issueCounts.notice} notices`);
+  }
+
+  if (issues.length > 0) {
+    doc.moveDown();
+
+    const issueHeaders = ['Severity', 'Rule', 'Issue', 'Element'];
+    const issueData = issues.slice(0, 30).map(issue => [
+      issue.severity,
+      issue.id,
+      issue.message,
+      issue.element ? issue.element.substring(0, 40) + (issue.element.length > 40 ? '...' : '') : ''
+    ]);
+
+    addTable(issueHeaders, issueData);
+
+    if (issues.length > 30) {
+      doc.font('Helvetica-Oblique')
+        .fontSize(9)
+        .text(`... and ${issues.length - 30} more issues`);
+    }
+  }
+
+  // Skipped Checks
+  if ((results.skippedChecks || []).length > 0) {
+    addSection('Skipped Checks');
+    if (results.offline) {
+      doc.font('Helvetica')
+        .fontSize(10)
+        .text('This analysis ran in offline mode. Only the DOM-based analyzers were run.');
+      doc.moveDown();
+    }
+    addTable(['Check', 'Reason'], results.skippedChecks.map(skipped => [skipped.check, skipped.reason]));
+  }
+
   // Performance Metrics
   addSection('Performance Metrics');
-  addInfo('Performance Score', `${Math.round(results.performanceMetrics.performanceScore * 100)}%`);
-  addInfo('First Contentful Paint', `${(results.performanceMetrics.FCP / 1000).toFixed(2)}s`);
-  addInfo('Largest Contentful Paint', `${(results.performanceMetrics.LCP / 1000).toFixed(2)}s`);
-  addInfo('Total Blocking Time', `${results.performanceMetrics.TBT.toFixed(0)}ms`);
+  const metrics = results.performanceMetrics;
+  if (metrics && typeof metrics.performanceScore === 'number') {
+    addInfo('Performance Score', `${Math.round(metrics.performanceScore * 100)}%`);
+    const ratings = metrics.ratings || {};
+    [
+      ['FCP', 'First Contentful Paint'],
+      ['LCP', 'Largest Contentful Paint'],
+      ['TBT', 'Total Blocking Time'],
+      ['CLS', 'Cumulative Layout Shift'],
+      ['SI', 'Speed Index'],
+      ['TTI', 'Time to Interactive'],
+      ['TTFB', 'Time to First Byte']
+    ].filter(([key]) => typeof metrics[key] === 'number').forEach(([key, label]) => {
+      const value = key === 'CLS' ? metrics[key].toFixed(3)
+        : key === 'TBT' || key === 'TTFB' ? `${metrics[key].toFixed(0)}ms`
+          : `${(metrics[key] / 1000).toFixed(2)}s`;
+      addInfo(label, ratings[key] ? `${value} (${ratings[key]})` : value);
+    });
+    if (metrics.lcpElement) {
+      addInfo('LCP Element', `${metrics.lcpElement.selector}${metrics.lcpElement.label ? ` (${metrics.lcpElement.label})` : ''}`);
+    }
+
+    if (metrics.layoutShifts && metrics.layoutShifts.length > 0) {
+      doc.moveDown();
+      addHeader('Layout Shift Culprits', 12);
+      addTable(['Element', 'Shift Score', 'Causes'], metrics.layoutShifts.map(shift => [
+        shift.selector,
+        typeof shift.score === 'number' ? shift.score.toFixed(3) : 'N/A',
+        shift.causes.length > 0 ? shift.causes.join(', ') : 'Unknown'
+      ]));
+    }
+
+    if (metrics.opportunities && metrics.opportunities.length > 0) {
+      doc.moveDown();
+      addHeader('Opportunities', 12);
+      addTable(['Opportunity', 'Estimated Savings'], metrics.opportunities.map(item => [
+        item.title,
+        [
+          item.savingsMs > 0 ? `${(item.savingsMs / 1000).toFixed(2)}s` : null,
+          item.savingsBytes > 0 ? `${Math.round(item.savingsBytes / 1024)} KB` : null
+        ].filter(Boolean).join(', ') || item.displayValue || 'N/A'
+      ]));
+    }
+
+    if (metrics.diagnostics && metrics.diagnostics.length > 0) {
+      doc.moveDown();
+      addHeader('Diagnostics', 12);
+      addTable(['Diagnostic', 'Details'], metrics.diagnostics.map(item => [item.title, item.displayValue || '']));
+    }
+  } else {
+    addInfo('Performance Metrics', 'Not available');
+  }
+
+  // Device Profiles
+  const profileResults = Object.entries(results.profiles || {});
+  if (profileResults.length > 0) {
+    addSection('Device Profiles');
+    const formatMetric = (key, value) => key === 'CLS' ? value.toFixed(3)
+      : key === 'TBT' || key === 'TTFB' ? `${value.toFixed(0)}ms`
+        : `${(value / 1000).toFixed(2)}s`;
+    const row = (label, read) => [label, ...profileResults.map(([, data]) => read(data))];
+    addTable(['', ...profileResults.map(([name]) => name.charAt(0).toUpperCase() + name.slice(1))], [
+      row('Profile', data => data.profile ? describeProfile(data.profile) : `Not analyzed: ${data.error}`),
+      row('Performance Score', data => typeof data.performanceMetrics?.performanceScore === 'number'
+        ? `${Math.round(data.performanceMetrics.performanceScore * 100)}%`
+        : 'N/A'),
+      ...['FCP', 'LCP', 'TBT', 'CLS', 'SI', 'TTI', 'TTFB'].map(key => row(key, data => {
+        const value = data.performanceMetrics?.[key];
+        if (typeof value !== 'number') return 'N/A';
+        const rating = data.performanceMetrics.ratings?.[key];
+        return rating ? `${formatMetric(key, value)} (${rating})` : formatMetric(key, value);
+      })),
+      row('Rendering', data => data.csrSsrDetection
+        ? data.csrSsrDetection.strategyName || (data.csrSsrDetection.isSSR ? 'SSR' : 'CSR')
+        : 'N/A'),
+      row('Lazy-loaded Images', data => data.lazyLoadingIssues ? data.lazyLoadingIssues.lazyLoadedImages.length.toString() : 'N/A'),
+      row('JavaScript', data => data.jsDependencies
+        ? `${data.jsDependencies.jsFiles.length} file(s), ${(data.jsDependencies.totalJsSize / 1024).toFixed(2)} KB`
+        : 'N/A')
+    ]);
+  }
+
+  // Lighthouse Audits
+  const lighthouseCategories = Object.values(results.performanceMetrics?.categories || {});
+  if (lighthouseCategories.length > 0) {
+    addSection('Lighthouse Audits');
+    const duplicates = results.lighthouseAudits?.duplicates || [];
+    lighthouseCategories.forEach(category => {
+      addInfo(category.title, typeof category.score === 'number' ? `${Math.round(category.score * 100)}%` : 'N/A');
+    });
+    lighthouseCategories.filter(category => category.audits.length > 0).forEach(category => {
+      doc.moveDown();
+      addHeader(`${category.title}: ${category.audits.length} failing audit(s)`, 12);
+      addTable(['Audit', 'Elements', 'Status'], category.audits.map(audit => {
+        const duplicate = duplicates.find(item => item.id === `lighthouse/${audit.id}`);
+        return [
+          audit.displayValue ? `${audit.title} (${audit.displayValue})` : audit.title,
+          audit.elements.join(', '),
+          duplicate ? `Also reported as ${duplicate.coveredBy.join(', ')}` : `lighthouse/${audit.id}`
+        ];
+      }));
+    });
+  }
 
   // Images
   addSection('Images');
@@ -183,22 +361,35 @@ function createPDFDocument(results, filePath) {
     doc.moveDown();
     addHeader('Image Details', 12);
 
-    const imageHeaders = ['Source', 'Alt Text', 'Size', 'Format'];
+    const imageHeaders = ['Source', 'Alt Text', 'Size', 'Format', 'Dimensions', 'Displayed'];
     const imageData = results.images.map(img => [
       img.src.substring(0, 30) + (img.src.length > 30 ? '...' : ''),
-      img.alt || 'Missing Alt',
-      img.fileSize ? `${(img.fileSize / 1024).toFixed(2)} KB` : 'Unknown',
-      img.format || 'Unknown'
+      img.alt === null ? 'Missing Alt' : (img.alt || 'Empty (decorative)'),
+      img.fileSize ? `${(img.fileSize / 1024).toFixed(2)} KB` : (img.error || 'Unknown'),
+      (img.format ? img.format + (img.formatSource === 'url' ? ' (from extension)' : '') : 'Unknown') + (img.srcset ? ', srcset' : '') + (img.inPicture ? ', picture' : ''),
+      img.width ? `${img.width}×${img.height}` : 'Unknown',
+      img.renderedWidth ? `${img.renderedWidth}×${img.renderedHeight ?? '?'}` : 'Unknown'
     ]);
 
     addTable(imageHeaders, imageData);
   }
 
+  if (results.backgroundImages?.length > 0) {
+    doc.moveDown();
+    addHeader('CSS Background Images', 12);
+    addTable(['Image', 'Used by', 'Size', 'Format'], results.backgroundImages.map(background => [
+      background.url.substring(0, 40) + (background.url.length > 40 ? '...' : ''),
+      background.element,
+      background.fileSize ? `${(background.fileSize / 1024).toFixed(2)} KB` : (background.error || 'Unknown'),
+      background.format ? background.format + (background.formatSource === 'url' ? ' (from extension)' : '') : 'Unknown'
+    ]));
+  }
+
   // Accessibility Issues
   addSection('Accessibility Issues');
-  addInfo('Total Issues', results.accessibilityIssues.length.toString());
+  addInfo('Total Issues', results.accessibilityIssues ? results.accessibilityIssues.length.toString() : 'Not analyzed');
 
-  if (results.accessibilityIssues.length > 0) {
+  if (results.accessibilityIssues?.length > 0) {
     results.accessibilityIssues.slice(0, 5).forEach((issue, index) => {
       doc.moveDown();
       doc.font('Helvetica-Bold')
@@ -222,11 +413,27 @@ function createPDFDocument(results, filePath) {
 
   // JavaScript Analysis
   addSection('JavaScript Analysis');
-  addInfo('Rendering Method', results.csrSsrDetection.isSSR ? 'Server-Side Rendering (SSR)' : 'Client-Side Rendering (CSR)');
-  addInfo('Total JS Size', `${(results.jsDependencies.totalJsSize / 1024).toFixed(2)} KB`);
-  addInfo('Recommendation', results.jsDependencies.recommendation);
+  const rendering = results.csrSsrDetection;
+  if (rendering?.framework !== undefined) {
+    addInfo('Framework', rendering.framework
+      ? `${rendering.framework.name}${rendering.framework.version ? ` ${rendering.framework.version}` : ''} (${rendering.framework.signals.join(', ')})`
+      : 'None detected');
+    if (rendering.libraries.length > 0) {
+      addInfo('Libraries', rendering.libraries.map(library => `${library.name}${library.version ? ` ${library.version}` : ''}`).join(', '));
+    }
+  }
+  addInfo('Rendering Method', !rendering ? 'Not analyzed' :
+    rendering.strategyName || (rendering.isSSR ? 'Server-Side Rendering (SSR)' : 'Client-Side Rendering (CSR)'));
+  if (rendering?.words) {
+    addInfo('Visible text in server HTML', `${Math.round(rendering.serverTextShare * 100)}% (${rendering.words.raw} of ${rendering.words.rendered} words)`);
+  }
+  (rendering?.advice || []).forEach(item => addInfo('Advice', item));
+  if (results.jsDependencies) {
+    addInfo('Total JS Size', `${(results.jsDependencies.totalJsSize / 1024).toFixed(2)} KB`);
+    addInfo('Recommendation', results.jsDependencies.recommendation);
+  }
 
-  if (results.jsDependencies.jsFiles.length > 0) {
+  if (results.jsDependencies?.jsFiles.length > 0) {
     doc.moveDown();
     addHeader('JS Files', 12);
 
@@ -245,6 +452,40 @@ function createPDFDocument(results, filePath) {
     }
   }
 
+  const crawlability = results.jsCrawlability;
+  if (crawlability) {
+    doc.moveDown();
+    addHeader('Crawlability', 12);
+    addInfo('Hash routes', `${crawlability.hashRoutes.hashbang.length} #! link(s), ${crawlability.hashRoutes.fragment.length} #/ link(s)`);
+    addInfo('Navigation without href', `${crawlability.navigationWithoutHref.length + (crawlability.clicks?.scriptNavigation.length || 0)} element(s)`);
+    if (crawlability.scroll) {
+      addInfo('After scrolling', `${crawlability.scroll.newLinks.length} new link(s), ${crawlability.scroll.newWords} new words`);
+    }
+    if (crawlability.clicks) {
+      addInfo('Clicked elements', `${crawlability.clicks.checked} checked, ${crawlability.clicks.revealedContent.length} load content, ${crawlability.clicks.scriptNavigation.length} navigate`);
+    }
+  }
+
+  // Server HTML vs Rendered Page
+  const diff = results.renderDiff;
+  if (diff) {
+    addSection('Server HTML vs Rendered Page');
+    addInfo('Only after rendering', diff.renderedOnly.length > 0 ? diff.renderedOnly.join(', ') : 'Nothing');
+
+    const shorten = (value) => value === null ? '-' : value.substring(0, 30) + (value.length > 30 ? '...' : '');
+    doc.moveDown();
+    addTable(['Element', 'Server HTML', 'Rendered', 'Status'], [
+      ...diff.elements.map(item => [item.name, shorten(item.raw), shorten(item.rendered), item.status]),
+      ...[['Headings', diff.headings], ['Links', diff.links], ['Structured data', diff.structuredData]].map(([label, group]) => [
+        label,
+        group.raw.length.toString(),
+        group.rendered.length.toString(),
+        `${group.added.length} added, ${group.removed.length} removed`
+      ]),
+      ['Visible words', diff.text.raw.toString(), diff.text.rendered.toString(), `${Math.round(diff.text.renderedShare * 100)}% rendered only`]
+    ]);
+  }
+
   // Mobile Friendliness
   addSection('Mobile Friendliness');
   addInfo('Responsive Design', results.mobileFriendliness.isResponsive ? 'Yes' : 'No');
@@ -265,11 +506,41 @@ function createPDFDocument(results, filePath) {
       .text('<meta name="viewport" content="width=device-width, initial-scale=1.0">');
   }
 
+  const mobile = results.mobileAnalysis;
+  if (mobile?.viewport) {
+    addInfo('Viewport', mobile.viewport.content);
+    addInfo('Zoom', mobile.viewport.zoomRestricted ? 'Restricted' : 'Allowed');
+  }
+  if (mobile?.layout) {
+    const layout = mobile.layout;
+    addInfo('Device', `${layout.device} (${layout.viewport.width}×${layout.viewport.height}px)`);
+    addInfo('Page width', `${layout.scrollWidth}px${layout.horizontalOverflow ? ' (scrolls sideways)' : ''}`);
+    addInfo('Tap targets', `${layout.tapTargets.checked} checked, ${layout.tapTargets.tooSmall.length} too small, ${layout.tapTargets.tooClose.length} too close together`);
+    addInfo('Base font size', `${layout.fontSizes.base}px, ${Math.round(layout.fontSizes.smallTextShare * 100)}% of the text in small fonts`);
+
+    const rows = [
+      ...layout.overflowingElements.map(item => ['Wider than viewport', item.selector, `${item.width}px wide`]),
+      ...layout.tapTargets.tooSmall.map(item => ['Small tap target', item.selector, `${item.width}×${item.height}px`]),
+      ...layout.tapTargets.tooClose.map(item => ['Crowded tap target', item.selector, `${item.width}×${item.height}px`]),
+      ...layout.fontSizes.smallText.map(item => ['Small text', item.selector, `${item.fontSize}px`])
+    ];
+    if (rows.length > 0) {
+      doc.moveDown();
+      addTable(['Problem', 'Selector', 'Size'], rows.slice(0, 40).map(([problem, selector, size]) => [
+        problem,
+        selector.substring(0, 40) + (selector.length > 40 ? '...' : ''),
+        size
+      ]));
+    }
+  }
+
   // Lazy Loading
   addSection('Lazy Loading');
-  addInfo('Images with lazy loading', results.lazyLoadingIssues.lazyLoadedImages.length.toString());
+  addInfo('Images with lazy loading', results.lazyLoadingIssues
+    ? results.lazyLoadingIssues.lazyLoadedImages.length.toString()
+    : 'Not analyzed');
 
-  if (results.lazyLoadingIssues.lazyLoadedImages.length === 0) {
+  if (results.lazyLoadingIssues?.lazyLoadedImages.length === 0) {
     doc.moveDown();
     doc.font('Helvetica-Bold')
       .fontSize(10)
@@ -280,11 +551,169 @@ function createPDFDocument(results, filePath) {
       .text('No lazy loaded images detected. Consider adding the \'loading="lazy"\' attribute to below-the-fold images.');
   }
 
+  // Headings
+  const headingAnalysis = results.headingAnalysis;
+  if (headingAnalysis) {
+    addSection('Headings');
+    addInfo('H1 headings', headingAnalysis.h1Count.toString());
+    if (headingAnalysis.headings.length > 0 && !headingAnalysis.visibilityKnown) {
+      addInfo('Hidden headings', 'Unknown (measured in the browser)');
+    }
+    if (headingAnalysis.headings.length === 0) {
+      addInfo('Outline', 'No headings found');
+    }
+    doc.fontSize(9).fillColor('#000000');
+    headingAnalysis.headings.forEach(heading => {
+      doc.font('Helvetica-Bold')
+        .text(`H${heading.level} `, 50 + heading.depth * 15, doc.y, { continued: true });
+      doc.font('Helvetica')
+        .text(`${heading.text || '(empty)'}${heading.hidden ? ' (hidden)' : ''}`);
+    });
+    doc.x = 50;
+  }
+
+  // Links
+  const linkAnalysis = results.linkAnalysis;
+  if (linkAnalysis) {
+    const { counts } = linkAnalysis;
+    addSection('Links');
+    addInfo('Links', `${counts.total} (${counts.internal} internal, ${counts.external} external, ${counts.unique} unique URLs)`);
+    addInfo('rel values', `${counts.nofollow} nofollow, ${counts.sponsored} sponsored, ${counts.ugc} ugc, ${counts.noopener} noopener`);
+    if (linkAnalysis.base !== results.baseUrl) {
+      addInfo('Resolved against', linkAnalysis.base);
+    }
+    if (linkAnalysis.links.length > 0) {
+      doc.moveDown();
+      addTable(['Link', 'Anchor Text', 'Type', 'rel'], linkAnalysis.links.map(link => {
+        const target = link.url || link.href || '(no href)';
+        return [
+          target.substring(0, 40) + (target.length > 40 ? '...' : ''),
+          (link.text || '(empty)').substring(0, 30),
+          link.type,
+          link.rel.join(' ') || '-'
+        ];
+      }));
+    }
+  }
+
+  // Link Check
+  const linkCheck = results.linkCheck;
+  if (linkCheck) {
+    addSection('Link Check');
+    ['internal', 'external'].forEach(group => {
+      const checked = linkCheck[group];
+      addInfo(group === 'internal' ? 'Internal' : 'External', `${checked.checked} checked, ${checked.broken} broken`);
+    });
+
+    const rows = ['internal', 'external'].flatMap(group =>
+      Object.entries(linkCheck[group].byStatusClass).flatMap(([statusClass, links]) => links.map(link => [
+        statusClass,
+        link.url.substring(0, 40) + (link.url.length > 40 ? '...' : ''),
+        `${link.status ?? link.error}`,
+        link.redirects.length.toString(),
+        `${link.time}ms`
+      ]))
+    );
+    if (rows.length > 0) {
+      doc.moveDown();
+      addTable(['Status', 'URL', 'Final status', 'Redirects', 'Time'], rows);
+    }
+  }
+
+  // Page Fetch
+  const fetched = results.fetch;
+  if (fetched) {
+    addSection('Page Fetch');
+    addInfo('Requested URL', fetched.url);
+    addInfo('Final URL', fetched.finalUrl);
+    addInfo('HTTP status', `${fetched.status ?? fetched.error}`);
+    if (fetched.timing) {
+      addInfo('Timing', `TTFB ${fetched.timing.ttfb}ms, download ${fetched.timing.download}ms, total ${fetched.timing.total}ms`);
+    }
+    if (fetched.redirects.length > 0) {
+      addTable(['URL', 'Status', 'Location'], fetched.redirects.map(hop => [hop.url, `${hop.status}`, hop.location]));
+    } else {
+      addInfo('Redirects', 'None');
+    }
+  }
+
+  // Indexability
+  const indexability = results.indexabilityAnalysis;
+  if (indexability) {
+    addSection('Indexability');
+    addInfo('Verdict', indexability.verdict);
+    addTable(['Crawler', 'Indexable', 'Reasons'], Object.entries(indexability.agents).map(([agent, verdict]) => [
+      agent,
+      verdict.indexable ? 'Yes' : 'No',
+      verdict.reasons.map(reason => reason.message).join('; ') || 'None'
+    ]));
+    addInfo('HTTP status', `${indexability.signals.statusCode ?? 'Unknown'}`);
+    addInfo('Canonical', indexability.signals.canonical.url || 'None');
+  }
+
+  // Error Pages
+  const soft404 = results.soft404Analysis;
+  if (soft404) {
+    addSection('Error Pages');
+    if (soft404.probe) {
+      addInfo('Non-existent URL', soft404.probe.url);
+      addInfo('Status', `${soft404.probe.status ?? soft404.probe.error}`);
+    }
+    addInfo('Looks like an error page', soft404.page.looksLikeErrorPage ? soft404.page.reasons.join('; ') : 'No');
+    addInfo('Likely soft 404', soft404.page.likelySoft404 ? 'Yes' : 'No');
+  }
+
+  // Robots.txt
+  const robots = results.robotsAnalysis;
+  if (robots) {
+    addSection('Robots.txt');
+    addInfo('URL', results.robotsTxt.url);
+    addInfo('Status', `${results.robotsTxt.status ?? results.robotsTxt.error}`);
+    addInfo('Redirects', results.robotsTxt.redirects.length.toString());
+    if (robots.availability === 'not-found') {
+      addInfo('robots.txt', 'Not available, crawlers treat this as no restrictions');
+    } else if (robots.availability === 'unreachable') {
+      addInfo('robots.txt', 'Unreachable, crawlers treat the whole site as disallowed');
+    } else {
+      addTable(['Crawler', 'Page', 'Deciding Rule'], Object.entries(robots.agents).map(([agent, verdict]) => [
+        agent,
+        verdict.allowed ? 'Allowed' : 'Blocked',
+        verdict.rule ? `Line ${verdict.rule.line}: ${verdict.rule.type} ${verdict.rule.path}` : 'No matching rule'
+      ]));
+      addInfo('Blocked resources', robots.blockedResources.length.toString());
+      addInfo('Syntax errors', robots.errors.length.toString());
+      addInfo('Sitemaps', robots.sitemaps.join(', ') || 'None');
+    }
+  }
+
+  // Sitemaps
+  const sitemapAnalysis = results.sitemapAnalysis;
+  if (sitemapAnalysis) {
+    addSection('Sitemaps');
+    addInfo('Discovered from', sitemapAnalysis.discoveredFrom === 'robots.txt' ? 'robots.txt Sitemap lines' : 'default /sitemap.xml location');
+    addInfo('URLs found', sitemapAnalysis.urlCount.toString());
+    addInfo('This page listed', sitemapAnalysis.pageListed ? 'Yes' : 'No');
+    addInfo('Extensions', `${sitemapAnalysis.extensions.images} images, ${sitemapAnalysis.extensions.videos} videos, ${sitemapAnalysis.extensions.news} news entries`);
+
+    if (sitemapAnalysis.sitemaps.length > 0) {
+      doc.moveDown();
+      addTable(['Sitemap', 'Type', 'Status', 'Entries'], sitemapAnalysis.sitemaps.map(sitemap => [
+        sitemap.url.substring(0, 40) + (sitemap.url.length > 40 ? '...' : ''),
+        sitemap.type || 'Unknown',
+        sitemap.error ? 'Error' : sitemap.status,
+        sitemap.type === 'sitemapindex' ? sitemap.childSitemaps : (sitemap.urlCount ?? 'N/A')
+      ]));
+    }
+  }
+
   // Footer
   const pageCount = doc.bufferedPageRange().count;
   for (let i = 0; i < pageCount; i++) {
     doc.switchToPage(i);
 
+    // Allow writing into the bottom margin without triggering a page break
+    doc.page.margins.bottom = 0;
+
     // Footer text
     doc.fontSize(8)
       .fillColor('#999999')
@@ -124,6 +124,96 @@ export const htmlTemplate = `
       margin-bottom: 10px;
     }
     
+    .serp-previews {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 20px;
+      margin-bottom: 20px;
+    }
+    
+    .serp-preview {
+      background-color: white;
+      border-radius: 8px;
+      box-shadow: 0 2px 10px rgba(0, 0, 0, 0.05);
+      padding: 20px;
+      font-family: Arial, sans-serif;
+    }
+    
+    .serp-desktop {
+      width: 640px;
+    }
+    
+    .serp-mobile {
+      width: 360px;
+    }
+    
+    .serp-preview h3 {
+      margin-top: 0;
+      font-size: 0.9rem;
+      color: #888;
+    }
+    
+    .serp-url {
+      font-size: 14px;
+      color: #202124;
+      margin-bottom: 4px;
+    }
+    
+    .serp-title {
+      font-size: 20px;
+      line-height: 1.3;
+      color: #1a0dab;
+      margin-bottom: 4px;
+    }
+    
+    .serp-desktop .serp-title {
+      white-space: nowrap;
+    }
+    
+    .serp-description {
+      font-size: 14px;
+      line-height: 1.58;
+      color: #4d5156;
+    }
+    
+    .outline {
+      list-style: none;
+      padding-left: 0;
+    }
+    
+    .outline li {
+      padding: 3px 0;
+    }
+    
+    .outline-level {
+      display: inline-block;
+      min-width: 28px;
+      font-weight: bold;
+      color: #4a6cf7;
+    }
+    
+    .severity {
+      display: inline-block;
+      padding: 2px 8px;
+      border-radius: 4px;
+      font-size: 0.8rem;
+      font-weight: bold;
+      color: white;
+      text-transform: uppercase;
+    }
+    
+    .severity-error {
+      background-color: #ff5252;
+    }
+    
+    .severity-warning {
+      background-color: #f5a623;
+    }
+    
+    .severity-notice {
+      background-color: #9e9e9e;
+    }
+    
     .footer {
       text-align: center;
       margin-top: 50px;
@@ -152,28 +242,358 @@ export const htmlTemplate = `
       </div>
     </div>
     
+    <% if(results.serpAnalysis) { %>
     <div class="section">
-      <h2>Performance Metrics</h2>
+      <h2>Search Result Preview</h2>
+      <% const serp = results.serpAnalysis; %>
+      <div class="serp-previews">
+        <% ['desktop', 'mobile'].forEach(device => { %>
+        <div class="serp-preview serp-<%= device %>">
+          <h3><%= device === 'desktop' ? 'Desktop' : 'Mobile' %></h3>
+          <div class="serp-url"><%= serp.displayUrl %></div>
+          <div class="serp-title"><%= serp.title[device].displayed || 'Untitled' %></div>
+          <div class="serp-description"><%= serp.description[device].displayed || 'No meta description: search engines pick text from the page instead' %></div>
+        </div>
+        <% }); %>
+      </div>
+      <div class="card">
+        <table>
+          <tr>
+            <th></th>
+            <th>Characters</th>
+            <th>Width</th>
+            <th>Desktop</th>
+            <th>Mobile</th>
+          </tr>
+          <% [['Title', serp.title], ['Description', serp.description]].forEach(([label, field]) => { %>
+          <tr>
+            <td><%= label %></td>
+            <td><%= field.length %></td>
+            <td><%= field.pixelWidth %>px</td>
+            <% ['desktop', 'mobile'].forEach(device => { %>
+            <td>
+              <span class="severity severity-<%= field[device].truncated ? 'warning' : 'notice' %>"><%= field[device].truncated ? 'Truncated' : 'Fits' %></span>
+              of <%= field[device].maxWidth %>px
+            </td>
+            <% }); %>
+          </tr>
+          <% }); %>
+        </table>
+        <% const cutOff = serp.title.desktop.cutOff || serp.title.mobile.cutOff; %>
+        <% if(cutOff) { %>
+        <p><strong>Cut off from the title:</strong> <%= cutOff %></p>
+        <% } %>
+        <% if(serp.description.mobile.cutOff) { %>
+        <p><strong>Cut off from the description:</strong> <%= serp.description.mobile.cutOff %></p>
+        <% } %>
+      </div>
+    </div>
+    <% } %>
+    
+    <% if(results.score) { %>
+    <div class="section">
+      <h2>SEO Score</h2>
       <div class="metrics">
         <div class="metric-card">
-          <h3>Performance Score</h3>
-          <div class="metric-value"><%= Math.round(results.performanceMetrics.performanceScore * 100) %>%</div>
+          <h3>Overall Score</h3>
+          <div class="metric-value"><%= results.score.overall !== null ? results.score.overall : 'N/A' %></div>
         </div>
+      </div>
+      <div class="card">
+        <table>
+          <tr>
+            <th>Category</th>
+            <th>Score</th>
+            <th>Weight</th>
+            <th>Contribution</th>
+          </tr>
+          <% Object.entries(results.score.categories).forEach(([name, category]) => { %>
+          <tr>
+            <td><%= name %></td>
+            <td><%= category.score %></td>
+            <td><%= category.share %>%</td>
+            <td>+<%= category.contribution %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% if(results.score.skipped.length > 0) { %>
+          <p><strong>Not scored (no data):</strong> <%= results.score.skipped.join(', ') %></p>
+        <% } %>
+      </div>
+    </div>
+    <% } %>
+    
+    <div class="section">
+      <h2>Issues</h2>
+      <div class="card">
+        <% const issues = results.issues || []; %>
+        <p>
+          Total Issues: <%= issues.length %>
+          <% if(results.issueCounts) { %>
+            (<%= results.issueCounts.error %> errors, <%= results.issueCounts.warning %> warnings, <%= results.issueCounts.notice %> notices)
+          <% } %>
+        </p>
+        
+        <% if(issues.length > 0) { %>
+        <table>
+          <tr>
+            <th>Severity</th>
+            <th>Category</th>
+            <th>Issue</th>
+            <th>Element</th>
+            <th>How to Fix</th>
+          </tr>
+          <% issues.forEach(issue => { %>
+          <tr>
+            <td><span class="severity severity-<%= issue.severity %>"><%= issue.severity %></span></td>
+            <td><%= issue.category %></td>
+            <td><%= issue.message %><br><small><code><%= issue.id %></code></small></td>
+            <td><%= issue.element || '' %></td>
+            <td><%= issue.fix || '' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } else { %>
+          <p>No issues detected.</p>
+        <% } %>
+      </div>
+    </div>
+    
+    <% if((results.skippedChecks || []).length > 0) { %>
+    <div class="section">
+      <h2>Skipped Checks</h2>
+      <div class="card">
+        <% if(results.offline) { %>
+          <p>This analysis ran in offline mode. Only the DOM-based analyzers were run.</p>
+        <% } %>
+        <table>
+          <tr>
+            <th>Check</th>
+            <th>Reason</th>
+          </tr>
+          <% results.skippedChecks.forEach(skipped => { %>
+          <tr>
+            <td><%= skipped.check %></td>
+            <td><%= skipped.reason %></td>
+          </tr>
+          <% }); %>
+        </table>
+      </div>
+    </div>
+    <% } %>
+    
+    <div class="section">
+      <h2>Performance Metrics</h2>
+      <% if(results.performanceMetrics && typeof results.performanceMetrics.performanceScore === 'number') { %>
+      <% const perf = results.performanceMetrics; %>
+      <% const perfRatings = perf.ratings || {}; %>
+      <% const ratingSeverity = { good: 'notice', 'needs-improvement': 'warning', poor: 'error' }; %>
+      <div class="metrics">
         <div class="metric-card">
-          <h3>First Contentful Paint</h3>
-          <div class="metric-value"><%= (results.performanceMetrics.FCP / 1000).toFixed(2) %>s</div>
+          <h3>Performance Score</h3>
+          <div class="metric-value"><%= Math.round(perf.performanceScore * 100) %>%</div>
         </div>
+        <% [
+          ['FCP', 'First Contentful Paint'],
+          ['LCP', 'Largest Contentful Paint'],
+          ['TBT', 'Total Blocking Time'],
+          ['CLS', 'Cumulative Layout Shift'],
+          ['SI', 'Speed Index'],
+          ['TTI', 'Time to Interactive'],
+          ['TTFB', 'Time to First Byte']
+        ].filter(([key]) => typeof perf[key] === 'number').forEach(([key, label]) => { %>
         <div class="metric-card">
-          <h3>Largest Contentful Paint</h3>
-          <div class="metric-value"><%= (results.performanceMetrics.LCP / 1000).toFixed(2) %>s</div>
+          <h3><%= label %></h3>
+          <div class="metric-value"><%= key === 'CLS' ? perf[key].toFixed(3) : (key === 'TBT' || key === 'TTFB') ? perf[key].toFixed(0) + 'ms' : (perf[key] / 1000).toFixed(2) + 's' %></div>
+          <% if(perfRatings[key]) { %>
+          <span class="severity severity-<%= ratingSeverity[perfRatings[key]] %>"><%= perfRatings[key] %></span>
+          <% } %>
         </div>
+        <% }); %>
+      </div>
+
+      <% if(perf.lcpElement || (perf.layoutShifts && perf.layoutShifts.length > 0)) { %>
+      <div class="card">
+        <% if(perf.lcpElement) { %>
+        <p><strong>LCP element:</strong> <code><%= perf.lcpElement.selector %></code> <%= perf.lcpElement.label %></p>
+        <% } %>
+        <% if(perf.layoutShifts && perf.layoutShifts.length > 0) { %>
+        <h3>Layout Shift Culprits</h3>
+        <table>
+          <tr>
+            <th>Element</th>
+            <th>Shift Score</th>
+            <th>Causes</th>
+          </tr>
+          <% perf.layoutShifts.forEach(shift => { %>
+          <tr>
+            <td><code><%= shift.selector %></code> <%= shift.label %></td>
+            <td><%= typeof shift.score === 'number' ? shift.score.toFixed(3) : 'N/A' %></td>
+            <td><%= shift.causes.length > 0 ? shift.causes.join(', ') : 'Unknown' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } %>
+      </div>
+      <% } %>
+
+      <% if(perf.opportunities && perf.opportunities.length > 0) { %>
+      <div class="card">
+        <h3>Opportunities</h3>
+        <table>
+          <tr>
+            <th>Opportunity</th>
+            <th>Estimated Savings</th>
+          </tr>
+          <% perf.opportunities.forEach(item => { %>
+          <tr>
+            <td><%= item.title %></td>
+            <td><%= [item.savingsMs > 0 ? (item.savingsMs / 1000).toFixed(2) + 's' : null, item.savingsBytes > 0 ? Math.round(item.savingsBytes / 1024) + ' KB' : null].filter(Boolean).join(', ') || item.displayValue || 'N/A' %></td>
+          </tr>
+          <% }); %>
+        </table>
+      </div>
+      <% } %>
+
+      <% if(perf.diagnostics && perf.diagnostics.length > 0) { %>
+      <div class="card">
+        <h3>Diagnostics</h3>
+        <table>
+          <tr>
+            <th>Diagnostic</th>
+            <th>Details</th>
+          </tr>
+          <% perf.diagnostics.forEach(item => { %>
+          <tr>
+            <td><%= item.title %></td>
+            <td><%= item.displayValue || '' %></td>
+          </tr>
+          <% }); %>
+        </table>
+      </div>
+      <% } %>
+      <% } else { %>
+      <div class="card">
+        <p>Performance metrics are not available.</p>
+      </div>
+      <% } %>
+    </div>
+    
+    <% const profileResults = results.profiles ? Object.entries(results.profiles) : []; %>
+    <% if(profileResults.length > 0) { %>
+    <div class="section">
+      <h2>Device Profiles</h2>
+      <div class="card">
+        <p>Google indexes the mobile version of a page, so the mobile profile is the one to optimize first.</p>
+        <% const profileRatings = { good: 'notice', 'needs-improvement': 'warning', poor: 'error' }; %>
+        <% const formatProfileMetric = (key, value) => key === 'CLS' ? value.toFixed(3) : (key === 'TBT' || key === 'TTFB') ? value.toFixed(0) + 'ms' : (value / 1000).toFixed(2) + 's'; %>
+        <table>
+          <tr>
+            <th></th>
+            <% profileResults.forEach(([name]) => { %>
+            <th><%= name.charAt(0).toUpperCase() + name.slice(1) %></th>
+            <% }); %>
+          </tr>
+          <tr>
+            <td>Viewport</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.profile ? data.profile.viewport.width + '×' + data.profile.viewport.height + ' @' + data.profile.viewport.deviceScaleFactor + 'x' : 'Not analyzed: ' + data.error %></td>
+            <% }); %>
+          </tr>
+          <tr>
+            <td>Throttling</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.profile ? Math.round(data.profile.throttling.rttMs) + ' ms RTT, ' + (data.profile.throttling.throughputKbps / 1024).toFixed(1) + ' Mbps, ' + data.profile.throttling.cpuSlowdownMultiplier + 'x CPU' : '' %></td>
+            <% }); %>
+          </tr>
+          <tr>
+            <td>Performance Score</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.performanceMetrics && typeof data.performanceMetrics.performanceScore === 'number' ? Math.round(data.performanceMetrics.performanceScore * 100) + '%' : 'N/A' %></td>
+            <% }); %>
+          </tr>
+          <% [
+            ['FCP', 'First Contentful Paint'],
+            ['LCP', 'Largest Contentful Paint'],
+            ['TBT', 'Total Blocking Time'],
+            ['CLS', 'Cumulative Layout Shift'],
+            ['SI', 'Speed Index'],
+            ['TTI', 'Time to Interactive'],
+            ['TTFB', 'Time to First Byte']
+          ].forEach(([key, label]) => { %>
+          <tr>
+            <td><%= label %></td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <% const metrics = data.performanceMetrics || {}; %>
+            <% const rating = metrics.ratings ? metrics.ratings[key] : null; %>
+            <td>
+              <% if(typeof metrics[key] === 'number') { %>
+              <%= formatProfileMetric(key, metrics[key]) %>
+              <% if(rating) { %><span class="severity severity-<%= profileRatings[rating] %>"><%= rating %></span><% } %>
+              <% } else { %>N/A<% } %>
+            </td>
+            <% }); %>
+          </tr>
+          <% }); %>
+          <tr>
+            <td>Rendering</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.csrSsrDetection ? (data.csrSsrDetection.strategyName || (data.csrSsrDetection.isSSR ? 'Server-Side Rendering (SSR)' : 'Client-Side Rendering (CSR)')) : 'N/A' %></td>
+            <% }); %>
+          </tr>
+          <tr>
+            <td>Lazy-loaded Images</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.lazyLoadingIssues ? data.lazyLoadingIssues.lazyLoadedImages.length : 'N/A' %></td>
+            <% }); %>
+          </tr>
+          <tr>
+            <td>JavaScript</td>
+            <% profileResults.forEach(([name, data]) => { %>
+            <td><%= data.jsDependencies ? data.jsDependencies.jsFiles.length + ' file(s), ' + (data.jsDependencies.totalJsSize / 1024).toFixed(2) + ' KB' : 'N/A' %></td>
+            <% }); %>
+          </tr>
+        </table>
+      </div>
+    </div>
+    <% } %>
+
+    <% const lighthouseCategories = results.performanceMetrics && results.performanceMetrics.categories ? Object.values(results.performanceMetrics.categories) : []; %>
+    <% if(lighthouseCategories.length > 0) { %>
+    <div class="section">
+      <h2>Lighthouse Audits</h2>
+      <% const lighthouseDuplicates = results.lighthouseAudits ? results.lighthouseAudits.duplicates : []; %>
+      <div class="metrics">
+        <% lighthouseCategories.forEach(category => { %>
         <div class="metric-card">
-          <h3>Total Blocking Time</h3>
-          <div class="metric-value"><%= results.performanceMetrics.TBT.toFixed(0) %>ms</div>
+          <h3><%= category.title %></h3>
+          <div class="metric-value"><%= typeof category.score === 'number' ? Math.round(category.score * 100) + '%' : 'N/A' %></div>
         </div>
+        <% }); %>
       </div>
+      <% lighthouseCategories.filter(category => category.audits.length > 0).forEach(category => { %>
+      <div class="card">
+        <h3><%= category.title %>: <%= category.audits.length %> failing audit(s)</h3>
+        <table>
+          <tr>
+            <th>Audit</th>
+            <th>Elements</th>
+            <th>Status</th>
+          </tr>
+          <% category.audits.forEach(audit => { %>
+          <% const duplicate = lighthouseDuplicates.find(item => item.id === 'lighthouse/' + audit.id); %>
+          <tr>
+            <td><%= audit.title %><% if(audit.displayValue) { %> (<%= audit.displayValue %>)<% } %></td>
+            <td><%= audit.elements.length > 0 ? audit.elements.join(', ') : '' %></td>
+            <td><%= duplicate ? 'Also reported as ' + duplicate.coveredBy.join(', ') : 'lighthouse/' + audit.id %></td>
+          </tr>
+          <% }); %>
+        </table>
+      </div>
+      <% }); %>
     </div>
-    
+    <% } %>
+
     <div class="section">
       <h2>Images</h2>
       <div class="card">
@@ -188,13 +608,43 @@ export const htmlTemplate = `
             <th>Alt Text</th>
             <th>Size</th>
             <th>Format</th>
+            <th>Dimensions</th>
+            <th>Displayed</th>
+            <th>width/height</th>
+            <th>Responsive</th>
           </tr>
           <% results.images.forEach(img => { %>
           <tr>
             <td><%= img.src %></td>
-            <td><%= img.alt || 'Missing Alt Text' %></td>
-            <td><%= img.fileSize ? (img.fileSize / 1024).toFixed(2) + ' KB' : 'Unknown' %></td>
-            <td><%= img.format || 'Unknown' %></td>
+            <td><%= img.alt === null ? 'Missing Alt Text' : (img.alt || 'Empty (decorative)') %></td>
+            <td><%= img.fileSize ? (img.fileSize / 1024).toFixed(2) + ' KB' : (img.error || 'Unknown') %></td>
+            <td><%= img.format ? img.format + (img.formatSource === 'url' ? ' (from extension)' : '') : 'Unknown' %></td>
+            <td><%= img.width ? img.width + '×' + img.height : 'Unknown' %></td>
+            <td><%= img.renderedWidth ? img.renderedWidth + '×' + (img.renderedHeight ?? '?') : 'Unknown' %></td>
+            <td><%= img.attributes && img.attributes.width && img.attributes.height ? 'Yes' : 'Missing' %></td>
+            <td><%= [img.srcset ? 'srcset' : null, img.sizes ? 'sizes' : null, img.inPicture ? 'picture (' + img.pictureSources.map(source => source.format || source.type || '?').join(', ') + ')' : null].filter(Boolean).join(', ') || 'None' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } %>
+
+        <% if((results.backgroundImages || []).length > 0) { %>
+        <h3>CSS Background Images</h3>
+        <table>
+          <tr>
+            <th>Image</th>
+            <th>Used by</th>
+            <th>Size</th>
+            <th>Format</th>
+            <th>Dimensions</th>
+          </tr>
+          <% results.backgroundImages.forEach(background => { %>
+          <tr>
+            <td><%= background.url %></td>
+            <td><%= background.element %></td>
+            <td><%= background.fileSize ? (background.fileSize / 1024).toFixed(2) + ' KB' : (background.error || 'Unknown') %></td>
+            <td><%= background.format ? background.format + (background.formatSource === 'url' ? ' (from extension)' : '') : 'Unknown' %></td>
+            <td><%= background.width ? background.width + '×' + background.height : 'Unknown' %></td>
           </tr>
           <% }); %>
         </table>
@@ -205,6 +655,9 @@ export const htmlTemplate = `
     <div class="section">
       <h2>Accessibility Issues</h2>
       <div class="card">
+        <% if(!results.accessibilityIssues) { %>
+          <p>The accessibility audit was not run.</p>
+        <% } else { %>
         <p>Total Issues: <%= results.accessibilityIssues.length %></p>
         
         <% if(results.accessibilityIssues.length > 0) { %>
@@ -221,18 +674,44 @@ export const htmlTemplate = `
         <% } else { %>
           <p>No accessibility issues detected.</p>
         <% } %>
+        <% } %>
       </div>
     </div>
     
     <div class="section">
       <h2>JavaScript Analysis</h2>
       <div class="card">
-        <p><strong>Rendering Method:</strong> <%= results.csrSsrDetection.isSSR ? 'Server-Side Rendering (SSR)' : 'Client-Side Rendering (CSR)' %></p>
-        <p><strong>Recommendation:</strong> <%= results.csrSsrDetection.recommendation %></p>
+        <% if(results.csrSsrDetection) { %>
+        <% const rendering = results.csrSsrDetection; %>
+        <% if(rendering.framework !== undefined) { %>
+        <p><strong>Framework:</strong> <%= rendering.framework ? rendering.framework.name + (rendering.framework.version ? ' ' + rendering.framework.version : '') + ' (' + rendering.framework.signals.join(', ') + ')' : 'None detected' %></p>
+        <% if(rendering.libraries.length > 0) { %>
+        <p><strong>Libraries:</strong> <%= rendering.libraries.map(library => library.name + (library.version ? ' ' + library.version : '')).join(', ') %></p>
+        <% } %>
+        <% } %>
+        <p><strong>Rendering Method:</strong> <%= rendering.strategyName || (rendering.isSSR ? 'Server-Side Rendering (SSR)' : 'Client-Side Rendering (CSR)') %><% if(rendering.strategySignals) { %> (<%= rendering.strategySignals.join(', ') %>)<% } %></p>
+        <% if(rendering.words) { %>
+        <p><strong>Visible text in server HTML:</strong> <%= Math.round(rendering.serverTextShare * 100) %>% (<%= rendering.words.raw %> of <%= rendering.words.rendered %> words)</p>
+        <% } %>
+        <% if(rendering.advice && rendering.advice.length > 0) { %>
+        <p><strong>Advice:</strong></p>
+        <ul>
+          <% rendering.advice.forEach(item => { %>
+          <li><%= item %></li>
+          <% }); %>
+        </ul>
+        <% } else { %>
+        <p><strong>Recommendation:</strong> <%= rendering.recommendation %></p>
+        <% } %>
+        <% } else { %>
+        <p><strong>Rendering Method:</strong> Not analyzed</p>
+        <% } %>
+        <% if(results.jsDependencies) { %>
         <p><strong>Total JS Size:</strong> <%= (results.jsDependencies.totalJsSize / 1024).toFixed(2) %> KB</p>
         <p><strong>Recommendation:</strong> <%= results.jsDependencies.recommendation %></p>
+        <% } %>
         
-        <% if(results.jsDependencies.jsFiles.length > 0) { %>
+        <% if(results.jsDependencies && results.jsDependencies.jsFiles.length > 0) { %>
         <h3>JS Files</h3>
         <table>
           <tr>
@@ -247,8 +726,92 @@ export const htmlTemplate = `
           <% }); %>
         </table>
         <% } %>
+
+        <% const crawlability = results.jsCrawlability; %>
+        <% if(crawlability) { %>
+        <h3>Crawlability</h3>
+        <p><strong>Hash routes:</strong> <%= crawlability.hashRoutes.hashbang.length %> #! link(s), <%= crawlability.hashRoutes.fragment.length %> #/ link(s)</p>
+        <p><strong>Navigation without href:</strong> <%= crawlability.navigationWithoutHref.length + (crawlability.clicks ? crawlability.clicks.scriptNavigation.length : 0) %> element(s)</p>
+        <% if(crawlability.scroll) { %>
+        <p><strong>After scrolling:</strong> <%= crawlability.scroll.newLinks.length %> new link(s), <%= crawlability.scroll.newWords %> new words</p>
+        <% } %>
+        <% if(crawlability.clicks) { %>
+        <p><strong>Clicked elements:</strong> <%= crawlability.clicks.checked %> checked, <%= crawlability.clicks.revealedContent.length %> load content, <%= crawlability.clicks.scriptNavigation.length %> navigate</p>
+        <% } %>
+
+        <% if(crawlability.clicks && crawlability.clicks.revealedContent.length + crawlability.clicks.scriptNavigation.length > 0) { %>
+        <table>
+          <tr>
+            <th>Clicked element</th>
+            <th>Result</th>
+          </tr>
+          <% crawlability.clicks.revealedContent.forEach(item => { %>
+          <tr>
+            <td><code><%= item.selector %></code> <%= item.label %></td>
+            <td>Loads <%= item.words %> words: <%= item.sample %></td>
+          </tr>
+          <% }); %>
+          <% crawlability.clicks.scriptNavigation.forEach(item => { %>
+          <tr>
+            <td><code><%= item.selector %></code> <%= item.label %></td>
+            <td>Navigates to <%= item.to %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } %>
+        <% } %>
+      </div>
+    </div>
+    
+    <% if(results.renderDiff) { %>
+    <% const diff = results.renderDiff; %>
+    <div class="section">
+      <h2>Server HTML vs Rendered Page</h2>
+      <div class="card">
+        <p><strong>Only after rendering:</strong> <%= diff.renderedOnly.length > 0 ? diff.renderedOnly.join(', ') : 'Nothing, the server HTML has every SEO element' %></p>
+        <table>
+          <tr>
+            <th>Element</th>
+            <th>Server HTML</th>
+            <th>Rendered</th>
+            <th>Status</th>
+          </tr>
+          <% diff.elements.forEach(item => { %>
+          <tr>
+            <td><%= item.name %></td>
+            <td><%= item.raw === null ? '-' : item.raw %></td>
+            <td><%= item.rendered === null ? '-' : item.rendered %></td>
+            <td><span class="severity severity-<%= item.status === 'unchanged' ? 'notice' : 'warning' %>"><%= item.status %></span></td>
+          </tr>
+          <% }); %>
+          <% [['Headings', diff.headings], ['Links', diff.links], ['Structured data', diff.structuredData]].forEach(([label, group]) => { %>
+          <tr>
+            <td><%= label %></td>
+            <td><%= group.raw.length %></td>
+            <td><%= group.rendered.length %></td>
+            <td><span class="severity severity-<%= group.added.length + group.removed.length === 0 ? 'notice' : 'warning' %>"><%= group.added.length %> added, <%= group.removed.length %> removed</span></td>
+          </tr>
+          <% }); %>
+          <tr>
+            <td>Visible words</td>
+            <td><%= diff.text.raw %></td>
+            <td><%= diff.text.rendered %></td>
+            <td><span class="severity severity-<%= diff.text.renderedShare === 0 ? 'notice' : 'warning' %>"><%= Math.round(diff.text.renderedShare * 100) %>% rendered only</span></td>
+          </tr>
+        </table>
+        <% [['Headings added by JavaScript', diff.headings.added], ['Links added by JavaScript', diff.links.added], ['Structured data added by JavaScript', diff.structuredData.added]].forEach(([label, items]) => { %>
+          <% if(items.length > 0) { %>
+          <h3><%= label %> (<%= items.length %>)</h3>
+          <ul>
+            <% items.slice(0, 20).forEach(item => { %>
+            <li><%= item %></li>
+            <% }); %>
+          </ul>
+          <% } %>
+        <% }); %>
       </div>
     </div>
+    <% } %>
     
     <div class="section">
       <h2>Mobile Friendliness</h2>
@@ -260,15 +823,50 @@ export const htmlTemplate = `
           <pre>&lt;meta name="viewport" content="width=device-width, initial-scale=1.0"&gt;</pre>
         </div>
         <% } %>
+        <% const mobile = results.mobileAnalysis; %>
+        <% if(mobile && mobile.viewport) { %>
+        <p><strong>Viewport:</strong> <%= mobile.viewport.content %></p>
+        <p><strong>Zoom:</strong> <%= mobile.viewport.zoomRestricted ? 'Restricted' : 'Allowed' %></p>
+        <% } %>
+        <% if(mobile && mobile.layout) { %>
+        <% const layout = mobile.layout; %>
+        <p><strong>Device:</strong> <%= layout.device %> (<%= layout.viewport.width %>×<%= layout.viewport.height %>px)</p>
+        <p><strong>Page width:</strong> <%= layout.scrollWidth %>px<%= layout.horizontalOverflow ? ' (scrolls sideways)' : '' %></p>
+        <p><strong>Tap targets:</strong> <%= layout.tapTargets.checked %> checked, <%= layout.tapTargets.tooSmall.length %> too small, <%= layout.tapTargets.tooClose.length %> too close together</p>
+        <p><strong>Base font size:</strong> <%= layout.fontSizes.base %>px, <%= Math.round(layout.fontSizes.smallTextShare * 100) %>% of the text in small fonts</p>
+        <% [
+          ['Content wider than the viewport', layout.overflowingElements, item => item.width + 'px wide, right edge at ' + item.right + 'px'],
+          ['Small tap targets', layout.tapTargets.tooSmall, item => item.width + '×' + item.height + 'px' + (item.text ? ' "' + item.text + '"' : '')],
+          ['Crowded tap targets', layout.tapTargets.tooClose, item => item.width + '×' + item.height + 'px' + (item.text ? ' "' + item.text + '"' : '')],
+          ['Small text', layout.fontSizes.smallText, item => item.fontSize + 'px, ' + item.characters + ' characters']
+        ].forEach(([label, items, describe]) => { %>
+          <% if(items.length > 0) { %>
+          <h3><%= label %> (<%= items.length %>)</h3>
+          <table>
+            <tr>
+              <th>Selector</th>
+              <th>Details</th>
+            </tr>
+            <% items.slice(0, 20).forEach(item => { %>
+            <tr>
+              <td><code><%= item.selector %></code></td>
+              <td><%= describe(item) %></td>
+            </tr>
+            <% }); %>
+          </table>
+          <% } %>
+        <% }); %>
+        <% } %>
       </div>
     </div>
     
     <div class="section">
       <h2>Lazy Loading</h2>
       <div class="card">
+        <% if(!results.lazyLoadingIssues) { %>
+        <p>Lazy loading detection was not run.</p>
+        <% } else if(results.lazyLoadingIssues.lazyLoadedImages.length > 0) { %>
         <p>Images with lazy loading: <%= results.lazyLoadingIssues.lazyLoadedImages.length %></p>
-        
-        <% if(results.lazyLoadingIssues.lazyLoadedImages.length > 0) { %>
         <h3>Lazy Loaded Images</h3>
         <ul>
           <% results.lazyLoadingIssues.lazyLoadedImages.forEach(img => { %>
@@ -276,6 +874,7 @@ export const htmlTemplate = `
           <% }); %>
         </ul>
         <% } else { %>
+        <p>Images with lazy loading: 0</p>
         <div class="issue">
           <p>No lazy loaded images detected. Consider adding the 'loading="lazy"' attribute to below-the-fold images.</p>
         </div>
@@ -283,14 +882,203 @@ export const htmlTemplate = `
       </div>
     </div>
     
+    <% if(results.fetch) { %>
+    <div class="section">
+      <h2>Page Fetch</h2>
+      <div class="card">
+        <% const fetched = results.fetch; %>
+        <p><strong>Requested URL:</strong> <%= fetched.url %></p>
+        <p><strong>Final URL:</strong> <%= fetched.finalUrl %></p>
+        <p><strong>HTTP status:</strong> <%= fetched.status ?? fetched.error %></p>
+        <p><strong>Content type:</strong> <%= fetched.contentType || 'Unknown' %></p>
+        <p><strong>Size:</strong> <%= (fetched.size / 1024).toFixed(2) %> KB</p>
+        <% if(fetched.timing) { %>
+        <p><strong>Timing:</strong> TTFB <%= fetched.timing.ttfb %>ms, download <%= fetched.timing.download %>ms, total <%= fetched.timing.total %>ms</p>
+        <% } %>
+        <% if(fetched.redirects.length > 0) { %>
+        <h3>Redirect Chain</h3>
+        <table>
+          <tr>
+            <th>URL</th>
+            <th>Status</th>
+            <th>Location</th>
+            <th>Time</th>
+          </tr>
+          <% fetched.redirects.forEach(hop => { %>
+          <tr>
+            <td><%= hop.url %></td>
+            <td><span class="severity severity-<%= [301, 308].includes(hop.status) ? 'notice' : 'warning' %>"><%= hop.status %></span></td>
+            <td><%= hop.location %></td>
+            <td><%= hop.time %>ms</td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } else { %>
+        <p>No redirects</p>
+        <% } %>
+      </div>
+    </div>
+    <% } %>
+
+    <% if(results.indexabilityAnalysis) { %>
+    <div class="section">
+      <h2>Indexability</h2>
+      <div class="card">
+        <% const indexability = results.indexabilityAnalysis; %>
+        <p><strong>Verdict:</strong> <span class="severity severity-<%= indexability.indexable ? 'notice' : 'error' %>"><%= indexability.verdict %></span></p>
+        <table>
+          <tr>
+            <th>Crawler</th>
+            <th>Indexable</th>
+            <th>Reasons</th>
+          </tr>
+          <% Object.entries(indexability.agents).forEach(([agent, verdict]) => { %>
+          <tr>
+            <td><%= agent %></td>
+            <td><%= verdict.indexable ? 'Yes' : 'No' %></td>
+            <td><%= verdict.reasons.map(reason => reason.message).join('; ') || 'None' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <p><strong>HTTP status:</strong> <%= indexability.signals.statusCode ?? 'Unknown' %></p>
+        <p><strong>Meta robots:</strong> <%= indexability.signals.metaRobots.map(meta => meta.name + '="' + meta.content + '"').join(', ') || 'None' %></p>
+        <p><strong>X-Robots-Tag:</strong> <%= indexability.signals.xRobotsTag.map(entry => (entry.userAgent ? entry.userAgent + ': ' : '') + entry.directive).join(', ') || 'None' %></p>
+        <p><strong>Canonical:</strong> <%= indexability.signals.canonical.url || 'None' %><%= indexability.signals.canonical.pointsElsewhere ? ' (points to another URL)' : '' %></p>
+      </div>
+    </div>
+    <% } %>
+
+    <% if(results.soft404Analysis) { %>
+    <div class="section">
+      <h2>Error Pages</h2>
+      <div class="card">
+        <% const soft404 = results.soft404Analysis; %>
+        <% if(soft404.probe) { %>
+        <p><strong>Non-existent URL:</strong> <%= soft404.probe.url %></p>
+        <% if(soft404.probe.error) { %>
+        <p><strong>Status:</strong> <%= soft404.probe.error %></p>
+        <% } else { %>
+        <p><strong>Status:</strong> <span class="severity severity-<%= [404, 410].includes(soft404.probe.status) ? 'notice' : 'error' %>"><%= soft404.probe.status %></span><%= soft404.probe.redirects.length > 0 ? ' after redirecting to ' + soft404.probe.finalUrl : '' %></p>
+        <% } %>
+        <% } %>
+        <p><strong>This page looks like an error page:</strong> <%= soft404.page.looksLikeErrorPage ? 'Yes (' + soft404.page.reasons.join('; ') + ')' : 'No' %></p>
+        <% if(soft404.page.likelySoft404) { %>
+        <p><span class="severity severity-warning">Likely soft 404</span> The page returns <%= soft404.page.statusCode %> although it looks like an error page.</p>
+        <% } %>
+      </div>
+    </div>
+    <% } %>
+
     <div class="section">
       <h2>SEO Files</h2>
       <div class="card">
         <h3>Robots.txt</h3>
-        <pre><%= results.robotsTxt === 'Not Found' ? 'robots.txt file not found' : results.robotsTxt %></pre>
+        <% const robots = results.robotsAnalysis; %>
+        <% const robotsFile = results.robotsTxt; %>
+        <% if(!robots) { %>
+        <p>robots.txt was not fetched.</p>
+        <% } else { %>
+        <p><strong>URL:</strong> <%= robotsFile.url %></p>
+        <p><strong>Status:</strong> <%= robotsFile.status ?? robotsFile.error %><%= robotsFile.contentType ? ' (' + robotsFile.contentType + ', ' + robotsFile.size + ' bytes)' : '' %></p>
+        <% if(robotsFile.redirects.length > 0) { %>
+        <p><strong>Redirects:</strong> <%= robotsFile.redirects.map(hop => hop.status + ' ' + hop.url).join(' → ') %> → <%= robotsFile.finalUrl %></p>
+        <% } %>
+        <% } %>
+        <% if(robots?.availability === 'not-found') { %>
+        <p>robots.txt is not available. Crawlers treat this as no restrictions.</p>
+        <% } else if(robots?.availability === 'unreachable') { %>
+        <div class="issue">
+          <p>robots.txt could not be fetched. Crawlers treat the whole site as disallowed until it responds.</p>
+        </div>
+        <% } else if(robots?.found) { %>
+        <table>
+          <tr>
+            <th>Crawler</th>
+            <th>Page</th>
+            <th>Matched Group</th>
+            <th>Deciding Rule</th>
+            <th>Crawl Delay</th>
+          </tr>
+          <% Object.entries(robots.agents).forEach(([agent, verdict]) => { %>
+          <tr>
+            <td><%= agent %></td>
+            <td><span class="severity severity-<%= verdict.allowed ? 'notice' : 'error' %>"><%= verdict.allowed ? 'Allowed' : 'Blocked' %></span></td>
+            <td><%= verdict.userAgent || 'None' %></td>
+            <td><%= verdict.rule ? 'Line ' + verdict.rule.line + ': ' + (verdict.rule.type === 'allow' ? 'Allow' : 'Disallow') + ': ' + verdict.rule.path : 'No matching rule' %></td>
+            <td><%= verdict.crawlDelay !== null ? verdict.crawlDelay + 's' : 'None' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% if(robots.blockedResources.length > 0) { %>
+        <div class="issue">
+          <p>Resources the page needs that robots.txt blocks:</p>
+          <ul>
+            <% robots.blockedResources.forEach(resource => { %>
+              <li><%= resource.url %> (<%= resource.userAgents.join(', ') %>)</li>
+            <% }); %>
+          </ul>
+        </div>
+        <% } %>
+        <% if(robots.errors.length > 0) { %>
+        <div class="issue">
+          <p>Syntax errors:</p>
+          <ul>
+            <% robots.errors.forEach(error => { %>
+              <li>Line <%= error.line %>: <%= error.message %></li>
+            <% }); %>
+          </ul>
+        </div>
+        <% } %>
+        <% if(robots.sitemaps.length > 0) { %>
+        <p><strong>Sitemaps:</strong> <%= robots.sitemaps.join(', ') %></p>
+        <% } %>
+        <details>
+          <summary>robots.txt content</summary>
+          <pre><%= robotsFile.content %></pre>
+        </details>
+        <% } %>
         
-        <h3>Sitemap.xml</h3>
-        <pre><%= results.sitemapXml === 'Not Found' ? 'sitemap.xml file not found' : results.sitemapXml %></pre>
+        <h3>Sitemaps</h3>
+        <% const sitemapAnalysis = results.sitemapAnalysis; %>
+        <% if(!sitemapAnalysis) { %>
+        <p>Sitemaps were not fetched.</p>
+        <% } else { %>
+        <p><strong>Discovered from:</strong> <%= sitemapAnalysis.discoveredFrom === 'robots.txt' ? 'robots.txt Sitemap lines' : 'default /sitemap.xml location' %></p>
+        <p><strong>URLs found:</strong> <%= sitemapAnalysis.urlCount %></p>
+        <p><strong>This page listed:</strong> <%= sitemapAnalysis.pageListed ? 'Yes' : 'No' %></p>
+        <p><strong>Extensions:</strong> <%= sitemapAnalysis.extensions.images %> images, <%= sitemapAnalysis.extensions.videos %> videos, <%= sitemapAnalysis.extensions.news %> news entries</p>
+        <% if(sitemapAnalysis.sitemaps.length > 0) { %>
+        <table>
+          <tr>
+            <th>Sitemap</th>
+            <th>Type</th>
+            <th>Status</th>
+            <th>Entries</th>
+            <th>Size</th>
+          </tr>
+          <% sitemapAnalysis.sitemaps.forEach(sitemap => { %>
+          <tr>
+            <td><%= sitemap.url %><%= sitemap.compressed ? ' (gzip)' : '' %></td>
+            <td><%= sitemap.type || 'Unknown' %></td>
+            <td><%= sitemap.error ? sitemap.error : sitemap.status %><%= sitemap.redirects?.length > 0 ? ' after ' + sitemap.redirects.length + ' redirect(s)' : '' %></td>
+            <td><%= sitemap.type === 'sitemapindex' ? sitemap.childSitemaps : (sitemap.urlCount ?? 'N/A') %></td>
+            <td><%= sitemap.size ? (sitemap.size / 1024).toFixed(1) + ' KB' : 'N/A' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } %>
+        <% if(sitemapAnalysis.urls.length > 0) { %>
+        <% const shownUrls = sitemapAnalysis.urls.slice(0, 100); %>
+        <details>
+          <summary>URLs (<%= sitemapAnalysis.urlCount > shownUrls.length ? 'first ' + shownUrls.length + ' of ' + sitemapAnalysis.urlCount : sitemapAnalysis.urlCount %>)</summary>
+          <ul>
+            <% shownUrls.forEach(entry => { %>
+              <li><%= entry.loc %><%= entry.lastmod ? ' (' + entry.lastmod + ')' : '' %></li>
+            <% }); %>
+          </ul>
+        </details>
+        <% } %>
+        <% } %>
       </div>
     </div>
     
@@ -321,6 +1109,25 @@ export const htmlTemplate = `
     <div class="section">
       <h2>Headings</h2>
       <div class="card">
+        <% if(results.headingAnalysis) { %>
+          <h3>Outline</h3>
+          <% if(results.headingAnalysis.headings.length > 0) { %>
+            <ul class="outline">
+              <% results.headingAnalysis.headings.forEach(heading => { %>
+                <li style="margin-left: <%= heading.depth * 20 %>px">
+                  <span class="outline-level">H<%= heading.level %></span>
+                  <%= heading.text || '(empty)' %>
+                  <% if(heading.hidden) { %><span class="severity severity-warning">hidden</span><% } %>
+                </li>
+              <% }); %>
+            </ul>
+            <% if(!results.headingAnalysis.visibilityKnown) { %>
+              <p>Whether headings are hidden is unknown: it is measured in the browser.</p>
+            <% } %>
+          <% } else { %>
+            <p>No headings found</p>
+          <% } %>
+        <% } else { %>
         <% for(let i = 1; i <= 6; i++) { %>
           <% if(results.headings['h'+i] && results.headings['h'+i].length > 0) { %>
             <h3>H<%= i %> Tags (<%= results.headings['h'+i].length %>)</h3>
@@ -331,8 +1138,76 @@ export const htmlTemplate = `
             </ul>
           <% } %>
         <% } %>
+        <% } %>
+      </div>
+    </div>
+
+    <% if(results.linkAnalysis) { %>
+    <div class="section">
+      <h2>Links</h2>
+      <div class="card">
+        <% const linkCounts = results.linkAnalysis.counts; %>
+        <p><strong>Links:</strong> <%= linkCounts.total %> (<%= linkCounts.internal %> internal, <%= linkCounts.external %> external, <%= linkCounts.unique %> unique URLs)</p>
+        <p><strong>rel values:</strong> <%= linkCounts.nofollow %> nofollow, <%= linkCounts.sponsored %> sponsored, <%= linkCounts.ugc %> ugc, <%= linkCounts.noopener %> noopener</p>
+        <% if(results.linkAnalysis.base !== results.baseUrl) { %>
+        <p><strong>Resolved against:</strong> <%= results.linkAnalysis.base %></p>
+        <% } %>
+        <% if(results.linkAnalysis.links.length > 0) { %>
+        <table>
+          <tr>
+            <th>Link</th>
+            <th>Anchor Text</th>
+            <th>Type</th>
+            <th>rel</th>
+          </tr>
+          <% results.linkAnalysis.links.forEach(link => { %>
+          <tr>
+            <td><%= link.url || link.href || '(no href)' %></td>
+            <td><%= link.text || '(empty)' %></td>
+            <td><%= link.type %></td>
+            <td><%= link.rel.join(' ') || '-' %></td>
+          </tr>
+          <% }); %>
+        </table>
+        <% } else { %>
+        <p>No links found</p>
+        <% } %>
+      </div>
+      <% if(results.linkCheck) { %>
+      <div class="card">
+        <h3>Link Check</h3>
+        <% ['internal', 'external'].forEach(group => { %>
+          <% const checkedLinks = results.linkCheck[group]; %>
+          <% if(checkedLinks.checked > 0) { %>
+          <p><strong><%= group === 'internal' ? 'Internal' : 'External' %>:</strong> <%= checkedLinks.checked %> checked, <%= checkedLinks.broken %> broken</p>
+          <table>
+            <tr>
+              <th>Status</th>
+              <th>URL</th>
+              <th>Used as</th>
+              <th>Final status</th>
+              <th>Redirects</th>
+              <th>Time</th>
+            </tr>
+            <% Object.entries(checkedLinks.byStatusClass).forEach(([statusClass, links]) => { %>
+              <% links.forEach(link => { %>
+              <tr>
+                <td><span class="severity severity-<%= link.broken ? 'error' : (statusClass === '3xx' ? 'warning' : 'notice') %>"><%= statusClass %></span></td>
+                <td><%= link.url %></td>
+                <td><%= link.kinds.join(', ') %></td>
+                <td><%= link.status ?? link.error %></td>
+                <td><%= link.redirects.length > 0 ? link.redirects.map(hop => hop.status).join(' → ') + ' → ' + link.finalUrl : '-' %></td>
+                <td><%= link.time %>ms</td>
+              </tr>
+              <% }); %>
+            <% }); %>
+          </table>
+          <% } %>
+        <% }); %>
       </div>
+      <% } %>
     </div>
+    <% } %>
   </div>
   
   <div class="footer">
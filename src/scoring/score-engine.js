@@ -0,0 +1,138 @@
+/**
+ * This is the SEO Score Engine
+ * It turns analyzer outputs into weighted category scores and an overall score
+ */
+
+import { SEVERITY, CATEGORY } from '../utils/issues.js';
+
+/**
+ * Default category weights, overridable with the `scoreWeights` option
+ */
+export const DEFAULT_SCORE_WEIGHTS = {
+  performance: 20,
+  onPage: 25,
+  content: 15,
+  accessibility: 10,
+  url: 10,
+  structuredData: 10,
+  headers: 5,
+  social: 5
+};
+
+// Points deducted per issue when a category is scored from its issues
+const ISSUE_PENALTIES = {
+  [SEVERITY.ERROR]: 15,
+  [SEVERITY.WARNING]: 7,
+  [SEVERITY.NOTICE]: 2
+};
+
+// Points deducted per axe violation by impact
+const ACCESSIBILITY_PENALTIES = {
+  critical: 15,
+  serious: 10,
+  moderate: 5,
+  minor: 2
+};
+
+// Issue categories that make up the on-page score
+const ON_PAGE_CATEGORIES = [
+  CATEGORY.META,
+  CATEGORY.IMAGES,
+  CATEGORY.MOBILE,
+  CATEGORY.INDEXING,
+  CATEGORY.RENDERING,
+  CATEGORY.LINKS
+];
+
+/**
+ * Category scorers, each returning a 0-100 score or null when the category was not analyzed
+ */
+const CATEGORY_SCORERS = {
+  performance: (results) => {
+    const score = results.performanceMetrics?.performanceScore;
+    return typeof score === 'number' ? score * 100 : null;
+  },
+  onPage: (results) => {
+    if (!results.issues) return null;
+    return scoreFromIssues(results.issues.filter((issue) => ON_PAGE_CATEGORIES.includes(issue.category)));
+  },
+  content: (results) => {
+    const readability = results.contentAnalysis?.readability;
+    if (!readability) return null;
+    const readingEase = parseFloat(readability.scores.fleschReadingEase);
+    const issueScore = scoreFromIssues((results.issues || []).filter((issue) => issue.category === CATEGORY.CONTENT));
+    return (readingEase + issueScore) / 2;
+  },
+  accessibility: (results) => {
+    if (!Array.isArray(results.accessibilityIssues)) return null;
+    const penalty = results.accessibilityIssues.reduce(
+      (sum, violation) => sum + (ACCESSIBILITY_PENALTIES[violation.impact] || ACCESSIBILITY_PENALTIES.minor),
+      0
+    );
+    return Math.max(0, 100 - penalty);
+  },
+  url: (results) => results.urlAnalysis?.score ?? null,
+  structuredData: (results) => {
+    const analysis = results.structuredDataAnalysis;
+    if (!analysis) return null;
+    if (!analysis.hasStructuredData) return 0;
+    return scoreFromIssues(analysis.issues || []);
+  },
+  headers: (results) => results.headersAnalysis?.score ?? null,
+  social: (results) => results.socialMediaAnalysis?.score ?? null
+};
+
+/**
+ * Calculates category scores and the weighted overall SEO score
+ * Categories without data are skipped and the remaining weights are rescaled
+ * @param {Object} results - Analysis results, including aggregated issues
+ * @param {Object} weights - Category weights overriding DEFAULT_SCORE_WEIGHTS
+ * @returns {Object} Overall score, per-category breakdown and skipped categories
+ */
+export function calculateSEOScore(results, weights = {}) {
+  const mergedWeights = { ...DEFAULT_SCORE_WEIGHTS, ...weights };
+  const categories = {};
+  const skipped = [];
+
+  Object.entries(CATEGORY_SCORERS).forEach(([name, scorer]) => {
+    const weight = Number(mergedWeights[name]) || 0;
+    const score = scorer(results);
+
+    if (score === null || Number.isNaN(score)) {
+      skipped.push(name);
+      return;
+    }
+    if (weight <= 0) return;
+
+    categories[name] = { score: Math.round(clamp(score)), weight };
+  });
+
+  const totalWeight = Object.values(categories).reduce((sum, category) => sum + category.weight, 0);
+
+  let overall = null;
+  if (totalWeight > 0) {
+    Object.values(categories).forEach((category) => {
+      category.share = Math.round((category.weight / totalWeight) * 1000) / 10;
+      category.contribution = Math.round((category.score * category.weight / totalWeight) * 10) / 10;
+    });
+    overall = Math.round(
+      Object.values(categories).reduce((sum, category) => sum + category.score * category.weight, 0) / totalWeight
+    );
+  }
+
+  return { overall, categories, skipped, weights: mergedWeights };
+}
+
+/**
+ * Scores a list of issues by deducting a penalty per issue from 100
+ * @param {Array} issues - Issues to score
+ * @returns {number} Score between 0 and 100
+ */
+function scoreFromIssues(issues) {
+  const penalty = issues.reduce((sum, issue) => sum + (ISSUE_PENALTIES[issue.severity] || 0), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+function clamp(score) {
+  return Math.min(100, Math.max(0, score));
+}
@@ -0,0 +1,22 @@
+/**
+ * Maps over items with a bounded number of concurrent async operations
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of operations running at once
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Promise resolving to results in the same order as items
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  const limit = Math.max(1, Math.min(concurrency || 1, items.length));
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: limit }, worker));
+  return results;
+}
@@ -0,0 +1,104 @@
+/**
+ * This is the bundled font metrics module
+ * It measures text with Arial character widths, the font search engines use for result
+ * titles and snippets, so truncation can be predicted without a browser
+ */
+
+// Arial advance widths in 1/1000 em, grouped by width (metric-compatible with Helvetica)
+const ARIAL_WIDTHS = {
+  191: '\'',
+  222: 'ijl‘’',
+  260: '|¦',
+  278: ' !,./:;I[\\]ft\u00a0·ÌÍÎÏìíîï',
+  333: '()-`r¡¨\u00ad¯²³´¸¹“”‹›{}',
+  350: '•',
+  355: '"',
+  365: 'º',
+  370: 'ª',
+  389: '*',
+  400: '°',
+  469: '^',
+  500: 'Jcksvxyzçýÿ',
+  537: '¶',
+  556: '#$0123456789?L_abdeghnopqu¢£¤¥§«µ»àáâãäåèéêëðñòóôõöùúûüþ–€',
+  584: '+<=>~¬±×÷',
+  611: 'FTZ¿ßø',
+  667: '&ABEKPSVXYÀÁÂÃÄÅÈÉÊËÝÞ',
+  722: 'CDHNRUwÇÐÑÙÚÛÜ',
+  737: '©®',
+  778: 'GOQÒÓÔÕÖØ',
+  833: 'Mm¼½¾',
+  889: '%æ',
+  944: 'W',
+  1000: 'Æ—…™',
+  1015: '@'
+};
+
+// Width of characters missing from the table: an average Latin letter, or a full em for wide scripts
+const DEFAULT_WIDTH = 556;
+const WIDE_WIDTH = 1000;
+
+const CHARACTER_WIDTHS = new Map(
+  Object.entries(ARIAL_WIDTHS).flatMap(([width, characters]) =>
+    Array.from(characters).map((character) => [character, Number(width)])
+  )
+);
+
+const ELLIPSIS = ' ...';
+
+/**
+ * Measures the rendered width of text in Arial
+ * @param {string} text - Text to measure
+ * @param {number} fontSize - Font size in pixels
+ * @returns {number} Width in pixels
+ */
+export function measureTextWidth(text, fontSize) {
+  let units = 0;
+  for (const character of text) {
+    units += CHARACTER_WIDTHS.get(character) ?? (isWideCharacter(character) ? WIDE_WIDTH : DEFAULT_WIDTH);
+  }
+  return Math.round((units * fontSize) / 1000);
+}
+
+/**
+ * Cuts text to fit a pixel width the way search engines do: at a word boundary, followed by " ..."
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} fontSize - Font size in pixels
+ * @returns {Object} Displayed text, whether it was truncated, and the text that was cut off
+ */
+export function truncateToWidth(text, maxWidth, fontSize) {
+  if (measureTextWidth(text, fontSize) <= maxWidth) {
+    return { displayed: text, truncated: false, cutOff: '' };
+  }
+
+  const characters = Array.from(text);
+  let end = characters.length;
+  while (end > 0 && measureTextWidth(characters.slice(0, end).join('') + ELLIPSIS, fontSize) > maxWidth) {
+    end--;
+  }
+
+  // End on a whole word, without trailing separators
+  let kept = characters.slice(0, end).join('');
+  const lastSpace = kept.lastIndexOf(' ');
+  if (characters[end] !== ' ' && lastSpace > 0) kept = kept.slice(0, lastSpace);
+  kept = kept.replace(/[\s|:;,.\-–—]+$/, '');
+
+  return {
+    displayed: kept + ELLIPSIS,
+    truncated: true,
+    cutOff: text.slice(kept.length).trim()
+  };
+}
+
+// Helper functions
+
+function isWideCharacter(character) {
+  const code = character.codePointAt(0);
+  return (code >= 0x1100 && code <= 0x115f) ||
+    (code >= 0x2e80 && code <= 0xa4cf) ||
+    (code >= 0xac00 && code <= 0xd7a3) ||
+    (code >= 0xf900 && code <= 0xfaff) ||
+    (code >= 0xff00 && code <= 0xff60) ||
+    code >= 0x1f300;
+}
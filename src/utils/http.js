@@ -0,0 +1,187 @@
+import axios from 'axios';
+import zlib from 'zlib';
+
+const DEFAULT_MAX_REDIRECTS = 10;
+
+// Time allowed for the body once the headers have arrived, when no timeout is given
+const DEFAULT_BODY_TIMEOUT = 30000;
+
+// Content encodings the body is decoded from; the headers keep Content-Encoding as the server sent it
+const DECODERS = {
+  gzip: () => zlib.createGunzip(),
+  'x-gzip': () => zlib.createGunzip(),
+  deflate: () => zlib.createInflate(),
+  br: () => zlib.createBrotliDecompress()
+};
+
+export const DEFAULT_USER_AGENT = 'SEO-Info-Tool/1.0';
+
+/**
+ * Fetches a URL following redirects manually, so every hop is recorded
+ * Network errors and error statuses are returned rather than thrown
+ * @param {string} url - URL to fetch
+ * @param {Object} options - Analysis options
+ * @param {number} [options.timeout] - Timeout per request in milliseconds, applied to the headers and to the body
+ * @param {number} [options.maxRedirects] - Maximum redirects to follow
+ * @param {string} [options.userAgent] - User-Agent header to send
+ * @param {Object} [options.requestHeaders] - Extra request headers
+ * @param {number} [options.maxBytes] - Stop reading the body after this many bytes
+ * @returns {Promise<Object>} Promise resolving to status, headers, content type, redirect chain,
+ * transferred byte size, timing of the final response and decoded body
+ */
+export async function fetchResource(url, options = {}) {
+  const maxRedirects = options.maxRedirects ?? DEFAULT_MAX_REDIRECTS;
+  const redirects = [];
+  const startedAt = Date.now();
+  let currentUrl = url;
+
+  while (true) {
+    let response;
+    const requestStart = Date.now();
+    try {
+      response = await axios.get(currentUrl, {
+        timeout: options.timeout,
+        responseType: 'stream',
+        maxRedirects: 0,
+        // Decoding ourselves keeps Content-Encoding in the headers and the transferred size exact
+        decompress: false,
+        validateStatus: () => true,
+        headers: {
+          'User-Agent': options.userAgent || DEFAULT_USER_AGENT,
+          'Accept-Encoding': Object.keys(DECODERS).filter((encoding) => encoding !== 'x-gzip').join(', '),
+          ...options.requestHeaders
+        }
+      });
+    } catch (error) {
+      return {
+        url,
+        finalUrl: currentUrl,
+        status: null,
+        headers: {},
+        contentType: null,
+        redirects,
+        size: 0,
+        timing: null,
+        body: null,
+        error: error.message
+      };
+    }
+    const ttfb = Date.now() - requestStart;
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.data.destroy();
+      let nextUrl;
+      try {
+        nextUrl = new URL(location, currentUrl).href;
+      } catch (error) {
+        return {
+          url,
+          finalUrl: currentUrl,
+          status: response.status,
+          headers: { ...response.headers },
+          contentType: null,
+          redirects,
+          size: 0,
+          timing: null,
+          body: null,
+          error: `Invalid redirect location "${location}"`
+        };
+      }
+      redirects.push({ url: currentUrl, status: response.status, location: nextUrl, time: ttfb });
+
+      if (redirects.length > maxRedirects) {
+        return {
+          url,
+          finalUrl: nextUrl,
+          status: response.status,
+          headers: { ...response.headers },
+          contentType: null,
+          redirects,
+          size: 0,
+          timing: null,
+          body: null,
+          error: `Too many redirects (more than ${maxRedirects})`
+        };
+      }
+      currentUrl = nextUrl;
+      continue;
+    }
+
+    let body;
+    let size;
+    try {
+      ({ body, size } = await readBody(response.data, response.headers['content-encoding'], {
+        maxBytes: options.maxBytes,
+        timeout: options.timeout || DEFAULT_BODY_TIMEOUT
+      }));
+    } catch (error) {
+      return {
+        url,
+        finalUrl: currentUrl,
+        status: response.status,
+        headers: { ...response.headers },
+        contentType: response.headers['content-type'] || null,
+        redirects,
+        size: 0,
+        timing: null,
+        body: null,
+        error: error.message
+      };
+    }
+    const finishedAt = Date.now();
+
+    return {
+      url,
+      finalUrl: currentUrl,
+      status: response.status,
+      headers: { ...response.headers },
+      contentType: response.headers['content-type'] || null,
+      redirects,
+      size,
+      timing: {
+        ttfb,
+        download: finishedAt - requestStart - ttfb,
+        total: finishedAt - startedAt
+      },
+      body,
+      error: response.status >= 400 ? `HTTP ${response.status}` : null
+    };
+  }
+}
+
+// Reads the body, decoding it when it is compressed, and gives up once the deadline passes
+// so a server that trickles the body cannot hold the analysis
+function readBody(stream, contentEncoding, { maxBytes = Infinity, timeout }) {
+  return new Promise((resolve, reject) => {
+    const decoder = DECODERS[(contentEncoding || '').trim().toLowerCase()]?.();
+    const output = decoder ? stream.pipe(decoder) : stream;
+    const chunks = [];
+    let length = 0;
+    let size = 0;
+    let settled = false;
+
+    const finish = (error, body) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stream.destroy();
+      if (decoder) decoder.destroy();
+      if (error) reject(error);
+      else resolve({ body, size });
+    };
+    const timer = setTimeout(() => finish(new Error(`Body not received within ${timeout} ms`)), timeout);
+
+    stream.on('data', (chunk) => { size += chunk.length; });
+    output.on('data', (chunk) => {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= maxBytes) {
+        finish(null, Buffer.concat(chunks).subarray(0, maxBytes));
+      }
+    });
+    output.on('end', () => finish(null, Buffer.concat(chunks)));
+    output.on('error', (error) => finish(error));
+    if (decoder) stream.on('error', (error) => finish(error));
+  });
+}
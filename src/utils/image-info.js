@@ -0,0 +1,185 @@
+/**
+ * This is the image info module
+ * It identifies image formats and intrinsic dimensions from the first bytes of a file,
+ * so formats are not guessed from URLs that carry query strings or CDN transforms
+ */
+
+// Bytes read from an image to find its format and dimensions
+export const IMAGE_HEADER_BYTES = 64 * 1024;
+
+const CONTENT_TYPE_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/pjpeg': 'jpeg',
+  'image/png': 'png',
+  'image/apng': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/bmp': 'bmp',
+  'image/heic': 'heic',
+  'image/tiff': 'tiff'
+};
+
+const EXTENSION_FORMATS = {
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  jfif: 'jpeg',
+  png: 'png',
+  apng: 'png',
+  gif: 'gif',
+  webp: 'webp',
+  avif: 'avif',
+  svg: 'svg',
+  ico: 'ico',
+  bmp: 'bmp',
+  heic: 'heic',
+  tif: 'tiff',
+  tiff: 'tiff'
+};
+
+// JPEG start-of-frame markers, which carry the image dimensions
+const JPEG_SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+/**
+ * Identifies an image from its leading bytes
+ * @param {Buffer} buffer - Start of the image file
+ * @returns {Object|null} Format with width and height (null when not found), or null when unrecognized
+ */
+export function sniffImage(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+
+  try {
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+      return { format: 'png', ...readDimensions(buffer, 24, () => [buffer.readUInt32BE(16), buffer.readUInt32BE(20)]) };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      return { format: 'jpeg', ...readJpegDimensions(buffer) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+      return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+      return { format: 'webp', ...readWebpDimensions(buffer) };
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+      return readIsoImage(buffer);
+    }
+    if (buffer.toString('ascii', 0, 2) === 'BM') {
+      return { format: 'bmp', ...readDimensions(buffer, 26, () => [buffer.readInt32LE(18), Math.abs(buffer.readInt32LE(22))]) };
+    }
+    if (buffer.readUInt32BE(0) === 0x00000100) {
+      return { format: 'ico', width: buffer[6] || 256, height: buffer[7] || 256 };
+    }
+
+    const text = buffer.toString('utf8', 0, Math.min(buffer.length, 4096));
+    if (/<svg[\s>]/i.test(text)) {
+      return { format: 'svg', ...readSvgDimensions(text) };
+    }
+  } catch (e) {
+    // Truncated or malformed headers leave the image unidentified
+  }
+
+  return null;
+}
+
+/**
+ * Maps a Content-Type header to an image format
+ * @param {string|null} contentType - Content-Type header value
+ * @returns {string|null} Image format, or null when not an image type
+ */
+export function formatFromContentType(contentType) {
+  if (!contentType) return null;
+  return CONTENT_TYPE_FORMATS[contentType.split(';')[0].trim().toLowerCase()] || null;
+}
+
+/**
+ * Guesses an image format from the file extension of a URL, ignoring query strings and fragments
+ * @param {string} url - Image URL
+ * @returns {string|null} Image format, or null when the path has no known extension
+ */
+export function formatFromUrl(url) {
+  try {
+    const { pathname, protocol } = new URL(url, 'http://localhost/');
+    if (protocol === 'data:') {
+      return formatFromContentType(pathname.split(/[;,]/)[0]);
+    }
+    const extension = pathname.split('/').pop().split('.').slice(1).pop();
+    return extension ? EXTENSION_FORMATS[extension.toLowerCase()] || null : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Helper functions
+
+function readDimensions(buffer, minLength, read) {
+  if (buffer.length < minLength) return { width: null, height: null };
+  const [width, height] = read();
+  return { width, height };
+}
+
+function readJpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) break;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return { width: null, height: null };
+}
+
+function readWebpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return { width: null, height: null };
+}
+
+function readIsoImage(buffer) {
+  const boxSize = buffer.readUInt32BE(0);
+  const brands = [];
+  for (let offset = 8; offset + 4 <= Math.min(boxSize, buffer.length); offset += 4) {
+    if (offset !== 12) brands.push(buffer.toString('ascii', offset, offset + 4));
+  }
+
+  let format = null;
+  if (brands.includes('avif') || brands.includes('avis')) format = 'avif';
+  else if (brands.some((brand) => ['heic', 'heix', 'hevc', 'mif1'].includes(brand))) format = 'heic';
+  if (!format) return null;
+
+  // The image spatial extents ('ispe') property holds the dimensions
+  const ispe = buffer.indexOf('ispe', 0, 'ascii');
+  if (ispe === -1 || ispe + 16 > buffer.length) return { format, width: null, height: null };
+  return { format, width: buffer.readUInt32BE(ispe + 8), height: buffer.readUInt32BE(ispe + 12) };
+}
+
+function readSvgDimensions(text) {
+  const tag = text.match(/<svg[^>]*>/i)?.[0] || '';
+  const attribute = (name) => tag.match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(?:px)?\\s*["']`, 'i'))?.[1];
+  const width = attribute('width');
+  const height = attribute('height');
+  if (width && height) return { width: Math.round(Number(width)), height: Math.round(Number(height)) };
+
+  const viewBox = tag.match(/viewBox\s*=\s*["']([^"']+)["']/i)?.[1].trim().split(/[\s,]+/).map(Number);
+  if (viewBox?.length === 4) return { width: Math.round(viewBox[2]), height: Math.round(viewBox[3]) };
+  return { width: null, height: null };
+}
@@ -0,0 +1,191 @@
+/**
+ * This is the shared issue model
+ * Every analyzer reports problems as issues with a stable rule ID, severity and category
+ */
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  NOTICE: 'notice'
+};
+
+export const CATEGORY = {
+  META: 'meta',
+  CONTENT: 'content',
+  INDEXING: 'indexing',
+  URL: 'url',
+  IMAGES: 'images',
+  MOBILE: 'mobile',
+  PERFORMANCE: 'performance',
+  SECURITY: 'security',
+  ACCESSIBILITY: 'accessibility',
+  SOCIAL: 'social',
+  STRUCTURED_DATA: 'structured-data',
+  RENDERING: 'rendering',
+  LINKS: 'links',
+  BEST_PRACTICES: 'best-practices'
+};
+
+const SEVERITY_RANK = {
+  [SEVERITY.ERROR]: 0,
+  [SEVERITY.WARNING]: 1,
+  [SEVERITY.NOTICE]: 2
+};
+
+// Analyzer results whose `issues` arrays feed the top-level issue list
+const ISSUE_SOURCES = [
+  'redirectAnalysis',
+  'robotsAnalysis',
+  'sitemapAnalysis',
+  'indexabilityAnalysis',
+  'soft404Analysis',
+  'headersAnalysis',
+  'urlAnalysis',
+  'serpAnalysis',
+  'headingAnalysis',
+  'linkAnalysis',
+  'imageAnalysis',
+  'linkCheck',
+  'mobileAnalysis',
+  'jsCrawlability',
+  'renderDiff',
+  'socialMediaAnalysis',
+  'structuredDataAnalysis',
+  'contentAnalysis.contentStructure',
+  'contentAnalysis.contentRatio',
+  'contentAnalysis.keywords',
+  'localReferences',
+  'lighthouseAudits'
+];
+
+/**
+ * Creates an issue in the shared shape
+ * @param {Object} details - Issue details
+ * @param {string} details.id - Stable rule ID, e.g. "headers/cache-control-missing"
+ * @param {string} details.category - One of CATEGORY
+ * @param {string} details.message - What is wrong
+ * @param {string} [details.severity] - One of SEVERITY, defaults to warning
+ * @param {string} [details.element] - Affected element, selector or resource
+ * @param {string} [details.fix] - How to fix the problem
+ * @returns {Object} Issue object
+ */
+export function createIssue({ id, category, message, severity = SEVERITY.WARNING, element = null, fix = null }) {
+  return { id, severity, category, message, element, fix };
+}
+
+/**
+ * Creates an issue and records it, adding its fix to the recommendations list
+ * @param {Array} issues - Issue list to append to
+ * @param {Array} recommendations - Recommendation list to append the fix to
+ * @param {Object} details - Issue details, see createIssue
+ * @returns {Object} The created issue
+ */
+export function addIssue(issues, recommendations, details) {
+  const issue = createIssue(details);
+  issues.push(issue);
+  if (issue.fix && recommendations) {
+    recommendations.push(issue.fix);
+  }
+  return issue;
+}
+
+/**
+ * Aggregates the issues of every analyzer into one list sorted by severity
+ * @param {Object} results - Analysis results
+ * @param {Object} options - Analysis options
+ * @param {Array<string>} [options.ignoreRules] - Rule IDs to suppress
+ * @returns {Array} Aggregated issues
+ */
+export function collectIssues(results, options = {}) {
+  const ignoredRules = new Set(options.ignoreRules || []);
+
+  const issues = [...getPageIssues(results, options)];
+  ISSUE_SOURCES.forEach((source) => {
+    const analysis = source.split('.').reduce((value, key) => value?.[key], results);
+    if (Array.isArray(analysis?.issues)) {
+      issues.push(...analysis.issues);
+    }
+  });
+
+  return issues
+    .filter((issue) => !ignoredRules.has(issue.id))
+    .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+}
+
+/**
+ * Counts issues by severity
+ * @param {Array} issues - Issue list
+ * @returns {Object} Counts keyed by severity
+ */
+export function countIssuesBySeverity(issues) {
+  const counts = { [SEVERITY.ERROR]: 0, [SEVERITY.WARNING]: 0, [SEVERITY.NOTICE]: 0 };
+  issues.forEach((issue) => {
+    counts[issue.severity] = (counts[issue.severity] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Derives issues from the basic page analysis results
+ * @param {Object} results - Analysis results
+ * @param {Object} options - Analysis options
+ * @returns {Array} Issues
+ */
+function getPageIssues(results, options) {
+  const issues = [];
+
+  // alt="" marks a decorative image, so only a missing attribute is reported
+  (results.images || []).filter((img) => img.alt === null).forEach((img) => {
+    issues.push(createIssue({
+      id: 'images/alt-missing',
+      category: CATEGORY.IMAGES,
+      message: 'Image has no alt text',
+      element: img.src,
+      fix: 'Describe the image in its alt attribute, or use alt="" for decorative images'
+    }));
+  });
+
+  (results.largeImages || []).forEach((img) => {
+    issues.push(createIssue({
+      id: 'images/too-large',
+      category: CATEGORY.IMAGES,
+      message: `Image is ${(img.fileSize / 1024).toFixed(0)} KB`,
+      element: img.src,
+      fix: 'Compress the image or serve it in a modern format such as WebP or AVIF'
+    }));
+  });
+
+  // The render diff measures the same share of client-rendered text and supersedes this rule when it fires
+  const contentInjected = (results.renderDiff?.issues || []).some((issue) => issue.id === 'rendering/content-injected');
+  if (results.csrSsrDetection?.isCSR && !contentInjected) {
+    issues.push(createIssue({
+      id: 'rendering/client-side-only',
+      category: CATEGORY.RENDERING,
+      message: 'Page content appears to be rendered on the client only',
+      fix: results.csrSsrDetection.recommendation
+    }));
+  }
+
+  const jsSizeLimit = options.thresholds?.totalJsSize;
+  if (jsSizeLimit && results.jsDependencies?.totalJsSize > jsSizeLimit) {
+    issues.push(createIssue({
+      id: 'performance/javascript-too-large',
+      category: CATEGORY.PERFORMANCE,
+      message: `Page loads ${(results.jsDependencies.totalJsSize / 1024).toFixed(0)} KB of JavaScript`,
+      fix: results.jsDependencies.recommendation
+    }));
+  }
+
+  (results.accessibilityIssues || []).forEach((violation) => {
+    issues.push(createIssue({
+      id: `accessibility/${violation.id}`,
+      severity: ['critical', 'serious'].includes(violation.impact) ? SEVERITY.ERROR : SEVERITY.WARNING,
+      category: CATEGORY.ACCESSIBILITY,
+      message: violation.help || violation.description,
+      element: violation.nodes?.map((node) => [].concat(node.target).join(' ')).join(', ') || null,
+      fix: violation.helpUrl ? `${violation.description} See ${violation.helpUrl}` : violation.description
+    }));
+  });
+
+  return issues;
+}
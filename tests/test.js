@@ -1,6 +1,34 @@
-import { analyzeSEO } from '../src/index.js';
+import { analyzeSEO, calculateSEOScore, auditLocalPath, crawlSite } from '../src/index.js';
+import { extractLinks } from '../src/crawler/site-crawler.js';
+import { mapWithConcurrency } from '../src/utils/concurrency.js';
+import { createIssue, addIssue, collectIssues, countIssuesBySeverity, SEVERITY, CATEGORY } from '../src/utils/issues.js';
+import { parseRobotsTxt, isAllowedByRobots, analyzeRobotsTxt } from '../src/analyzers/robots-analyzer.js';
+import { parseSitemap, analyzeSitemaps } from '../src/analyzers/sitemap-analyzer.js';
+import { analyzeIndexability } from '../src/analyzers/indexability-analyzer.js';
+import { analyzeRedirects } from '../src/analyzers/redirect-analyzer.js';
+import { analyzeSoft404 } from '../src/analyzers/soft-404-analyzer.js';
+import { analyzeHeadings } from '../src/analyzers/heading-analyzer.js';
+import { analyzeSerp } from '../src/analyzers/serp-analyzer.js';
+import { analyzeLinks } from '../src/analyzers/link-analyzer.js';
+import { analyzeMobile, auditMobileLayout } from '../src/analyzers/mobile-analyzer.js';
+import { analyzeJSCrawlability, auditInteractions } from '../src/analyzers/crawlability-analyzer.js';
+import { diffRenderedDom } from '../src/analyzers/render-diff-analyzer.js';
+import { identifyFramework, summarizeLighthouseResult } from '../src/analyzers/performance-analyzer.js';
+import { analyzeLighthouseAudits } from '../src/analyzers/lighthouse-analyzer.js';
+import { resolveProfile, applyProfile, getLighthouseSettings } from '../src/browser/profiles.js';
+import { checkLinks, createLinkChecker, listBrokenLinks } from '../src/analyzers/link-checker.js';
+import { measureTextWidth } from '../src/utils/font-metrics.js';
+import { fetchResource } from '../src/utils/http.js';
+import { openBrowserSession, withBrowserSession } from '../src/browser/browser-session.js';
+import { analyzeHeaders } from '../src/analyzers/advanced/headers-analyzer.js';
+import { sniffImage, formatFromUrl } from '../src/utils/image-info.js';
+import { createDOM, analyzeImages, getSEOFiles } from '../src/analyzers/html-analyzer.js';
+import { urlToFile } from '../src/local/local-site.js';
 import assert from 'assert';
 import fs from 'fs';
+import http from 'http';
+import zlib from 'zlib';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -69,6 +97,8 @@ describe('SEO Analyzer Tests', () => {
 
   const baseUrl = 'https://example.com';
   const options = {
+    url: baseUrl,
+    offline: true, // No network or browser needed
     imageSizeLimit: 150 * 1024, // 150KB
     timeout: 30000,
     reportFormat: 'json',
@@ -78,12 +108,12 @@ describe('SEO Analyzer Tests', () => {
   let results = null;
 
   it('should fetch and process HTML content', async () => {
-    results = await analyzeSEO(htmlContent, baseUrl, options);
+    results = await analyzeSEO(htmlContent, options);
     assert(results, 'Results should not be null');
   });
 
   it('should extract basic meta information correctly', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.title, 'Test Page', 'Title mismatch');
     assert.strictEqual(results.description, 'This is a test page', 'Description mismatch');
@@ -91,7 +121,7 @@ describe('SEO Analyzer Tests', () => {
   });
 
   it('should extract Open Graph tags', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.openGraph['og:title'], 'Test Page', 'OG title mismatch');
     assert.strictEqual(results.openGraph['og:description'], 'This is a test page for social sharing', 'OG description mismatch');
@@ -99,7 +129,7 @@ describe('SEO Analyzer Tests', () => {
   });
 
   it('should detect headings structure', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.headings.h1.length, 1, 'Should have 1 h1 tag');
     assert.strictEqual(results.headings.h1[0], 'Main Heading', 'H1 content mismatch');
@@ -108,7 +138,7 @@ describe('SEO Analyzer Tests', () => {
   });
 
   it('should correctly analyze images', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.images.length, 2, 'Incorrect number of images');
 
@@ -120,19 +150,31 @@ describe('SEO Analyzer Tests', () => {
   });
 
   it('should detect canonical link', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.canonicalLink, 'https://example.com/test-page', 'Canonical link mismatch');
   });
 
   it('should check for mobile-friendliness', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     assert.strictEqual(results.mobileFriendliness.isResponsive, true, 'Should detect responsive design');
   });
 
+  it('should report which checks were skipped in offline mode', async () => {
+    if (!results) results = await analyzeSEO(htmlContent, options);
+
+    const skipped = results.skippedChecks.map(check => check.check);
+    ['seoFiles', 'imageSizes', 'accessibility', 'performance', 'csrSsrDetection'].forEach(check => {
+      assert(skipped.includes(check), `${check} should be skipped`);
+    });
+    assert.strictEqual(results.performanceMetrics, null, 'Performance metrics should not be collected');
+    assert.strictEqual(results.robotsTxt, null, 'robots.txt should not be fetched');
+    assert(results.structuredDataAnalysis, 'DOM-based analyzers should still run');
+  });
+
   it('should generate a report file', async () => {
-    if (!results) results = await analyzeSEO(htmlContent, baseUrl, options);
+    if (!results) results = await analyzeSEO(htmlContent, options);
 
     const reportPath = `${options.outputPath}.json`;
 
@@ -147,6 +189,1123 @@ describe('SEO Analyzer Tests', () => {
   });
 });
 
+describe('Score Engine Tests', () => {
+  const results = {
+    performanceMetrics: { performanceScore: 0.9 },
+    accessibilityIssues: [{ impact: 'serious' }],
+    urlAnalysis: { score: 60 },
+    issues: [{ id: 'meta/description-missing', severity: 'warning', category: 'meta' }]
+  };
+
+  it('should weight category scores into an overall score', () => {
+    const score = calculateSEOScore(results, { performance: 1, accessibility: 1, onPage: 1, url: 1 });
+
+    assert.strictEqual(score.categories.performance.score, 90, 'Performance score mismatch');
+    assert.strictEqual(score.categories.accessibility.score, 90, 'Accessibility score mismatch');
+    assert.strictEqual(score.categories.onPage.score, 93, 'On-page score mismatch');
+    assert.strictEqual(score.overall, Math.round((90 + 90 + 93 + 60) / 4), 'Overall score mismatch');
+    assert.strictEqual(score.categories.url.contribution, 15, 'URL contribution mismatch');
+  });
+
+  it('should skip categories without data', () => {
+    const score = calculateSEOScore(results);
+
+    assert(score.skipped.includes('social'), 'Social should be skipped');
+    assert(!('social' in score.categories), 'Social should not be scored');
+  });
+});
+
+describe('Issue Model Tests', () => {
+  it('should create issues with a warning severity and no element or fix by default', () => {
+    assert.deepStrictEqual(
+      createIssue({ id: 'meta/title-missing', category: CATEGORY.META, message: 'Page has no title' }),
+      { id: 'meta/title-missing', severity: 'warning', category: 'meta', message: 'Page has no title', element: null, fix: null }
+    );
+  });
+
+  it('should record the fix of an added issue as a recommendation', () => {
+    const issues = [];
+    const recommendations = [];
+
+    const issue = addIssue(issues, recommendations, {
+      id: 'headers/strict-transport-security-missing', category: CATEGORY.SECURITY, message: 'No HSTS header', fix: 'Send Strict-Transport-Security'
+    });
+    addIssue(issues, recommendations, { id: 'headers/server-exposed', category: CATEGORY.SECURITY, message: 'Server version exposed' });
+    addIssue(issues, null, { id: 'headers/etag-missing', category: CATEGORY.PERFORMANCE, message: 'No ETag', fix: 'Send an ETag' });
+
+    assert.strictEqual(issues[0], issue, 'The created issue should be returned');
+    assert.deepStrictEqual(issues.map(item => item.id), ['headers/strict-transport-security-missing', 'headers/server-exposed', 'headers/etag-missing']);
+    assert.deepStrictEqual(recommendations, ['Send Strict-Transport-Security']);
+  });
+
+  it('should collect issues from every analyzer, sorted by severity, without ignored rules', () => {
+    const issue = (id, severity) => createIssue({ id, severity, category: CATEGORY.CONTENT, message: id });
+    const results = {
+      title: 'Home',
+      description: 'Welcome',
+      images: [{ src: '/logo.png', alt: null }, { src: '/divider.png', alt: '' }],
+      headingAnalysis: { issues: [issue('headings/skipped-level', SEVERITY.WARNING), issue('headings/h1-missing', SEVERITY.ERROR)] },
+      contentAnalysis: { keywords: { issues: [issue('content/keyword-stuffing', SEVERITY.NOTICE)] } },
+      linkAnalysis: { issues: 'not a list' }
+    };
+
+    assert.deepStrictEqual(collectIssues(results).map(item => item.id), [
+      'headings/h1-missing', 'images/alt-missing', 'headings/skipped-level', 'content/keyword-stuffing'
+    ]);
+    assert.deepStrictEqual(
+      collectIssues(results, { ignoreRules: ['images/alt-missing', 'headings/h1-missing'] }).map(item => item.id),
+      ['headings/skipped-level', 'content/keyword-stuffing']
+    );
+  });
+
+  it('should count issues by severity', () => {
+    assert.deepStrictEqual(countIssuesBySeverity([]), { error: 0, warning: 0, notice: 0 });
+    assert.deepStrictEqual(
+      countIssuesBySeverity([{ severity: 'error' }, { severity: 'notice' }, { severity: 'notice' }]),
+      { error: 1, warning: 0, notice: 2 }
+    );
+  });
+
+  it('should leave ignored rules out of the results and the counts of analyzeSEO', async () => {
+    const html = '<html><head><title>Home</title></head><body><h2>Welcome</h2></body></html>';
+    const options = { url: 'https://example.com/', offline: true, saveReport: false };
+
+    const all = await analyzeSEO(html, options);
+    const filtered = await analyzeSEO(html, { ...options, ignoreRules: ['headings/h1-missing', 'meta/description-missing'] });
+
+    assert(all.issues.some(item => item.id === 'headings/h1-missing'), 'Missing h1 should be reported');
+    assert(!filtered.issues.some(item => ['headings/h1-missing', 'meta/description-missing'].includes(item.id)), 'Ignored rules should be left out');
+    assert.strictEqual(filtered.issues.length, all.issues.length - 2);
+    assert.deepStrictEqual(filtered.issueCounts, countIssuesBySeverity(filtered.issues));
+  });
+
+  it('should report a missing Strict-Transport-Security header once', () => {
+    const issues = analyzeHeaders({ 'content-type': 'text/html; charset=utf-8' }).issues.map(item => item.id);
+
+    assert.deepStrictEqual(issues.filter(id => id.includes('strict-transport-security') || id.includes('hsts')), ['headers/strict-transport-security-missing']);
+  });
+
+  it('should report a missing alt attribute but not an empty one', async () => {
+    const html = '<html><head><title>Home</title></head><body><img src="x.png" alt=""><img src="y.png"></body></html>';
+    const results = await analyzeSEO(html, { url: 'https://example.com/', offline: true, saveReport: false });
+
+    const altIssues = results.issues.filter(item => item.id === 'images/alt-missing');
+    assert.deepStrictEqual(altIssues.map(item => item.element), ['y.png'], 'Only the image without alt should be reported');
+  });
+});
+
+describe('Robots.txt Tests', () => {
+  const robots = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /private',
+    'Allow: /private/public$',
+    'Disallow: /*.js$',
+    '',
+    'User-agent: Googlebot',
+    'Disallow: /assets/',
+    'Allow: /assets/css/',
+    'Sitemap: https://example.com/sitemap.xml',
+    'Nonsense'
+  ].join('\n'));
+
+  it('should parse groups, sitemaps and syntax errors', () => {
+    assert.strictEqual(robots.groups.length, 2, 'Group count mismatch');
+    assert.deepStrictEqual(robots.sitemaps, ['https://example.com/sitemap.xml'], 'Sitemaps mismatch');
+    assert.strictEqual(robots.errors.length, 1, 'Syntax error count mismatch');
+    assert.strictEqual(robots.errors[0].line, 10, 'Syntax error line mismatch');
+  });
+
+  it('should apply the most specific group and the longest matching rule', () => {
+    assert.strictEqual(isAllowedByRobots(robots, '/private/page', 'Bingbot').allowed, false);
+    assert.strictEqual(isAllowedByRobots(robots, '/private/public', 'Bingbot').allowed, true);
+    assert.strictEqual(isAllowedByRobots(robots, '/app.js', 'Bingbot').allowed, false);
+    assert.strictEqual(isAllowedByRobots(robots, '/app.js?v=2', 'Bingbot').allowed, true);
+    assert.strictEqual(isAllowedByRobots(robots, '/private/page', 'Googlebot').allowed, true);
+    assert.strictEqual(isAllowedByRobots(robots, '/assets/app.js', 'Googlebot-Image').allowed, false);
+    assert.strictEqual(isAllowedByRobots(robots, '/assets/css/site.css', 'Googlebot').allowed, true);
+  });
+
+  it('should treat a 5xx robots.txt as disallowing everything and a 404 as allowing everything', () => {
+    const file = (status) => ({ url: 'https://example.com/robots.txt', status, error: `HTTP ${status}`, redirects: [] });
+
+    const unreachable = analyzeRobotsTxt(file(503), 'https://example.com/page');
+    assert.strictEqual(unreachable.availability, 'unreachable', 'Availability mismatch');
+    assert.strictEqual(unreachable.agents.Googlebot.allowed, false, '5xx should block crawling');
+    assert.strictEqual(unreachable.issues[0].id, 'indexing/robots-txt-unreachable', 'Issue mismatch');
+
+    const missing = analyzeRobotsTxt(file(404), 'https://example.com/page');
+    assert.strictEqual(missing.availability, 'not-found', 'Availability mismatch');
+    assert.deepStrictEqual(missing.agents, {}, '404 should not block crawling');
+    assert.strictEqual(missing.issues[0].id, 'indexing/robots-txt-missing', 'Issue mismatch');
+  });
+});
+
+describe('Sitemap Tests', () => {
+  it('should parse URL entries with extensions and flag invalid values', () => {
+    const sitemap = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+              xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+        <url>
+          <loc>https://example.com/</loc>
+          <lastmod>2024-05-01</lastmod>
+          <image:image><image:loc>https://example.com/hero.jpg</image:loc></image:image>
+        </url>
+        <url><loc>https://example.com/about</loc><lastmod>01/05/2024</lastmod></url>
+        <url><loc>https://other.com/page</loc></url>
+      </urlset>`, 'https://example.com/sitemap.xml');
+
+    assert.strictEqual(sitemap.type, 'urlset', 'Sitemap type mismatch');
+    assert.deepStrictEqual(sitemap.urls.map(entry => entry.loc),
+      ['https://example.com/', 'https://example.com/about', 'https://other.com/page'], 'URLs mismatch');
+    assert.deepStrictEqual(sitemap.urls[0].images, ['https://example.com/hero.jpg'], 'Image extension mismatch');
+
+    const ruleIds = sitemap.issues.map(issue => issue.id);
+    assert(ruleIds.includes('sitemap/invalid-lastmod'), 'Invalid lastmod should be reported');
+    assert(ruleIds.includes('sitemap/url-origin-mismatch'), 'Foreign origin should be reported');
+  });
+
+  it('should list the sitemaps of a sitemap index', () => {
+    const index = parseSitemap(`<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <sitemap><loc>https://example.com/pages.xml.gz</loc></sitemap>
+      </sitemapindex>`, 'https://example.com/sitemap.xml');
+
+    assert.strictEqual(index.type, 'sitemapindex', 'Sitemap type mismatch');
+    assert.deepStrictEqual(index.sitemaps.map(child => child.loc), ['https://example.com/pages.xml.gz']);
+  });
+
+  it('should fetch robots.txt and sitemaps once per origin and list the URLs up to sitemap.maxUrls', async () => {
+    const requested = [];
+    const server = http.createServer((req, res) => {
+      requested.push(req.url);
+      if (req.url === '/robots.txt') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`User-agent: *\nAllow: /\nSitemap: ${origin}/sitemap.xml`);
+        return;
+      }
+      const entries = Array.from({ length: 150 }, (_, i) => `<url><loc>${origin}/page-${i}</loc></url>`).join('');
+      res.writeHead(200, { 'Content-Type': 'application/xml' });
+      res.end(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}</urlset>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const origin = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const options = { robotsCache: new Map(), sitemapCache: new Map(), sitemap: { maxUrls: 100 } };
+      const analyzePage = async (pageUrl) => {
+        const { robotsTxt } = await getSEOFiles(pageUrl, options);
+        return analyzeSitemaps(analyzeRobotsTxt(robotsTxt, pageUrl).sitemaps, pageUrl, options);
+      };
+      const [listed, unlisted] = await Promise.all([analyzePage(`${origin}/page-120`), analyzePage(`${origin}/about`)]);
+
+      assert.deepStrictEqual(requested, ['/robots.txt', '/sitemap.xml'], 'Files should be requested once');
+      assert.strictEqual(listed.urlCount, 150, 'URL count mismatch');
+      assert.strictEqual(listed.urls.length, 100, 'URLs past maxUrls should not be listed');
+      assert.strictEqual(listed.urlsTruncated, true, 'The list should be marked as truncated');
+      assert.strictEqual(listed.pageListed, true, 'Page past maxUrls should be found');
+      assert.strictEqual(unlisted.pageListed, false, 'Unlisted page should not be found');
+      assert(unlisted.issues.some(issue => issue.id === 'sitemap/page-not-listed'), 'Unlisted page should be reported');
+      assert(!listed.issues.some(issue => issue.id === 'sitemap/page-not-listed'), 'Issue should not leak between pages');
+
+      const full = await analyzeSitemaps([`${origin}/sitemap.xml`], `${origin}/about`);
+      assert.strictEqual(full.urls.length, 150, 'Every URL should be listed by default');
+      assert.strictEqual(full.urlsTruncated, false);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('Indexability Tests', () => {
+  const analyze = (head, signals = {}) => analyzeIndexability(
+    createDOM(`<html><head>${head}</head><body></body></html>`).document,
+    { url: 'https://example.com/page', statusCode: 200, ...signals }
+  );
+
+  it('should report an indexable page', () => {
+    const result = analyze('<link rel="canonical" href="https://example.com/page">');
+    assert.strictEqual(result.indexable, true, 'Page should be indexable');
+    assert.strictEqual(result.issues.length, 0, 'No issues expected');
+  });
+
+  it('should apply crawler-specific meta robots and X-Robots-Tag', () => {
+    const result = analyze('<meta name="googlebot" content="noindex">', {
+      headers: { 'X-Robots-Tag': 'bingbot: noindex, nofollow' }
+    });
+    assert.strictEqual(result.agents.Googlebot.reasons[0].signal, 'meta-robots', 'Googlebot reason mismatch');
+    assert.strictEqual(result.agents.Bingbot.reasons[0].signal, 'x-robots-tag', 'Bingbot reason mismatch');
+    assert.strictEqual(result.verdict, 'not-indexable', 'Verdict mismatch');
+  });
+
+  it('should flag error statuses and canonicals pointing elsewhere', () => {
+    assert.strictEqual(analyze('', { statusCode: 404 }).agents.Googlebot.reasons[0].signal, 'http-status');
+    assert.strictEqual(analyze('<link rel="canonical" href="/other">').verdict, 'canonicalized');
+  });
+});
+
+describe('Image Tests', () => {
+  it('should identify formats and dimensions from magic bytes, not URLs', () => {
+    const png = Buffer.alloc(24);
+    png.writeUInt32BE(0x89504e47, 0);
+    png.write('IHDR', 12, 'ascii');
+    png.writeUInt32BE(1200, 16);
+    png.writeUInt32BE(800, 20);
+    assert.deepStrictEqual(sniffImage(png), { format: 'png', width: 1200, height: 800 });
+    assert.deepStrictEqual(sniffImage(Buffer.from('R0lGODlhAQABAAAAACw=', 'base64')), { format: 'gif', width: 1, height: 1 });
+    assert.strictEqual(formatFromUrl('https://cdn.example.com/photo.JPG?w=200&fm=webp'), 'jpeg');
+    assert.strictEqual(formatFromUrl('https://cdn.example.com/images/12345'), null);
+  });
+
+  it('should report missing dimensions, srcset without sizes and legacy formats', async () => {
+    const { document } = createDOM(`<html><head><style>.hero { background: url(/hero.png) no-repeat; }</style></head><body>
+      <img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" alt="Dot">
+      <img src="/photo.jpg" srcset="/photo-400.jpg 400w, /photo-800.jpg 800w" width="800" height="600" alt="Photo">
+      <picture><source type="image/avif" srcset="/team.avif"><img src="/team.jpg" width="400" height="300" alt="Team"></picture>
+    </body></html>`);
+    const { images, backgroundImages, issues } = await analyzeImages(document, 'https://example.com/', {
+      offline: true,
+      thresholds: { largeImageSize: 100 * 1024 }
+    });
+
+    assert.strictEqual(images[0].format, 'gif', 'Data URI should be sniffed');
+    assert.deepStrictEqual(images[2].pictureSources.map(source => source.format), ['avif']);
+    assert.strictEqual(backgroundImages[0].url, 'https://example.com/hero.png', 'Background image URL mismatch');
+    assert.deepStrictEqual(
+      issues.map(issue => `${issue.id} ${issue.element}`),
+      [
+        'images/dimensions-missing data:image/gif;base64,R0lGODlhAQABAAAAACw=',
+        'images/legacy-format /photo.jpg',
+        'images/legacy-format https://example.com/hero.png',
+        'images/sizes-missing /photo.jpg'
+      ]
+    );
+
+    const legacy = issues.find(issue => issue.id === 'images/legacy-format');
+    assert.strictEqual(images[1].formatSource, 'url', 'Offline formats should come from the URL');
+    assert.strictEqual(images[0].formatSource, 'bytes');
+    assert.strictEqual(legacy.message, 'Image looks like a JPEG from its file extension; the served format was not checked');
+  });
+
+  it('should probe each image once per cache and keep broken images', async () => {
+    const { document } = createDOM(`<html><body>
+      <img src="/missing.png" width="10" height="10" alt="Missing">
+      <img src="/missing.png" width="10" height="10" alt="Missing again">
+    </body></html>`);
+    const imageCache = new Map([
+      ['https://example.com/missing.png', Promise.resolve({ fileSize: null, contentType: null, status: 404, error: 'HTTP 404' })]
+    ]);
+    const { images, issues } = await analyzeImages(document, 'https://example.com/', {
+      imageCache,
+      thresholds: { largeImageSize: 100 * 1024 }
+    });
+
+    assert.strictEqual(images.length, 2, 'Broken images should stay in the results');
+    assert.strictEqual(imageCache.size, 1, 'Shared image should be probed once');
+    assert.deepStrictEqual(issues.map(issue => issue.id), ['images/broken', 'images/broken']);
+    assert.deepStrictEqual(collectIssues({ imageAnalysis: { issues } }).map(issue => issue.id), ['images/broken', 'images/broken']);
+  });
+
+  it('should keep the other images when one src is not a valid URL', async () => {
+    const { document } = createDOM(`<html><body>
+      <img src="http://[broken/logo.png" width="10" height="10" alt="Logo">
+      <img src="/photo.webp" width="10" height="10" alt="Photo">
+    </body></html>`);
+    const { images, issues } = await analyzeImages(document, 'https://example.com/', {
+      offline: true,
+      thresholds: { largeImageSize: 100 * 1024 }
+    });
+
+    assert.deepStrictEqual(images.map(image => image.src), ['http://[broken/logo.png', '/photo.webp']);
+    assert.strictEqual(images[1].format, 'webp');
+    assert.deepStrictEqual(issues.map(issue => `${issue.id} ${issue.message}`), ['images/broken Image cannot be loaded: Invalid image URL']);
+  });
+});
+
+describe('SERP Tests', () => {
+  const analyze = (head) => analyzeSerp(
+    createDOM(`<html><head>${head}</head><body></body></html>`).document,
+    'https://example.com/shoes/running'
+  );
+
+  it('should measure text with the bundled font metrics', () => {
+    assert.strictEqual(measureTextWidth('Hello', 20), 46, 'Pixel width mismatch');
+    assert.ok(measureTextWidth('WWWW', 20) > measureTextWidth('iiii', 20), 'Wide letters should measure wider');
+  });
+
+  it('should truncate long titles at a word boundary and flag brand suffixes', () => {
+    const result = analyze('<title>Running Shoes for Road, Trail and Track: Reviews, Sizing and Buying Advice | Example Store</title>');
+    assert.strictEqual(result.title.desktop.truncated, true, 'Title should be truncated on desktop');
+    assert.ok(result.title.desktop.displayed.endsWith(' ...'), 'Truncated title should end with an ellipsis');
+    assert.ok(result.title.desktop.cutOff.endsWith('Example Store'), 'Cut-off text mismatch');
+    assert.deepStrictEqual(
+      result.issues.map(issue => issue.id),
+      ['meta/title-truncated', 'meta/title-brand-suffix', 'meta/description-missing']
+    );
+    assert.strictEqual(result.displayUrl, 'example.com › shoes › running', 'Display URL mismatch');
+  });
+
+  it('should flag missing and multiple titles and duplicate words', () => {
+    assert.strictEqual(analyze('').issues[0].id, 'meta/title-missing');
+    const result = analyze('<title>Shoes</title><title>Shoes | Cheap Shoes</title>');
+    assert.ok(result.issues.some(issue => issue.id === 'meta/title-multiple'), 'Multiple titles not flagged');
+    assert.strictEqual(analyze('<title>Cheap Shoes | Shoes Online</title>').title.duplicateWords[0], 'shoes');
+  });
+});
+
+describe('Mobile Tests', () => {
+  const analyze = (viewport, layout = null) => analyzeMobile(
+    createDOM(`<html><head>${viewport}</head><body></body></html>`).document,
+    layout
+  );
+
+  it('should flag missing, fixed-width and zoom-blocking viewports', () => {
+    assert.deepStrictEqual(analyze('').issues.map(issue => issue.id), ['mobile/viewport-missing']);
+    assert.deepStrictEqual(analyze('<meta name="viewport" content="width=1024">').issues.map(issue => issue.id), ['mobile/viewport-width']);
+    assert.deepStrictEqual(analyze('<meta name="viewport" content="width=device-width, initial-scale=1">').issues, []);
+    assert.deepStrictEqual(
+      analyze('<meta name="viewport" content="width=device-width, maximum-scale=1">').issues.map(issue => issue.id),
+      ['mobile/zoom-disabled']
+    );
+    assert.strictEqual(analyze('<meta name="viewport" content="width=device-width, user-scalable=no">').viewport.zoomDisabled, true);
+  });
+
+  it('should list the offending selectors of the emulated layout', () => {
+    const result = analyze('<meta name="viewport" content="width=device-width">', {
+      device: 'Pixel 5',
+      viewport: { width: 393, height: 851 },
+      scrollWidth: 620,
+      horizontalOverflow: true,
+      overflowingElements: [{ selector: 'main > table.prices', width: 600, right: 620 }],
+      tapTargets: { checked: 12, tooSmall: [{ selector: 'nav > a:nth-of-type(2)', text: 'Blog', width: 30, height: 18 }], tooClose: [] },
+      fontSizes: { base: 16, smallTextShare: 0.1, smallText: [] }
+    });
+
+    assert.deepStrictEqual(
+      result.issues.map(issue => `${issue.id} ${issue.element}`),
+      ['mobile/horizontal-scroll main > table.prices', 'mobile/tap-targets-too-small nav > a:nth-of-type(2)']
+    );
+  });
+
+  it('should measure the session page on a mobile profile and open a phone tab otherwise', async () => {
+    const layout = { viewport: { width: 412, height: 823 } };
+    const calls = [];
+    const createPage = (name) => ({
+      setViewport: async (viewport) => calls.push([name, 'viewport', viewport.width]),
+      setUserAgent: async () => {},
+      emulateNetworkConditions: async () => {},
+      emulateCPUThrottling: async () => {},
+      emulate: async (device) => calls.push([name, 'emulate', device.viewport.width]),
+      goto: async () => calls.push([name, 'goto']),
+      evaluate: async () => layout,
+      close: async () => calls.push([name, 'close'])
+    });
+    const session = (profile) => ({
+      url: 'https://example.com/',
+      profile: resolveProfile(profile),
+      page: createPage('session'),
+      browser: { newPage: async () => createPage('tab') }
+    });
+
+    assert.deepStrictEqual(await auditMobileLayout(session('mobile')), { device: 'mobile profile', ...layout });
+    assert.deepStrictEqual(calls, [], 'The mobile session page should be measured as it is');
+
+    assert.strictEqual((await auditMobileLayout(session('desktop'))).device, 'mobile profile');
+    assert.deepStrictEqual(calls, [['tab', 'viewport', 412], ['tab', 'goto'], ['tab', 'close']]);
+
+    calls.length = 0;
+    assert.strictEqual((await auditMobileLayout(session('mobile'), { mobile: { device: 'iPhone 12' } })).device, 'iPhone 12');
+    assert.deepStrictEqual(calls, [['tab', 'emulate', 390], ['tab', 'goto'], ['tab', 'close']]);
+  });
+
+  it('should return an error for an unknown device instead of throwing', async () => {
+    const result = await auditMobileLayout('https://example.com/', { mobile: { device: 'Pixel 99' } });
+    assert.match(result.error, /Unknown device "Pixel 99"/);
+    assert.strictEqual(analyze('<meta name="viewport" content="width=device-width">', result).layout, null);
+  });
+});
+
+describe('Crawlability Tests', () => {
+  it('should scroll in a tab emulating the session profile', async () => {
+    const calls = [];
+    const page = {
+      setViewport: async (viewport) => calls.push(['viewport', viewport.width]),
+      setUserAgent: async () => {},
+      emulateNetworkConditions: async (conditions) => calls.push(['network', conditions !== null]),
+      emulateCPUThrottling: async (factor) => calls.push(['cpu', factor]),
+      evaluateOnNewDocument: async () => {},
+      setRequestInterception: async () => {},
+      on: () => {},
+      goto: async () => calls.push(['goto']),
+      url: () => 'https://example.com/',
+      evaluate: async () => ({ url: 'https://example.com/', history: [], links: [], text: [] }),
+      close: async () => calls.push(['close'])
+    };
+    const session = { url: 'https://example.com/', profile: resolveProfile('mobile'), browser: { newPage: async () => page } };
+
+    const result = await auditInteractions(session, { crawlability: { scrollSteps: 1, scrollDelay: 0 } });
+
+    assert.deepStrictEqual(result, { scroll: { steps: 1, newLinks: [], newWords: 0 }, clicks: null });
+    assert.deepStrictEqual(calls, [['viewport', 412], ['network', true], ['cpu', 4], ['goto'], ['close']]);
+  });
+
+  it('should flag hash routes, href-less navigation and content behind clicks and scrolling', () => {
+    const { document } = createDOM(`<html><body>
+      <a href="#!/plans">Plans</a> <a href="#/faq">FAQ</a> <a href="#top">Top</a>
+      <span role="link" onclick="router.push('/team')">Team</span>
+      <div role="link" class="card" onclick="location.href='/contact'">Contact</div>
+    </body></html>`);
+
+    const result = analyzeJSCrawlability(document, 'https://example.com/pricing', {
+      scroll: { steps: 5, newLinks: ['https://example.com/blog?page=2'], newWords: 120 },
+      clicks: {
+        checked: 3,
+        revealedContent: [{ selector: 'button.tab', label: 'Specs', words: 45, sample: 'Weight 1.2 kg' }],
+        scriptNavigation: [
+          { selector: 'div.card', label: 'Contact', to: 'https://example.com/contact' },
+          { selector: 'li.plan', label: 'Enterprise', to: 'https://example.com/enterprise' }
+        ]
+      }
+    });
+
+    assert.deepStrictEqual(result.hashRoutes, { hashbang: ['#!/plans'], fragment: ['#/faq'], ajaxCrawling: false });
+    assert.deepStrictEqual(result.issues.map(issue => issue.id), [
+      'rendering/hashbang-urls',
+      'rendering/fragment-routing',
+      'rendering/navigation-without-href',
+      'rendering/content-after-interaction',
+      'rendering/links-after-scroll'
+    ]);
+    // The div navigates in its onclick handler, which the link analyzer reports
+    assert.strictEqual(result.issues[2].element, '<span role="link">, li.plan → https://example.com/enterprise');
+  });
+
+  it('should only check the markup without a browser', () => {
+    const { document } = createDOM('<html><head><meta name="fragment" content="!"></head><body><h1>Home</h1></body></html>');
+    const result = analyzeJSCrawlability(document, 'https://example.com/');
+
+    assert.strictEqual(result.clicks, null);
+    assert.deepStrictEqual(result.issues.map(issue => issue.id), ['rendering/hashbang-urls']);
+  });
+
+  it('should report scroll results when clicking is off', () => {
+    const { document } = createDOM('<html><body><a href="/blog">Blog</a></body></html>');
+    const result = analyzeJSCrawlability(document, 'https://example.com/', {
+      scroll: { steps: 5, newLinks: ['https://example.com/blog?page=2'], newWords: 80 },
+      clicks: null
+    });
+
+    assert.strictEqual(result.clicks, null);
+    assert.deepStrictEqual(result.issues.map(issue => issue.id), ['rendering/links-after-scroll']);
+  });
+});
+
+describe('Render Diff Tests', () => {
+  it('should list the SEO elements that exist only after rendering', () => {
+    const raw = createDOM(`<html><head><title>Loading</title><link rel="canonical" href="https://example.com/pricing"></head>
+      <body><div id="app"></div><script>${'window.__STATE__ = {}; '.repeat(200)}</script></body></html>`).document;
+    const rendered = createDOM(`<html><head>
+      <title>Pricing plans</title>
+      <link rel="canonical" href="https://example.com/pricing">
+      <meta name="description" content="Compare our plans">
+      <meta name="robots" content="index, follow">
+      <script type="application/ld+json">{"@context": "https://schema.org", "@type": "Product", "name": "Pro"}</script>
+    </head><body>
+      <h1>Pricing</h1>
+      <h2>Pro</h2>
+      <a href="/signup">Sign up</a> <a href="/signup#form">Sign up now</a>
+      <p>${'Every plan includes support and updates. '.repeat(10)}</p>
+      <p hidden>Internal notes</p>
+    </body></html>`).document;
+
+    const result = diffRenderedDom(raw, rendered, 'https://example.com/pricing');
+
+    assert.deepStrictEqual(
+      result.elements.map(item => `${item.name}: ${item.status}`),
+      ['title: changed', 'meta description: added', 'canonical: unchanged', 'meta robots: added']
+    );
+    assert.deepStrictEqual(result.headings.added, ['h1: Pricing', 'h2: Pro']);
+    assert.deepStrictEqual(result.links.added, ['https://example.com/signup']);
+    assert.deepStrictEqual(result.structuredData.added, ['Product']);
+    assert.deepStrictEqual(result.text, { raw: 0, rendered: 67, renderedShare: 1 });
+    assert.deepStrictEqual(result.renderedOnly, [
+      'meta description', 'meta robots', '2 heading(s)', '1 link(s)', 'Product structured data', '100% of the visible text'
+    ]);
+    assert.deepStrictEqual(result.issues.map(issue => `${issue.id} ${issue.severity}`), [
+      'rendering/meta-injected error',
+      'rendering/meta-changed warning',
+      'rendering/headings-injected warning',
+      'rendering/links-injected warning',
+      'rendering/structured-data-injected notice',
+      'rendering/content-injected warning'
+    ]);
+  });
+
+  it('should report client-rendered content once when the render diff already reports it', () => {
+    const csrSsrDetection = { isCSR: true, recommendation: 'Prerender the page' };
+    const contentInjected = { id: 'rendering/content-injected', severity: 'warning', category: 'rendering', message: '100% of the visible text only appears after JavaScript runs' };
+    const ruleIds = (results) => collectIssues(results).map(issue => issue.id).filter(id => id.startsWith('rendering/'));
+
+    assert.deepStrictEqual(ruleIds({ csrSsrDetection, renderDiff: { issues: [contentInjected] } }), ['rendering/content-injected']);
+    assert.deepStrictEqual(ruleIds({ csrSsrDetection, renderDiff: { issues: [] } }), ['rendering/client-side-only']);
+  });
+});
+
+describe('Framework Tests', () => {
+  it('should identify Next.js with its router, version and rendering strategy', () => {
+    const result = identifyFramework({
+      runtime: {
+        next: { version: '14.1.0', router: 'app', data: null, signals: ['self.__next_f'] },
+        react: { version: null, signals: ['React root in the DOM'] }
+      },
+      rawHtml: '<html><body><main>Plans</main><script>self.__next_f.push([1,""])</script></body></html>',
+      rawHead: { title: true, description: false },
+      scriptUrls: ['https://example.com/_next/static/chunks/main-app.js?v=1'],
+      headers: { 'cache-control': 's-maxage=60, stale-while-revalidate' },
+      serverRendered: true
+    });
+
+    assert.deepStrictEqual(result.framework, {
+      name: 'Next.js',
+      version: '14.1.0',
+      signals: ['self.__next_f', 'App Router payload in server HTML', 'bundle main-app.js']
+    });
+    assert.deepStrictEqual(result.libraries, [{ name: 'React', version: null }]);
+    assert.strictEqual(result.strategy, 'ISR-like');
+    assert.ok(result.advice[0].includes('generateMetadata'), 'App Router pages without a server-rendered description should get metadata advice');
+  });
+
+  it('should classify React 18 as SSR when its root is hydrated from server-rendered content', () => {
+    const classify = (rawHtml, root) => identifyFramework({
+      runtime: { react: { version: '18.2.0', root, signals: ['React root in the DOM'] } },
+      rawHtml,
+      scriptUrls: ['https://example.com/static/js/main.1a2b3c4d.js'],
+      serverRendered: true
+    });
+
+    const hydrated = classify('<html><body><div id="root"><main><h1>Plans</h1></main></div><script src="/app.js"></script></body></html>', '#root');
+    assert.strictEqual(hydrated.strategy, 'SSR');
+    assert.deepStrictEqual(hydrated.strategySignals, ['React root #root is hydrated from server-rendered content']);
+
+    assert.strictEqual(classify('<html><body><div id="root"><script>window.data = {}</script></div><main>Plans</main></body></html>', '#root').strategy, 'prerendered');
+    assert.strictEqual(classify('<html><body><main>Plans</main></body></html>', 'document').strategy, 'SSR');
+    assert.strictEqual(classify('<html><body><main>Plans</main></body></html>', null).strategy, 'prerendered');
+  });
+
+  it('should classify Angular without server rendering as CSR and static Angular as SSG', () => {
+    const csr = identifyFramework({
+      runtime: { angular: { version: '17.3.0', signals: ['ng-version attribute'] } },
+      rawHtml: '<html><body><app-root></app-root></body></html>',
+      scriptUrls: ['https://example.com/main-K3Y2PQ7A.js'],
+      serverRendered: false
+    });
+    assert.strictEqual(csr.framework.name, 'Angular');
+    assert.strictEqual(csr.strategy, 'CSR');
+    assert.ok(csr.advice[0].includes('ng add @angular/ssr'));
+
+    const ssg = identifyFramework({
+      rawHtml: '<html><body><app-root ng-version="17.3.0" ng-server-context="ssg"><h1>Docs</h1></app-root></body></html>',
+      serverRendered: true
+    });
+    assert.strictEqual(ssg.strategy, 'SSG');
+    assert.deepStrictEqual(ssg.strategySignals, ['ng-server-context="ssg"']);
+  });
+});
+
+describe('Lighthouse Tests', () => {
+  it('should rate metrics and collect the LCP element, layout shifts, opportunities and diagnostics', () => {
+    const node = (selector) => ({ type: 'node', selector, nodeLabel: selector, snippet: `<div class="${selector}">` });
+    const result = summarizeLighthouseResult({
+      categories: {
+        performance: {
+          score: 0.62,
+          auditRefs: [
+            { id: 'largest-contentful-paint', weight: 25 },
+            { id: 'render-blocking-resources', weight: 0 },
+            { id: 'unused-javascript', weight: 0 },
+            { id: 'dom-size', weight: 0 },
+            { id: 'uses-long-cache-ttl', weight: 0 }
+          ]
+        }
+      },
+      audits: {
+        'first-contentful-paint': { numericValue: 1200 },
+        'largest-contentful-paint': { numericValue: 3100 },
+        'total-blocking-time': { numericValue: 650 },
+        'cumulative-layout-shift': { numericValue: 0.1 },
+        'speed-index': { numericValue: 2900 },
+        interactive: { numericValue: 5000 },
+        'server-response-time': { numericValue: 450 },
+        metrics: { details: { items: [{ timeToFirstByte: 520 }] } },
+        'largest-contentful-paint-element': { details: { type: 'list', items: [{ type: 'table', items: [{ node: node('hero') }] }] } },
+        'layout-shifts': { details: { items: [{ node: node('banner'), score: 0.08, subItems: { items: [{ cause: 'Unsized image element' }] } }] } },
+        'render-blocking-resources': { title: 'Eliminate render-blocking resources', score: 0.5, details: { type: 'opportunity', overallSavingsMs: 300 } },
+        'unused-javascript': { title: 'Reduce unused JavaScript', score: 0, details: { type: 'opportunity', overallSavingsMs: 900, overallSavingsBytes: 120000 } },
+        'dom-size': { title: 'Avoid an excessive DOM size', score: 0.4, displayValue: '2,100 elements', details: { type: 'table' } },
+        'uses-long-cache-ttl': { title: 'Serve static assets with an efficient cache policy', score: 1, details: { type: 'table' } }
+      }
+    });
+
+    assert.strictEqual(result.performanceScore, 0.62);
+    assert.strictEqual(result.TTFB, 520, 'TTFB should come from the metrics audit');
+    assert.deepStrictEqual(result.ratings, {
+      FCP: 'good', LCP: 'needs-improvement', TBT: 'poor', CLS: 'good', SI: 'good', TTI: 'needs-improvement', TTFB: 'good'
+    });
+    assert.strictEqual(result.lcpElement.selector, 'hero');
+    assert.deepStrictEqual(result.layoutShifts.map(shift => [shift.selector, shift.causes]), [['banner', ['Unsized image element']]]);
+    assert.deepStrictEqual(result.opportunities.map(item => [item.id, item.savingsMs]), [['unused-javascript', 900], ['render-blocking-resources', 300]]);
+    assert.deepStrictEqual(result.diagnostics.map(item => item.id), ['dom-size'], 'Passing audits should not be listed');
+  });
+
+  it('should merge failing SEO and accessibility audits into issues without repeating our own findings', () => {
+    const failing = (title, selector) => ({ title, score: 0, scoreDisplayMode: 'binary', description: `${title}. [Learn more](https://example.com).`, details: { items: [{ node: { selector } }] } });
+    const { categories } = summarizeLighthouseResult({
+      categories: {
+        seo: { title: 'SEO', score: 0.75, auditRefs: [{ id: 'tap-targets' }, { id: 'hreflang' }, { id: 'image-alt' }, { id: 'document-title' }, { id: 'structured-data' }] },
+        accessibility: { title: 'Accessibility', score: 0.8, auditRefs: [{ id: 'image-alt' }, { id: 'color-contrast' }, { id: 'target-size', group: 'hidden' }] }
+      },
+      audits: {
+        'tap-targets': failing('Tap targets are not sized appropriately', 'nav > a'),
+        hreflang: failing('Document does not have a valid hreflang', 'link[hreflang]'),
+        'image-alt': failing('Image elements do not have [alt] attributes', 'img.logo'),
+        'document-title': { title: 'Document has a title element', score: 1, scoreDisplayMode: 'binary' },
+        'structured-data': { title: 'Structured data is valid', score: null, scoreDisplayMode: 'manual' },
+        'color-contrast': failing('Background and foreground colors do not have a sufficient contrast ratio', 'p.muted'),
+        'target-size': failing('Touch targets do not have sufficient size', 'nav > a')
+      }
+    });
+
+    assert.deepStrictEqual(categories.seo.audits.map(audit => audit.id), ['tap-targets', 'hreflang', 'image-alt']);
+    assert.strictEqual(categories.seo.audits[1].description, 'Document does not have a valid hreflang.', 'Learn more links should be stripped');
+
+    const result = analyzeLighthouseAudits(categories, {
+      mobileAnalysis: { issues: [{ id: 'mobile/tap-targets-too-small', severity: 'warning', category: 'mobile' }] },
+      accessibilityIssues: [{ id: 'color-contrast', impact: 'serious' }]
+    });
+
+    assert.deepStrictEqual(result.issues.map(issue => [issue.id, issue.category, issue.element]), [
+      ['lighthouse/hreflang', 'indexing', 'link[hreflang]'],
+      ['lighthouse/image-alt', 'images', 'img.logo']
+    ]);
+    assert.deepStrictEqual(result.duplicates.map(item => [item.id, item.coveredBy]), [
+      ['lighthouse/tap-targets', ['mobile/tap-targets-too-small']],
+      ['lighthouse/color-contrast', ['axe-core color-contrast']]
+    ]);
+  });
+});
+
+describe('Profile Tests', () => {
+  it('should throttle the page and Lighthouse alike for the mobile profile and leave desktop unthrottled', async () => {
+    const calls = [];
+    const page = {
+      setViewport: async (viewport) => calls.push(['viewport', viewport.width, viewport.isMobile]),
+      setUserAgent: async (userAgent) => calls.push(['userAgent', /Mobile/.test(userAgent)]),
+      emulateNetworkConditions: async (conditions) => calls.push(['network', conditions]),
+      emulateCPUThrottling: async (factor) => calls.push(['cpu', factor])
+    };
+
+    const mobile = resolveProfile('mobile');
+    await applyProfile(page, mobile);
+    assert.deepStrictEqual(calls, [
+      ['viewport', 412, true],
+      ['userAgent', true],
+      ['network', { download: 188743.68, upload: 86400, latency: 562.5 }],
+      ['cpu', 4]
+    ]);
+    const settings = getLighthouseSettings(mobile);
+    assert.strictEqual(settings.formFactor, 'mobile');
+    assert.strictEqual(settings.throttling.cpuSlowdownMultiplier, 4);
+    assert.strictEqual(settings.screenEmulation.width, 412);
+
+    calls.length = 0;
+    await applyProfile(page, resolveProfile('desktop'));
+    assert.deepStrictEqual(calls.slice(2), [['network', null], ['cpu', null]]);
+  });
+
+  it('should build a custom profile on top of a preset', () => {
+    const profile = resolveProfile('custom', {
+      extends: 'desktop',
+      viewport: { width: 1024, height: 768 },
+      throttling: { rttMs: 100, throughputKbps: 5000, cpuSlowdownMultiplier: 2 }
+    });
+
+    assert.strictEqual(profile.formFactor, 'desktop');
+    assert.deepStrictEqual(profile.viewport, { width: 1024, height: 768, deviceScaleFactor: 1, isMobile: false, hasTouch: false });
+    assert.strictEqual(profile.throttling.requestLatencyMs, 375, 'Request latency should follow the simulated RTT');
+    assert.strictEqual(profile.throttling.downloadThroughputKbps, 4500);
+    assert.throws(() => resolveProfile('tablet'), /Unknown profile/);
+  });
+});
+
+describe('Heading Tests', () => {
+  it('should build the outline and flag hierarchy problems', () => {
+    const { document } = createDOM(`<html><head><style>.visually-gone { display: none; }</style></head><body>
+      <h2>Intro</h2><h4>Details</h4><h3></h3>
+      <div class="visually-gone"><h2>Keywords for crawlers</h2></div>
+    </body></html>`);
+    const visibility = [{ level: 2, hidden: false }, { level: 4, hidden: false }, { level: 3, hidden: false }, { level: 2, hidden: true }];
+    const result = analyzeHeadings(document, {}, visibility);
+
+    assert.deepStrictEqual(result.headings.map(heading => heading.depth), [0, 1, 1, 0], 'Outline depth mismatch');
+    assert.strictEqual(result.outline[0].children.length, 2, 'Intro should contain two subheadings');
+    assert.deepStrictEqual(
+      result.issues.map(issue => issue.id),
+      ['headings/h1-missing', 'headings/skipped-level', 'headings/empty', 'headings/hidden']
+    );
+  });
+
+  it('should leave heading visibility unknown without browser measurements', () => {
+    const { document } = createDOM(`<html><head><style>h2 { display: none; }</style></head><body>
+      <h1>Pricing</h1><h2>Plans</h2>
+    </body></html>`);
+
+    const offline = analyzeHeadings(document);
+    assert.strictEqual(offline.visibilityKnown, false);
+    assert.deepStrictEqual(offline.headings.map(heading => heading.hidden), [null, null]);
+    assert(!offline.issues.some(issue => issue.id === 'headings/hidden'), 'Hidden headings should not be guessed from inline CSS');
+
+    // Measurements of a page whose headings differ are not applied
+    const mismatched = analyzeHeadings(document, {}, [{ level: 1, hidden: false }]);
+    assert.strictEqual(mismatched.visibilityKnown, false);
+  });
+});
+
+describe('Link Tests', () => {
+  it('should classify links against the base URL and flag unfollowable ones', () => {
+    const { document } = createDOM(`<html><head><base href="https://example.com/docs/"></head><body>
+      <a href="guide">Setup guide</a>
+      <a href="https://www.example.com/pricing" rel="nofollow">Pricing</a>
+      <a href="https://partner.com/" rel="sponsored noopener" target="_blank">Read more</a>
+      <a href="https://other.com/" target="_blank">read more</a>
+      <a href="#">Menu</a>
+      <a href="javascript:void(0)">Open</a>
+      <a onclick="openCart()">Cart</a>
+      <a href="/team"><img src="/team.jpg" alt=""></a>
+      <span onclick="location.href='/contact'">Contact</span>
+    </body></html>`);
+    const result = analyzeLinks(document, 'https://example.com/blog/post');
+
+    assert.strictEqual(result.links[0].url, 'https://example.com/docs/guide', 'Relative links should resolve against <base href>');
+    assert.deepStrictEqual(result.links.map(link => link.type), ['internal', 'internal', 'external', 'external', 'empty', 'javascript', 'none', 'internal']);
+    assert.deepStrictEqual(
+      [result.counts.total, result.counts.internal, result.counts.nofollow, result.counts.sponsored],
+      [5, 3, 1, 1]
+    );
+    assert.deepStrictEqual(result.issues.map(issue => issue.id), [
+      'links/internal-nofollow',
+      'links/unsafe-target-blank',
+      'links/empty-href',
+      'links/javascript-href',
+      'links/empty-anchor',
+      'links/generic-anchor',
+      'links/onclick-only'
+    ]);
+    assert.strictEqual(result.issues[6].element, '<a> "Cart", <span onclick="location.href=\'/contact\'">');
+  });
+
+  it('should treat an empty href as a link to the current page', () => {
+    const { document } = createDOM('<html><body><a href="">Reload</a></body></html>');
+    const result = analyzeLinks(document, 'https://example.com/blog/post');
+
+    assert.strictEqual(result.links[0].type, 'internal');
+    assert.strictEqual(result.links[0].url, 'https://example.com/blog/post');
+    assert(!result.issues.some(issue => issue.id === 'links/empty-href'), 'An empty href should not be reported as leading nowhere');
+  });
+
+  it('should check each link once and group results by status class', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/ok') res.writeHead(200);
+      else if (req.url === '/old') res.writeHead(301, { Location: '/ok' });
+      else res.writeHead(404);
+      res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const pageUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+      const { document } = createDOM(`<html><head><link rel="stylesheet" href="/missing.css"></head><body>
+        <a href="/ok">OK</a> <a href="/ok#top">Top</a> <a href="/old">Old</a> <a href="/gone">Gone</a>
+      </body></html>`);
+      const options = { linkCheck: { enabled: true, timeout: 5000 } };
+      const result = await checkLinks(document, pageUrl, { ...options, linkChecker: createLinkChecker(options) });
+      const urls = (statusClass) => result.internal.byStatusClass[statusClass].map(link => new URL(link.url).pathname);
+
+      assert.deepStrictEqual([urls('2xx'), urls('3xx'), urls('4xx')], [['/ok'], ['/old'], ['/gone', '/missing.css']]);
+      assert.strictEqual(requests.filter(url => url === '/ok').length, 2, '/ok should be requested once, plus once through the redirect');
+      assert.strictEqual(listBrokenLinks(result, 'internal').length, 2, 'Broken internal link count mismatch');
+      assert.strictEqual(listBrokenLinks(result, 'external').length, 0, 'No external links were checked');
+      assert.deepStrictEqual(result.issues.map(issue => issue.id), ['links/internal-redirect', 'links/broken-internal-link', 'links/broken-resource']);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('Browser Session Tests', () => {
+  it('should hand an open session to the analyzer without closing it', async () => {
+    let closed = false;
+    const session = { url: 'https://example.com/', close: async () => { closed = true; } };
+    const result = await withBrowserSession(session, {}, async (received) => received.url);
+
+    assert.strictEqual(result, 'https://example.com/');
+    assert.strictEqual(closed, false, 'Sessions passed in belong to the caller');
+    await assert.rejects(openBrowserSession('https://example.com/', { profile: 'tablet' }), /Unknown profile/);
+  });
+
+  it('should keep the DOM-based results when the page cannot be loaded in the browser', async () => {
+    const server = http.createServer((req, res) => {
+      if (req.url === '/') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html><head><title>Home</title></head><body><h1>Home</h1><p>Welcome.</p></body></html>');
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      // An unknown profile makes opening the browser session fail before Chrome starts
+      const results = await analyzeSEO(null, {
+        url: `http://127.0.0.1:${server.address().port}/`,
+        profiles: ['tablet'],
+        timeout: 5000,
+        saveReport: false
+      });
+      const skipped = results.skippedChecks.filter(item => /could not be loaded in the browser/.test(item.reason));
+
+      assert.strictEqual(results.title, 'Home');
+      assert.ok(results.headingAnalysis, 'DOM-based analyzers should still run');
+      assert.deepStrictEqual(skipped.map(item => item.check).slice(0, 3), ['csrSsrDetection', 'lazyLoading', 'jsDependencies']);
+      assert.ok(skipped.every(item => item.reason.includes('Unknown profile')), 'The reason should carry the error');
+      assert.strictEqual(results.performanceMetrics, null);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('Fetcher Tests', () => {
+  it('should decode compressed bodies and keep the Content-Encoding header', async () => {
+    const html = '<html><body>' + 'Compressed page. '.repeat(200) + '</body></html>';
+    const server = http.createServer((req, res) => {
+      const brotli = req.url === '/br';
+      const body = brotli ? zlib.brotliCompressSync(html) : zlib.gzipSync(html);
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Content-Encoding': brotli ? 'br' : 'gzip', 'Content-Length': body.length });
+      res.end(body);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      for (const path of ['/gzip', '/br']) {
+        const result = await fetchResource(base + path, { timeout: 5000 });
+        assert.strictEqual(result.body.toString('utf8'), html, `${path} body should be decoded`);
+        assert.strictEqual(result.size, Number(result.headers['content-length']), `${path} size should be the transferred bytes`);
+        assert.ok(result.size < html.length);
+        const headerIssues = analyzeHeaders(result.headers).issues.map(issue => issue.id);
+        assert.ok(!headerIssues.includes('headers/compression-missing'), `${path} should not be reported as uncompressed`);
+      }
+    } finally {
+      server.close();
+    }
+  });
+
+  it('should return malformed redirects and stalled bodies as errors', async () => {
+    const sockets = new Set();
+    const server = http.createServer((req, res) => {
+      if (req.url === '/bad-redirect') {
+        res.writeHead(302, { Location: 'http://[bad' });
+        res.end();
+      } else {
+        // Sends the headers and a first chunk, then never finishes the body
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.write('<html>');
+      }
+    });
+    server.on('connection', socket => sockets.add(socket));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const redirect = await fetchResource(`${base}/bad-redirect`, { timeout: 2000 });
+      assert.strictEqual(redirect.status, 302);
+      assert.ok(/Invalid redirect location/.test(redirect.error), 'A malformed Location should be an error result');
+
+      const stalled = await fetchResource(`${base}/stalled`, { timeout: 300 });
+      assert.strictEqual(stalled.status, 200);
+      assert.strictEqual(stalled.body, null);
+      assert.ok(/within 300 ms/.test(stalled.error), 'A stalled body should time out');
+    } finally {
+      sockets.forEach(socket => socket.destroy());
+      server.close();
+    }
+  });
+});
+
+describe('Crawler Tests', () => {
+  it('should extract absolute links against <base href> without fragments', () => {
+    const links = extractLinks(`<html><head><base href="https://example.com/docs/"></head><body>
+      <a href="intro#setup">Intro</a> <a href="intro">Intro again</a> <a href="#top">Top</a>
+      <a href="mailto:team@example.com">Mail</a> <a href="ftp://example.com/file">FTP</a> <a href="https://other.com/">Other</a>
+    </body></html>`, 'https://example.com/start');
+
+    assert.deepStrictEqual(links, ['https://example.com/docs/intro', 'https://other.com/']);
+  });
+
+  it('should run at most the given number of operations at once and keep the order', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      running++;
+      peak = Math.max(peak, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    assert.deepStrictEqual(results, [0, 1, 2, 3]);
+    assert.strictEqual(peak, 2);
+    assert.deepStrictEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+
+  it('should follow same-origin links up to the crawl depth with include and exclude patterns', async () => {
+    const pages = {
+      '/': '<a href="/about">About</a> <a href="/blog/">Blog</a> <a href="/admin">Admin</a> <a href="https://example.com/">External</a>',
+      '/about': '<a href="/team">Team</a>',
+      '/blog/': '<a href="/blog/post#comments">Post</a>'
+    };
+    const requested = [];
+    const server = http.createServer((req, res) => {
+      requested.push(req.url);
+      const body = pages[req.url];
+      res.writeHead(body === undefined ? 404 : 200, { 'Content-Type': 'text/html' });
+      res.end(body === undefined ? '' : `<html><head><title>${req.url}</title></head><body>${body}</body></html>`);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const startUrl = `http://127.0.0.1:${server.address().port}/`;
+
+    try {
+      const result = await crawlSite(startUrl, {
+        offline: true,
+        crawl: { depth: 1, exclude: ['/admin'], concurrency: 2 }
+      });
+
+      assert.deepStrictEqual(result.pages.map(page => new URL(page.url).pathname), ['/', '/about', '/blog/']);
+      assert.ok(!requested.includes('/team') && !requested.includes('/blog/post'), 'Links beyond the depth should not be requested');
+      assert.ok(!requested.includes('/admin'), 'Excluded URLs should not be requested');
+      assert.strictEqual(result.summary.pagesAnalyzed, 3);
+      assert.strictEqual(result.summary.maxDepthReached, 1);
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('Redirect Tests', () => {
+  it('should flag redirect chains, temporary hops and HTTPS downgrades', () => {
+    const result = analyzeRedirects({
+      url: 'https://example.com/old',
+      finalUrl: 'http://example.com/new',
+      status: 200,
+      redirects: [
+        { url: 'https://example.com/old', status: 301, location: 'https://example.com/moved' },
+        { url: 'https://example.com/moved', status: 302, location: 'http://example.com/new' }
+      ],
+      error: null
+    });
+    assert.strictEqual(result.hops, 2, 'Hop count mismatch');
+    assert.deepStrictEqual(
+      result.issues.map(issue => issue.id),
+      ['redirects/chain', 'redirects/temporary', 'redirects/https-downgrade']
+    );
+  });
+});
+
+describe('Soft-404 Tests', () => {
+  const analyze = (html, statusCode) => analyzeSoft404(
+    createDOM(html).document,
+    { url: 'https://example.com/missing', statusCode },
+    { offline: true }
+  );
+
+  it('should flag a 200 page that reads like an error page', async () => {
+    const result = await analyze('<html><head><title>Page not found</title></head><body><h1>Sorry</h1></body></html>', 200);
+    assert.strictEqual(result.page.likelySoft404, true, 'Page should be a likely soft 404');
+    assert.strictEqual(result.issues[0].id, 'indexing/soft-404', 'Issue ID mismatch');
+    assert.strictEqual(result.probe, null, 'Offline analysis should not probe the site');
+  });
+
+  it('should not flag error pages served with a 404 or normal pages', async () => {
+    const notFound = await analyze('<html><head><title>404</title></head><body></body></html>', 404);
+    const normal = await analyze('<html><head><title>Shoes</title></head><body><h1>Running shoes</h1></body></html>', 200);
+    assert.strictEqual(notFound.issues.length, 0, 'A real 404 is not a soft 404');
+    assert.strictEqual(normal.page.looksLikeErrorPage, false, 'Normal page flagged as error page');
+  });
+});
+
+describe('Local Audit Tests', () => {
+  const writePage = (root, file, html) => {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), html);
+  };
+
+  it('should map files to public URLs and report broken references', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'seo-info-'));
+    try {
+      writePage(root, 'index.html', '<html><head><title>Home</title></head><body>' +
+        '<a href="/blog/">Blog</a><a href="/missing">Missing</a><img src="/logo.png" alt="Logo"></body></html>');
+      writePage(root, 'blog/index.html', '<html><head><title>Blog</title></head><body><a href="../">Home</a></body></html>');
+
+      const audit = await auditLocalPath(root, { local: { baseUrl: 'https://example.com' } });
+      const urls = audit.pages.map(page => page.url).sort();
+
+      assert.deepStrictEqual(urls, ['https://example.com/', 'https://example.com/blog/'], 'Page URLs mismatch');
+      assert.deepStrictEqual(audit.summary.brokenLinks.map(link => link.href), ['/missing'], 'Broken links mismatch');
+      assert.deepStrictEqual(audit.summary.missingAssets.map(asset => asset.reference), ['/logo.png'], 'Missing assets mismatch');
+
+      const home = audit.pages.find(page => page.url === 'https://example.com/');
+      assert(home.results.issues.some(issue => issue.id === 'links/broken-internal-link'), 'Broken link issue should be reported');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  it('should not resolve URLs to files outside the build directory', () => {
+    const outer = fs.mkdtempSync(path.join(os.tmpdir(), 'seo-info-'));
+    try {
+      const root = path.join(outer, 'build');
+      writePage(root, 'index.html', '<html></html>');
+      fs.writeFileSync(path.join(outer, 'secret.txt'), 'secret');
+      const localSite = { root, baseUrl: 'https://example.com/' };
+
+      assert.strictEqual(urlToFile('https://example.com/', localSite), path.join(root, 'index.html'));
+      assert.strictEqual(urlToFile('https://example.com/..%2Fsecret.txt', localSite), null, 'Encoded ../ should not leave the build');
+      assert.strictEqual(urlToFile('https://example.com/%2E%2E%2Fsecret.txt', localSite), null);
+    } finally {
+      fs.rmSync(outer, { recursive: true, force: true });
+    }
+  });
+
+  it('should check every srcset candidate of images and picture sources', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'seo-info-'));
+    try {
+      writePage(root, 'index.html', '<html><head><title>Home</title></head><body>' +
+        '<img src="/a.png" srcset="/a-400.png 400w, /a-800.png 800w" sizes="100vw" alt="A">' +
+        '<picture><source type="image/avif" srcset="/b.avif 1x,/b@2x.avif 2x"><img src="/b.jpg" alt="B"></picture></body></html>');
+      ['a.png', 'a-400.png', 'b.avif', 'b.jpg'].forEach(file => fs.writeFileSync(path.join(root, file), ''));
+
+      const audit = await auditLocalPath(root, { local: { baseUrl: 'https://example.com' } });
+      const issues = audit.pages[0].results.issues.filter(issue => issue.id === 'images/missing-file');
+
+      assert.deepStrictEqual(audit.summary.missingAssets.map(asset => asset.reference), ['/a-800.png', '/b@2x.avif'], 'Missing candidates mismatch');
+      assert.strictEqual(issues.length, 2, 'Each missing candidate should be reported as a missing image');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
 // Run the tests
 run().catch(err => {
   console.error('Test runner error:', err);